@@ -1,10 +1,12 @@
 import React from 'react';
+import { ATTEMPT_OUTCOMES } from './utils/helpers';
+import ImagePicker from './ImagePicker';
 
 const AddAttemptForm = ({ 
   recipeId,
   aForm,
   onAttemptFileSelected,
-  removeAttemptImage,
+  setAttemptImages,
   submitAttempt,
   setAttemptFormState,
   PREVIEW_SIZE,
@@ -68,6 +70,92 @@ const AddAttemptForm = ({
           </div>
         </div>
 
+        <div className="row g-3 mb-3">
+          <div className="col-sm-6">
+            <label className="form-label fw-medium">结果</label>
+            <select
+              value={aForm.outcome || ""}
+              onChange={(e) => setAttemptFormState(recipeId, { outcome: e.target.value })}
+              disabled={aForm.submitting || aForm.processingFiles}
+              className="form-select"
+            >
+              <option value="">未记录</option>
+              {ATTEMPT_OUTCOMES.map((o) => (
+                <option key={o.value} value={o.value}>{o.label}</option>
+              ))}
+            </select>
+            <div className="text-danger small mt-1">
+              {aForm.errors?.outcome}
+            </div>
+          </div>
+          <div className="col-sm-6">
+            <label className="form-label fw-medium d-block">评分</label>
+            <div className="btn-group" role="group" aria-label="评分">
+              {[1, 2, 3, 4, 5].map((n) => (
+                <button
+                  key={n}
+                  type="button"
+                  onClick={() => setAttemptFormState(recipeId, { rating: aForm.rating === n ? null : n })}
+                  disabled={aForm.submitting || aForm.processingFiles}
+                  className={`btn btn-sm ${aForm.rating >= n ? 'btn-warning' : 'btn-outline-warning'}`}
+                  title={`${n} 星`}
+                >
+                  ★
+                </button>
+              ))}
+            </div>
+            <div className="text-danger small mt-1">
+              {aForm.errors?.rating}
+            </div>
+          </div>
+          <div className="col-sm-6">
+            <label className="form-label fw-medium">耗时（分钟）</label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={aForm.durationMinutes ?? ""}
+              onChange={(e) => setAttemptFormState(recipeId, { durationMinutes: e.target.value })}
+              disabled={aForm.submitting || aForm.processingFiles}
+              className="form-control"
+            />
+            <div className="text-danger small mt-1">
+              {aForm.errors?.durationMinutes}
+            </div>
+          </div>
+          <div className="col-sm-6">
+            <label className="form-label fw-medium">烹饪时间</label>
+            <input
+              type="datetime-local"
+              value={aForm.cookedAt || ""}
+              onChange={(e) => setAttemptFormState(recipeId, { cookedAt: e.target.value })}
+              disabled={aForm.submitting || aForm.processingFiles}
+              className="form-control"
+            />
+            <div className="form-text">留空表示现在</div>
+            <div className="text-danger small mt-1">
+              {aForm.errors?.cookedAt}
+            </div>
+          </div>
+        </div>
+
+        <div className="mb-3">
+          <label className="form-label fw-medium">
+            关键调整
+          </label>
+          <textarea
+            value={aForm.adjustments || ""}
+            onChange={(e) => setAttemptFormState(recipeId, { adjustments: e.target.value })}
+            disabled={aForm.submitting || aForm.processingFiles}
+            className="form-control"
+            placeholder="每行一条，例如：盐减半"
+            rows="2"
+          />
+          <div className="text-danger small mt-1">
+            {aForm.errors?.adjustments}
+          </div>
+        </div>
+
         <div className="mb-3">
           <label className="form-label fw-medium">
             图片
@@ -75,10 +163,12 @@ const AddAttemptForm = ({
           <input
             type="file"
             accept="image/*"
+            multiple
             onChange={(e) => onAttemptFileSelected(recipeId, e)}
             disabled={aForm.processingFiles || aForm.submitting}
             className="form-control"
           />
+          <div className="form-text">可多选，拖动缩略图调整顺序。</div>
           {aForm.processingFiles ? (
             <div className="d-flex align-items-center mt-2">
               <div className="spinner-border spinner-border-sm text-primary me-2" role="status"></div>
@@ -87,30 +177,14 @@ const AddAttemptForm = ({
           ) : null}
         </div>
 
-        {aForm.previewDataUrl ? (
-          <div className="d-flex flex-column flex-sm-row gap-3 align-items-start mb-3">
-            <div className="w-100" style={{maxWidth: '256px', height: '256px'}}>
-              <img
-                src={aForm.previewDataUrl}
-                alt="预览"
-                className="img-fluid rounded border w-100 h-100"
-                style={{objectFit: 'cover'}}
-              />
-            </div>
-            <div className="flex-grow-1">
-              <div className="mb-2 fw-medium">{aForm.file?.name}</div>
-              <button
-                type="button"
-                onClick={() => removeAttemptImage(recipeId)}
-                disabled={aForm.processingFiles || aForm.submitting}
-                className="btn btn-outline-danger btn-sm"
-              >
-                移除图片
-              </button>
-              <div className="mt-2 text-secondary small">
-                预览尺寸: {PREVIEW_SIZE}×{PREVIEW_SIZE}
-              </div>
-            </div>
+        {aForm.images?.length ? (
+          <div className="mb-3">
+            <ImagePicker
+              images={aForm.images}
+              onChange={(images) => setAttemptImages(recipeId, images)}
+              disabled={aForm.processingFiles || aForm.submitting}
+              previewSize={PREVIEW_SIZE}
+            />
           </div>
         ) : null}
 
@@ -4,11 +4,16 @@ import RegisterForm from "./RegisterForm";
 import { useAuth } from "./auth/useAuth";
 import RecipeList from "./RecipeList";
 import CreateRecipeForm from "./CreateRecipeForm";
+import Trash from "./Trash";
+import Dashboard from "./Dashboard";
+import Profile from "./auth/Profile";
+import TagFilterBar from "./TagFilterBar";
 import {
   mapErrors,
   drawImageWithExifOrientation,
   cropCanvasToWebpDataUrl,
   uploadFileToServer,
+  parseTagInput,
 } from "./utils/helpers";
 
 /**
@@ -16,8 +21,8 @@ import {
  */
 const MAX_FILE_SIZE = 6 * 1024 * 1024; // 6 MB
 const PREVIEW_SIZE = 400; // preview 400x400
-const UPLOAD_SIZE = 800; // server will produce 800x800 but we still preview a processed image client-side
 const PREVIEW_QUALITY = 0.7; // for preview webp quality
+const MAX_IMAGES = 20; // per recipe / attempt, same limit as the server
 const UPLOAD_ENDPOINT = "/api/uploads";
 const RECIPES_ENDPOINT = "/api/recipes";
 
@@ -26,6 +31,149 @@ const RECIPES_ENDPOINT = "/api/recipes";
  */
 // 删除重复的辅助函数定义，因为现在从utils/helpers.js导入
 
+const PAGE_SIZE = 20;
+
+// 尝试表单的可编辑字段（adjustments 为每行一条的文本）
+const EMPTY_ATTEMPT_FIELDS = {
+  body: "",
+  feedback: "",
+  outcome: "",
+  rating: null,
+  durationMinutes: "",
+  cookedAt: "",
+  adjustments: "",
+};
+
+let nextImageId = 0;
+
+// 校正EXIF方向并生成预览，返回 { items, rejected }：items 为 ImagePicker 的图片项，
+// rejected 为因类型或大小被跳过的文件名
+async function prepareImageItems(files) {
+  const items = [];
+  const rejected = [];
+  for (const file of files) {
+    if (!file.type.startsWith("image/") || file.size > MAX_FILE_SIZE) {
+      rejected.push(file.name);
+      continue;
+    }
+    const orientedCanvas = await drawImageWithExifOrientation(file);
+    items.push({
+      id: `img-${(nextImageId += 1)}`,
+      file,
+      previewDataUrl: cropCanvasToWebpDataUrl(
+        orientedCanvas,
+        PREVIEW_SIZE,
+        PREVIEW_QUALITY
+      ),
+      caption: "",
+      isCover: false,
+    });
+  }
+  return { items, rejected };
+}
+
+function alertRejected(rejected) {
+  if (rejected.length) {
+    alert(
+      `只支持图片文件，单张最大 ${
+        MAX_FILE_SIZE / (1024 * 1024)
+      } MB，已跳过：${rejected.join("、")}`
+    );
+  }
+}
+
+// 按顺序上传图片，返回 API 的 images payload
+async function uploadImageItems(items) {
+  const images = [];
+  for (const item of items) {
+    const uploadRes = await uploadFileToServer(item.file);
+    if (!uploadRes || !uploadRes.url) {
+      throw new Error("Upload returned no URL");
+    }
+    images.push({
+      url: uploadRes.url,
+      caption: item.caption.trim() || undefined,
+      isCover: item.isCover,
+    });
+  }
+  return images;
+}
+
+// 将尝试表单字段转换为 API payload，空值不发送；未评分时发送 null
+function attemptFieldsToPayload(form) {
+  const adjustments = (form.adjustments || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return {
+    body: form.body || undefined,
+    feedback: form.feedback || undefined,
+    outcome: form.outcome || undefined,
+    rating: form.rating || null,
+    durationMinutes:
+      form.durationMinutes !== "" && form.durationMinutes != null
+        ? Number(form.durationMinutes)
+        : undefined,
+    // datetime-local 没有时区，按本地时间解析后转为 ISO
+    cookedAt: form.cookedAt ? new Date(form.cookedAt).toISOString() : undefined,
+    adjustments: adjustments.length ? adjustments : undefined,
+  };
+}
+const RECIPE_SORT_OPTIONS = [
+  { value: "newest", label: "最新创建" },
+  { value: "oldest", label: "最早创建" },
+  { value: "updated", label: "最近更新" },
+  { value: "attempts", label: "尝试最多" },
+  { value: "rating", label: "评分最高" },
+];
+
+// 列表 URL：可选搜索词、排序、标签筛选与分页游标
+function recipesListUrl({ q, sort, tags, match }, cursor) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (q) params.set("q", q);
+  if (sort) params.set("sort", sort);
+  (tags || []).forEach((tag) => params.append("tag", tag));
+  if (tags && tags.length > 1) params.set("match", match);
+  if (cursor) params.set("cursor", cursor);
+  return `${RECIPES_ENDPOINT}?${params}`;
+}
+
+// share: 分享链接中的口令，查看不公开列出的菜谱时需要
+function attemptsListUrl(recipeId, cursor, share) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (cursor) params.set("cursor", cursor);
+  if (share) params.set("share", share);
+  return `${RECIPES_ENDPOINT}/${recipeId}/attempts?${params}`;
+}
+
+// 拉取一页列表数据，返回 { items, total, nextCursor, facets }
+async function fetchPage(url) {
+  const res = await fetch(url, { credentials: "include" });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const errs =
+      body && body.errors
+        ? body.errors.map((e) => e.message).join("; ")
+        : res.statusText;
+    throw new Error(`HTTP ${res.status}: ${errs}`);
+  }
+  const data = await res.json();
+  const items = Array.isArray(data.items) ? data.items : data || [];
+  return {
+    items,
+    total: typeof data.total === "number" ? data.total : items.length,
+    nextCursor: data.nextCursor || null,
+    facets: Array.isArray(data.facets) ? data.facets : [],
+  };
+}
+
+// 分享链接 /?recipe=<id>&share=<token>，返回 { recipeId, share } 或 null
+function sharedLinkFromLocation() {
+  const params = new URLSearchParams(window.location.search);
+  const recipeId = params.get("recipe");
+  return recipeId ? { recipeId, share: params.get("share") } : null;
+}
+
 /**
  * Component
  */
@@ -39,16 +187,40 @@ export default function App() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false); // 控制新建菜谱表单显示
+  const [showTrash, setShowTrash] = useState(false); // 回收站面板
+  const [showDashboard, setShowDashboard] = useState(false); // 我的烹饪仪表盘
+  const [showProfile, setShowProfile] = useState(false); // 账户设置
+
+  // 通过分享链接打开的菜谱
+  const [sharedLink, setSharedLink] = useState(sharedLinkFromLocation);
+  const [sharedRecipe, setSharedRecipe] = useState(null);
+  const [sharedError, setSharedError] = useState(null);
+
+  // search & pagination
+  const [searchInput, setSearchInput] = useState("");
+  const [searchQuery, setSearchQuery] = useState(""); // 已提交的搜索词
+  // 空字符串表示默认排序（搜索时按相关度，否则最新优先）
+  const [sort, setSort] = useState("");
+  const [selectedTags, setSelectedTags] = useState([]); // 标签筛选
+  const [tagMatch, setTagMatch] = useState("all"); // all: 同时包含，any: 包含任一
+  const [tagFacets, setTagFacets] = useState([]);
+  const [totalRecipes, setTotalRecipes] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   // form state for creating a recipe
   const [title, setTitle] = useState("");
   const [body, setBody] = useState("");
   const [feedback, setFeedback] = useState("");
+  const [visibility, setVisibility] = useState("public");
+  const [tagsInput, setTagsInput] = useState("");
+  const [servings, setServings] = useState("");
+  const [baking, setBaking] = useState(false);
+  // ingredient rows: [{ quantity, unit, name, note, group }]
+  const [ingredients, setIngredients] = useState([]);
 
-  // single file selection for create-recipe
-  const [selectedFile, setSelectedFile] = useState(null); // File
-  const [previewDataUrl, setPreviewDataUrl] = useState(null); // 400x400 webp data url
-  const [_uploadPreviewDataUrl, setUploadPreviewDataUrl] = useState(null); // 800x800 webp data url (optional)
+  // images to upload for create-recipe: [{ id, file, previewDataUrl, caption, isCover }]
+  const [imageItems, setImageItems] = useState([]);
 
   const [formErrors, setFormErrors] = useState({});
   const [processingFiles, setProcessingFiles] = useState(false);
@@ -59,106 +231,166 @@ export default function App() {
   // --- New states for attempts support ---
   // expanded: { [recipeId]: { open: bool, loading: bool, attempts: [], error: string|null, choosing: attemptId|null, choosingError: string|null } }
   const [expanded, setExpanded] = useState({});
-  // attemptForms: { [recipeId]: { body, feedback, file, previewDataUrl, uploadPreviewDataUrl, processingFiles, submitting, errors } }
+  // attemptForms: { [recipeId]: { body, feedback, outcome, rating, durationMinutes, cookedAt, adjustments, images, processingFiles, submitting, errors } }
   const [attemptForms, setAttemptForms] = useState({});
 
-  // helper to update attemptForms safely (includes feedback default)
+  // helper to update attemptForms safely (includes feedback default);
+  // changes may be a function of the current form
   function setAttemptFormState(recipeId, changes) {
     setAttemptForms((prev) => {
       const cur = prev[recipeId] || {
-        body: "",
-        feedback: "",
-        file: null,
-        previewDataUrl: null,
-        uploadPreviewDataUrl: null,
+        ...EMPTY_ATTEMPT_FIELDS,
+        images: [],
         processingFiles: false,
         submitting: false,
         errors: {},
       };
-      return { ...prev, [recipeId]: { ...cur, ...changes } };
+      const next = typeof changes === "function" ? changes(cur) : changes;
+      return { ...prev, [recipeId]: { ...cur, ...next } };
     });
   }
 
   useEffect(() => {
+    let cancelled = false;
     const fetchList = async () => {
       setLoading(true);
       setError(null);
       try {
-        const res = await fetch(RECIPES_ENDPOINT);
-        if (!res.ok) {
-          const body = await res.json().catch(() => null);
-          const errs =
-            body && body.errors
-              ? body.errors.map((e) => e.message).join("; ")
-              : res.statusText;
-          throw new Error(`HTTP ${res.status}: ${errs}`);
-        }
-        const data = await res.json();
-        setRecipes(Array.isArray(data.items) ? data.items : data || []);
+        const page = await fetchPage(
+          recipesListUrl({
+            q: searchQuery,
+            sort,
+            tags: selectedTags,
+            match: tagMatch,
+          })
+        );
+        if (cancelled) return;
+        setRecipes(page.items);
+        setTotalRecipes(page.total);
+        setNextCursor(page.nextCursor);
+        setTagFacets(page.facets);
       } catch (err) {
-        setError(err.message || String(err));
+        if (!cancelled) setError(err.message || String(err));
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
     fetchList();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [searchQuery, sort, selectedTags, tagMatch]);
+
+  useEffect(() => {
+    if (!sharedLink) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const params = new URLSearchParams();
+        if (sharedLink.share) params.set("share", sharedLink.share);
+        const res = await fetch(
+          `${RECIPES_ENDPOINT}/${encodeURIComponent(
+            sharedLink.recipeId
+          )}?${params}`,
+          { credentials: "include" }
+        );
+        const body = await res.json().catch(() => null);
+        if (!res.ok) {
+          throw new Error(
+            res.status === 404
+              ? "菜谱不存在或分享链接已失效"
+              : body?.errors?.map((e) => e.message).join("; ") || res.statusText
+          );
+        }
+        if (!cancelled) setSharedRecipe(body);
+      } catch (err) {
+        if (!cancelled) setSharedError(String(err.message || err));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [sharedLink]);
+
+  // 关闭分享的菜谱，并从地址栏去掉分享参数
+  const closeSharedLink = () => {
+    window.history.replaceState(null, "", window.location.pathname);
+    setSharedLink(null);
+    setSharedRecipe(null);
+    setSharedError(null);
+  };
+
+  // 分享链接打开的菜谱，其子资源请求同样带上口令
+  const shareFor = (recipeId) =>
+    sharedLink && sharedLink.recipeId === recipeId ? sharedLink.share : null;
+
+  const loadMoreRecipes = async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await fetchPage(
+        recipesListUrl(
+          { q: searchQuery, sort, tags: selectedTags, match: tagMatch },
+          nextCursor
+        )
+      );
+      setRecipes((prev) => [
+        ...prev,
+        ...page.items.filter((r) => !prev.some((p) => p.id === r.id)),
+      ]);
+      setTotalRecipes(page.total);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const submitSearch = (e) => {
+    e.preventDefault();
+    setSearchQuery(searchInput.trim());
+  };
+
+  const clearSearch = () => {
+    setSearchInput("");
+    setSearchQuery("");
+  };
+
+  const toggleTag = (name) => {
+    setSelectedTags((prev) =>
+      prev.includes(name) ? prev.filter((t) => t !== name) : [...prev, name]
+    );
+  };
 
   // ---------- existing create-recipe file handlers ----------
   const onFileSelected = async (e) => {
     const files = Array.from(e.target.files || []);
+    e.target.value = "";
     if (files.length === 0) return;
-    const file = files[0];
-
-    if (!file.type.startsWith("image/")) {
-      alert("只支持图片文件");
-      e.target.value = "";
-      return;
-    }
-    if (file.size > MAX_FILE_SIZE) {
-      alert(`文件过大，单张最大 ${MAX_FILE_SIZE / (1024 * 1024)} MB`);
-      e.target.value = "";
+    if (imageItems.length + files.length > MAX_IMAGES) {
+      alert(`最多上传 ${MAX_IMAGES} 张图片`);
       return;
     }
 
     setProcessingFiles(true);
     setFormErrors((prev) => ({ ...prev, images: undefined }));
     try {
-      // draw with EXIF orientation corrected into a canvas
-      const orientedCanvas = await drawImageWithExifOrientation(file);
-
-      // preview 400x400 webp
-      const previewData = cropCanvasToWebpDataUrl(
-        orientedCanvas,
-        PREVIEW_SIZE,
-        PREVIEW_QUALITY
-      );
-      const uploadPreviewData = cropCanvasToWebpDataUrl(
-        orientedCanvas,
-        UPLOAD_SIZE,
-        PREVIEW_QUALITY
-      );
-      setSelectedFile(file);
-      setPreviewDataUrl(previewData);
-      setUploadPreviewDataUrl(uploadPreviewData);
+      const { items, rejected } = await prepareImageItems(files);
+      alertRejected(rejected);
+      setImageItems((prev) => [...prev, ...items]);
     } catch (err) {
       console.error("处理图片失败", err);
       setFormErrors((prev) => ({ ...prev, images: "图片处理失败" }));
-      setSelectedFile(null);
-      setPreviewDataUrl(null);
-      setUploadPreviewDataUrl(null);
     } finally {
       setProcessingFiles(false);
-      e.target.value = "";
     }
   };
 
   const handleLogout = logout;
 
-  const removeImage = () => {
-    setSelectedFile(null);
-    setPreviewDataUrl(null);
-    setUploadPreviewDataUrl(null);
+  const clearImages = () => {
+    setImageItems([]);
     if (fileInputRef.current) fileInputRef.current.value = "";
   };
 
@@ -168,33 +400,31 @@ export default function App() {
     setFormErrors({});
 
     try {
-      let imageUrls = [];
-
-      if (selectedFile) {
-        // upload original file to server (server will handle autoRotate + crop + webp conversion)
-        try {
-          const uploadRes = await uploadFileToServer(selectedFile);
-          if (uploadRes && uploadRes.url) {
-            imageUrls.push(uploadRes.url);
-          } else {
-            throw new Error("Upload returned no URL");
-          }
-        } catch (err) {
-          setFormErrors((prev) => ({
-            ...prev,
-            images: String(err.message || err),
-          }));
-          setSubmitting(false);
-          return;
-        }
+      let images;
+      // upload original files in order (server will handle autoRotate + crop + webp conversion)
+      try {
+        images = await uploadImageItems(imageItems);
+      } catch (err) {
+        setFormErrors((prev) => ({
+          ...prev,
+          images: String(err.message || err),
+        }));
+        setSubmitting(false);
+        return;
       }
 
-      // now submit recipe with imageUrls array
+      // now submit recipe with the uploaded images
       const payload = {
         title: title || undefined,
         body: body || undefined,
         feedback: feedback || undefined,
-        images: imageUrls,
+        visibility,
+        tags: parseTagInput(tagsInput),
+        servings: servings ? Number(servings) : undefined,
+        baking,
+        images,
+        // drop rows the user left blank
+        ingredients: ingredients.filter((ing) => ing.name.trim()),
       };
 
       const res = await fetch(RECIPES_ENDPOINT, {
@@ -237,7 +467,12 @@ export default function App() {
       setTitle("");
       setBody("");
       setFeedback("");
-      removeImage();
+      setVisibility("public");
+      setTagsInput("");
+      setServings("");
+      setBaking(false);
+      setIngredients([]);
+      clearImages();
       setFormErrors({});
       setShowCreateForm(false); // 关闭弹窗
     } catch (err) {
@@ -267,38 +502,25 @@ export default function App() {
         open: true,
         loading: true,
         attempts: [],
+        nextCursor: null,
+        loadingMore: false,
         error: null,
         choosing: null,
         choosingError: null,
       },
     }));
     try {
-      const res = await fetch(`${RECIPES_ENDPOINT}/${recipeId}/attempts`, {
-        credentials: "include",
-      });
-      if (!res.ok) {
-        const body = await res.json().catch(() => null);
-        const errs =
-          body && body.errors
-            ? body.errors.map((e) => e.message).join("; ")
-            : res.statusText;
-        throw new Error(`HTTP ${res.status}: ${errs}`);
-      }
-      const data = await res.json();
-      // accept several shapes: { items: [...] } or array or { attempts: [...] }
-      const attempts = Array.isArray(data.items)
-        ? data.items
-        : Array.isArray(data)
-        ? data
-        : Array.isArray(data.attempts)
-        ? data.attempts
-        : data || [];
+      const page = await fetchPage(
+        attemptsListUrl(recipeId, null, shareFor(recipeId))
+      );
       setExpanded((prev) => ({
         ...prev,
         [recipeId]: {
           open: true,
           loading: false,
-          attempts,
+          attempts: page.items,
+          nextCursor: page.nextCursor,
+          loadingMore: false,
           error: null,
           choosing: null,
           choosingError: null,
@@ -311,6 +533,8 @@ export default function App() {
           open: true,
           loading: false,
           attempts: [],
+          nextCursor: null,
+          loadingMore: false,
           error: String(err.message || err),
           choosing: null,
           choosingError: null,
@@ -319,101 +543,99 @@ export default function App() {
     }
   };
 
-  // attempt file select (per-recipe)
+  const loadMoreAttempts = async (recipeId) => {
+    const cur = expanded[recipeId];
+    if (!cur || !cur.nextCursor || cur.loadingMore) return;
+    setExpanded((prev) => ({
+      ...prev,
+      [recipeId]: { ...prev[recipeId], loadingMore: true },
+    }));
+    try {
+      const page = await fetchPage(
+        attemptsListUrl(recipeId, cur.nextCursor, shareFor(recipeId))
+      );
+      setExpanded((prev) => {
+        const attempts = prev[recipeId].attempts || [];
+        return {
+          ...prev,
+          [recipeId]: {
+            ...prev[recipeId],
+            attempts: [
+              ...attempts,
+              ...page.items.filter((a) => !attempts.some((x) => x.id === a.id)),
+            ],
+            nextCursor: page.nextCursor,
+            loadingMore: false,
+          },
+        };
+      });
+    } catch (err) {
+      setExpanded((prev) => ({
+        ...prev,
+        [recipeId]: {
+          ...prev[recipeId],
+          loadingMore: false,
+          error: String(err.message || err),
+        },
+      }));
+    }
+  };
+
+  // attempt file select (per-recipe), appended to the form's images
   const onAttemptFileSelected = async (recipeId, e) => {
     const files = Array.from(e.target.files || []);
+    e.target.value = "";
     if (files.length === 0) return;
-    const file = files[0];
-
-    if (!file.type.startsWith("image/")) {
-      alert("只支持图片文件");
-      e.target.value = "";
-      return;
-    }
-    if (file.size > MAX_FILE_SIZE) {
-      alert(`文件过大，单张最大 ${MAX_FILE_SIZE / (1024 * 1024)} MB`);
-      e.target.value = "";
+    const current = (attemptForms[recipeId] || {}).images || [];
+    if (current.length + files.length > MAX_IMAGES) {
+      alert(`最多上传 ${MAX_IMAGES} 张图片`);
       return;
     }
 
-    setAttemptFormState(recipeId, {
+    setAttemptFormState(recipeId, (cur) => ({
       processingFiles: true,
-      errors: {
-        ...((attemptForms[recipeId] || {}).errors || {}),
-        images: undefined,
-      },
-    });
+      errors: { ...cur.errors, images: undefined },
+    }));
     try {
-      const orientedCanvas = await drawImageWithExifOrientation(file);
-      const previewData = cropCanvasToWebpDataUrl(
-        orientedCanvas,
-        PREVIEW_SIZE,
-        PREVIEW_QUALITY
-      );
-      const uploadPreviewData = cropCanvasToWebpDataUrl(
-        orientedCanvas,
-        UPLOAD_SIZE,
-        PREVIEW_QUALITY
-      );
-      setAttemptFormState(recipeId, {
-        file,
-        previewDataUrl: previewData,
-        uploadPreviewDataUrl: uploadPreviewData,
-      });
+      const { items, rejected } = await prepareImageItems(files);
+      alertRejected(rejected);
+      setAttemptFormState(recipeId, (cur) => ({
+        images: [...cur.images, ...items],
+      }));
     } catch (err) {
       console.error("Attempt 图片处理失败", err);
-      setAttemptFormState(recipeId, {
-        file: null,
-        previewDataUrl: null,
-        uploadPreviewDataUrl: null,
-        errors: { images: "图片处理失败" },
-      });
+      setAttemptFormState(recipeId, { errors: { images: "图片处理失败" } });
     } finally {
       setAttemptFormState(recipeId, { processingFiles: false });
-      e.target.value = "";
     }
   };
 
-  const removeAttemptImage = (recipeId) => {
-    setAttemptFormState(recipeId, {
-      file: null,
-      previewDataUrl: null,
-      uploadPreviewDataUrl: null,
-    });
+  const setAttemptImages = (recipeId, images) => {
+    setAttemptFormState(recipeId, { images });
   };
 
   const submitAttempt = async (recipeId) => {
     const form = attemptForms[recipeId] || {
-      body: "",
-      feedback: "",
-      file: null,
+      ...EMPTY_ATTEMPT_FIELDS,
+      images: [],
     };
     setAttemptFormState(recipeId, { submitting: true, errors: {} });
 
     try {
-      let imageUrls = [];
-
-      if (form.file) {
-        try {
-          const uploadRes = await uploadFileToServer(form.file);
-          if (uploadRes && uploadRes.url) {
-            imageUrls.push(uploadRes.url);
-          } else {
-            throw new Error("Upload returned no URL");
-          }
-        } catch (err) {
-          setAttemptFormState(recipeId, {
-            submitting: false,
-            errors: { images: String(err.message || err) },
-          });
-          return;
-        }
+      let images;
+      try {
+        images = await uploadImageItems(form.images);
+      } catch (err) {
+        setAttemptFormState(recipeId, {
+          submitting: false,
+          errors: { images: String(err.message || err) },
+        });
+        return;
       }
 
       const payload = {
-        body: form.body || undefined,
-        feedback: form.feedback || undefined, // <-- include attempt-specific feedback
-        images: imageUrls,
+        ...attemptFieldsToPayload(form),
+        images,
       };
 
       const res = await fetch(`${RECIPES_ENDPOINT}/${recipeId}/attempts`, {
@@ -443,11 +665,8 @@ export default function App() {
 
       // reset attempt form
       setAttemptFormState(recipeId, {
-        body: "",
-        feedback: "",
-        file: null,
-        previewDataUrl: null,
-        uploadPreviewDataUrl: null,
+        ...EMPTY_ATTEMPT_FIELDS,
+        images: [],
         submitting: false,
         errors: {},
       });
@@ -584,6 +803,120 @@ export default function App() {
     }
   };
 
+  // ---------- 编辑 / 删除尝试 ----------
+  // 返回映射后的错误对象（成功时为 null），供内联编辑表单显示
+  const updateAttempt = async (recipeId, attemptId, fields) => {
+    try {
+      const res = await fetch(
+        `${RECIPES_ENDPOINT}/${recipeId}/attempts/${attemptId}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify(fields),
+        }
+      );
+      const body = await res.json().catch(() => null);
+      if (!res.ok) return mapErrors(body?.errors);
+
+      setExpanded((prev) => {
+        const cur = prev[recipeId];
+        if (!cur) return prev;
+        const attempts = (cur.attempts || []).map((a) =>
+          a.id === attemptId ? { ...body, isBest: a.isBest } : a
+        );
+        return { ...prev, [recipeId]: { ...cur, attempts } };
+      });
+      setRecipes((prev) =>
+        prev.map((r) =>
+          r.id === recipeId && r.bestAttempt?.id === attemptId
+            ? { ...r, bestAttempt: body }
+            : r
+        )
+      );
+      return null;
+    } catch (err) {
+      console.error("update attempt failed", err);
+      return { _global: String(err.message || err) };
+    }
+  };
+
+  const deleteAttempt = async (recipeId, attemptId) => {
+    try {
+      const res = await fetch(
+        `${RECIPES_ENDPOINT}/${recipeId}/attempts/${attemptId}`,
+        { method: "DELETE", credentials: "include" }
+      );
+      if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        const msg =
+          body && body.errors
+            ? body.errors.map((e) => e.message).join("; ")
+            : res.statusText;
+        alert(`删除失败: ${msg}`);
+        return;
+      }
+      setExpanded((prev) => {
+        const cur = prev[recipeId];
+        if (!cur) return prev;
+        const attempts = (cur.attempts || []).filter((a) => a.id !== attemptId);
+        return { ...prev, [recipeId]: { ...cur, attempts } };
+      });
+      // 删除的是最佳尝试时，服务端会清空 bestAttemptId
+      setRecipes((prev) =>
+        prev.map((r) =>
+          r.id === recipeId && r.bestAttemptId === attemptId
+            ? { ...r, bestAttemptId: null, bestAttempt: null }
+            : r
+        )
+      );
+    } catch (err) {
+      console.error("delete attempt failed", err);
+      alert("删除失败: " + (err.message || err));
+    }
+  };
+
+  // 用服务端返回的最新菜谱替换列表中的旧数据（例如恢复历史版本后）
+  const replaceRecipe = (updated) => {
+    setRecipes((prev) => prev.map((r) => (r.id === updated.id ? updated : r)));
+    setSharedRecipe((prev) =>
+      prev && prev.id === updated.id ? updated : prev
+    );
+  };
+
+  // 从回收站恢复的菜谱回到列表顶部
+  const restoreRecipe = (recipe) => {
+    setRecipes((prev) => [recipe, ...prev.filter((r) => r.id !== recipe.id)]);
+    setTotalRecipes((n) => n + 1);
+  };
+
+  // ---------- 派生菜谱 ----------
+  // 复制为自己名下的新菜谱，成功后插入列表顶部
+  const forkRecipe = async (recipeId) => {
+    try {
+      const share = shareFor(recipeId);
+      const query = share ? `?${new URLSearchParams({ share })}` : "";
+      const res = await fetch(`${RECIPES_ENDPOINT}/${recipeId}/fork${query}`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) {
+        const msg =
+          body && body.errors
+            ? body.errors.map((e) => e.message).join("; ")
+            : res.statusText;
+        alert(`派生失败: ${msg}`);
+        return;
+      }
+      setRecipes((prev) => [body, ...prev]);
+      setTotalRecipes((n) => n + 1);
+    } catch (err) {
+      console.error("fork recipe failed", err);
+      alert("派生失败: " + (err.message || err));
+    }
+  };
+
   // ---------- 删除菜谱 ----------
   const deleteRecipe = async (recipeId) => {
     if (!recipeId) {
@@ -618,6 +951,9 @@ export default function App() {
         );
         return newRecipes;
       });
+      // 删除的菜谱进入回收站，不再计入总数
+      setTotalRecipes((n) => Math.max(0, n - 1));
+      if (sharedLink && sharedLink.recipeId === recipeId) closeSharedLink();
       // 可选：关闭展开状态
       setExpanded((prev) => {
         const newExpanded = { ...prev };
@@ -631,10 +967,58 @@ export default function App() {
   };
 
   // ---------- render ----------
+  // 菜谱列表与分享的菜谱共用的 RecipeList 属性
+  const recipeHandlers = {
+    expanded,
+    attemptForms,
+    toggleExpand,
+    loadMoreAttempts,
+    chooseBestAttempt,
+    onAttemptFileSelected,
+    setAttemptImages,
+    submitAttempt,
+    setAttemptFormState,
+    PREVIEW_SIZE,
+    onDeleteRecipe: deleteRecipe,
+    onForkRecipe: forkRecipe,
+    onRecipeUpdated: replaceRecipe,
+    onUpdateAttempt: updateAttempt,
+    onDeleteAttempt: deleteAttempt,
+  };
+
+  // 分享的菜谱显示在菜谱列表（或未登录时的登录表单）之前
+  const sharedView = sharedLink ? (
+    <div className="card shadow-sm p-4 mb-4">
+      <div className="d-flex justify-content-between align-items-center border-bottom pb-2 mb-3">
+        <h2 className="h5 fw-bold text-secondary mb-0">分享的菜谱</h2>
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={closeSharedLink}
+        >
+          关闭
+        </button>
+      </div>
+      {sharedError ? (
+        <div className="alert alert-danger mb-0">{sharedError}</div>
+      ) : !sharedRecipe ? (
+        <div className="small text-muted">加载中...</div>
+      ) : (
+        <RecipeList
+          recipes={[sharedRecipe]}
+          {...recipeHandlers}
+          shareToken={sharedLink.share}
+          hasMore={false}
+        />
+      )}
+    </div>
+  ) : null;
+
   // 如果未登录，先显示登录表单（此处不会影响 hooks 的调用顺序）
   if (!user) {
     return (
       <div className="container py-5">
+        {sharedView}
         <div className="row">
           <div className="col-md-6">
             <LoginForm />
@@ -647,23 +1031,89 @@ export default function App() {
     );
   }
 
+  const header = (
+    <div className="d-flex justify-content-between align-items-center mb-4">
+      <div>
+        <h1 className="display-4 fw-bold text-primary mb-2">BetterCook</h1>
+        <p className="text-muted">记录您的菜谱和烹饪尝试</p>
+      </div>
+      <div className="text-end">
+        <div className="small text-muted">已登录为</div>
+        <div className="fw-bold">{user?.name || user?.email || "用户"}</div>
+        <button
+          className="btn btn-link"
+          onClick={() => {
+            setShowProfile(false);
+            setShowDashboard((v) => !v);
+          }}
+        >
+          我的烹饪
+        </button>
+        <button
+          className="btn btn-link"
+          onClick={() => {
+            setShowDashboard(false);
+            setShowProfile((v) => !v);
+          }}
+        >
+          个人资料
+        </button>
+        <button
+          className="btn btn-link"
+          onClick={() => {
+            // 回收站在菜谱页面上显示
+            setShowDashboard(false);
+            setShowProfile(false);
+            setShowTrash((v) => !v);
+          }}
+        >
+          回收站
+        </button>
+        <button className="btn btn-link" onClick={handleLogout}>
+          登出
+        </button>
+      </div>
+    </div>
+  );
+
+  // 仪表盘是单独的页面，替换菜谱列表
+  if (showDashboard) {
+    return (
+      <div className="container-fluid min-vh-100 d-flex flex-column justify-content-center align-items-center bg-light">
+        <div className="w-100" style={{ maxWidth: "800px" }}>
+          {header}
+          <Dashboard onClose={() => setShowDashboard(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  // 账户设置（偏好单位、密码等）同样替换菜谱列表
+  if (showProfile) {
+    return (
+      <div className="container-fluid min-vh-100 d-flex flex-column justify-content-center align-items-center bg-light">
+        <div className="w-100" style={{ maxWidth: "800px" }}>
+          {header}
+          <Profile onClose={() => setShowProfile(false)} />
+        </div>
+      </div>
+    );
+  }
+
   // 登录后显示主页面
   return (
     <div className="container-fluid min-vh-100 d-flex flex-column justify-content-center align-items-center bg-light">
       <div className="w-100" style={{ maxWidth: "800px" }}>
-        <div className="d-flex justify-content-between align-items-center mb-4">
-          <div>
-            <h1 className="display-4 fw-bold text-primary mb-2">BetterCook</h1>
-            <p className="text-muted">记录您的菜谱和烹饪尝试</p>
-          </div>
-          <div className="text-end">
-            <div className="small text-muted">已登录为</div>
-            <div className="fw-bold">{user?.name || user?.email || "用户"}</div>
-            <button className="btn btn-link" onClick={handleLogout}>
-              登出
-            </button>
-          </div>
-        </div>
+        {header}
+
+        {sharedView}
+
+        {showTrash && (
+          <Trash
+            onRestored={restoreRecipe}
+            onClose={() => setShowTrash(false)}
+          />
+        )}
 
         {/* 新建菜谱按钮 */}
         <div className="text-center mb-4">
@@ -700,17 +1150,25 @@ export default function App() {
                     setBody={setBody}
                     feedback={feedback}
                     setFeedback={setFeedback}
-                    previewDataUrl={previewDataUrl}
-                    selectedFile={selectedFile}
+                    visibility={visibility}
+                    setVisibility={setVisibility}
+                    tagsInput={tagsInput}
+                    setTagsInput={setTagsInput}
+                    servings={servings}
+                    setServings={setServings}
+                    baking={baking}
+                    setBaking={setBaking}
+                    ingredients={ingredients}
+                    setIngredients={setIngredients}
+                    imageItems={imageItems}
+                    setImageItems={setImageItems}
                     fileInputRef={fileInputRef}
                     processingFiles={processingFiles}
                     submitting={submitting}
                     formErrors={formErrors}
                     onFileSelected={onFileSelected}
-                    removeImage={removeImage}
                     handleSubmit={handleSubmit}
                     PREVIEW_SIZE={PREVIEW_SIZE}
-                    UPLOAD_SIZE={UPLOAD_SIZE}
                   />
                 </div>
               </div>
@@ -721,6 +1179,53 @@ export default function App() {
           <h2 className="h4 fw-bold text-primary mb-4 border-bottom pb-2">
             我的菜谱
           </h2>
+          <form className="d-flex gap-2 mb-4" onSubmit={submitSearch}>
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="form-control"
+              placeholder="搜索标题、描述、反馈和尝试记录"
+            />
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="form-select w-auto"
+              aria-label="排序"
+            >
+              <option value="">{searchQuery ? "相关度" : "默认排序"}</option>
+              {RECIPE_SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-outline-primary">
+              搜索
+            </button>
+            {searchQuery ? (
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={clearSearch}
+              >
+                清除
+              </button>
+            ) : null}
+          </form>
+          <TagFilterBar
+            facets={tagFacets}
+            selected={selectedTags}
+            match={tagMatch}
+            onToggle={toggleTag}
+            onMatchChange={setTagMatch}
+            onClear={() => setSelectedTags([])}
+          />
+          {searchQuery && !loading && !error ? (
+            <p className="text-muted small">
+              “{searchQuery}” 共找到 {totalRecipes} 个菜谱
+            </p>
+          ) : null}
           {loading ? (
             <div className="d-flex flex-column align-items-center py-5">
               <div
@@ -733,6 +1238,8 @@ export default function App() {
             <div className="alert alert-danger mb-4">
               <span>错误: {error}</span>
             </div>
+          ) : recipes.length === 0 && (searchQuery || selectedTags.length) ? (
+            <div className="text-center text-muted py-5">没有匹配的菜谱</div>
           ) : recipes.length === 0 ? (
             <div className="d-flex flex-column align-items-center py-5">
               <span className="display-1 text-secondary mb-3">🍳</span>
@@ -744,16 +1251,10 @@ export default function App() {
           ) : (
             <RecipeList
               recipes={recipes}
-              expanded={expanded}
-              attemptForms={attemptForms}
-              toggleExpand={toggleExpand}
-              chooseBestAttempt={chooseBestAttempt}
-              onAttemptFileSelected={onAttemptFileSelected}
-              removeAttemptImage={removeAttemptImage}
-              submitAttempt={submitAttempt}
-              setAttemptFormState={setAttemptFormState}
-              PREVIEW_SIZE={PREVIEW_SIZE}
-              onDeleteRecipe={deleteRecipe}
+              {...recipeHandlers}
+              hasMore={!!nextCursor}
+              loadingMore={loadingMore}
+              onLoadMore={loadMoreRecipes}
             />
           )}
         </div>
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { ATTEMPT_OUTCOMES } from './utils/helpers';
+
+// 与上一次尝试相比的逐词差异：新增为绿色，删除为红色删除线
+const WordDiff = ({ ops }) => (
+  <span style={{ whiteSpace: 'pre-wrap' }}>
+    {ops.map((o, i) =>
+      o.op === 'add' ? (
+        <ins key={i} className="text-success bg-success bg-opacity-10 text-decoration-none">{o.text}</ins>
+      ) : o.op === 'remove' ? (
+        <del key={i} className="text-danger">{o.text}</del>
+      ) : (
+        <span key={i}>{o.text}</span>
+      )
+    )}
+  </span>
+);
+
+// 与其他尝试不同的字段加底色
+const FieldRow = ({ label, differs, children }) => (
+  <div className={`small px-1 rounded ${differs ? 'bg-warning bg-opacity-25' : ''}`}>
+    <span className="text-secondary me-1">{label}</span>
+    {children}
+  </div>
+);
+
+// 尝试对比：按烹饪时间从早到晚分列显示，每列与前一列比较
+const AttemptCompare = ({ recipeId, ids, shareToken, onClose }) => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    (async () => {
+      try {
+        const params = new URLSearchParams({ ids: ids.join(',') });
+        if (shareToken) params.set('share', shareToken);
+        const res = await fetch(`/api/recipes/${recipeId}/attempts/compare?${params}`, { credentials: 'include' });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+        if (!cancelled) {
+          setResult(body);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [recipeId, ids, shareToken]);
+
+  const renderColumn = (a, i) => {
+    const diff = i > 0 ? result.diffs[i - 1] : null;
+    const fields = result.fields;
+    const outcome = ATTEMPT_OUTCOMES.find((o) => o.value === a.outcome);
+    return (
+      <div key={a.id} className="col" style={{ minWidth: '240px' }}>
+        <div className="h-100 p-3 border rounded bg-white">
+          <div className="fw-semibold mb-2">
+            第 {i + 1} 次
+            <span className="text-muted small ms-2">{new Date(a.cookedAt || a.createdAt).toLocaleString()}</span>
+          </div>
+          <FieldRow label="结果" differs={fields.outcome.differs}>
+            {outcome ? <span className={`badge ${outcome.badge}`}>{outcome.label}</span> : '—'}
+          </FieldRow>
+          <FieldRow label="评分" differs={fields.rating.differs}>
+            {a.rating ? <span className="text-warning">{'★'.repeat(a.rating)}</span> : '—'}
+          </FieldRow>
+          <FieldRow label="耗时" differs={fields.durationMinutes.differs}>
+            {a.durationMinutes != null ? `${a.durationMinutes} 分钟` : '—'}
+          </FieldRow>
+          {fields.meta.differs ? (
+            <FieldRow label="附加信息" differs>
+              {a.meta ? JSON.stringify(a.meta) : '—'}
+            </FieldRow>
+          ) : null}
+          <div className="mt-2 small">
+            {diff ? <WordDiff ops={diff.body} /> : <span style={{ whiteSpace: 'pre-wrap' }}>{a.body}</span>}
+          </div>
+          {a.feedback || (diff && diff.feedback.length) ? (
+            <div className="mt-2 small fst-italic text-muted">
+              反馈: {diff ? <WordDiff ops={diff.feedback} /> : a.feedback}
+            </div>
+          ) : null}
+          {a.adjustments.length > 0 ? (
+            <ul className={`small mt-2 mb-0 ps-3 rounded ${fields.adjustments.differs ? 'bg-warning bg-opacity-25' : ''}`}>
+              {a.adjustments.map((adj, j) => (
+                <li key={j}>{adj.text}</li>
+              ))}
+            </ul>
+          ) : null}
+          {a.images.length > 0 ? (
+            <div className="d-flex gap-2 flex-wrap mt-2">
+              {a.images.map((src) => (
+                <img
+                  key={src}
+                  src={src}
+                  alt={`attempt-${a.id}`}
+                  className={`img-thumbnail ${diff && diff.images.added.includes(src) ? 'border-success' : ''}`}
+                  style={{width: '72px', height: '72px', objectFit: 'cover'}}
+                />
+              ))}
+            </div>
+          ) : null}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="mb-4 p-3 border rounded bg-white">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h4 className="h6 fw-semibold text-body mb-0">尝试对比</h4>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="关闭"></button>
+      </div>
+      {error ? <div className="alert alert-danger py-2 small">{error}</div> : null}
+      {loading && !result ? <div className="small text-muted">加载中...</div> : null}
+      {result ? (
+        <div className="overflow-auto">
+          <div className="row flex-nowrap g-2">{result.attempts.map(renderColumn)}</div>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default AttemptCompare;
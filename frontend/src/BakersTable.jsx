@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+
+const ROLE_LABELS = {
+  flour: '面粉',
+  liquid: '液体',
+  salt: '盐',
+  leavening: '酵母',
+  fat: '油脂',
+  other: '其他'
+};
+
+// 烘焙百分比表：以面粉总重为 100%，可输入目标面团重量换算各材料用量
+const BakersTable = ({ percentages }) => {
+  const [doughWeight, setDoughWeight] = useState('');
+  const [target, setTarget] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // 配方变化后之前换算的结果不再适用
+  useEffect(() => {
+    setTarget(null);
+  }, [percentages]);
+
+  const calculate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/bakers-formula', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          doughWeight,
+          formula: percentages.ingredients.map((ing) => ({ name: ing.name, percent: ing.percent }))
+        })
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.errors?.map((er) => er.message).join('; ') || res.statusText);
+      setTarget(body);
+    } catch (err) {
+      setError(String(err.message || err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="p-3 border rounded bg-white h-100">
+      <h4 className="h6 fw-semibold text-body mb-2">烘焙百分比</h4>
+      <div className="d-flex flex-wrap gap-2 small mb-2">
+        <span className="badge bg-primary bg-opacity-75">含水量 {percentages.hydration}%</span>
+        <span className="badge bg-secondary">盐 {percentages.salt}%</span>
+        <span className="badge bg-secondary">酵母 {percentages.leavening}%</span>
+        <span className="text-muted">面粉共 {percentages.flourWeight} g</span>
+      </div>
+      <table className="table table-sm small mb-2">
+        <thead>
+          <tr>
+            <th>材料</th>
+            <th className="text-end">重量 (g)</th>
+            <th className="text-end">百分比</th>
+            {target ? <th className="text-end">目标 (g)</th> : null}
+          </tr>
+        </thead>
+        <tbody>
+          {percentages.ingredients.map((ing, i) => (
+            <tr key={ing.id ?? i}>
+              <td>
+                {ing.name}
+                <span className="text-muted ms-1">{ROLE_LABELS[ing.role]}</span>
+              </td>
+              <td className="text-end">{ing.grams}</td>
+              <td className="text-end">{ing.percent}%</td>
+              {target ? <td className="text-end fw-semibold">{target.ingredients[i]?.grams}</td> : null}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {percentages.skipped.length > 0 ? (
+        <div className="small text-muted mb-2">
+          未计入（无法换算为克）：{percentages.skipped.map((s) => s.name).join('、')}
+        </div>
+      ) : null}
+      <form onSubmit={calculate} className="d-flex gap-2 align-items-center">
+        <input
+          type="number"
+          min="1"
+          value={doughWeight}
+          onChange={(e) => setDoughWeight(e.target.value)}
+          disabled={loading}
+          className="form-control form-control-sm"
+          placeholder="目标面团重量 (g)"
+        />
+        <button type="submit" disabled={loading || !doughWeight} className="btn btn-sm btn-outline-primary flex-shrink-0">
+          {loading ? '换算中...' : '换算'}
+        </button>
+      </form>
+      {error ? <div className="small text-danger mt-1">{error}</div> : null}
+    </div>
+  );
+};
+
+export default BakersTable;
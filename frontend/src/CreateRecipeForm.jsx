@@ -1,4 +1,8 @@
 import React from 'react';
+import { RECIPE_VISIBILITIES } from './utils/helpers';
+import ImagePicker from './ImagePicker';
+
+const EMPTY_INGREDIENT = { quantity: '', unit: '', name: '', note: '', group: '' };
 
 const CreateRecipeForm = ({ 
   title,
@@ -7,18 +11,40 @@ const CreateRecipeForm = ({
   setBody,
   feedback,
   setFeedback,
-  previewDataUrl,
-  selectedFile,
+  visibility,
+  setVisibility,
+  tagsInput,
+  setTagsInput,
+  servings,
+  setServings,
+  baking,
+  setBaking,
+  ingredients,
+  setIngredients,
+  imageItems,
+  setImageItems,
   fileInputRef,
   processingFiles,
   submitting,
   formErrors,
   onFileSelected,
-  removeImage,
   handleSubmit,
-  PREVIEW_SIZE,
-  UPLOAD_SIZE
+  PREVIEW_SIZE
 }) => {
+  const updateIngredient = (index, changes) => {
+    setIngredients(ingredients.map((ing, i) => (i === index ? { ...ing, ...changes } : ing)));
+  };
+
+  const addIngredient = () => {
+    // new rows inherit the previous row's group so a section can be filled quickly
+    const last = ingredients[ingredients.length - 1];
+    setIngredients([...ingredients, { ...EMPTY_INGREDIENT, group: last ? last.group : '' }]);
+  };
+
+  const removeIngredient = (index) => {
+    setIngredients(ingredients.filter((_, i) => i !== index));
+  };
+
   return (
     <div>
       <form onSubmit={handleSubmit}>
@@ -53,6 +79,121 @@ const CreateRecipeForm = ({
             <div className="text-danger small mt-1">{formErrors.body}</div>
           ) : null}
         </div>
+        <fieldset className="mb-3 p-3 border rounded bg-light">
+          <legend className="form-label fw-medium px-2">
+            材料
+          </legend>
+          <div className="d-flex align-items-center gap-2 mb-2">
+            <label className="small text-secondary mb-0" htmlFor="recipe-servings">
+              份数
+            </label>
+            <input
+              id="recipe-servings"
+              type="number"
+              min="1"
+              value={servings}
+              onChange={(e) => setServings(e.target.value)}
+              disabled={submitting || processingFiles}
+              className="form-control form-control-sm w-auto"
+              placeholder="如 4"
+            />
+            <span className="form-text mt-0">材料用量对应的份数，用于按份数换算</span>
+          </div>
+          {formErrors.servings ? (
+            <div className="text-danger small mb-2">{formErrors.servings}</div>
+          ) : null}
+          <div className="form-check mb-2">
+            <input
+              id="recipe-baking"
+              type="checkbox"
+              checked={baking}
+              onChange={(e) => setBaking(e.target.checked)}
+              disabled={submitting || processingFiles}
+              className="form-check-input"
+            />
+            <label className="form-check-label small" htmlFor="recipe-baking">
+              烘焙配方
+            </label>
+            <span className="form-text ms-2 mt-0">按面粉重量计算含水量、盐和酵母的烘焙百分比</span>
+          </div>
+          {ingredients.length === 0 ? (
+            <div className="text-secondary small mb-2">暂无材料</div>
+          ) : (
+            <div className="d-flex flex-column gap-2 mb-2">
+              {ingredients.map((ing, i) => (
+                <div key={i} className="row g-2 align-items-center">
+                  <div className="col-2">
+                    <input
+                      value={ing.quantity}
+                      onChange={(e) => updateIngredient(i, { quantity: e.target.value })}
+                      disabled={submitting || processingFiles}
+                      className="form-control form-control-sm"
+                      placeholder="数量"
+                    />
+                  </div>
+                  <div className="col-2">
+                    <input
+                      value={ing.unit}
+                      onChange={(e) => updateIngredient(i, { unit: e.target.value })}
+                      disabled={submitting || processingFiles}
+                      className="form-control form-control-sm"
+                      placeholder="单位"
+                    />
+                  </div>
+                  <div className="col-3">
+                    <input
+                      value={ing.name}
+                      onChange={(e) => updateIngredient(i, { name: e.target.value })}
+                      disabled={submitting || processingFiles}
+                      className="form-control form-control-sm"
+                      placeholder="名称"
+                    />
+                  </div>
+                  <div className="col-2">
+                    <input
+                      value={ing.note}
+                      onChange={(e) => updateIngredient(i, { note: e.target.value })}
+                      disabled={submitting || processingFiles}
+                      className="form-control form-control-sm"
+                      placeholder="处理方式"
+                    />
+                  </div>
+                  <div className="col-2">
+                    <input
+                      value={ing.group}
+                      onChange={(e) => updateIngredient(i, { group: e.target.value })}
+                      disabled={submitting || processingFiles}
+                      className="form-control form-control-sm"
+                      placeholder="分组"
+                    />
+                  </div>
+                  <div className="col-1 text-end">
+                    <button
+                      type="button"
+                      onClick={() => removeIngredient(i)}
+                      disabled={submitting || processingFiles}
+                      className="btn btn-outline-danger btn-sm"
+                      title="删除材料"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={addIngredient}
+            disabled={submitting || processingFiles}
+            className="btn btn-outline-secondary btn-sm"
+          >
+            添加材料
+          </button>
+          {formErrors.ingredients ? (
+            <div className="text-danger small mt-2">{formErrors.ingredients}</div>
+          ) : null}
+        </fieldset>
         <div className="mb-3">
           <label className="form-label fw-medium">
             反馈
@@ -69,18 +210,58 @@ const CreateRecipeForm = ({
             <div className="text-danger small mt-1">{formErrors.feedback}</div>
           ) : null}
         </div>
+        <div className="mb-3">
+          <label className="form-label fw-medium">
+            标签
+          </label>
+          <input
+            value={tagsInput}
+            onChange={(e) => setTagsInput(e.target.value)}
+            disabled={submitting || processingFiles}
+            className="form-control"
+            placeholder="用逗号分隔，如：晚餐, 快手菜"
+          />
+          {formErrors.tags ? (
+            <div className="text-danger small mt-1">{formErrors.tags}</div>
+          ) : null}
+        </div>
+        <div className="mb-3">
+          <label className="form-label fw-medium d-block">
+            可见性
+          </label>
+          <div className="btn-group" role="group" aria-label="可见性">
+            {RECIPE_VISIBILITIES.map((v) => (
+              <button
+                key={v.value}
+                type="button"
+                onClick={() => setVisibility(v.value)}
+                disabled={submitting || processingFiles}
+                className={`btn btn-sm ${visibility === v.value ? 'btn-primary' : 'btn-outline-primary'}`}
+              >
+                {v.label}
+              </button>
+            ))}
+          </div>
+          <div className="form-text">
+            {(RECIPE_VISIBILITIES.find((v) => v.value === visibility) || {}).hint}
+          </div>
+          {formErrors.visibility ? (
+            <div className="text-danger small mt-1">{formErrors.visibility}</div>
+          ) : null}
+        </div>
         <fieldset className="mb-3 p-3 border rounded bg-light">
           <legend className="form-label fw-medium px-2">
             图片上传
           </legend>
           <p className="form-text mb-2">
-            支持单张图片上传，客户端会自动校正EXIF方向，服务器将生成800×800的WebP图片。
+            支持多张图片上传，拖动缩略图调整顺序，可为每张图片添加说明并指定封面（默认第一张）。客户端会自动校正EXIF方向，服务器保留原图，并按原比例生成缩略图、卡片图和大图（AVIF与WebP）。
           </p>
           <div className="mb-2">
             <input
               ref={fileInputRef}
               type="file"
               accept="image/*"
+              multiple
               onChange={onFileSelected}
               disabled={processingFiles || submitting}
               className="form-control"
@@ -92,36 +273,12 @@ const CreateRecipeForm = ({
               </div>
             ) : null}
           </div>
-          {previewDataUrl ? (
-            <div className="d-flex flex-column flex-sm-row gap-3 align-items-start">
-              <div className="w-100" style={{maxWidth: '256px', height: '256px'}}>
-                <img
-                  src={previewDataUrl}
-                  alt="预览"
-                  className="img-fluid rounded border w-100 h-100 object-fit-cover"
-                  style={{objectFit: 'cover'}}
-                />
-              </div>
-              <div className="flex-grow-1">
-                <div className="mb-2 fw-medium">{selectedFile?.name}</div>
-                <button
-                  type="button"
-                  onClick={removeImage}
-                  disabled={processingFiles || submitting}
-                  className="btn btn-outline-danger btn-sm"
-                >
-                  移除图片
-                </button>
-                <div className="mt-2 text-secondary small">
-                  预览尺寸: {PREVIEW_SIZE}×{PREVIEW_SIZE}。服务器将存储 {UPLOAD_SIZE}×{UPLOAD_SIZE} 的WebP图片。
-                </div>
-              </div>
-            </div>
-          ) : (
-            <div className="text-secondary py-3 text-center border border-dashed rounded">
-              暂无图片
-            </div>
-          )}
+          <ImagePicker
+            images={imageItems}
+            onChange={setImageItems}
+            disabled={processingFiles || submitting}
+            previewSize={PREVIEW_SIZE}
+          />
           {formErrors.images ? (
             <div className="text-danger small mt-2">
               {formErrors.images}
@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_LABELS = ['一', '', '三', '', '五', '', '日'];
+
+function addDays(key, days) {
+  return new Date(Date.parse(key) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 热力图颜色：按当天尝试次数加深
+function heatClass(count) {
+  if (!count) return 'bg-secondary bg-opacity-10';
+  if (count === 1) return 'bg-success bg-opacity-50';
+  if (count === 2) return 'bg-success bg-opacity-75';
+  return 'bg-success';
+}
+
+// 一年的烹饪日历：每列一周（周一开始），每格一天
+const CookingCalendar = ({ calendar }) => {
+  const counts = new Map(calendar.days.map((d) => [d.date, d.count]));
+  const weekday = (new Date(Date.parse(calendar.from)).getUTCDay() + 6) % 7;
+  const weeks = [];
+  for (let day = addDays(calendar.from, -weekday); day <= calendar.to; day = addDays(day, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => addDays(day, i)));
+  }
+  return (
+    <div className="d-flex gap-1 overflow-auto pb-1">
+      <div className="d-flex flex-column gap-1 small text-muted" style={{ fontSize: '9px' }}>
+        {WEEKDAY_LABELS.map((label, i) => (
+          <div key={i} style={{ height: '10px', lineHeight: '10px' }}>{label}</div>
+        ))}
+      </div>
+      {weeks.map((days) => (
+        <div key={days[0]} className="d-flex flex-column gap-1">
+          {days.map((day) =>
+            day < calendar.from || day > calendar.to ? (
+              <div key={day} style={{ width: '10px', height: '10px' }}></div>
+            ) : (
+              <div
+                key={day}
+                className={`rounded-1 ${heatClass(counts.get(day))}`}
+                style={{ width: '10px', height: '10px' }}
+                title={`${day}：${counts.get(day) || 0} 次`}
+              ></div>
+            )
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// 每周尝试次数柱状图
+const WeeklyBars = ({ weeks }) => {
+  const max = Math.max(1, ...weeks.map((w) => w.count));
+  return (
+    <div className="d-flex align-items-end gap-1" style={{ height: '80px' }}>
+      {weeks.map((w) => (
+        <div key={w.weekStart} className="flex-fill d-flex flex-column align-items-center justify-content-end h-100">
+          <div className="small text-muted" style={{ fontSize: '10px' }}>{w.count || ''}</div>
+          <div
+            className="w-100 bg-primary rounded-top"
+            style={{ height: `${(w.count / max) * 60}px`, minHeight: w.count ? '2px' : 0 }}
+            title={`${w.weekStart} 起的一周：${w.count} 次`}
+          ></div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Stat = ({ label, value }) => (
+  <div className="col-6 col-sm-3">
+    <div className="p-2 border rounded bg-white text-center h-100">
+      <div className="h5 fw-bold mb-0">{value}</div>
+      <div className="small text-muted">{label}</div>
+    </div>
+  </div>
+);
+
+// 个人烹饪仪表盘：汇总我的所有菜谱与尝试
+const Dashboard = ({ onClose }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const params = new URLSearchParams({ tzOffset: new Date().getTimezoneOffset() });
+        const res = await fetch(`/api/me/dashboard?${params}`, { credentials: 'include' });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+        if (!cancelled) setData(body);
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div className="card shadow-sm p-4 mb-4">
+      <div className="d-flex justify-content-between align-items-center border-bottom pb-2 mb-3">
+        <h2 className="h5 fw-bold text-secondary mb-0">我的烹饪</h2>
+        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={onClose}>
+          返回菜谱
+        </button>
+      </div>
+      {error ? <div className="alert alert-danger py-2 small">{error}</div> : null}
+      {!data && !error ? <div className="small text-muted">加载中...</div> : null}
+      {data ? (
+        <div>
+          <div className="row g-2 mb-4">
+            <Stat label="菜谱" value={data.totals.recipes} />
+            <Stat label="尝试" value={data.totals.attempts} />
+            <Stat label="连续烹饪" value={`${data.streak.current} 天`} />
+            <Stat label="最长连续" value={`${data.streak.longest} 天`} />
+          </div>
+
+          <h3 className="h6 fw-semibold text-body">每周尝试（近 {data.attemptsPerWeek.length} 周）</h3>
+          <div className="mb-4">
+            <WeeklyBars weeks={data.attemptsPerWeek} />
+          </div>
+
+          <h3 className="h6 fw-semibold text-body">烹饪日历</h3>
+          <div className="mb-4">
+            <CookingCalendar calendar={data.calendar} />
+          </div>
+
+          <div className="row g-3">
+            <div className="col-md-6">
+              <h3 className="h6 fw-semibold text-body">进步最大</h3>
+              {data.mostImproved ? (
+                <div className="p-2 border rounded bg-white small">
+                  <div className="fw-semibold">{data.mostImproved.title}</div>
+                  <div className="text-muted">
+                    评分 {data.mostImproved.firstRating} → {data.mostImproved.bestRating}
+                    <span className="text-success ms-1">+{data.mostImproved.delta}</span>
+                  </div>
+                </div>
+              ) : (
+                <div className="small text-muted">至少评分两次尝试后显示</div>
+              )}
+              <h3 className="h6 fw-semibold text-body mt-3">常用标签</h3>
+              {data.topTags.length ? (
+                <div className="d-flex flex-wrap gap-1">
+                  {data.topTags.map((t) => (
+                    <span key={t.name} className="badge rounded-pill bg-light text-secondary border">
+                      #{t.name} {t.count}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <div className="small text-muted">还没有标签</div>
+              )}
+            </div>
+            <div className="col-md-6">
+              <h3 className="h6 fw-semibold text-body">只做过一次（{data.neverReattempted.total}）</h3>
+              {data.neverReattempted.items.length ? (
+                <ul className="list-unstyled small mb-0">
+                  {data.neverReattempted.items.map((r) => (
+                    <li key={r.id} className="d-flex justify-content-between border-bottom py-1">
+                      <span>{r.title}</span>
+                      <span className="text-muted">{new Date(r.cookedAt).toLocaleDateString()}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="small text-muted">没有只做过一次的菜谱</div>
+              )}
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default Dashboard;
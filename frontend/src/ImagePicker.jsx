@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+
+// 待上传图片列表：拖动缩略图调整顺序，可填写说明并指定封面。
+// images 为 [{ id, file, previewDataUrl, caption, isCover }]，顺序即上传后的展示顺序
+const ImagePicker = ({ images, onChange, disabled, previewSize }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  if (!images.length) {
+    return (
+      <div className="text-secondary py-3 text-center border border-dashed rounded">
+        暂无图片
+      </div>
+    );
+  }
+
+  const move = (from, to) => {
+    if (from === to || to < 0 || to >= images.length) return;
+    const next = [...images];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+  };
+
+  const update = (index, changes) => {
+    onChange(images.map((img, i) => (i === index ? { ...img, ...changes } : img)));
+  };
+
+  // 同时只能有一张封面；再次点击取消，此时第一张图片作为封面
+  const toggleCover = (index) => {
+    const isCover = !images[index].isCover;
+    onChange(images.map((img, i) => ({ ...img, isCover: i === index ? isCover : false })));
+  };
+
+  const coverIndex = Math.max(0, images.findIndex((img) => img.isCover));
+
+  return (
+    <div className="row g-2">
+      {images.map((img, i) => (
+        <div
+          key={img.id}
+          className="col-6 col-md-4"
+          draggable={!disabled}
+          onDragStart={() => setDragIndex(i)}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (dragIndex !== null) move(dragIndex, i);
+            setDragIndex(null);
+          }}
+          onDragEnd={() => setDragIndex(null)}
+        >
+          <div className={`border rounded p-2 bg-white h-100 ${dragIndex === i ? 'opacity-50' : ''}`}>
+            <div className="position-relative mb-2" style={{cursor: disabled ? 'default' : 'grab'}}>
+              <img
+                src={img.previewDataUrl}
+                alt={img.file?.name || `预览 ${i + 1}`}
+                className="rounded w-100"
+                style={{aspectRatio: '1 / 1', objectFit: 'cover'}}
+                title={`预览尺寸: ${previewSize}×${previewSize}`}
+              />
+              <span className="badge text-bg-dark position-absolute top-0 start-0 m-1">{i + 1}</span>
+              {i === coverIndex ? (
+                <span className="badge text-bg-warning position-absolute top-0 end-0 m-1">封面</span>
+              ) : null}
+            </div>
+            <input
+              type="text"
+              value={img.caption}
+              onChange={(e) => update(i, { caption: e.target.value })}
+              disabled={disabled}
+              className="form-control form-control-sm mb-2"
+              placeholder="图片说明（可选）"
+              maxLength={200}
+            />
+            <div className="d-flex flex-wrap gap-1">
+              <button
+                type="button"
+                onClick={() => move(i, i - 1)}
+                disabled={disabled || i === 0}
+                className="btn btn-outline-secondary btn-sm"
+                aria-label="前移"
+              >
+                ←
+              </button>
+              <button
+                type="button"
+                onClick={() => move(i, i + 1)}
+                disabled={disabled || i === images.length - 1}
+                className="btn btn-outline-secondary btn-sm"
+                aria-label="后移"
+              >
+                →
+              </button>
+              <button
+                type="button"
+                onClick={() => toggleCover(i)}
+                disabled={disabled}
+                className={`btn btn-sm ${img.isCover ? 'btn-warning' : 'btn-outline-warning'}`}
+              >
+                {img.isCover ? '取消封面' : '设为封面'}
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(images.filter((_, j) => j !== i))}
+                disabled={disabled}
+                className="btn btn-outline-danger btn-sm"
+              >
+                移除
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ImagePicker;
@@ -1,19 +1,482 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import AddAttemptForm from './AddAttemptForm';
+import AttemptCompare from './AttemptCompare';
+import BakersTable from './BakersTable';
+import RecipeHistory from './RecipeHistory';
+import RecipeStats from './RecipeStats';
+import { useAuth } from './auth/useAuth';
+import { ATTEMPT_OUTCOMES, MAX_COMPARE_ATTEMPTS, RECIPE_VISIBILITIES } from './utils/helpers';
+
+function formatDuration(totalSeconds) {
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// 步骤倒计时：点击开始/暂停，结束后可重置
+const StepTimer = ({ seconds }) => {
+  const [remaining, setRemaining] = useState(seconds);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => {
+      setRemaining((r) => {
+        if (r <= 1) {
+          setRunning(false);
+          return 0;
+        }
+        return r - 1;
+      });
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const done = remaining === 0;
+  return (
+    <button
+      type="button"
+      onClick={() => {
+        if (done) {
+          setRemaining(seconds);
+          return;
+        }
+        setRunning(!running);
+      }}
+      className={`btn btn-sm ${done ? 'btn-success' : running ? 'btn-warning' : 'btn-outline-secondary'}`}
+      title={done ? '重置计时' : running ? '暂停计时' : '开始计时'}
+    >
+      ⏱ {done ? '时间到' : formatDuration(remaining)}
+    </button>
+  );
+};
+
+// 尝试的结构化信息：结果、评分、耗时、烹饪时间与关键调整
+const AttemptDetails = ({ attempt, steps }) => {
+  const outcome = ATTEMPT_OUTCOMES.find((o) => o.value === attempt.outcome);
+  const adjustments = Array.isArray(attempt.adjustments) ? attempt.adjustments : [];
+  const stepNumber = (stepId) => {
+    const idx = (steps || []).findIndex((st) => st.id === stepId);
+    return idx === -1 ? null : idx + 1;
+  };
+  if (!outcome && !attempt.rating && attempt.durationMinutes == null && !attempt.cookedAt && adjustments.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-3">
+      <div className="d-flex flex-wrap gap-2 align-items-center small">
+        {outcome ? <span className={`badge ${outcome.badge}`}>{outcome.label}</span> : null}
+        {attempt.rating ? (
+          <span className="text-warning" title={`${attempt.rating} / 5`}>
+            {'★'.repeat(attempt.rating)}
+            <span className="text-secondary">{'☆'.repeat(5 - attempt.rating)}</span>
+          </span>
+        ) : null}
+        {attempt.durationMinutes != null ? (
+          <span className="text-muted">耗时 {attempt.durationMinutes} 分钟</span>
+        ) : null}
+        {attempt.cookedAt ? (
+          <span className="text-muted">烹饪于 {new Date(attempt.cookedAt).toLocaleString()}</span>
+        ) : null}
+      </div>
+      {adjustments.length > 0 ? (
+        <ul className="small mb-0 mt-2 ps-3">
+          {adjustments.map((adj, i) => (
+            <li key={i}>
+              {adj.stepId && stepNumber(adj.stepId) ? (
+                <span className="badge bg-secondary me-1">步骤 {stepNumber(adj.stepId)}</span>
+              ) : null}
+              {adj.text}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
+// ISO 时间转为 datetime-local 输入框使用的本地时间（精确到分钟）
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// 内联编辑尝试：正文、反馈、结果、评分、耗时、烹饪时间与关键调整；清空的可选字段发送 null
+const AttemptEditForm = ({ attempt, onSave, onCancel }) => {
+  const initialCookedAt = toLocalInput(attempt.cookedAt);
+  const initialAdjustments = (attempt.adjustments || []).map((a) => a.text).join('\n');
+  const [form, setForm] = useState({
+    body: attempt.body || '',
+    feedback: attempt.feedback || '',
+    outcome: attempt.outcome || '',
+    rating: attempt.rating || '',
+    durationMinutes: attempt.durationMinutes ?? '',
+    cookedAt: initialCookedAt,
+    adjustments: initialAdjustments
+  });
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+  const update = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  const save = async () => {
+    setSaving(true);
+    // 仍在列表中的调整保留其关联的步骤
+    const adjustments = form.adjustments
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((text) => {
+        const kept = (attempt.adjustments || []).find((a) => a.text === text);
+        return kept ? { text, stepId: kept.stepId } : text;
+      });
+    const result = await onSave({
+      body: form.body,
+      feedback: form.feedback,
+      outcome: form.outcome || null,
+      rating: form.rating ? Number(form.rating) : null,
+      durationMinutes: form.durationMinutes !== '' ? Number(form.durationMinutes) : null,
+      // 烹饪时间与调整只在改动后发送：输入框只到分钟，未改动时不丢掉秒
+      ...(form.cookedAt !== initialCookedAt
+        ? { cookedAt: form.cookedAt ? new Date(form.cookedAt).toISOString() : null }
+        : {}),
+      ...(form.adjustments !== initialAdjustments ? { adjustments } : {})
+    });
+    setSaving(false);
+    if (result) setErrors(result);
+  };
+
+  return (
+    <div className="mb-3">
+      <textarea
+        value={form.body}
+        onChange={(e) => update({ body: e.target.value })}
+        disabled={saving}
+        className="form-control mb-1"
+        rows="3"
+      />
+      <div className="text-danger small mb-2">{errors.body}</div>
+      <input
+        value={form.feedback}
+        onChange={(e) => update({ feedback: e.target.value })}
+        disabled={saving}
+        className="form-control mb-2"
+        placeholder="反馈"
+      />
+      <div className="row g-2 mb-2">
+        <div className="col-sm-4">
+          <select
+            value={form.outcome}
+            onChange={(e) => update({ outcome: e.target.value })}
+            disabled={saving}
+            className="form-select form-select-sm"
+          >
+            <option value="">未记录结果</option>
+            {ATTEMPT_OUTCOMES.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-sm-4">
+          <select
+            value={form.rating}
+            onChange={(e) => update({ rating: e.target.value })}
+            disabled={saving}
+            className="form-select form-select-sm"
+          >
+            <option value="">未评分</option>
+            {[1, 2, 3, 4, 5].map((n) => (
+              <option key={n} value={n}>{'★'.repeat(n)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-sm-4">
+          <input
+            type="number"
+            min="0"
+            value={form.durationMinutes}
+            onChange={(e) => update({ durationMinutes: e.target.value })}
+            disabled={saving}
+            className="form-control form-control-sm"
+            placeholder="耗时（分钟）"
+          />
+        </div>
+      </div>
+      <div className="row g-2 mb-2">
+        <div className="col-sm-4">
+          <input
+            type="datetime-local"
+            value={form.cookedAt}
+            onChange={(e) => update({ cookedAt: e.target.value })}
+            disabled={saving}
+            className="form-control form-control-sm"
+            aria-label="烹饪时间"
+          />
+        </div>
+        <div className="col-sm-8">
+          <textarea
+            value={form.adjustments}
+            onChange={(e) => update({ adjustments: e.target.value })}
+            disabled={saving}
+            className="form-control form-control-sm"
+            placeholder="关键调整，每行一条"
+            rows="2"
+          />
+        </div>
+      </div>
+      <div className="text-danger small mb-2">
+        {errors.outcome ||
+          errors.rating ||
+          errors.durationMinutes ||
+          errors.cookedAt ||
+          errors.adjustments ||
+          errors._global}
+      </div>
+      <div className="d-flex gap-2">
+        <button type="button" onClick={save} disabled={saving} className="btn btn-sm btn-primary">
+          {saving ? '保存中...' : '保存'}
+        </button>
+        <button type="button" onClick={onCancel} disabled={saving} className="btn btn-sm btn-outline-secondary">
+          取消
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 渲染搜索命中片段，matches 为片段内的 [start, end] 区间
+const HighlightSnippet = ({ snippet, matches }) => {
+  const parts = [];
+  let pos = 0;
+  matches.forEach(([start, end], i) => {
+    if (start > pos) parts.push(snippet.slice(pos, start));
+    parts.push(<mark key={i}>{snippet.slice(start, end)}</mark>);
+    pos = end;
+  });
+  if (pos < snippet.length) parts.push(snippet.slice(pos));
+  return <span>{parts}</span>;
+};
+
+const HIGHLIGHT_LABELS = {
+  title: '标题',
+  body: '描述',
+  feedback: '反馈',
+  'attempt.body': '尝试',
+  'attempt.feedback': '尝试反馈',
+};
+
+// 图片加载前先显示主色与模糊的小图（上传时生成），加载完成后被图片覆盖
+const placeholderStyle = (img) => ({
+  backgroundColor: img.dominantColor || undefined,
+  backgroundImage: img.lqip ? `url("${img.lqip}")` : undefined,
+  backgroundSize: 'cover',
+  backgroundPosition: 'center',
+  backgroundClip: 'content-box'
+});
+
+// 图片缩略图，按顺序展示并标出封面和说明；上传的图片带 sources（AVIF/webp 的 srcset），
+// 旧数据没有 imageDetails 时只有 url
+const ImageThumbs = ({ item, altPrefix, className }) => {
+  const details = item.imageDetails || (item.images || []).map((url) => ({ url, caption: null }));
+  if (!details.length) return null;
+  return (
+    <div className={`d-flex gap-2 flex-wrap ${className || ''}`}>
+      {details.map((img, i) => (
+        <figure key={img.id || i} className="mb-0 position-relative" style={{width: '96px'}}>
+          <picture>
+            {(img.sources || []).map((source) => (
+              <source key={source.type} type={source.type} srcSet={source.srcset} sizes="96px" />
+            ))}
+            <img
+              src={img.url}
+              alt={img.caption || `${altPrefix}-${i}`}
+              loading="lazy"
+              className="img-thumbnail"
+              style={{width: '96px', height: '96px', objectFit: 'cover', ...placeholderStyle(img)}}
+            />
+          </picture>
+          {item.imageDetails && img.url === item.cover && details.length > 1 ? (
+            <span className="badge text-bg-warning position-absolute top-0 end-0 m-1">封面</span>
+          ) : null}
+          {img.caption ? (
+            <figcaption className="small text-muted text-truncate" title={img.caption}>{img.caption}</figcaption>
+          ) : null}
+        </figure>
+      ))}
+    </div>
+  );
+};
+
+const StepList = ({ steps }) => (
+  <ol className="mb-0 ps-3">
+    {steps.map((step) => (
+      <li key={step.id} className="mb-3">
+        <div className="d-flex flex-column flex-sm-row justify-content-between gap-2">
+          <div className="text-body">{step.text}</div>
+          <div className="d-flex gap-2 align-items-center flex-shrink-0">
+            {step.temperature != null ? (
+              <span className="badge bg-danger bg-opacity-75">
+                {step.temperature}°{step.temperatureUnit || 'C'}
+              </span>
+            ) : null}
+            {step.durationSeconds ? <StepTimer seconds={step.durationSeconds} /> : null}
+          </div>
+        </div>
+        {step.image ? (
+          <img
+            src={step.image}
+            alt={`step-${step.position + 1}`}
+            className="img-thumbnail mt-2"
+            style={{width: '96px', height: '96px', objectFit: 'cover'}}
+          />
+        ) : null}
+      </li>
+    ))}
+  </ol>
+);
+
+// 按分组渲染材料列表，未分组的材料放在最前
+const IngredientList = ({ ingredients }) => {
+  const groups = [];
+  for (const ing of ingredients) {
+    const name = ing.group || '';
+    let g = groups.find((x) => x.name === name);
+    if (!g) {
+      g = { name, items: [] };
+      if (name) groups.push(g);
+      else groups.unshift(g);
+    }
+    g.items.push(ing);
+  }
+
+  return (
+    <div className="mt-2">
+      {groups.map((g) => (
+        <div key={g.name} className="mb-2">
+          {g.name ? <div className="small fw-semibold text-secondary">{g.name}</div> : null}
+          <ul className="list-unstyled mb-0 small">
+            {g.items.map((ing) => (
+              <li key={ing.id}>
+                {ing.quantity != null ? (
+                  <span className="fw-semibold me-1">{ing.quantityText || ing.quantity}</span>
+                ) : null}
+                {ing.unit ? <span className="me-1">{ing.unit}</span> : null}
+                <span>{ing.name}</span>
+                {ing.note ? <span className="text-muted">，{ing.note}</span> : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// 份数调节与单位换算：份数变化或设置了偏好单位时向后端取换算后的用量，请求期间保留上一次的结果
+const ScaledIngredients = ({ recipe, units, shareToken }) => {
+  const [servings, setServings] = useState(recipe.servings);
+  const [scaled, setScaled] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setServings(recipe.servings);
+    setScaled(null);
+  }, [recipe.id, recipe.servings, recipe.updatedAt]);
+
+  const rescaled = !!recipe.servings && servings !== recipe.servings;
+  const adjusted = rescaled || !!units;
+
+  useEffect(() => {
+    if (!adjusted) return undefined;
+    const params = new URLSearchParams();
+    if (rescaled) params.set('servings', servings);
+    if (units) params.set('units', units);
+    if (shareToken) params.set('share', shareToken);
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/recipes/${recipe.id}?${params}`, { credentials: 'include' });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+        if (!cancelled) {
+          setScaled(body.ingredients);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [recipe.id, recipe.updatedAt, servings, units, shareToken, rescaled, adjusted]);
+
+  const ingredients = adjusted && scaled ? scaled : recipe.ingredients;
+
+  return (
+    <div>
+      {recipe.servings ? (
+        <div className="d-flex align-items-center gap-2 mt-2 small">
+          <span className="text-secondary">份数</span>
+          <div className="btn-group btn-group-sm" role="group" aria-label="份数">
+            <button
+              type="button"
+              onClick={() => setServings((n) => Math.max(1, n - 1))}
+              disabled={servings <= 1}
+              className="btn btn-outline-secondary"
+            >
+              −
+            </button>
+            <span className="btn btn-outline-secondary disabled text-body">{servings}</span>
+            <button
+              type="button"
+              onClick={() => setServings((n) => n + 1)}
+              className="btn btn-outline-secondary"
+            >
+              +
+            </button>
+          </div>
+          {servings !== recipe.servings ? (
+            <button type="button" onClick={() => setServings(recipe.servings)} className="btn btn-sm btn-link p-0">
+              恢复 {recipe.servings} 份
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+      {error ? <div className="small text-danger">{error}</div> : null}
+      <IngredientList ingredients={ingredients} />
+    </div>
+  );
+};
 
 const RecipeCard = ({ 
   recipe,
   expanded,
   attemptForm,
   toggleExpand,
+  loadMoreAttempts,
   chooseBestAttempt,
   onAttemptFileSelected,
-  removeAttemptImage,
+  setAttemptImages,
   submitAttempt,
   setAttemptFormState,
   PREVIEW_SIZE,
-  onDeleteRecipe
+  onDeleteRecipe,
+  onForkRecipe,
+  onRecipeUpdated,
+  onUpdateAttempt,
+  onDeleteAttempt,
+  shareToken // 通过分享链接打开时的口令
 }) => {
+  const { user } = useAuth();
+  const isOwner = !!user && recipe.authorId === user.id;
+  const [editingAttemptId, setEditingAttemptId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [compareIds, setCompareIds] = useState([]); // 勾选待对比的尝试
+  const [comparing, setComparing] = useState(null); // 正在对比的尝试 id
+
   const ex = expanded[recipe.id] || {
     open: false,
     loading: false,
@@ -34,16 +497,101 @@ const RecipeCard = ({
   else
     bestAttempt = (ex.attempts || []).find((a) => a.isBest) || null;
 
+  // 已删除的尝试不再参与对比
+  const selectedForCompare = compareIds.filter((id) => (ex.attempts || []).some((a) => a.id === id));
+  const toggleCompare = (attemptId) => {
+    setCompareIds((ids) => (ids.includes(attemptId) ? ids.filter((id) => id !== attemptId) : [...ids, attemptId]));
+  };
+  const compareCheckbox = (attemptId) => {
+    const checked = selectedForCompare.includes(attemptId);
+    return (
+      <label className="small d-flex align-items-center gap-1 text-secondary">
+        <input
+          type="checkbox"
+          checked={checked}
+          onChange={() => toggleCompare(attemptId)}
+          disabled={!checked && selectedForCompare.length >= MAX_COMPARE_ATTEMPTS}
+          className="form-check-input mt-0"
+        />
+        对比
+      </label>
+    );
+  };
+
+  const titleHighlight = (recipe.highlights || []).find((h) => h.field === 'title');
+  const visibility = RECIPE_VISIBILITIES.find((v) => v.value === recipe.visibility);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // 分享链接只返回给作者（recipe.shareToken），在应用中打开该菜谱
+  const copyShareLink = async () => {
+    const params = new URLSearchParams({ recipe: recipe.id, share: recipe.shareToken });
+    const url = `${window.location.origin}/?${params}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt('复制分享链接', url);
+    }
+  };
+
   return (
     <div className="card shadow-sm mb-4">
       <div className="card-body p-4">
         <div className="d-flex flex-column flex-sm-row align-items-sm-center justify-content-between gap-3 mb-2">
           <div>
-            <h3 className="h5 fw-bold text-primary mb-1">{recipe.title}</h3>
+            <h3 className="h5 fw-bold text-primary mb-1">
+              {titleHighlight ? (
+                <HighlightSnippet snippet={titleHighlight.snippet} matches={titleHighlight.matches} />
+              ) : recipe.title}
+              {visibility && visibility.value !== 'public' ? (
+                <span className="badge bg-secondary ms-2 align-middle small" title={visibility.hint}>
+                  {visibility.label}
+                </span>
+              ) : null}
+            </h3>
+            {recipe.forkedFrom ? (
+              <div className="small text-muted mb-1">派生自「{recipe.forkedFrom.title}」</div>
+            ) : null}
+            {Array.isArray(recipe.tags) && recipe.tags.length > 0 ? (
+              <div className="d-flex flex-wrap gap-1 mb-1">
+                {recipe.tags.map((tag) => (
+                  <span key={tag} className="badge rounded-pill bg-light text-secondary border">#{tag}</span>
+                ))}
+              </div>
+            ) : null}
             {/* 当有最佳尝试时，隐藏菜谱标题下的重复内容 */}
             {!bestAttempt && recipe.body ? <p className="text-muted mb-0">{recipe.body}</p> : null}
+            {Array.isArray(recipe.highlights) && recipe.highlights.length > 0 ? (
+              <ul className="list-unstyled small text-muted mt-2 mb-0">
+                {recipe.highlights
+                  .filter((h) => h.field !== 'title')
+                  .slice(0, 3)
+                  .map((h, i) => (
+                    <li key={i}>
+                      <span className="badge bg-secondary bg-opacity-50 me-1">
+                        {HIGHLIGHT_LABELS[h.field] || h.field}
+                      </span>
+                      <HighlightSnippet snippet={h.snippet} matches={h.matches} />
+                    </li>
+                  ))}
+              </ul>
+            ) : null}
+            {Array.isArray(recipe.ingredients) && recipe.ingredients.length > 0 ? (
+              <ScaledIngredients recipe={recipe} units={user?.preferredUnits} shareToken={shareToken} />
+            ) : null}
           </div>
           <div className="d-flex flex-row gap-2 align-items-center">
+            {recipe.shareToken ? (
+              <button
+                type="button"
+                onClick={copyShareLink}
+                className="btn btn-sm btn-outline-secondary"
+                title="复制分享链接"
+              >
+                {linkCopied ? '已复制' : '分享链接'}
+              </button>
+            ) : null}
             <button 
               type="button" 
               onClick={() => toggleExpand(recipe.id)}
@@ -51,10 +599,18 @@ const RecipeCard = ({
             >
               {ex.open ? "隐藏" : "展开"}
             </button>
+            <button
+              type="button"
+              onClick={() => onForkRecipe(recipe.id)}
+              className="btn btn-sm btn-outline-primary ms-2"
+              title="复制为我的菜谱"
+            >
+              派生
+            </button>
             <button
               type="button"
               onClick={() => {
-                if (window.confirm('确定要删除这个菜谱吗？')) {
+                if (window.confirm('确定要删除这个菜谱吗？删除后可在回收站中恢复。')) {
                   onDeleteRecipe(recipe.id);
                 }
               }}
@@ -68,41 +624,42 @@ const RecipeCard = ({
 
       </div>
 
-      {/* If there's a chosen best attempt, show it in the default area */}
-      {bestAttempt ? (
-        <div className="mx-3 mb-3 p-3 border border-success rounded bg-success bg-opacity-10">
-          <div className="d-flex justify-content-between align-items-center mb-3">
-            <div>
-              <span className="fw-semibold text-success d-flex align-items-center">
-                <svg className="me-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" style={{width: '20px', height: '20px'}}>
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                </svg>
-                最佳尝试
-              </span>
-            </div>
-            <div className="text-muted small">
-              {bestAttempt.createdAt
-                ? new Date(bestAttempt.createdAt).toLocaleString()
-                : ""}
-            </div>
-          </div>
-          <div className="text-body mb-3">{bestAttempt.body}</div>
-          {bestAttempt.feedback ? (
-            <div className="mb-3 fst-italic text-muted">
-              反馈: {bestAttempt.feedback}
+      {/* If there's a chosen best attempt, show it in the default area; baking recipes get their baker's percentages beside it */}
+      {bestAttempt || recipe.bakersPercentages ? (
+        <div className="row g-3 mx-2 mb-3">
+          {bestAttempt ? (
+            <div className={recipe.bakersPercentages ? 'col-lg-7' : 'col-12'}>
+              <div className="h-100 p-3 border border-success rounded bg-success bg-opacity-10">
+                <div className="d-flex justify-content-between align-items-center mb-3">
+                  <div>
+                    <span className="fw-semibold text-success d-flex align-items-center">
+                      <svg className="me-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" style={{width: '20px', height: '20px'}}>
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                      </svg>
+                      最佳尝试
+                    </span>
+                  </div>
+                  <div className="d-flex gap-2 align-items-center text-muted small">
+                    {ex.open ? compareCheckbox(bestAttempt.id) : null}
+                    {bestAttempt.createdAt
+                      ? new Date(bestAttempt.createdAt).toLocaleString()
+                      : ""}
+                  </div>
+                </div>
+                <div className="text-body mb-3">{bestAttempt.body}</div>
+                <AttemptDetails attempt={bestAttempt} steps={recipe.steps} />
+                {bestAttempt.feedback ? (
+                  <div className="mb-3 fst-italic text-muted">
+                    反馈: {bestAttempt.feedback}
+                  </div>
+                ) : null}
+                <ImageThumbs item={bestAttempt} altPrefix="best-attempt" />
+              </div>
             </div>
           ) : null}
-          {Array.isArray(bestAttempt.images) && bestAttempt.images.length > 0 ? (
-            <div className="d-flex gap-2 flex-wrap">
-              {bestAttempt.images.map((src, i) => (
-                                  <img 
-                    key={i} 
-                    src={src} 
-                    alt={`best-attempt-${i}`} 
-                    className="img-thumbnail"
-                    style={{width: '96px', height: '96px', objectFit: 'cover'}}
-                  />
-              ))}
+          {recipe.bakersPercentages ? (
+            <div className={bestAttempt ? 'col-lg-5' : 'col-12'}>
+              <BakersTable percentages={recipe.bakersPercentages} />
             </div>
           ) : null}
         </div>
@@ -110,6 +667,33 @@ const RecipeCard = ({
 
       {ex.open && (
         <div className="border-top p-3 bg-light rounded-bottom">
+          <div className="mb-3">
+            <button
+              type="button"
+              onClick={() => setShowHistory((v) => !v)}
+              className="btn btn-sm btn-outline-secondary"
+            >
+              {showHistory ? '隐藏历史' : '修改历史'}
+            </button>
+            {showHistory ? (
+              <div className="mt-3 p-3 border rounded bg-white">
+                <h4 className="h6 fw-semibold text-body mb-3">修改历史</h4>
+                <RecipeHistory
+                  recipe={recipe}
+                  attempts={ex.attempts}
+                  canRestore={isOwner}
+                  onRestored={onRecipeUpdated}
+                />
+              </div>
+            ) : null}
+          </div>
+          {Array.isArray(recipe.steps) && recipe.steps.length > 0 ? (
+            <div className="mb-4 p-3 border rounded bg-white">
+              <h4 className="h5 fw-semibold text-body mb-3">步骤</h4>
+              <StepList steps={recipe.steps} />
+            </div>
+          ) : null}
+
           {/* Display original recipe content when attempts are shown, but hide if there's a best attempt */}
           {!bestAttempt && (
             <div className="mb-4 p-3 border rounded bg-white">
@@ -120,28 +704,32 @@ const RecipeCard = ({
                   反馈: {recipe.feedback}
                 </div>
               ) : null}
-              {Array.isArray(recipe.images) && recipe.images.length > 0 ? (
-                <div className="d-flex gap-2 flex-wrap mt-4">
-                  {recipe.images.map((src, i) => (
-                    <img
-                      key={i}
-                      src={src}
-                      alt={`recipe-${i}`}
-                      className="img-thumbnail"
-                      style={{width: '96px', height: '96px', objectFit: 'cover'}}
-                    />
-                  ))}
-                </div>
-              ) : null}
+              <ImageThumbs item={recipe} altPrefix="recipe" className="mt-4" />
             </div>
           )}
 
+          {ex.attempts.length > 0 ? <RecipeStats recipeId={recipe.id} attempts={ex.attempts} shareToken={shareToken} /> : null}
+
           {/* Only show "尝试记录" title if there are attempts */}
           {ex.attempts.length > 0 && (
-            <div className="mb-3">
-              <h4 className="h5 fw-semibold text-body">尝试记录</h4>
+            <div className="mb-3 d-flex justify-content-between align-items-center">
+              <h4 className="h5 fw-semibold text-body mb-0">尝试记录</h4>
+              {ex.attempts.length > 1 ? (
+                <button
+                  type="button"
+                  onClick={() => setComparing(selectedForCompare)}
+                  disabled={selectedForCompare.length < 2}
+                  className="btn btn-sm btn-outline-primary"
+                  title="勾选两次或以上的尝试进行对比"
+                >
+                  对比所选{selectedForCompare.length ? ` (${selectedForCompare.length})` : ''}
+                </button>
+              ) : null}
             </div>
           )}
+          {comparing ? (
+            <AttemptCompare recipeId={recipe.id} ids={comparing} shareToken={shareToken} onClose={() => setComparing(null)} />
+          ) : null}
 
           {ex.attempts.length === 0 ? null : (
             <div className="d-flex flex-column gap-3 mb-4">
@@ -149,9 +737,21 @@ const RecipeCard = ({
                 // Skip rendering the attempt that is already shown as "best attempt"
                 (bestAttempt && bestAttempt.id === a.id) ? null : (
                   <div key={a.id || idx} className="p-3 border rounded bg-white">
+                    {editingAttemptId === a.id ? (
+                      <AttemptEditForm
+                        attempt={a}
+                        onSave={async (fields) => {
+                          const errors = await onUpdateAttempt(recipe.id, a.id, fields);
+                          if (!errors) setEditingAttemptId(null);
+                          return errors;
+                        }}
+                        onCancel={() => setEditingAttemptId(null)}
+                      />
+                    ) : (
                     <div className="d-flex flex-column flex-sm-row align-items-sm-center justify-content-between gap-3 mb-3">
                       <div className="text-body flex-grow-1">{a.body}</div>
                       <div className="d-flex gap-2 align-items-center">
+                        {compareCheckbox(a.id)}
                         {a.isBest ? (
                           <span className="badge bg-success">
                             最佳
@@ -171,33 +771,55 @@ const RecipeCard = ({
                             </div>
                           ) : '设为最佳'}
                         </button>
+                        <button
+                          type="button"
+                          onClick={() => setEditingAttemptId(a.id)}
+                          className="btn btn-sm btn-outline-secondary"
+                          title="编辑尝试"
+                        >
+                          编辑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => {
+                            if (window.confirm('确定要删除这条尝试吗？')) {
+                              onDeleteAttempt(recipe.id, a.id);
+                            }
+                          }}
+                          className="btn btn-sm btn-outline-danger"
+                          title="删除尝试"
+                        >
+                          删除
+                        </button>
                       </div>
                     </div>
+                    )}
 
                     <div className="text-muted small mb-3">
                       {a.createdAt ? new Date(a.createdAt).toLocaleString() : null}
                     </div>
+                    <AttemptDetails attempt={a} steps={recipe.steps} />
                     {a.feedback ? (
                       <div className="mb-3 fst-italic text-muted">
                         反馈: {a.feedback}
                       </div>
                     ) : null}
-                    {Array.isArray(a.images) && a.images.length > 0 ? (
-                      <div className="d-flex gap-2 flex-wrap mt-3">
-                        {a.images.map((src, i) => (
-                          <img
-                            key={i}
-                            src={src}
-                            alt={`attempt-${a.id}-${i}`}
-                            className="img-thumbnail"
-                            style={{width: '96px', height: '96px', objectFit: 'cover'}}
-                          />
-                        ))}
-                      </div>
-                    ) : null}
+                    <ImageThumbs item={a} altPrefix={`attempt-${a.id}`} className="mt-3" />
                   </div>
                 )
               ))}
+              {ex.nextCursor ? (
+                <div className="text-center">
+                  <button
+                    type="button"
+                    onClick={() => loadMoreAttempts(recipe.id)}
+                    disabled={ex.loadingMore}
+                    className="btn btn-sm btn-outline-secondary"
+                  >
+                    {ex.loadingMore ? '加载中...' : '更多尝试'}
+                  </button>
+                </div>
+              ) : null}
             </div>
           )}
 
@@ -205,7 +827,7 @@ const RecipeCard = ({
             recipeId={recipe.id}
             aForm={attemptForm}
             onAttemptFileSelected={onAttemptFileSelected}
-            removeAttemptImage={removeAttemptImage}
+            setAttemptImages={setAttemptImages}
             submitAttempt={submitAttempt}
             setAttemptFormState={setAttemptFormState}
             PREVIEW_SIZE={PREVIEW_SIZE}
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from 'react';
+import { RECIPE_VISIBILITIES } from './utils/helpers';
+
+const FIELD_LABELS = {
+  title: '标题',
+  body: '内容',
+  feedback: '反馈',
+  ingredients: '材料',
+  steps: '步骤',
+  images: '图片',
+  tags: '标签',
+  servings: '份量',
+  baking: '烘焙',
+  visibility: '可见性',
+  meta: '其他'
+};
+
+const SETTING_FIELDS = ['servings', 'baking', 'visibility'];
+
+const settingText = (field, value) => {
+  if (value === null || value === undefined) return '未设置';
+  if (field === 'baking') return value ? '是' : '否';
+  if (field === 'visibility') return (RECIPE_VISIBILITIES.find((v) => v.value === value) || {}).label || value;
+  return String(value);
+};
+
+const LINE_STYLES = {
+  add: { className: 'text-success', sign: '+' },
+  remove: { className: 'text-danger text-decoration-line-through', sign: '-' },
+  equal: { className: 'text-muted', sign: ' ' }
+};
+
+// 逐行差异
+const LineDiff = ({ lines }) => (
+  <pre className="small bg-white border rounded p-2 mb-2" style={{ whiteSpace: 'pre-wrap' }}>
+    {lines.map((l, i) => (
+      <div key={i} className={LINE_STYLES[l.op].className}>
+        {LINE_STYLES[l.op].sign} {l.text}
+      </div>
+    ))}
+  </pre>
+);
+
+const RevisionDiff = ({ diff }) => {
+  if (!diff.changed.length) return <div className="small text-muted">没有内容变化</div>;
+  return (
+    <div>
+      {diff.changed.map((field) => (
+        <div key={field} className="mb-2">
+          <div className="small fw-semibold">{FIELD_LABELS[field] || field}</div>
+          {field === 'images' ? (
+            <div className="small">
+              {diff.images.added.length ? <div className="text-success">新增 {diff.images.added.length} 张</div> : null}
+              {diff.images.removed.length ? <div className="text-danger">移除 {diff.images.removed.length} 张</div> : null}
+            </div>
+          ) : field === 'tags' ? (
+            <div className="small">
+              {diff.tags.added.length ? <div className="text-success">新增 {diff.tags.added.join('、')}</div> : null}
+              {diff.tags.removed.length ? <div className="text-danger">移除 {diff.tags.removed.join('、')}</div> : null}
+            </div>
+          ) : SETTING_FIELDS.includes(field) ? (
+            <div className="small">
+              {settingText(field, diff[field].from)} → {settingText(field, diff[field].to)}
+            </div>
+          ) : field === 'meta' ? (
+            <div className="small text-muted">附加信息有变化</div>
+          ) : (
+            <LineDiff lines={diff[field]} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// 菜谱的修订历史：修订与尝试按时间排列，可查看每次修改的差异并恢复旧版本
+const RecipeHistory = ({ recipe, attempts, canRestore, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openDiff, setOpenDiff] = useState({}); // { [revId]: diff | 'loading' }
+  const [restoring, setRestoring] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/recipes/${recipe.id}/revisions`, { credentials: 'include' });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+        if (!cancelled) setRevisions(body.items || []);
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [recipe.id, recipe.updatedAt]);
+
+  // 第 N 次修改：从修订 N 到修订 N+1（最后一次则到当前版本）
+  const toggleDiff = async (rev) => {
+    if (openDiff[rev.id]) {
+      setOpenDiff((prev) => ({ ...prev, [rev.id]: null }));
+      return;
+    }
+    const next = revisions.find((r) => r.number === rev.number + 1);
+    const params = new URLSearchParams({ from: rev.id });
+    if (next) params.set('to', next.id);
+    setOpenDiff((prev) => ({ ...prev, [rev.id]: 'loading' }));
+    try {
+      const res = await fetch(`/api/recipes/${recipe.id}/revisions/diff?${params}`, { credentials: 'include' });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+      setOpenDiff((prev) => ({ ...prev, [rev.id]: body }));
+    } catch (err) {
+      setOpenDiff((prev) => ({ ...prev, [rev.id]: null }));
+      setError(String(err.message || err));
+    }
+  };
+
+  const restore = async (rev) => {
+    if (!window.confirm(`确定恢复到第 ${rev.number} 版吗？当前版本会保留在历史中。`)) return;
+    setRestoring(rev.id);
+    try {
+      const res = await fetch(`/api/recipes/${recipe.id}/revisions/${rev.id}/restore`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+      onRestored(body);
+    } catch (err) {
+      setError(String(err.message || err));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="small text-muted">加载历史中...</div>;
+  }
+
+  // 修订记录的时间点是它被替换的时刻，即那次修改发生的时间
+  const timeline = [
+    ...revisions.map((rev) => ({ kind: 'revision', at: rev.createdAt, rev })),
+    ...(attempts || []).map((a) => ({ kind: 'attempt', at: a.cookedAt || a.createdAt, attempt: a }))
+  ].sort((x, y) => new Date(x.at) - new Date(y.at));
+
+  return (
+    <div>
+      {error ? <div className="alert alert-danger py-2 small">{error}</div> : null}
+      {timeline.length === 0 ? (
+        <div className="small text-muted">还没有修改记录</div>
+      ) : (
+        <ul className="list-unstyled mb-0">
+          {timeline.map((entry) =>
+            entry.kind === 'attempt' ? (
+              <li key={`a-${entry.attempt.id}`} className="border-start border-3 border-success ps-3 py-2">
+                <div className="small text-muted">{new Date(entry.at).toLocaleString()}</div>
+                <div className="small">
+                  <span className="badge bg-success me-1">尝试</span>
+                  {entry.attempt.body}
+                </div>
+              </li>
+            ) : (
+              <li key={`r-${entry.rev.id}`} className="border-start border-3 border-primary ps-3 py-2">
+                <div className="small text-muted">{new Date(entry.at).toLocaleString()}</div>
+                <div className="d-flex flex-wrap align-items-center gap-2 small">
+                  <span className="badge bg-primary">第 {entry.rev.number} 次修改</span>
+                  <span>修改前标题：{entry.rev.title}</span>
+                  <button
+                    type="button"
+                    onClick={() => toggleDiff(entry.rev)}
+                    className="btn btn-sm btn-link p-0"
+                  >
+                    {openDiff[entry.rev.id] ? '收起差异' : '查看差异'}
+                  </button>
+                  {canRestore ? (
+                    <button
+                      type="button"
+                      onClick={() => restore(entry.rev)}
+                      disabled={!!restoring}
+                      className="btn btn-sm btn-outline-secondary py-0"
+                    >
+                      {restoring === entry.rev.id ? '恢复中...' : '恢复此版本'}
+                    </button>
+                  ) : null}
+                </div>
+                {openDiff[entry.rev.id] === 'loading' ? (
+                  <div className="small text-muted mt-1">加载中...</div>
+                ) : openDiff[entry.rev.id] ? (
+                  <div className="mt-2">
+                    <RevisionDiff diff={openDiff[entry.rev.id]} />
+                  </div>
+                ) : null}
+              </li>
+            )
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecipeHistory;
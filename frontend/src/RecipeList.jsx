@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import RecipeCard from './RecipeCard';
 
 const RecipeList = ({ 
@@ -6,25 +6,42 @@ const RecipeList = ({
   expanded, 
   attemptForms, 
   toggleExpand, 
+  loadMoreAttempts,
   chooseBestAttempt,
   onAttemptFileSelected,
-  removeAttemptImage,
+  setAttemptImages,
   submitAttempt,
   setAttemptFormState,
   PREVIEW_SIZE,
-  onDeleteRecipe
+  onDeleteRecipe,
+  onForkRecipe,
+  onRecipeUpdated,
+  onUpdateAttempt,
+  onDeleteAttempt,
+  shareToken,
+  hasMore,
+  loadingMore,
+  onLoadMore
 }) => {
+  const sentinelRef = useRef(null);
+
+  // 滚动到列表底部时自动加载下一页
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || !hasMore || loadingMore) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) onLoadMore();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
   return (
     <div className="space-y-6">
       {recipes.map((recipe) => {
-        const ex = expanded[recipe.id] || {
-          open: false,
-          loading: false,
-          attempts: [],
-          error: null,
-          choosing: null,
-          choosingError: null,
-        };
         const attemptForm = attemptForms[recipe.id] || {
           body: "",
           feedback: "",
@@ -41,16 +58,29 @@ const RecipeList = ({
             expanded={expanded}
             attemptForm={attemptForm}
             toggleExpand={toggleExpand}
+            loadMoreAttempts={loadMoreAttempts}
             chooseBestAttempt={chooseBestAttempt}
             onAttemptFileSelected={onAttemptFileSelected}
-            removeAttemptImage={removeAttemptImage}
+            setAttemptImages={setAttemptImages}
             submitAttempt={submitAttempt}
             setAttemptFormState={setAttemptFormState}
             PREVIEW_SIZE={PREVIEW_SIZE}
             onDeleteRecipe={onDeleteRecipe}
+            onForkRecipe={onForkRecipe}
+            onRecipeUpdated={onRecipeUpdated}
+            onUpdateAttempt={onUpdateAttempt}
+            onDeleteAttempt={onDeleteAttempt}
+            shareToken={shareToken}
           />
         );
       })}
+      {hasMore ? (
+        <div ref={sentinelRef} className="d-flex justify-content-center py-3">
+          {loadingMore ? (
+            <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 };
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+
+const OUTCOME_BARS = [
+  { key: 'success', label: '成功', className: 'bg-success' },
+  { key: 'partial', label: '部分成功', className: 'bg-warning' },
+  { key: 'failure', label: '失败', className: 'bg-danger' },
+  { key: 'unrecorded', label: '未记录', className: 'bg-secondary bg-opacity-50' }
+];
+
+const CHART_WIDTH = 260;
+const CHART_HEIGHT = 80;
+const CHART_PAD = 8;
+
+// 评分走势折线图，纵轴 1–5 星，横轴按烹饪先后排列
+const RatingChart = ({ ratings }) => {
+  if (ratings.length === 0) return <div className="small text-muted">暂无评分</div>;
+  const x = (i) =>
+    ratings.length === 1 ? CHART_WIDTH / 2 : CHART_PAD + (i * (CHART_WIDTH - 2 * CHART_PAD)) / (ratings.length - 1);
+  const y = (rating) => CHART_HEIGHT - CHART_PAD - ((rating - 1) * (CHART_HEIGHT - 2 * CHART_PAD)) / 4;
+  const points = ratings.map((r, i) => `${x(i)},${y(r.rating)}`).join(' ');
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} className="border rounded bg-light" role="img" aria-label="评分走势">
+      {[1, 3, 5].map((n) => (
+        <line key={n} x1={0} x2={CHART_WIDTH} y1={y(n)} y2={y(n)} stroke="#dee2e6" strokeDasharray="2 3" />
+      ))}
+      <polyline points={points} fill="none" stroke="#0d6efd" strokeWidth="2" />
+      {ratings.map((r, i) => (
+        <circle key={r.attemptId} cx={x(i)} cy={y(r.rating)} r="3.5" fill="#0d6efd">
+          <title>{`${new Date(r.cookedAt).toLocaleDateString()}：${r.rating} 星`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const Stat = ({ label, value }) => (
+  <div className="text-center px-2">
+    <div className="fw-semibold">{value ?? '—'}</div>
+    <div className="small text-muted">{label}</div>
+  </div>
+);
+
+// 菜谱统计：成功率、评分走势、平均耗时、尝试间隔与反馈中的常见词
+const RecipeStats = ({ recipeId, attempts, shareToken }) => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  // 尝试增删改后重新统计
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const query = shareToken ? `?${new URLSearchParams({ share: shareToken })}` : '';
+        const res = await fetch(`/api/recipes/${recipeId}/stats${query}`, { credentials: 'include' });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+        if (!cancelled) {
+          setStats(body);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [recipeId, attempts, shareToken]);
+
+  if (error) return <div className="small text-danger mb-3">{error}</div>;
+  if (!stats || stats.attempts === 0) return null;
+
+  const maxCount = stats.terms.length ? stats.terms[0].count : 1;
+
+  return (
+    <div className="mb-4 p-3 border rounded bg-white">
+      <h4 className="h6 fw-semibold text-body mb-3">统计</h4>
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <Stat label="尝试次数" value={stats.attempts} />
+        <Stat label="成功率" value={stats.successRate != null ? `${Math.round(stats.successRate * 100)}%` : null} />
+        <Stat label="平均评分" value={stats.averageRating} />
+        <Stat
+          label="平均耗时"
+          value={stats.averageDurationMinutes != null ? `${stats.averageDurationMinutes} 分钟` : null}
+        />
+        <Stat
+          label="平均间隔"
+          value={stats.averageDaysBetweenAttempts != null ? `${stats.averageDaysBetweenAttempts} 天` : null}
+        />
+      </div>
+      <div className="progress mb-1" style={{ height: '10px' }}>
+        {OUTCOME_BARS.map((b) =>
+          stats.outcomes[b.key] ? (
+            <div
+              key={b.key}
+              className={`progress-bar ${b.className}`}
+              style={{ width: `${(stats.outcomes[b.key] / stats.attempts) * 100}%` }}
+              title={`${b.label} ${stats.outcomes[b.key]} 次`}
+            ></div>
+          ) : null
+        )}
+      </div>
+      <div className="d-flex flex-wrap gap-3 small text-muted mb-3">
+        {OUTCOME_BARS.filter((b) => stats.outcomes[b.key]).map((b) => (
+          <span key={b.key}>
+            {b.label} {stats.outcomes[b.key]}
+          </span>
+        ))}
+      </div>
+      <div className="row g-3">
+        <div className="col-md-6">
+          <div className="small fw-semibold text-secondary mb-1">评分走势</div>
+          <RatingChart ratings={stats.ratings} />
+        </div>
+        <div className="col-md-6">
+          <div className="small fw-semibold text-secondary mb-1">反馈常见词</div>
+          {stats.terms.length === 0 ? (
+            <div className="small text-muted">暂无反馈</div>
+          ) : (
+            <div className="d-flex flex-wrap gap-1 align-items-baseline">
+              {stats.terms.map((t) => (
+                <span
+                  key={t.term}
+                  className="badge bg-light text-body border"
+                  style={{ fontSize: `${0.7 + (0.4 * t.count) / maxCount}rem` }}
+                  title={`${t.count} 次`}
+                >
+                  {t.term}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecipeStats;
@@ -0,0 +1,55 @@
+import React from 'react';
+
+const MATCH_OPTIONS = [
+  { value: 'all', label: '全部匹配' },
+  { value: 'any', label: '任一匹配' }
+];
+
+// 标签筛选栏：facets 为当前结果中各标签的菜谱数，点击标签加入或移出筛选
+const TagFilterBar = ({ facets, selected, match, onToggle, onMatchChange, onClear }) => {
+  // 已选中的标签即使不在当前结果中也要显示，方便取消
+  const shown = [
+    ...(facets || []),
+    ...selected.filter((name) => !(facets || []).some((f) => f.name === name)).map((name) => ({ name, count: 0 }))
+  ];
+  if (!shown.length) return null;
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+      {shown.map((f) => {
+        const active = selected.includes(f.name);
+        return (
+          <button
+            key={f.name}
+            type="button"
+            onClick={() => onToggle(f.name)}
+            className={`btn btn-sm rounded-pill ${active ? 'btn-secondary' : 'btn-outline-secondary'}`}
+          >
+            #{f.name} <span className="opacity-75">{f.count}</span>
+          </button>
+        );
+      })}
+      {selected.length > 1 ? (
+        <div className="btn-group btn-group-sm" role="group" aria-label="标签匹配方式">
+          {MATCH_OPTIONS.map((o) => (
+            <button
+              key={o.value}
+              type="button"
+              onClick={() => onMatchChange(o.value)}
+              className={`btn ${match === o.value ? 'btn-primary' : 'btn-outline-primary'}`}
+            >
+              {o.label}
+            </button>
+          ))}
+        </div>
+      ) : null}
+      {selected.length ? (
+        <button type="button" onClick={onClear} className="btn btn-sm btn-link">
+          清除标签
+        </button>
+      ) : null}
+    </div>
+  );
+};
+
+export default TagFilterBar;
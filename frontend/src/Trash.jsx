@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+
+// 回收站：已删除的菜谱在 purgeAt 之前可以恢复，之后会被彻底删除
+const Trash = ({ onRestored, onClose }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch('/api/trash', { credentials: 'include' });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+        if (!cancelled) setItems(body.items || []);
+      } catch (err) {
+        if (!cancelled) setError(String(err.message || err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const restore = async (recipe) => {
+    setRestoring(recipe.id);
+    try {
+      const res = await fetch(`/api/recipes/${recipe.id}/restore`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.errors?.map((e) => e.message).join('; ') || res.statusText);
+      setItems((prev) => prev.filter((r) => r.id !== recipe.id));
+      onRestored(body);
+    } catch (err) {
+      setError(String(err.message || err));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div className="card shadow-sm p-4 mb-4">
+      <div className="d-flex justify-content-between align-items-center border-bottom pb-2 mb-3">
+        <h2 className="h5 fw-bold text-secondary mb-0">回收站</h2>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="关闭"></button>
+      </div>
+      {error ? <div className="alert alert-danger py-2 small">{error}</div> : null}
+      {loading ? (
+        <div className="small text-muted">加载中...</div>
+      ) : items.length === 0 ? (
+        <div className="small text-muted">回收站是空的</div>
+      ) : (
+        <ul className="list-group">
+          {items.map((recipe) => (
+            <li key={recipe.id} className="list-group-item d-flex justify-content-between align-items-center">
+              <div>
+                <div className="fw-semibold">{recipe.title}</div>
+                <div className="small text-muted">
+                  删除于 {new Date(recipe.deletedAt).toLocaleString()}，将于 {new Date(recipe.purgeAt).toLocaleDateString()} 彻底删除
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => restore(recipe)}
+                disabled={!!restoring}
+                className="btn btn-sm btn-outline-primary"
+              >
+                {restoring === recipe.id ? '恢复中...' : '恢复'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
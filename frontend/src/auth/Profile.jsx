@@ -1,14 +1,99 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useAuth } from './useAuth';
 
-const Profile = () => {
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+const UNIT_OPTIONS = [
+  { value: '', label: 'As written' },
+  { value: 'metric', label: 'Metric (g, ml, °C)' },
+  { value: 'imperial', label: 'Imperial (oz, cups, °F)' }
+];
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+};
+
+// Upload usage against the quota, largest recipes first
+const StorageBreakdown = ({ usage }) => {
+  const percent = Math.min(100, (usage.usedBytes / usage.quotaBytes) * 100);
+  const barClass = percent >= 90 ? 'bg-danger' : percent >= 75 ? 'bg-warning' : 'bg-success';
+  return (
+    <>
+      <div className="d-flex justify-content-between mb-1">
+        <span>{formatBytes(usage.usedBytes)} of {formatBytes(usage.quotaBytes)} used</span>
+        <span className="text-muted">{usage.uploads} uploads</span>
+      </div>
+      <div
+        className="progress mb-3"
+        role="progressbar"
+        aria-label="Storage used"
+        aria-valuenow={Math.round(percent)}
+        aria-valuemin="0"
+        aria-valuemax="100"
+      >
+        <div className={`progress-bar ${barClass}`} style={{ width: `${percent}%` }} />
+      </div>
+      {usage.recipes.length || usage.unused.uploads ? (
+        <ul className="list-group list-group-flush">
+          {usage.recipes.map((r) => (
+            <li key={r.id} className="list-group-item d-flex justify-content-between px-0">
+              <span>
+                {r.title}
+                {r.deleted ? <span className="badge text-bg-secondary ms-2">In trash</span> : null}
+              </span>
+              <span className="text-muted">{formatBytes(r.bytes)}</span>
+            </li>
+          ))}
+          {usage.unused.uploads ? (
+            <li className="list-group-item d-flex justify-content-between px-0">
+              <span className="text-muted">Not used by any recipe yet</span>
+              <span className="text-muted">{formatBytes(usage.unused.bytes)}</span>
+            </li>
+          ) : null}
+        </ul>
+      ) : (
+        <p className="text-muted mb-0">No uploaded photos yet.</p>
+      )}
+    </>
+  );
+};
+
+// Loads the user's storage usage; reloaded only when the user changes, not
+// on every profile update
+const StorageUsage = ({ userId }) => {
+  // null while loading, false when it could not be loaded
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUsage(null);
+    fetch('/api/me/storage', { credentials: 'include' })
+      .then((response) => (response.ok ? response.json() : false))
+      .catch(() => false)
+      .then((data) => {
+        if (!cancelled) setUsage(data);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (usage) return <StorageBreakdown usage={usage} />;
+  return (
+    <p className="text-muted mb-0">
+      {usage === false ? 'Storage usage is unavailable.' : 'Loading storage usage...'}
+    </p>
+  );
+};
+
+// Account settings, shown by App in place of the recipe list
+const Profile = ({ onClose }) => {
+  const { user, setUser, logout } = useAuth();
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [formData, setFormData] = useState({
     name: '',
-    email: ''
+    email: '',
+    preferredUnits: ''
   });
   const [passwordData, setPasswordData] = useState({
     currentPassword: '',
@@ -16,38 +101,17 @@ const Profile = () => {
     confirmPassword: ''
   });
   const [showPasswordForm, setShowPasswordForm] = useState(false);
-  const navigate = useNavigate();
-
-  useEffect(() => {
-    fetchCurrentUser();
-  }, []);
 
   useEffect(() => {
     if (user) {
       setFormData({
         name: user.name || '',
-        email: user.email || ''
+        email: user.email || '',
+        preferredUnits: user.preferredUnits || ''
       });
     }
   }, [user]);
 
-  const fetchCurrentUser = async () => {
-    try {
-      const response = await fetch('/api/auth/me');
-      const data = await response.json();
-      
-      if (data.user) {
-        setUser(data.user);
-      } else {
-        navigate('/login');
-      }
-    } catch (err) {
-      setError('Failed to fetch user data');
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -75,7 +139,10 @@ const Profile = () => {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify({
+          ...formData,
+          preferredUnits: formData.preferredUnits || null
+        })
       });
 
       const data = await response.json();
@@ -86,7 +153,7 @@ const Profile = () => {
       } else {
         setError(data.errors ? data.errors.map(e => e.message).join(', ') : 'Failed to update profile');
       }
-    } catch (err) {
+    } catch {
       setError('Failed to update profile');
     }
   };
@@ -132,7 +199,7 @@ const Profile = () => {
       } else {
         setError(data.errors ? data.errors.map(e => e.message).join(', ') : 'Failed to change password');
       }
-    } catch (err) {
+    } catch {
       setError('Failed to change password');
     }
   };
@@ -148,32 +215,17 @@ const Profile = () => {
       });
 
       if (response.ok) {
-        // Redirect to login page
-        window.location.href = '/login';
+        // App shows the login form again
+        setUser(null);
       } else {
         const data = await response.json();
         setError(data.errors ? data.errors.map(e => e.message).join(', ') : 'Failed to delete account');
       }
-    } catch (err) {
+    } catch {
       setError('Failed to delete account');
     }
   };
 
-  const handleLogout = async () => {
-    try {
-      await fetch('/api/auth/logout', {
-        method: 'POST'
-      });
-      navigate('/login');
-    } catch (err) {
-      console.error('Logout failed', err);
-    }
-  };
-
-  if (loading) {
-    return <div className="container py-4">Loading...</div>;
-  }
-
   if (!user) {
     return <div className="container py-4">Please log in to view this page.</div>;
   }
@@ -184,12 +236,20 @@ const Profile = () => {
         <div className="col-md-8 mx-auto">
           <div className="d-flex justify-content-between align-items-center mb-4">
             <h2>Profile</h2>
-            <button 
-              className="btn btn-outline-secondary"
-              onClick={handleLogout}
-            >
-              Logout
-            </button>
+            <div>
+              <button
+                className="btn btn-outline-secondary me-2"
+                onClick={onClose}
+              >
+                Back to recipes
+              </button>
+              <button
+                className="btn btn-outline-secondary"
+                onClick={logout}
+              >
+                Logout
+              </button>
+            </div>
           </div>
 
           {error && <div className="alert alert-danger">{error}</div>}
@@ -223,11 +283,35 @@ const Profile = () => {
                     onChange={handleInputChange}
                   />
                 </div>
+                <div className="mb-3">
+                  <label htmlFor="preferredUnits" className="form-label">Preferred units</label>
+                  <select
+                    className="form-select"
+                    id="preferredUnits"
+                    name="preferredUnits"
+                    value={formData.preferredUnits}
+                    onChange={handleInputChange}
+                  >
+                    {UNIT_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                  <div className="form-text">Ingredient amounts and oven temperatures are converted when you view a recipe.</div>
+                </div>
                 <button type="submit" className="btn btn-primary">Update Profile</button>
               </form>
             </div>
           </div>
 
+          <div className="card mb-4">
+            <div className="card-header">
+              <h5>Storage</h5>
+            </div>
+            <div className="card-body">
+              <StorageUsage userId={user.id} />
+            </div>
+          </div>
+
           <div className="card mb-4">
             <div className="card-header">
               <h5>Change Password</h5>
@@ -20,7 +20,26 @@ export function mapErrors(errsArray) {
       f === "file"
     ) {
       out.images = (out.images ? out.images + "; " : "") + e.message;
-    } else if (f === "title" || f === "body" || f === "feedback") {
+    } else if (f.startsWith("ingredients")) {
+      out.ingredients = (out.ingredients ? out.ingredients + "; " : "") + e.message;
+    } else if (f.startsWith("tags")) {
+      out.tags = (out.tags ? out.tags + "; " : "") + e.message;
+    } else if (f.startsWith("adjustments")) {
+      out.adjustments = (out.adjustments ? out.adjustments + "; " : "") + e.message;
+    } else if (
+      [
+        "title",
+        "body",
+        "feedback",
+        "outcome",
+        "rating",
+        "durationMinutes",
+        "cookedAt",
+        "visibility",
+        "servings",
+        "baking",
+      ].includes(f)
+    ) {
       out[f] = (out[f] ? out[f] + "; " : "") + e.message;
     } else {
       out._global = (out._global ? out._global + "; " : "") + e.message;
@@ -29,6 +48,39 @@ export function mapErrors(errsArray) {
   return out;
 }
 
+/**
+ * 把输入框里用逗号（中英文）或顿号分隔的标签拆成数组，去掉空项
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTagInput(text) {
+  return String(text || "")
+    .split(/[,，、]/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 尝试结果选项（与后端 outcome 取值一致）
+ */
+// most attempts the compare endpoint accepts at once
+export const MAX_COMPARE_ATTEMPTS = 6;
+
+export const ATTEMPT_OUTCOMES = [
+  { value: "success", label: "成功", badge: "bg-success" },
+  { value: "partial", label: "部分成功", badge: "bg-warning text-dark" },
+  { value: "failure", label: "失败", badge: "bg-danger" },
+];
+
+/**
+ * 菜谱可见性选项（与后端 visibility 取值一致）
+ */
+export const RECIPE_VISIBILITIES = [
+  { value: "public", label: "公开", hint: "所有人可在列表中看到" },
+  { value: "unlisted", label: "不公开列出", hint: "仅持分享链接的人可以查看" },
+  { value: "private", label: "私密", hint: "只有你自己可以查看" },
+];
+
 /**
  * 将文件转换为图片对象
  * @param {File} file - 要转换的文件
@@ -176,11 +228,23 @@ export async function uploadFileToServer(file) {
   const response = await fetch("/api/uploads", {
     method: "POST",
     body: formData,
+    credentials: "include",
   });
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Upload failed: ${response.status} ${errorText}`);
+    // 服务器的校验错误（如超出存储配额）直接展示其说明
+    let messages = [];
+    try {
+      messages = (JSON.parse(errorText).errors || []).map((e) => e.message);
+    } catch {
+      messages = [];
+    }
+    throw new Error(
+      messages.length
+        ? messages.join(", ")
+        : `Upload failed: ${response.status} ${errorText}`
+    );
   }
 
   return await response.json();
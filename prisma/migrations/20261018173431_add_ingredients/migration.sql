@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Ingredient" (
+    "id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "quantity" DOUBLE PRECISION,
+    "unit" TEXT,
+    "name" TEXT NOT NULL,
+    "note" TEXT,
+    "group" TEXT,
+    "recipeId" TEXT NOT NULL,
+
+    CONSTRAINT "Ingredient_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Ingredient_recipeId_position_idx" ON "Ingredient"("recipeId", "position");
+
+-- AddForeignKey
+ALTER TABLE "Ingredient" ADD CONSTRAINT "Ingredient_recipeId_fkey" FOREIGN KEY ("recipeId") REFERENCES "Recipe"("id") ON DELETE CASCADE ON UPDATE CASCADE;
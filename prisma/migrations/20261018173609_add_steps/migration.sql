@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "stepId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Step" (
+    "id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "text" TEXT NOT NULL,
+    "durationSeconds" INTEGER,
+    "temperature" DOUBLE PRECISION,
+    "temperatureUnit" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "recipeId" TEXT NOT NULL,
+
+    CONSTRAINT "Step_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Step_recipeId_position_idx" ON "Step"("recipeId", "position");
+
+-- AddForeignKey
+ALTER TABLE "Step" ADD CONSTRAINT "Step_recipeId_fkey" FOREIGN KEY ("recipeId") REFERENCES "Recipe"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Image" ADD CONSTRAINT "Image_stepId_fkey" FOREIGN KEY ("stepId") REFERENCES "Step"("id") ON DELETE CASCADE ON UPDATE CASCADE;
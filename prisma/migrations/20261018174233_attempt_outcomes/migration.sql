@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Attempt" ADD COLUMN     "adjustments" JSONB,
+ADD COLUMN     "cookedAt" TIMESTAMP(3),
+ADD COLUMN     "durationMinutes" INTEGER,
+ADD COLUMN     "outcome" TEXT,
+ADD COLUMN     "rating" INTEGER;
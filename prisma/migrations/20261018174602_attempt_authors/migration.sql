@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Attempt" ADD COLUMN     "authorId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "Attempt" ADD CONSTRAINT "Attempt_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing attempts were logged by the recipe's author
+UPDATE "Attempt" a
+SET "authorId" = r."authorId"
+FROM "Recipe" r
+WHERE a."recipeId" = r."id" AND a."authorId" IS NULL;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Recipe" ADD COLUMN     "shareToken" TEXT,
+ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'public';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Recipe_shareToken_key" ON "Recipe"("shareToken");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Recipe" ADD COLUMN     "forkedFromId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Recipe_forkedFromId_idx" ON "Recipe"("forkedFromId");
+
+-- AddForeignKey
+ALTER TABLE "Recipe" ADD CONSTRAINT "Recipe_forkedFromId_fkey" FOREIGN KEY ("forkedFromId") REFERENCES "Recipe"("id") ON DELETE SET NULL ON UPDATE CASCADE;
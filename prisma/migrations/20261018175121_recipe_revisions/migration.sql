@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "RecipeRevision" (
+    "id" TEXT NOT NULL,
+    "recipeId" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "body" TEXT,
+    "feedback" TEXT,
+    "meta" JSONB,
+    "images" JSONB NOT NULL,
+    "ingredients" JSONB NOT NULL,
+    "editorId" TEXT,
+    "savedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecipeRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RecipeRevision_recipeId_number_key" ON "RecipeRevision"("recipeId", "number");
+
+-- AddForeignKey
+ALTER TABLE "RecipeRevision" ADD CONSTRAINT "RecipeRevision_recipeId_fkey" FOREIGN KEY ("recipeId") REFERENCES "Recipe"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecipeRevision" ADD CONSTRAINT "RecipeRevision_editorId_fkey" FOREIGN KEY ("editorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
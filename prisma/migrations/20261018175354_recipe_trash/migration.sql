@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Recipe" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Recipe_deletedAt_idx" ON "Recipe"("deletedAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Recipe" ADD COLUMN     "baking" BOOLEAN NOT NULL DEFAULT false;
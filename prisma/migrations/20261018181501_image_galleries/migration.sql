@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "caption" TEXT,
+ADD COLUMN     "isCover" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: keep existing galleries in upload order
+UPDATE "Image" i
+SET "position" = o."position"
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "recipeId", "attemptId", "stepId" ORDER BY "createdAt", "id") - 1 AS "position"
+    FROM "Image"
+) o
+WHERE i."id" = o."id";
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "uploadId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Upload" (
+    "id" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "originalKey" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "crop" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Upload_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ImageVariant" (
+    "id" TEXT NOT NULL,
+    "uploadId" TEXT NOT NULL,
+    "size" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "bytes" INTEGER NOT NULL,
+
+    CONSTRAINT "ImageVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_url_key" ON "Upload"("url");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImageVariant_uploadId_size_format_key" ON "ImageVariant"("uploadId", "size", "format");
+
+-- AddForeignKey
+ALTER TABLE "Image" ADD CONSTRAINT "Image_uploadId_fkey" FOREIGN KEY ("uploadId") REFERENCES "Upload"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImageVariant" ADD CONSTRAINT "ImageVariant_uploadId_fkey" FOREIGN KEY ("uploadId") REFERENCES "Upload"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Upload" ADD COLUMN     "claimedAt" TIMESTAMP(3);
+
+-- Backfill: uploads already used by an image are claimed, so the sweep keeps them
+UPDATE "Upload" u
+SET "claimedAt" = CURRENT_TIMESTAMP
+WHERE EXISTS (SELECT 1 FROM "Image" i WHERE i."uploadId" = u."id");
@@ -0,0 +1,66 @@
+-- Uploads and variants store storage keys instead of urls. Before this
+-- migration variants were written to public/uploads/<file> and originals to
+-- storage/originals/<file>; move them to images/<file> and originals/<file>
+-- under the storage root (LOCAL_STORAGE_DIR or the bucket) when deploying.
+
+-- DropIndex
+DROP INDEX "Upload_url_key";
+
+-- AlterTable
+ALTER TABLE "Upload" RENAME COLUMN "url" TO "key";
+
+-- AlterTable
+ALTER TABLE "ImageVariant" RENAME COLUMN "url" TO "key";
+
+-- Images of our own files are stored as keys as well, so they keep loading
+-- once the files have moved: "/uploads/<file>", and "<origin>/uploads/<file>"
+-- on an origin uploads were served from (as the upload urls record) or named
+-- like the files /api/uploads used to write
+CREATE FUNCTION "migration_image_key"("url" TEXT, "origins" TEXT[]) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN "url" ~ '^/uploads/[^/?#]+$'
+      OR ("url" ~ '^https?://[^/]+/uploads/[^/?#]+$'
+        AND (substring("url" from '^https?://[^/]+') = ANY ("origins")
+          OR "url" ~ '/uploads/[0-9]+_[0-9]+\.webp$'))
+    THEN 'images/' || substring("url" from '/uploads/([^/?#]+)$')
+    ELSE "url"
+  END
+$$ LANGUAGE SQL IMMUTABLE;
+
+UPDATE "Image"
+SET "url" = "migration_image_key"("url", o."origins")
+FROM (
+  SELECT ARRAY(
+    SELECT DISTINCT substring("key" from '^https?://[^/]+') FROM "Upload"
+    WHERE "key" ~ '^https?://'
+  ) AS "origins"
+) o;
+
+-- Revisions keep the urls of their images; restoring one must not bring back
+-- the old ones. (Revisions only version steps from a later migration on,
+-- which copies them from the converted images.)
+UPDATE "RecipeRevision"
+SET "images" = (
+  SELECT coalesce(jsonb_agg("migration_image_key"(t."url", o."origins") ORDER BY t."n"), '[]')
+  FROM jsonb_array_elements_text("images") WITH ORDINALITY AS t("url", "n")
+)
+FROM (
+  SELECT ARRAY(
+    SELECT DISTINCT substring("key" from '^https?://[^/]+') FROM "Upload"
+    WHERE "key" ~ '^https?://'
+  ) AS "origins"
+) o
+WHERE jsonb_typeof("images") = 'array';
+
+DROP FUNCTION "migration_image_key"(TEXT, TEXT[]);
+
+-- Convert "<base>/uploads/<file>" urls and bare original file names to keys
+UPDATE "Upload"
+SET "key" = 'images/' || regexp_replace("key", '^.*/', ''),
+    "originalKey" = 'originals/' || regexp_replace("originalKey", '^.*/', '');
+
+UPDATE "ImageVariant"
+SET "key" = 'images/' || regexp_replace("key", '^.*/', '');
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_key_key" ON "Upload"("key");
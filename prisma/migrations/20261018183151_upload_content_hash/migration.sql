@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Upload" ADD COLUMN     "contentHash" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_contentHash_key" ON "Upload"("contentHash");
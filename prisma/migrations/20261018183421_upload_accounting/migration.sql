@@ -0,0 +1,35 @@
+-- DropIndex
+DROP INDEX "Upload_contentHash_key";
+
+-- AlterTable
+ALTER TABLE "Upload" ADD COLUMN     "bytes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "originalBytes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "uploaderId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Upload_uploaderId_contentHash_key" ON "Upload"("uploaderId", "contentHash");
+
+-- AddForeignKey
+ALTER TABLE "Upload" ADD CONSTRAINT "Upload_uploaderId_fkey" FOREIGN KEY ("uploaderId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: count the stored variants (the original's size was not recorded)
+-- and charge each upload to the author of the recipe its first image is in
+UPDATE "Upload" u
+SET "bytes" = v."bytes"
+FROM (SELECT "uploadId", SUM("bytes") AS "bytes" FROM "ImageVariant" GROUP BY "uploadId") v
+WHERE v."uploadId" = u."id";
+
+UPDATE "Upload" u
+SET "uploaderId" = (
+    SELECT COALESCE(r."authorId", ar."authorId", sr."authorId")
+    FROM "Image" i
+    LEFT JOIN "Recipe" r ON r."id" = i."recipeId"
+    LEFT JOIN "Attempt" a ON a."id" = i."attemptId"
+    LEFT JOIN "Recipe" ar ON ar."id" = a."recipeId"
+    LEFT JOIN "Step" s ON s."id" = i."stepId"
+    LEFT JOIN "Recipe" sr ON sr."id" = s."recipeId"
+    WHERE i."uploadId" = u."id"
+    ORDER BY i."createdAt", i."id"
+    LIMIT 1
+)
+WHERE u."uploaderId" IS NULL;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "aspectRatio" DOUBLE PRECISION,
+ADD COLUMN     "dominantColor" TEXT,
+ADD COLUMN     "lqip" TEXT;
+
+-- AlterTable
+ALTER TABLE "Upload" ADD COLUMN     "dominantColor" TEXT,
+ADD COLUMN     "lqip" TEXT;
+
+-- Backfill: images made from an upload take its aspect ratio; placeholders
+-- are generated for new uploads only
+UPDATE "Image" i
+SET "aspectRatio" = ROUND(u."width"::NUMERIC / u."height", 4)::DOUBLE PRECISION
+FROM "Upload" u
+WHERE i."uploadId" = u."id" AND u."height" > 0;
@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "Recipe" ADD COLUMN     "searchVector" tsvector;
+
+-- CreateIndex
+CREATE INDEX "Recipe_searchVector_idx" ON "Recipe" USING GIN ("searchVector");
+
+-- The search document of a recipe: title (A), body + feedback (B) and the
+-- bodies/feedback of all its attempts (C)
+CREATE FUNCTION "recipe_search_vector"("recipeId" TEXT, "title" TEXT, "body" TEXT, "feedback" TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('simple', coalesce("title", '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce("body", '') || ' ' || coalesce("feedback", '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce((
+            SELECT string_agg(a."body" || ' ' || coalesce(a."feedback", ''), ' ')
+            FROM "Attempt" a
+            WHERE a."recipeId" = "recipe_search_vector"."recipeId"
+        ), '')), 'C')
+$$ LANGUAGE sql STABLE;
+
+-- Recomputed when the recipe's own text changes...
+CREATE FUNCTION "Recipe_searchVector_update"() RETURNS trigger AS $$
+BEGIN
+    NEW."searchVector" := "recipe_search_vector"(NEW."id", NEW."title", NEW."body", NEW."feedback");
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Recipe_searchVector"
+BEFORE INSERT OR UPDATE OF "title", "body", "feedback" ON "Recipe"
+FOR EACH ROW EXECUTE FUNCTION "Recipe_searchVector_update"();
+
+-- ...and when one of its attempts is added, edited or removed
+CREATE FUNCTION "Attempt_recipeSearchVector_update"() RETURNS trigger AS $$
+BEGIN
+    UPDATE "Recipe" r
+    SET "searchVector" = "recipe_search_vector"(r."id", r."title", r."body", r."feedback")
+    WHERE r."id" IN (
+        CASE WHEN TG_OP <> 'DELETE' THEN NEW."recipeId" END,
+        CASE WHEN TG_OP <> 'INSERT' THEN OLD."recipeId" END
+    );
+    RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Attempt_recipeSearchVector"
+AFTER INSERT OR DELETE OR UPDATE OF "body", "feedback", "recipeId" ON "Attempt"
+FOR EACH ROW EXECUTE FUNCTION "Attempt_recipeSearchVector_update"();
+
+-- Backfill
+UPDATE "Recipe" SET "searchVector" = "recipe_search_vector"("id", "title", "body", "feedback");
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "RecipeRevision" ADD COLUMN     "baking" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "servings" INTEGER,
+ADD COLUMN     "steps" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "tags" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'public';
+
+-- Backfill: these fields were not versioned so far, so existing revisions
+-- take the recipe's current values and restoring them leaves those as they are
+UPDATE "RecipeRevision" rev
+SET "servings" = r."servings",
+    "baking" = r."baking",
+    "visibility" = r."visibility",
+    "steps" = coalesce((
+        SELECT jsonb_agg(jsonb_build_object(
+            'text', s."text",
+            'durationSeconds', s."durationSeconds",
+            'temperature', s."temperature",
+            'temperatureUnit', s."temperatureUnit",
+            'image', (
+                SELECT i."url" FROM "Image" i
+                WHERE i."stepId" = s."id"
+                ORDER BY i."position", i."createdAt"
+                LIMIT 1
+            )
+        ) ORDER BY s."position")
+        FROM "Step" s
+        WHERE s."recipeId" = r."id"
+    ), '[]'),
+    "tags" = coalesce((
+        SELECT jsonb_agg(t."name" ORDER BY t."name")
+        FROM "RecipeTag" rt
+        JOIN "Tag" t ON t."id" = rt."tagId"
+        WHERE rt."recipeId" = r."id"
+    ), '[]')
+FROM "Recipe" r
+WHERE rev."recipeId" = r."id";
+
+ALTER TABLE "RecipeRevision" ALTER COLUMN "baking" DROP DEFAULT,
+ALTER COLUMN "steps" DROP DEFAULT,
+ALTER COLUMN "tags" DROP DEFAULT,
+ALTER COLUMN "visibility" DROP DEFAULT;
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// scripts/purge-trash.js
+// Permanently delete recipes that have been in the trash longer than the
+// retention period (TRASH_RETENTION_DAYS, default 30).
+//
+// Usage: node scripts/purge-trash.js [--dry-run] [--days N]
+
+const { PrismaClient } = require("@prisma/client");
+const { purgeDeletedRecipes, retentionDays } = require("../src/purge");
+
+const prisma = new PrismaClient();
+
+function parseArgs(argv) {
+  const args = { dryRun: false, days: retentionDays() };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--days") args.days = Number(argv[++i]);
+  }
+  return args;
+}
+
+(async function main() {
+  try {
+    const { dryRun, days } = parseArgs(process.argv.slice(2));
+    if (!Number.isFinite(days) || days < 0) {
+      throw new Error("--days must be a non-negative number");
+    }
+
+    const prefix = dryRun ? "[dry run] " : "";
+    console.log(
+      `${prefix}Purging recipes deleted more than ${days} day(s) ago`
+    );
+    const recipes = await purgeDeletedRecipes(prisma, { days, dryRun });
+    recipes.forEach((r) => {
+      console.log(
+        ` - id=${r.id} title=${r.title} deletedAt=${r.deletedAt.toISOString()}`
+      );
+    });
+    console.log(
+      `${dryRun ? "Would purge" : "Purged"} ${recipes.length} recipe(s).`
+    );
+  } catch (err) {
+    console.error("Error purging trash:", err);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+})();
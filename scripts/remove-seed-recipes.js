@@ -3,6 +3,7 @@
 // Safe, one-off script to remove seeded/test recipes that were included in dev.db
 
 const { PrismaClient } = require("@prisma/client");
+const { deleteRecipeCascade } = require("../src/purge");
 const prisma = new PrismaClient();
 
 (async function main() {
@@ -33,21 +34,7 @@ const prisma = new PrismaClient();
     // Delete dependent attempts and images for each recipe safely
     for (const r of toRemove) {
       console.log(`Deleting recipe ${r.id} and dependent attempts/images...`);
-      await prisma.$transaction(async (tx) => {
-        const attempts = await tx.attempt.findMany({
-          where: { recipeId: r.id },
-          select: { id: true },
-        });
-        const attemptIds = attempts.map((a) => a.id);
-        if (attemptIds.length) {
-          await tx.image.deleteMany({
-            where: { attemptId: { in: attemptIds } },
-          });
-          await tx.attempt.deleteMany({ where: { id: { in: attemptIds } } });
-        }
-        await tx.image.deleteMany({ where: { recipeId: r.id } });
-        await tx.recipe.delete({ where: { id: r.id } });
-      });
+      await prisma.$transaction((tx) => deleteRecipeCascade(tx, r.id));
       console.log(`Deleted recipe ${r.id}`);
     }
 
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// scripts/sweep-uploads.js
+// Delete uploads that no image or revision uses once they are older than the
+// grace period (UPLOAD_GRACE_HOURS, default 24), plus stray files in the
+// configured storage (STORAGE_BACKEND) that no upload or image knows about.
+//
+// Usage: node scripts/sweep-uploads.js [--dry-run] [--hours N]
+
+const { PrismaClient } = require("@prisma/client");
+const { sweepUploads, graceHours } = require("../src/sweep");
+const { getStorage } = require("../src/storage");
+
+const prisma = new PrismaClient();
+
+function parseArgs(argv) {
+  const args = { dryRun: false, hours: graceHours() };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--hours") args.hours = Number(argv[++i]);
+  }
+  return args;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+(async function main() {
+  try {
+    const { dryRun, hours } = parseArgs(process.argv.slice(2));
+    if (!Number.isFinite(hours) || hours < 0) {
+      throw new Error("--hours must be a non-negative number");
+    }
+
+    const prefix = dryRun ? "[dry run] " : "";
+    console.log(`${prefix}Sweeping unused uploads older than ${hours} hour(s)`);
+    const report = await sweepUploads(prisma, {
+      storage: getStorage(),
+      hours,
+      dryRun,
+    });
+    report.uploads.forEach((u) => {
+      const created = u.createdAt.toISOString();
+      const size = formatBytes(u.bytes);
+      console.log(
+        ` - upload id=${u.id} status=${u.status} createdAt=${created} files=${u.keys.length} size=${size}`
+      );
+    });
+    report.strayFiles.forEach((f) => {
+      console.log(` - stray file ${f.key} size=${formatBytes(f.bytes)}`);
+    });
+    const verb = dryRun ? "Would delete" : "Deleted";
+    const uploads = `${report.uploads.length} upload(s)`;
+    const stray = `${report.strayFiles.length} stray file(s)`;
+    const total = formatBytes(report.bytes);
+    console.log(`${verb} ${uploads} and ${stray}, ${total}.`);
+  } catch (err) {
+    console.error("Error sweeping uploads:", err);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+})();
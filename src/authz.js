@@ -0,0 +1,210 @@
+// Authorization for recipe and attempt routes.
+// Every recipe/attempt route declares the action it performs; the middleware
+// loads the recipe (and attempt), then answers 401/404/403 via sendErrors.
+const crypto = require("crypto");
+const { Prisma } = require("@prisma/client");
+const { buildError, sendErrors } = require("./utils/validate");
+
+// any signed-in user, whatever their role on the recipe
+const ANY_USER = "any-user";
+
+// action -> roles allowed on the recipe; null means anyone, signed in or not.
+// Every action is further limited by the recipe's visibility, see canReadRecipe.
+const RECIPE_PERMISSIONS = {
+  read: null,
+  fork: ANY_USER,
+  update: ["owner"],
+  delete: ["owner"],
+  manageSteps: ["owner"],
+  addAttempt: ["owner", "collaborator"],
+  chooseBestAttempt: ["owner", "collaborator"],
+  restore: ["owner"],
+};
+
+// the only actions allowed on a recipe in the trash
+const TRASH_ACTIONS = ["restore"];
+
+// attempt actions: the attempt's author may always perform them,
+// otherwise the listed recipe roles apply
+const ATTEMPT_PERMISSIONS = {
+  updateAttempt: ["owner"],
+  deleteAttempt: ["owner"],
+};
+
+function sessionUserId(req) {
+  return (req.session && req.session.userId) || null;
+}
+
+function requireAuth(req, res, next) {
+  if (!sessionUserId(req)) {
+    return sendErrors(res, 401, buildError("auth", "authentication required"));
+  }
+  next();
+}
+
+// The user's role on a recipe. Only authors exist for now; collaborator
+// roles will be resolved here once recipes can be shared for editing.
+function recipeRole(recipe, userId) {
+  if (!recipe || !userId) return null;
+  if (recipe.authorId && recipe.authorId === userId) return "owner";
+  return null;
+}
+
+function sameSecret(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// private: roles only; unlisted: roles or the share token; public: everyone
+function canReadRecipe(recipe, userId, shareToken) {
+  if (!recipe.visibility || recipe.visibility === "public") return true;
+  if (recipeRole(recipe, userId)) return true;
+  return (
+    recipe.visibility === "unlisted" &&
+    sameSecret(shareToken, recipe.shareToken)
+  );
+}
+
+// SQL condition (recipe aliased as r) for recipes that may appear in lists:
+// public ones plus everything the user owns. Unlisted and deleted recipes never do.
+function listableRecipesSql(userId) {
+  return userId
+    ? Prisma.sql`r."deletedAt" IS NULL AND (r.visibility = 'public' OR r."authorId" = ${userId})`
+    : Prisma.sql`r."deletedAt" IS NULL AND r.visibility = 'public'`;
+}
+
+function newShareToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+function canOnRecipe(action, recipe, userId) {
+  if (!(action in RECIPE_PERMISSIONS)) {
+    throw new Error(`unknown recipe action: ${action}`);
+  }
+  const roles = RECIPE_PERMISSIONS[action];
+  if (roles === null) return true;
+  if (roles === ANY_USER) return !!userId;
+  return roles.includes(recipeRole(recipe, userId));
+}
+
+function canOnAttempt(action, attempt, recipe, userId) {
+  if (!(action in ATTEMPT_PERMISSIONS)) {
+    throw new Error(`unknown attempt action: ${action}`);
+  }
+  if (!userId) return false;
+  if (attempt.authorId && attempt.authorId === userId) return true;
+  return ATTEMPT_PERMISSIONS[action].includes(recipeRole(recipe, userId));
+}
+
+function needsAuth(permissions, action) {
+  return permissions[action] !== null;
+}
+
+// recipes in the trash are only found by the actions in TRASH_ACTIONS
+async function loadRecipe(prisma, req, res, action) {
+  const recipe = await prisma.recipe.findUnique({
+    where: { id: req.params.id },
+  });
+  if (!recipe || (recipe.deletedAt && !TRASH_ACTIONS.includes(action))) {
+    sendErrors(res, 404, buildError("id", "recipe not found"));
+    return null;
+  }
+  return recipe;
+}
+
+// middleware: loads req.recipe and checks `action` against RECIPE_PERMISSIONS
+function authorizeRecipe(prisma, action) {
+  canOnRecipe(action, null, null); // fail fast on typos at route definition
+  return async (req, res, next) => {
+    try {
+      if (needsAuth(RECIPE_PERMISSIONS, action) && !sessionUserId(req)) {
+        return sendErrors(
+          res,
+          401,
+          buildError("auth", "authentication required")
+        );
+      }
+      const recipe = await loadRecipe(prisma, req, res, action);
+      if (!recipe) return;
+      // hidden recipes look the same as missing ones
+      if (!canReadRecipe(recipe, sessionUserId(req), req.query.share)) {
+        return sendErrors(res, 404, buildError("id", "recipe not found"));
+      }
+      if (!canOnRecipe(action, recipe, sessionUserId(req))) {
+        return sendErrors(res, 403, buildError("auth", "forbidden"));
+      }
+      req.recipe = recipe;
+      next();
+    } catch (error) {
+      console.error("Authorize recipe error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to check permissions")
+      );
+    }
+  };
+}
+
+// middleware: loads req.recipe and req.attempt (which must belong to the recipe)
+function authorizeAttempt(prisma, action) {
+  if (!(action in ATTEMPT_PERMISSIONS)) {
+    throw new Error(`unknown attempt action: ${action}`);
+  }
+  return async (req, res, next) => {
+    try {
+      const userId = sessionUserId(req);
+      if (!userId) {
+        return sendErrors(
+          res,
+          401,
+          buildError("auth", "authentication required")
+        );
+      }
+      const recipe = await loadRecipe(prisma, req, res, action);
+      if (!recipe) return;
+      if (!canReadRecipe(recipe, userId, req.query.share)) {
+        return sendErrors(res, 404, buildError("id", "recipe not found"));
+      }
+      const attempt = await prisma.attempt.findUnique({
+        where: { id: req.params.attemptId },
+      });
+      if (!attempt || attempt.recipeId !== recipe.id) {
+        return sendErrors(
+          res,
+          404,
+          buildError("attemptId", "attempt not found for this recipe")
+        );
+      }
+      if (!canOnAttempt(action, attempt, recipe, userId)) {
+        return sendErrors(res, 403, buildError("auth", "forbidden"));
+      }
+      req.recipe = recipe;
+      req.attempt = attempt;
+      next();
+    } catch (error) {
+      console.error("Authorize attempt error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to check permissions")
+      );
+    }
+  };
+}
+
+module.exports = {
+  RECIPE_PERMISSIONS,
+  ATTEMPT_PERMISSIONS,
+  requireAuth,
+  recipeRole,
+  canOnRecipe,
+  canOnAttempt,
+  canReadRecipe,
+  listableRecipesSql,
+  newShareToken,
+  authorizeRecipe,
+  authorizeAttempt,
+};
@@ -0,0 +1,91 @@
+// src/compare.js
+// Side-by-side comparison of a recipe's attempts: word-level diffs of the
+// attempt texts plus the structured fields that differ between them.
+const { buildError } = require("./utils/validate");
+const { diffWords, diffSets, hasChanges } = require("./utils/diff");
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 6;
+
+// fields shown as plain values, one per attempt
+const VALUE_FIELDS = [
+  "outcome",
+  "rating",
+  "durationMinutes",
+  "cookedAt",
+  "meta",
+  "adjustments",
+];
+
+// parse `ids` (comma separated and/or repeatable); returns { errors, ids }
+function parseCompareIds(query) {
+  const raw = query.ids === undefined ? [] : [].concat(query.ids);
+  const ids = [];
+  raw
+    .flatMap((v) => (typeof v === "string" ? v.split(",") : []))
+    .forEach((part) => {
+      const id = part.trim();
+      if (id && !ids.includes(id)) ids.push(id);
+    });
+  if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+    return {
+      errors: [
+        buildError(
+          "ids",
+          `ids must list ${MIN_COMPARE} to ${MAX_COMPARE} different attempts`
+        ),
+      ],
+      ids,
+    };
+  }
+  return { errors: [], ids };
+}
+
+function cookedTime(attempt) {
+  return new Date(attempt.cookedAt || attempt.createdAt).getTime();
+}
+
+function fieldValue(attempt, field) {
+  const value = attempt[field];
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+// formatted attempts (image urls) in the order they were cooked; each one is
+// diffed against the attempt cooked before it
+function compareAttempts(attempts) {
+  const ordered = [...attempts].sort((a, b) => cookedTime(a) - cookedTime(b));
+
+  const fields = {};
+  for (const field of VALUE_FIELDS) {
+    const values = ordered.map((a) => fieldValue(a, field));
+    const distinct = new Set(values.map((v) => JSON.stringify(v)));
+    fields[field] = { values, differs: distinct.size > 1 };
+  }
+
+  const diffs = ordered.slice(1).map((attempt, i) => {
+    const previous = ordered[i];
+    return {
+      from: previous.id,
+      to: attempt.id,
+      body: diffWords(previous.body, attempt.body),
+      feedback: diffWords(previous.feedback, attempt.feedback),
+      images: diffSets(previous.images, attempt.images),
+    };
+  });
+
+  const changed = [];
+  if (diffs.some((d) => hasChanges(d.body))) changed.push("body");
+  if (diffs.some((d) => hasChanges(d.feedback))) changed.push("feedback");
+  if (diffs.some((d) => d.images.added.length || d.images.removed.length)) {
+    changed.push("images");
+  }
+  changed.push(...VALUE_FIELDS.filter((f) => fields[f].differs));
+
+  return { attempts: ordered, changed, fields, diffs };
+}
+
+module.exports = {
+  parseCompareIds,
+  compareAttempts,
+};
@@ -0,0 +1,157 @@
+// src/dashboard.js
+// Personal cooking dashboard: how often a user cooks (weekly counts, a
+// calendar of cooking days, streaks) and how their recipes are coming along.
+const { buildError } = require("./utils/validate");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKS = 12;
+const CALENDAR_DAYS = 365;
+const MAX_LIST = 10;
+// minutes, as returned by Date#getTimezoneOffset
+const MAX_TZ_OFFSET = 14 * 60;
+
+// parse the optional `tzOffset` query param; returns { errors, tzOffset }
+function parseTzOffset(query) {
+  if (query.tzOffset === undefined) return { errors: [], tzOffset: 0 };
+  const tzOffset = Number(query.tzOffset);
+  if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > MAX_TZ_OFFSET) {
+    return {
+      errors: [
+        buildError(
+          "tzOffset",
+          `tzOffset must be an integer number of minutes from -${MAX_TZ_OFFSET} to ${MAX_TZ_OFFSET}`
+        ),
+      ],
+      tzOffset: 0,
+    };
+  }
+  return { errors: [], tzOffset };
+}
+
+function cookedAt(attempt) {
+  return new Date(attempt.cookedAt || attempt.createdAt);
+}
+
+// "YYYY-MM-DD" of the user's local day
+function dayKey(date, tzOffset) {
+  return new Date(date.getTime() - tzOffset * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function addDays(key, days) {
+  return new Date(Date.parse(key) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the week containing `key`
+function weekStart(key) {
+  const weekday = new Date(Date.parse(key)).getUTCDay();
+  return addDays(key, -((weekday + 6) % 7));
+}
+
+function countBy(keys) {
+  const counts = new Map();
+  for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+  return counts;
+}
+
+// consecutive cooking days ending today, or yesterday when nothing has been
+// cooked yet today; plus the longest run ever
+function streaks(days, today) {
+  let current = 0;
+  let day = days.has(today) ? today : addDays(today, -1);
+  while (days.has(day)) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  for (const d of days) {
+    if (days.has(addDays(d, -1))) continue;
+    let length = 1;
+    while (days.has(addDays(d, length))) length += 1;
+    longest = Math.max(longest, length);
+  }
+  return { current, longest };
+}
+
+// rating gained from the first rated attempt to the best one (the chosen best
+// attempt when it is rated, otherwise the highest rating)
+function ratingImprovement(recipe) {
+  const rated = recipe.attempts
+    .filter((a) => typeof a.rating === "number")
+    .sort((a, b) => cookedAt(a) - cookedAt(b));
+  if (rated.length < 2) return null;
+  const chosen = rated.find((a) => a.id === recipe.bestAttemptId);
+  const best = chosen || rated.reduce((a, b) => (b.rating > a.rating ? b : a));
+  return {
+    id: recipe.id,
+    title: recipe.title,
+    firstRating: rated[0].rating,
+    bestRating: best.rating,
+    delta: best.rating - rated[0].rating,
+  };
+}
+
+// `recipes`: the user's recipes with { id, title, bestAttemptId, tags, attempts };
+// `attempts`: every attempt the user recorded, with cookedAt/createdAt
+function buildDashboard({ recipes, attempts, now = new Date(), tzOffset = 0 }) {
+  const today = dayKey(now, tzOffset);
+  const perDay = countBy(attempts.map((a) => dayKey(cookedAt(a), tzOffset)));
+
+  const perWeek = new Map();
+  for (const [day, n] of perDay) {
+    const week = weekStart(day);
+    perWeek.set(week, (perWeek.get(week) || 0) + n);
+  }
+  const thisWeek = weekStart(today);
+  const attemptsPerWeek = [];
+  for (let i = WEEKS - 1; i >= 0; i--) {
+    const week = addDays(thisWeek, -7 * i);
+    attemptsPerWeek.push({ weekStart: week, count: perWeek.get(week) || 0 });
+  }
+
+  const from = addDays(today, -(CALENDAR_DAYS - 1));
+  const calendarDays = [...perDay]
+    .filter(([day]) => day >= from && day <= today)
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([date, count]) => ({ date, count }));
+
+  const improvements = recipes
+    .map(ratingImprovement)
+    .filter((r) => r && r.delta > 0)
+    .sort((a, b) => b.delta - a.delta || b.bestRating - a.bestRating);
+
+  const attemptedOnce = recipes
+    .filter((r) => r.attempts.length === 1)
+    .map((r) => ({
+      id: r.id,
+      title: r.title,
+      cookedAt: cookedAt(r.attempts[0]).toISOString(),
+    }))
+    .sort((a, b) => (a.cookedAt < b.cookedAt ? -1 : 1));
+
+  const tagCounts = countBy(
+    recipes.flatMap((r) => (r.tags || []).map((rt) => rt.tag.name))
+  );
+  const topTags = [...tagCounts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, MAX_LIST);
+
+  return {
+    totals: { recipes: recipes.length, attempts: attempts.length },
+    attemptsPerWeek,
+    calendar: { from, to: today, days: calendarDays },
+    streak: streaks(new Set(perDay.keys()), today),
+    mostImproved: improvements[0] || null,
+    // recipes cooked once and never again, longest ago first
+    neverReattempted: {
+      total: attemptedOnce.length,
+      items: attemptedOnce.slice(0, MAX_LIST),
+    },
+    topTags,
+  };
+}
+
+module.exports = { parseTzOffset, dayKey, buildDashboard };
@@ -0,0 +1,45 @@
+// src/imageTypes.js
+// The image formats /api/uploads accepts, recognised by their leading bytes
+// rather than the file name or the Content-Type the client sent.
+
+// `options` re-encode a stored original: high quality, PNG and GIF stay
+// lossless
+const IMAGE_TYPES = [
+  { format: "jpeg", mime: "image/jpeg", options: { quality: 95 } },
+  { format: "png", mime: "image/png", options: {} },
+  { format: "webp", mime: "image/webp", options: { quality: 95 } },
+  { format: "gif", mime: "image/gif", options: {} },
+  { format: "avif", mime: "image/avif", options: { quality: 80 } },
+];
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString("latin1");
+}
+
+function formatOf(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (ascii(buffer, 0, 8) === "\x89PNG\r\n\x1a\n") return "png";
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") {
+    return "webp";
+  }
+  if (["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6))) return "gif";
+  // ISO base media file: a "ftyp" box whose major brand names the format
+  if (
+    ascii(buffer, 4, 8) === "ftyp" &&
+    /^avi[fs]$/.test(ascii(buffer, 8, 12))
+  ) {
+    return "avif";
+  }
+  return null;
+}
+
+// the IMAGE_TYPES entry matching the file's contents, or null
+function sniffImageType(buffer) {
+  const format = formatOf(buffer);
+  return IMAGE_TYPES.find((type) => type.format === format) || null;
+}
+
+module.exports = { IMAGE_TYPES, sniffImageType };
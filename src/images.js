@@ -0,0 +1,198 @@
+// src/images.js
+// Ordered image galleries for recipes and attempts: nested create data from
+// validated payloads, response fields, and reordering / captioning images in
+// place. An owner is { recipeId } or { attemptId }. Image.url holds a storage
+// key; responses carry public urls.
+const { buildError } = require("./utils/validate");
+const { variantSources, aspectRatio } = require("./variants");
+const { IMAGES_PREFIX, publicUrl, ownKey, toKey } = require("./storage");
+
+// include/findMany options that return a gallery in display order, with the
+// variants of each image's upload
+const orderedImages = {
+  orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+  include: { upload: { include: { variants: true } } },
+};
+
+// uploads whose key or one of whose variant keys is in `keys`, by each of
+// those keys
+async function uploadsByKey(db, keys) {
+  if (!keys.length) return new Map();
+  const uploads = await db.upload.findMany({
+    where: {
+      OR: [
+        { key: { in: keys } },
+        { variants: { some: { key: { in: keys } } } },
+      ],
+    },
+    select: {
+      id: true,
+      key: true,
+      width: true,
+      height: true,
+      dominantColor: true,
+      lqip: true,
+      variants: { select: { key: true } },
+    },
+  });
+  const byKey = new Map();
+  for (const upload of uploads) {
+    for (const key of [upload.key, ...upload.variants.map((v) => v.key)]) {
+      byKey.set(key, upload);
+    }
+  }
+  return byKey;
+}
+
+// the keys among `keys` (all under images/) of uploads or their variants, or
+// that images already show (files stored before uploads were recorded)
+async function knownImageKeys(db, keys) {
+  const uploads = await uploadsByKey(db, keys);
+  const rest = keys.filter((key) => !uploads.has(key));
+  const images = rest.length
+    ? await db.image.findMany({
+        where: { url: { in: rest } },
+        select: { url: true },
+      })
+    : [];
+  return new Set([...uploads.keys(), ...images.map((img) => img.url)]);
+}
+
+// Clients may only point at our storage with the url of an upload (or one of
+// its variants) under images/, or of a file an image already shows; any
+// other key, originals included, is refused. Foreign urls are kept as they
+// are. `field(i)` names the error for item i.
+async function checkImageUrls(db, items, field = (i) => `images[${i}].url`) {
+  const keys = items.map((item) => ownKey(item.url));
+  const known = await knownImageKeys(db, [
+    ...new Set(keys.filter((key) => key && key.startsWith(IMAGES_PREFIX))),
+  ]);
+  return keys.flatMap((key, i) =>
+    key === null || known.has(key)
+      ? []
+      : [
+          buildError(
+            field(i),
+            "image must be an uploaded image or an external url"
+          ),
+        ]
+  );
+}
+
+// nested create data for items checked by validateImages and checkImageUrls
+// (or loaded images, when copying a gallery); the array order becomes the
+// position. Images of files uploaded through /api/uploads are linked to
+// their upload by key, which claims pending uploads so the sweeper keeps
+// them, and get its placeholder.
+async function imagesCreateData(db, items) {
+  // clients send back the urls they were given; store keys
+  const keys = items.map((item) => toKey(item.url));
+  const byKey = await uploadsByKey(db, keys);
+  const uploads = [...new Set(byKey.values())];
+  if (uploads.length) {
+    await db.upload.updateMany({
+      where: { id: { in: uploads.map((u) => u.id) }, claimedAt: null },
+      data: { claimedAt: new Date() },
+    });
+  }
+  return items.map(({ caption, isCover }, position) => {
+    const upload = byKey.get(keys[position]);
+    return {
+      url: upload ? upload.key : keys[position],
+      caption: caption || null,
+      isCover: isCover === true,
+      position,
+      uploadId: upload ? upload.id : null,
+      dominantColor: upload ? upload.dominantColor : null,
+      aspectRatio: upload ? aspectRatio(upload.width, upload.height) : null,
+      lqip: upload ? upload.lqip : null,
+    };
+  });
+}
+
+// size, placeholder and <picture> sources are only known for our own uploads
+function formatImage(img) {
+  const { id, position, caption, isCover, upload } = img;
+  return {
+    id,
+    url: publicUrl(img.url),
+    position,
+    caption,
+    isCover,
+    width: upload ? upload.width : null,
+    height: upload ? upload.height : null,
+    aspectRatio:
+      img.aspectRatio ||
+      (upload ? aspectRatio(upload.width, upload.height) : null),
+    dominantColor: img.dominantColor || (upload ? upload.dominantColor : null),
+    lqip: img.lqip || (upload ? upload.lqip : null),
+    sources: upload ? variantSources(upload.variants) : [],
+  };
+}
+
+// response fields for a loaded gallery: urls in order, the cover (the flagged
+// image, else the first) and per-image details
+function imageFields(images) {
+  const list = images || [];
+  const cover = list.find((img) => img.isCover) || list[0] || null;
+  return {
+    images: list.map((img) => publicUrl(img.url)),
+    cover: cover ? publicUrl(cover.url) : null,
+    imageDetails: list.map(formatImage),
+  };
+}
+
+function findImages(db, owner) {
+  return db.image.findMany({ where: owner, ...orderedImages });
+}
+
+// `ids` must list every image of the owner exactly once
+function validateImageOrder(ids, images) {
+  if (!Array.isArray(ids) || !ids.every((id) => typeof id === "string")) {
+    return [buildError("ids", "ids must be an array of image ids")];
+  }
+  const current = images.map((img) => img.id);
+  const same =
+    ids.length === current.length &&
+    new Set(ids).size === ids.length &&
+    ids.every((id) => current.includes(id));
+  return same
+    ? []
+    : [buildError("ids", "ids must list each of the images exactly once")];
+}
+
+async function reorderImages(db, owner, ids) {
+  await db.$transaction(
+    ids.map((id, position) =>
+      db.image.update({ where: { id }, data: { position } })
+    )
+  );
+  return findImages(db, owner);
+}
+
+// caption / cover change for one image; a new cover replaces the old one
+async function updateImage(db, owner, imageId, data) {
+  await db.$transaction([
+    ...(data.isCover
+      ? [
+          db.image.updateMany({
+            where: { ...owner, isCover: true },
+            data: { isCover: false },
+          }),
+        ]
+      : []),
+    db.image.update({ where: { id: imageId }, data }),
+  ]);
+  return findImages(db, owner);
+}
+
+module.exports = {
+  orderedImages,
+  checkImageUrls,
+  imagesCreateData,
+  imageFields,
+  findImages,
+  validateImageOrder,
+  reorderImages,
+  updateImage,
+};
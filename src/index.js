@@ -5,7 +5,7 @@ const app = express();
 const PORT = process.env.PORT || 4000;
 const cors = require("cors");
 const path = require("path");
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 const session = require("express-session");
 const { PrismaSessionStore } = require("@quixo3/prisma-session-store");
 const bcrypt = require("bcrypt");
@@ -95,7 +95,90 @@ const {
   isStringOrEmpty,
   isPlainObject,
   ensureArray,
+  parseQuantity,
+  validateIngredients,
+  validateStep,
+  validateAttemptFields,
+  validateVisibility,
+  validateTags,
+  validateServings,
+  validateBakersFormula,
+  validateImages,
+  validateImageUpdate,
 } = require("./utils/validate");
+const {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+} = require("./utils/pagination");
+const { searchTerms, buildHighlights } = require("./utils/highlight");
+const {
+  roundQuantity,
+  roundIngredients,
+  scaleRecipe,
+} = require("./utils/scale");
+const {
+  UNIT_SYSTEMS,
+  findUnit,
+  findTemperatureUnit,
+  convert,
+  convertIngredient,
+  convertRecipe,
+} = require("./utils/units");
+const { bakersPercentages, formulaWeights } = require("./utils/bakers");
+const {
+  RECIPE_SORTS,
+  ATTEMPT_SORTS,
+  isValidCursor,
+  findRecipePage,
+  findAttemptPage,
+} = require("./listing");
+const {
+  requireAuth,
+  authorizeRecipe,
+  authorizeAttempt,
+  recipeRole,
+  canReadRecipe,
+  listableRecipesSql,
+  newShareToken,
+} = require("./authz");
+const {
+  contentInclude,
+  isContentUpdate,
+  recipeContent,
+  revisionContent,
+  formatRevision,
+  snapshotRecipe,
+  restoreData,
+  diffContents,
+} = require("./revisions");
+const { purgeAt, purgeDeletedRecipes } = require("./purge");
+const { sweepUploads } = require("./sweep");
+const { getStorage, publicUrl } = require("./storage");
+const { parseCompareIds, compareAttempts } = require("./compare");
+const { recipeStats } = require("./stats");
+const {
+  orderedImages,
+  checkImageUrls,
+  imagesCreateData,
+  imageFields,
+  findImages,
+  validateImageOrder,
+  reorderImages,
+  updateImage,
+} = require("./images");
+const { parseTzOffset, buildDashboard } = require("./dashboard");
+const { quotaBytes, uploadUsageSelect, storageReport } = require("./quota");
+const {
+  tagsCreateData,
+  tagNames,
+  parseTagFilter,
+  tagFilterSql,
+} = require("./tags");
+
+// every recipe/attempt route names the action it performs
+const recipeAccess = (action) => authorizeRecipe(prisma, action);
+const attemptAccess = (action) => authorizeAttempt(prisma, action);
 
 // --- Health
 app.get("/api/health", (req, res) => {
@@ -107,34 +190,26 @@ app.use((req, res, next) => {
   next();
 });
 
-// serve uploads
-app.use(
-  "/uploads",
-  express.static(path.join(__dirname, "..", "public", "uploads"))
-);
+// uploaded files live in the configured storage backend (STORAGE_BACKEND);
+// the local backend is served from here, S3-compatible stores serve themselves
+const storage = getStorage();
+if (storage.handler) app.use(storage.baseUrl, storage.handler());
 
 // mount uploads route
-const uploadsRouter = require("./uploads");
-app.use("/api/uploads", uploadsRouter);
+const { createUploadsRouter } = require("./uploads");
+app.use("/api/uploads", createUploadsRouter(prisma, storage));
 
 // auth helpers
 function toPublicUser(user) {
   if (!user) return null;
-  const { id, email, name, createdAt, updatedAt } = user;
-  return { id, email, name, createdAt, updatedAt };
+  const { id, email, name, preferredUnits, createdAt, updatedAt } = user;
+  return { id, email, name, preferredUnits, createdAt, updatedAt };
 }
 
 async function findUserByEmail(email) {
   return prisma.user.findUnique({ where: { email } });
 }
 
-function requireAuth(req, res, next) {
-  if (!req.session || !req.session.userId) {
-    return sendErrors(res, 401, buildError("auth", "authentication required"));
-  }
-  next();
-}
-
 // --- Auth routes ---
 app.post("/api/auth/register", authLimiter, async (req, res) => {
   try {
@@ -233,7 +308,7 @@ app.get("/api/auth/me", async (req, res) => {
 // Add user profile update endpoint
 app.put("/api/auth/me", requireAuth, async (req, res) => {
   try {
-    const { name, email } = req.body || {};
+    const { name, email, preferredUnits } = req.body || {};
     const errors = [];
 
     if (
@@ -245,6 +320,19 @@ app.put("/api/auth/me", requireAuth, async (req, res) => {
     if (name !== undefined && !isStringOrEmpty(name)) {
       errors.push(buildError("name", "name must be a string"));
     }
+    // null shows recipes in the units they were written in
+    if (
+      preferredUnits !== undefined &&
+      preferredUnits !== null &&
+      !UNIT_SYSTEMS.includes(preferredUnits)
+    ) {
+      errors.push(
+        buildError(
+          "preferredUnits",
+          `preferredUnits must be one of ${UNIT_SYSTEMS.join(", ")} or null`
+        )
+      );
+    }
 
     if (errors.length) return sendErrors(res, 400, errors);
 
@@ -267,6 +355,7 @@ app.put("/api/auth/me", requireAuth, async (req, res) => {
         ...(name !== undefined && {
           name: isStringOrEmpty(name) ? name : null,
         }),
+        ...(preferredUnits !== undefined && { preferredUnits }),
       },
     });
 
@@ -374,57 +463,174 @@ function recipeWithBest(recipe) {
   return out;
 }
 
+// relations loaded for every recipe payload
+const recipeInclude = {
+  images: orderedImages,
+  ingredients: { orderBy: { position: "asc" } },
+  steps: { orderBy: { position: "asc" }, include: { images: true } },
+  attempts: {
+    include: {
+      images: orderedImages,
+    },
+  },
+  forkedFrom: {
+    select: {
+      id: true,
+      title: true,
+      authorId: true,
+      visibility: true,
+      deletedAt: true,
+    },
+  },
+  tags: { include: { tag: true } },
+};
+
+function formatIngredient(ing) {
+  const { id, position, quantity, unit, name, note, group } = ing;
+  return { id, position, quantity, unit, name, note, group };
+}
+
+function formatStep(step) {
+  const { id, position, text, durationSeconds, temperature, temperatureUnit } =
+    step;
+  const image = (step.images || [])[0];
+  return {
+    id,
+    position,
+    text,
+    durationSeconds,
+    temperature,
+    temperatureUnit,
+    image: image ? publicUrl(image.url) : null,
+  };
+}
+
+function formatAttempt(attempt) {
+  return {
+    ...attempt,
+    ...imageFields(attempt.images),
+    adjustments: Array.isArray(attempt.adjustments) ? attempt.adjustments : [],
+  };
+}
+
+// visibility fields to store; entering "unlisted" issues a fresh share token,
+// leaving it revokes the old link
+function visibilityData(visibility, current) {
+  if (visibility !== "unlisted") return { visibility, shareToken: null };
+  const keep =
+    current && current.visibility === "unlisted" && current.shareToken;
+  return { visibility, shareToken: keep || newShareToken() };
+}
+
+// helper: flatten relations (image urls, ingredient fields) and attach bestAttempt.
+// The share token is only revealed to users with a role on the recipe, and the
+// fork parent only to users who may read it. Baking recipes carry their
+// baker's percentages.
+function formatRecipe(recipe, viewerId) {
+  const { shareToken, forkedFrom, ...rest } = recipe;
+  const ingredients = (recipe.ingredients || []).map(formatIngredient);
+  return recipeWithBest({
+    ...rest,
+    ...(recipeRole(recipe, viewerId) ? { shareToken } : {}),
+    forkedFrom:
+      forkedFrom && !forkedFrom.deletedAt && canReadRecipe(forkedFrom, viewerId)
+        ? {
+            id: forkedFrom.id,
+            title: forkedFrom.title,
+            authorId: forkedFrom.authorId,
+          }
+        : null,
+    ...imageFields(recipe.images),
+    ingredients,
+    bakersPercentages: recipe.baking ? bakersPercentages(ingredients) : null,
+    tags: tagNames(recipe),
+    steps: (recipe.steps || []).map(formatStep),
+    attempts: (recipe.attempts || []).map(formatAttempt),
+  });
+}
+
 // --- Create recipe
-// Expected JSON body: { title: "...", body: "optional text", images: ["..."], feedback: "..." }
+// Expected JSON body: { title: "...", body: "optional text", feedback: "...",
+//   images: ["url" | { url, caption?, isCover? }] (in display order),
+//   ingredients: [{ name, quantity?, unit?, note?, group? }], servings: 4, baking: false, tags: ["..."] }
 app.post("/api/recipes", writeLimiter, async (req, res) => {
-  const payload = req.body || {};
-  const errors = [];
+  try {
+    const payload = req.body || {};
+    const errors = [];
+    let ingredients = [];
+    let tags = [];
 
-  if (!isNonEmptyString(payload.title)) {
-    errors.push(
-      buildError("title", "title is required and must be a non-empty string")
-    );
-  }
-  if (payload.body !== undefined && !isStringOrEmpty(payload.body)) {
-    errors.push(buildError("body", "body must be a string"));
-  }
-  if (payload.feedback !== undefined && !isStringOrEmpty(payload.feedback)) {
-    errors.push(buildError("feedback", "feedback must be a string"));
-  }
-  if (payload.images !== undefined && !Array.isArray(payload.images)) {
-    errors.push(buildError("images", "images must be an array"));
-  }
-  if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
-    errors.push(buildError("meta", "meta must be an object"));
-  }
+    if (!isNonEmptyString(payload.title)) {
+      errors.push(
+        buildError("title", "title is required and must be a non-empty string")
+      );
+    }
+    if (payload.body !== undefined && !isStringOrEmpty(payload.body)) {
+      errors.push(buildError("body", "body must be a string"));
+    }
+    if (payload.feedback !== undefined && !isStringOrEmpty(payload.feedback)) {
+      errors.push(buildError("feedback", "feedback must be a string"));
+    }
+    let images = [];
+    if (payload.images !== undefined) {
+      const checked = validateImages(payload.images);
+      errors.push(...checked.errors);
+      images = checked.items;
+      errors.push(...(await checkImageUrls(prisma, images)));
+    }
+    if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
+      errors.push(buildError("meta", "meta must be an object"));
+    }
+    if (payload.ingredients !== undefined) {
+      const checked = validateIngredients(payload.ingredients);
+      errors.push(...checked.errors);
+      ingredients = checked.items;
+    }
+    if (payload.tags !== undefined) {
+      const checked = validateTags(payload.tags);
+      errors.push(...checked.errors);
+      tags = checked.items;
+    }
+    if (payload.servings !== undefined) {
+      errors.push(...validateServings(payload.servings));
+    }
+    if (payload.baking !== undefined && typeof payload.baking !== "boolean") {
+      errors.push(buildError("baking", "baking must be a boolean"));
+    }
+    const userId = (req.session && req.session.userId) || null;
+    const visibility =
+      payload.visibility === undefined ? "public" : payload.visibility;
+    const visibilityErrors = validateVisibility(visibility);
+    errors.push(...visibilityErrors);
+    // a recipe without an author could never be read again unless it is public
+    if (!visibilityErrors.length && visibility !== "public" && !userId) {
+      errors.push(
+        buildError(
+          "visibility",
+          "sign in to create a private or unlisted recipe"
+        )
+      );
+    }
 
-  if (errors.length) return sendErrors(res, 400, errors);
+    if (errors.length) return sendErrors(res, 400, errors);
 
-  try {
     // 创建菜谱
     const recipe = await prisma.recipe.create({
       data: {
         title: payload.title.trim(),
         body: isStringOrEmpty(payload.body) ? payload.body : "",
         feedback: isStringOrEmpty(payload.feedback) ? payload.feedback : "",
-        images: {
-          create: ensureArray(payload.images).map((url) => ({ url })),
-        },
+        images: { create: await imagesCreateData(prisma, images) },
+        ingredients: { create: ingredients },
+        servings: payload.servings === undefined ? null : payload.servings,
+        baking: payload.baking === true,
+        tags: { create: tagsCreateData(tags) },
         meta: isPlainObject(payload.meta) ? payload.meta : {},
-        // Prefer the authenticated user as the author when available
-        authorId:
-          req.session && req.session.userId
-            ? req.session.userId
-            : payload.authorId || null,
-      },
-      include: {
-        images: true,
-        attempts: {
-          include: {
-            images: true,
-          },
-        },
+        ...visibilityData(visibility, null),
+        // the author is always the signed-in user; anonymous recipes have none
+        authorId: userId,
       },
+      include: recipeInclude,
     });
 
     // 如果有菜谱内容，自动创建一个最佳尝试
@@ -433,16 +639,17 @@ app.post("/api/recipes", writeLimiter, async (req, res) => {
         data: {
           body: recipe.body,
           feedback: recipe.feedback || "",
+          ...(recipe.authorId
+            ? { author: { connect: { id: recipe.authorId } } }
+            : {}),
           recipe: {
             connect: { id: recipe.id },
           },
-          images: {
-            create: recipe.images.map((img) => ({ url: img.url })),
-          },
+          images: { create: await imagesCreateData(prisma, recipe.images) },
           meta: recipe.meta || {},
         },
         include: {
-          images: true,
+          images: orderedImages,
         },
       });
 
@@ -455,39 +662,13 @@ app.post("/api/recipes", writeLimiter, async (req, res) => {
       // 重新获取更新后的菜谱
       const updatedRecipe = await prisma.recipe.findUnique({
         where: { id: recipe.id },
-        include: {
-          images: true,
-          attempts: {
-            include: {
-              images: true,
-            },
-          },
-        },
-      });
-
-      // Transform recipe to match the expected format
-      const recipeResponse = recipeWithBest({
-        ...updatedRecipe,
-        images: updatedRecipe.images.map((img) => img.url),
-        attempts: updatedRecipe.attempts.map((attempt) => ({
-          ...attempt,
-          images: attempt.images.map((img) => img.url),
-        })),
+        include: recipeInclude,
       });
 
-      res.status(201).json(recipeResponse);
+      res.status(201).json(formatRecipe(updatedRecipe, userId));
     } else {
       // 如果没有菜谱内容，直接返回原始菜谱
-      const recipeResponse = recipeWithBest({
-        ...recipe,
-        images: recipe.images.map((img) => img.url),
-        attempts: recipe.attempts.map((attempt) => ({
-          ...attempt,
-          images: attempt.images.map((img) => img.url),
-        })),
-      });
-
-      res.status(201).json(recipeResponse);
+      res.status(201).json(formatRecipe(recipe, userId));
     }
   } catch (error) {
     console.error("Create recipe error:", error);
@@ -499,10 +680,45 @@ app.post("/api/recipes", writeLimiter, async (req, res) => {
   }
 });
 
+// parse `sort`, `limit` and `cursor` query params shared by list endpoints;
+// sends a 400 and returns null when any of them is invalid
+function parseListParams(req, res, sorts, defaultSort) {
+  const errors = [];
+  const sort = req.query.sort === undefined ? defaultSort : req.query.sort;
+  if (!Object.prototype.hasOwnProperty.call(sorts, sort)) {
+    errors.push(
+      buildError("sort", `sort must be one of ${Object.keys(sorts).join(", ")}`)
+    );
+  }
+  const limit = parseLimit(req.query.limit);
+  if (Number.isNaN(limit)) {
+    errors.push(buildError("limit", "limit must be a positive integer"));
+  }
+  let cursor = null;
+  if (req.query.cursor !== undefined && !errors.length) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!isValidCursor(cursor, sort, sorts[sort])) {
+      errors.push(buildError("cursor", "invalid cursor"));
+    }
+  }
+  if (errors.length) {
+    sendErrors(res, 400, errors);
+    return null;
+  }
+  return { sort, limit, cursor };
+}
+
 // --- List recipes
+// GET /api/recipes?q=&mine=true&tag=&tag=&match=&sort=&limit=&cursor=
+// sort: newest (default), oldest, updated, attempts, rating, or relevance
+// (default when searching with `q`; search items also carry `score` and
+// `highlights`). `tag` may repeat; match=all (default) keeps recipes with every
+// tag, match=any those with at least one. Responds with
+// { total, items, nextCursor, limit, sort, facets }, where facets are
+// [{ name, count }] tag counts over all matching recipes.
 app.get("/api/recipes", async (req, res) => {
   try {
-    const q = (req.query.q || "").toLowerCase();
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
     const mine = req.query.mine === "true" || req.query.mine === true;
 
     // If requesting only 'mine' recipes, ensure the user is authenticated
@@ -514,44 +730,59 @@ app.get("/api/recipes", async (req, res) => {
       );
     }
 
-    const recipes = await prisma.recipe.findMany({
-      include: {
-        images: true,
-        attempts: {
-          include: {
-            images: true,
-          },
-        },
-      },
-      where: mine ? { authorId: req.session.userId } : undefined,
-      orderBy: {
-        createdAt: "desc",
-      },
-    });
-
-    // Transform recipes to match the expected format
-    let list = recipes.map((recipe) => ({
-      ...recipe,
-      images: recipe.images.map((img) => img.url),
-      attempts: recipe.attempts.map((attempt) => ({
-        ...attempt,
-        images: attempt.images.map((img) => img.url),
-      })),
-    }));
+    const tagFilter = parseTagFilter(req.query);
+    if (tagFilter.errors.length) {
+      return sendErrors(res, 400, tagFilter.errors);
+    }
 
-    // Apply search filter
-    if (q) {
-      list = list.filter(
-        (r) =>
-          (r.title && r.title.toLowerCase().includes(q)) ||
-          (r.body && r.body.toLowerCase().includes(q)) ||
-          (r.feedback && r.feedback.toLowerCase().includes(q))
+    const params = parseListParams(
+      req,
+      res,
+      RECIPE_SORTS,
+      q ? "relevance" : "newest"
+    );
+    if (!params) return;
+    if (params.sort === "relevance" && !q) {
+      return sendErrors(
+        res,
+        400,
+        buildError("sort", "relevance sort requires a search query")
       );
     }
 
-    // Attach bestAttempt for each recipe (if any)
-    const items = list.map((r) => recipeWithBest(r));
-    res.json({ total: items.length, items });
+    const terms = searchTerms(q);
+    const visible = mine
+      ? Prisma.sql`r."authorId" = ${req.session.userId} AND r."deletedAt" IS NULL`
+      : listableRecipesSql(req.session && req.session.userId);
+    const tagged = tagFilterSql(tagFilter.tags, tagFilter.match);
+    const where = Prisma.sql`${visible} AND ${tagged}`;
+    const page = await findRecipePage(prisma, { q, terms, where, ...params });
+
+    const found = await prisma.recipe.findMany({
+      where: { id: { in: page.rows.map((row) => row.id) } },
+      include: recipeInclude,
+    });
+    const byId = new Map(found.map((r) => [r.id, r]));
+    const items = page.rows
+      .filter((row) => byId.has(row.id))
+      .map((row) => {
+        const recipe = formatRecipe(byId.get(row.id), req.session.userId);
+        if (!q) return recipe;
+        return {
+          ...recipe,
+          score: row.rank,
+          highlights: buildHighlights(recipe, terms),
+        };
+      });
+
+    res.json({
+      total: page.total,
+      items,
+      nextCursor: page.nextCursor ? encodeCursor(page.nextCursor) : null,
+      limit: params.limit,
+      sort: params.sort,
+      facets: page.facets,
+    });
   } catch (error) {
     console.error("List recipes error:", error);
     return sendErrors(
@@ -563,35 +794,44 @@ app.get("/api/recipes", async (req, res) => {
 });
 
 // --- Get single recipe
-app.get("/api/recipes/:id", async (req, res) => {
+// GET /api/recipes/:id?servings=N returns the ingredients scaled from the
+// recipe's own servings to N, rounded for the kitchen (see utils/scale.js).
+// ?units=metric|imperial restates ingredient amounts and step temperatures in
+// that system (see utils/units.js); both can be combined.
+app.get("/api/recipes/:id", recipeAccess("read"), async (req, res) => {
   try {
-    const id = req.params.id;
+    const errors = [];
+    let servings;
+    if (req.query.servings !== undefined) {
+      servings = Number(req.query.servings);
+      errors.push(...validateServings(servings, { allowNull: false }));
+      if (!errors.length && !req.recipe.servings) {
+        errors.push(
+          buildError("servings", "recipe has no servings to scale from")
+        );
+      }
+    }
+    const units = req.query.units;
+    if (units !== undefined && !UNIT_SYSTEMS.includes(units)) {
+      errors.push(
+        buildError("units", `units must be one of ${UNIT_SYSTEMS.join(", ")}`)
+      );
+    }
+    if (errors.length) return sendErrors(res, 400, errors);
+
     const recipe = await prisma.recipe.findUnique({
-      where: { id },
-      include: {
-        images: true,
-        attempts: {
-          include: {
-            images: true,
-          },
-        },
-      },
+      where: { id: req.recipe.id },
+      include: recipeInclude,
     });
 
-    if (!recipe)
-      return sendErrors(res, 404, buildError("id", "recipe not found"));
-
-    // Transform recipe to match the expected format
-    const recipeResponse = {
-      ...recipe,
-      images: recipe.images.map((img) => img.url),
-      attempts: recipe.attempts.map((attempt) => ({
-        ...attempt,
-        images: attempt.images.map((img) => img.url),
-      })),
-    };
-
-    res.json(recipeWithBest(recipeResponse));
+    let out = formatRecipe(recipe, req.session.userId);
+    // convert before scaling so amounts are only rounded once
+    if (units) out = convertRecipe(out, units);
+    if (servings) out = scaleRecipe(out, servings);
+    else if (units) {
+      out = { ...out, ingredients: roundIngredients(out.ingredients) };
+    }
+    res.json(out);
   } catch (error) {
     console.error("Get recipe error:", error);
     return sendErrors(res, 500, buildError("database", "Failed to get recipe"));
@@ -599,413 +839,851 @@ app.get("/api/recipes/:id", async (req, res) => {
 });
 
 // --- Update recipe (full replace via PUT) -- keep existing behavior
-app.put("/api/recipes/:id", requireAuth, writeLimiter, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const recipe = await prisma.recipe.findUnique({
-      where: { id },
-      include: {
-        images: true,
-      },
-    });
-
-    if (!recipe)
-      return sendErrors(res, 404, buildError("id", "recipe not found"));
+app.put(
+  "/api/recipes/:id",
+  recipeAccess("update"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const recipe = req.recipe;
+      const id = recipe.id;
 
-    // only the recipe author may update
-    console.log("owner-check PUT", {
-      recipeId: id,
-      recipeAuthorId: recipe.authorId,
-      sessionUserId: req.session && req.session.userId,
-      typeofAuthor: typeof recipe.authorId,
-      typeofSession: typeof (req.session && req.session.userId),
-    });
-    if (!recipe.authorId || recipe.authorId !== req.session.userId) {
-      return sendErrors(res, 403, buildError("auth", "forbidden"));
-    }
+      const payload = req.body || {};
+      const errors = [];
 
-    const payload = req.body || {};
-    const errors = [];
+      if (payload.title !== undefined && !isNonEmptyString(payload.title)) {
+        errors.push(
+          buildError("title", "title must be a non-empty string when provided")
+        );
+      }
+      if (payload.body !== undefined && !isStringOrEmpty(payload.body)) {
+        errors.push(buildError("body", "body must be a string"));
+      }
+      if (
+        payload.feedback !== undefined &&
+        !isStringOrEmpty(payload.feedback)
+      ) {
+        errors.push(buildError("feedback", "feedback must be a string"));
+      }
+      let images;
+      if (payload.images !== undefined) {
+        const checked = validateImages(payload.images);
+        errors.push(...checked.errors);
+        images = checked.items;
+        errors.push(...(await checkImageUrls(prisma, images)));
+      }
+      if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
+        errors.push(buildError("meta", "meta must be an object"));
+      }
+      let ingredients;
+      if (payload.ingredients !== undefined) {
+        const checked = validateIngredients(payload.ingredients);
+        errors.push(...checked.errors);
+        ingredients = checked.items;
+      }
+      if (payload.visibility !== undefined) {
+        errors.push(...validateVisibility(payload.visibility));
+      }
+      if (payload.servings !== undefined) {
+        errors.push(...validateServings(payload.servings));
+      }
+      if (payload.baking !== undefined && typeof payload.baking !== "boolean") {
+        errors.push(buildError("baking", "baking must be a boolean"));
+      }
 
-    if (payload.title !== undefined && !isNonEmptyString(payload.title)) {
-      errors.push(
-        buildError("title", "title must be a non-empty string when provided")
-      );
-    }
-    if (payload.body !== undefined && !isStringOrEmpty(payload.body)) {
-      errors.push(buildError("body", "body must be a string"));
-    }
-    if (payload.feedback !== undefined && !isStringOrEmpty(payload.feedback)) {
-      errors.push(buildError("feedback", "feedback must be a string"));
-    }
-    if (payload.images !== undefined && !Array.isArray(payload.images)) {
-      errors.push(buildError("images", "images must be an array"));
-    }
-    if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
-      errors.push(buildError("meta", "meta must be an object"));
-    }
+      if (errors.length) return sendErrors(res, 400, errors);
 
-    if (errors.length) return sendErrors(res, 400, errors);
+      const updatedRecipe = await prisma.$transaction(async (tx) => {
+        // keep the version being replaced
+        await snapshotRecipe(tx, id, req.session.userId);
 
-    // First delete existing images
-    await prisma.image.deleteMany({
-      where: { recipeId: id },
-    });
+        // First delete existing images
+        await tx.image.deleteMany({
+          where: { recipeId: id },
+        });
 
-    // Then update the recipe and create new images
-    const updatedRecipe = await prisma.recipe.update({
-      where: { id },
-      data: {
-        title:
-          payload.title !== undefined ? payload.title.trim() : recipe.title,
-        body: payload.body !== undefined ? payload.body : recipe.body,
-        feedback:
-          payload.feedback !== undefined ? payload.feedback : recipe.feedback,
-        meta: payload.meta !== undefined ? payload.meta : recipe.meta,
-        images: {
-          create: Array.isArray(payload.images)
-            ? payload.images.map((url) => ({ url }))
-            : [],
-        },
-      },
-      include: {
-        images: true,
-        attempts: {
-          include: {
-            images: true,
+        // Then update the recipe and create new images
+        return tx.recipe.update({
+          where: { id },
+          data: {
+            title:
+              payload.title !== undefined ? payload.title.trim() : recipe.title,
+            body: payload.body !== undefined ? payload.body : recipe.body,
+            feedback:
+              payload.feedback !== undefined
+                ? payload.feedback
+                : recipe.feedback,
+            meta: payload.meta !== undefined ? payload.meta : recipe.meta,
+            ...(payload.servings !== undefined
+              ? { servings: payload.servings }
+              : {}),
+            ...(payload.baking !== undefined ? { baking: payload.baking } : {}),
+            images: { create: await imagesCreateData(tx, images || []) },
+            // ingredients are only replaced when provided
+            ...(ingredients
+              ? { ingredients: { deleteMany: {}, create: ingredients } }
+              : {}),
+            ...(payload.visibility !== undefined
+              ? visibilityData(payload.visibility, recipe)
+              : {}),
           },
-        },
-      },
-    });
+          include: recipeInclude,
+        });
+      });
 
-    // Transform recipe to match the expected format
-    const recipeResponse = {
-      ...updatedRecipe,
-      images: updatedRecipe.images.map((img) => img.url),
-      attempts: updatedRecipe.attempts.map((attempt) => ({
-        ...attempt,
-        images: attempt.images.map((img) => img.url),
-      })),
-    };
-
-    res.json(recipeWithBest(recipeResponse));
-  } catch (error) {
-    console.error("Update recipe error:", error);
-    return sendErrors(
-      res,
-      500,
-      buildError("database", "Failed to update recipe")
-    );
+      res.json(formatRecipe(updatedRecipe, req.session.userId));
+    } catch (error) {
+      console.error("Update recipe error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to update recipe")
+      );
+    }
   }
-});
+);
 
 // --- Partial update recipe (PATCH) --- supports bestAttemptId and other partial updates
-app.patch("/api/recipes/:id", requireAuth, writeLimiter, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const recipe = await prisma.recipe.findUnique({
-      where: { id },
-      include: {
-        images: true,
-      },
-    });
-
-    if (!recipe)
-      return sendErrors(res, 404, buildError("id", "recipe not found"));
-
-    console.log("owner-check PATCH", {
-      recipeId: id,
-      recipeAuthorId: recipe.authorId,
-      sessionUserId: req.session && req.session.userId,
-      typeofAuthor: typeof recipe.authorId,
-      typeofSession: typeof (req.session && req.session.userId),
-    });
-    // only the recipe author may patch
-    if (!recipe.authorId || recipe.authorId !== req.session.userId) {
-      return sendErrors(res, 403, buildError("auth", "forbidden"));
-    }
+app.patch(
+  "/api/recipes/:id",
+  recipeAccess("update"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const id = req.recipe.id;
 
-    const payload = req.body || {};
-    const errors = [];
+      const payload = req.body || {};
+      const errors = [];
 
-    if (payload.title !== undefined && !isNonEmptyString(payload.title)) {
-      errors.push(
-        buildError("title", "title must be a non-empty string when provided")
-      );
-    }
-    if (payload.body !== undefined && !isStringOrEmpty(payload.body)) {
-      errors.push(buildError("body", "body must be a string"));
-    }
-    if (payload.feedback !== undefined && !isStringOrEmpty(payload.feedback)) {
-      errors.push(buildError("feedback", "feedback must be a string"));
-    }
-    if (payload.images !== undefined && !Array.isArray(payload.images)) {
-      errors.push(buildError("images", "images must be an array"));
-    }
-    if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
-      errors.push(buildError("meta", "meta must be an object"));
-    }
-    if (payload.bestAttemptId !== undefined) {
-      // allow null to clear bestAttemptId
-      if (
-        payload.bestAttemptId !== null &&
-        !isNonEmptyString(payload.bestAttemptId)
-      ) {
+      if (payload.title !== undefined && !isNonEmptyString(payload.title)) {
         errors.push(
-          buildError(
-            "bestAttemptId",
-            "bestAttemptId must be a non-empty string or null"
-          )
+          buildError("title", "title must be a non-empty string when provided")
         );
-      } else if (payload.bestAttemptId !== null) {
-        // ensure attempt belongs to this recipe
-        const found = await prisma.attempt.findUnique({
-          where: { id: payload.bestAttemptId },
-        });
-        if (!found || found.recipeId !== id) {
+      }
+      if (payload.body !== undefined && !isStringOrEmpty(payload.body)) {
+        errors.push(buildError("body", "body must be a string"));
+      }
+      if (
+        payload.feedback !== undefined &&
+        !isStringOrEmpty(payload.feedback)
+      ) {
+        errors.push(buildError("feedback", "feedback must be a string"));
+      }
+      let images;
+      if (payload.images !== undefined) {
+        const checked = validateImages(payload.images);
+        errors.push(...checked.errors);
+        images = checked.items;
+        errors.push(...(await checkImageUrls(prisma, images)));
+      }
+      if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
+        errors.push(buildError("meta", "meta must be an object"));
+      }
+      let ingredients;
+      if (payload.ingredients !== undefined) {
+        const checked = validateIngredients(payload.ingredients);
+        errors.push(...checked.errors);
+        ingredients = checked.items;
+      }
+      if (payload.visibility !== undefined) {
+        errors.push(...validateVisibility(payload.visibility));
+      }
+      let tags;
+      if (payload.tags !== undefined) {
+        const checked = validateTags(payload.tags);
+        errors.push(...checked.errors);
+        tags = checked.items;
+      }
+      if (payload.servings !== undefined) {
+        errors.push(...validateServings(payload.servings));
+      }
+      if (payload.baking !== undefined && typeof payload.baking !== "boolean") {
+        errors.push(buildError("baking", "baking must be a boolean"));
+      }
+      if (payload.bestAttemptId !== undefined) {
+        // allow null to clear bestAttemptId
+        if (
+          payload.bestAttemptId !== null &&
+          !isNonEmptyString(payload.bestAttemptId)
+        ) {
           errors.push(
-            buildError("bestAttemptId", "attempt not found for this recipe")
+            buildError(
+              "bestAttemptId",
+              "bestAttemptId must be a non-empty string or null"
+            )
           );
+        } else if (payload.bestAttemptId !== null) {
+          // ensure attempt belongs to this recipe
+          const found = await prisma.attempt.findUnique({
+            where: { id: payload.bestAttemptId },
+          });
+          if (!found || found.recipeId !== id) {
+            errors.push(
+              buildError("bestAttemptId", "attempt not found for this recipe")
+            );
+          }
         }
       }
-    }
 
-    if (errors.length) return sendErrors(res, 400, errors);
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      // Prepare update data
+      const updateData = {};
+      if (payload.title !== undefined) updateData.title = payload.title.trim();
+      if (payload.body !== undefined) updateData.body = payload.body;
+      if (payload.feedback !== undefined)
+        updateData.feedback = payload.feedback;
+      if (payload.meta !== undefined) updateData.meta = payload.meta;
+      if (payload.servings !== undefined)
+        updateData.servings = payload.servings;
+      if (payload.baking !== undefined) updateData.baking = payload.baking;
+      if (payload.bestAttemptId !== undefined)
+        updateData.bestAttemptId = payload.bestAttemptId;
+      if (ingredients)
+        updateData.ingredients = { deleteMany: {}, create: ingredients };
+      // tags are replaced as a whole
+      if (tags)
+        updateData.tags = { deleteMany: {}, create: tagsCreateData(tags) };
+      if (payload.visibility !== undefined)
+        Object.assign(
+          updateData,
+          visibilityData(payload.visibility, req.recipe)
+        );
 
-    // Prepare update data
-    const updateData = {};
-    if (payload.title !== undefined) updateData.title = payload.title.trim();
-    if (payload.body !== undefined) updateData.body = payload.body;
-    if (payload.feedback !== undefined) updateData.feedback = payload.feedback;
-    if (payload.meta !== undefined) updateData.meta = payload.meta;
-    if (payload.bestAttemptId !== undefined)
-      updateData.bestAttemptId = payload.bestAttemptId;
-
-    // Handle images update if provided
-    let imagesData = undefined;
-    if (payload.images !== undefined) {
-      // First delete existing images
-      await prisma.image.deleteMany({
-        where: { recipeId: id },
-      });
+      const updatedRecipe = await prisma.$transaction(async (tx) => {
+        // content changes keep the version being replaced
+        if (isContentUpdate(payload, req.recipe)) {
+          await snapshotRecipe(tx, id, req.session.userId);
+        }
 
-      // Prepare new images data
-      imagesData = {
-        create: Array.isArray(payload.images)
-          ? payload.images.map((url) => ({ url }))
-          : [],
-      };
-    }
+        // Handle images update if provided
+        let imagesData = undefined;
+        if (payload.images !== undefined) {
+          // First delete existing images
+          await tx.image.deleteMany({
+            where: { recipeId: id },
+          });
 
-    // Update the recipe
-    const updatedRecipe = await prisma.recipe.update({
-      where: { id },
-      data: {
-        ...updateData,
-        ...(imagesData ? { images: imagesData } : {}),
-      },
-      include: {
-        images: true,
-        attempts: {
-          include: {
-            images: true,
+          // Prepare new images data
+          imagesData = { create: await imagesCreateData(tx, images) };
+        }
+
+        // Update the recipe
+        return tx.recipe.update({
+          where: { id },
+          data: {
+            ...updateData,
+            ...(imagesData ? { images: imagesData } : {}),
+          },
+          include: recipeInclude,
+        });
+      });
+
+      res.json(formatRecipe(updatedRecipe, req.session.userId));
+    } catch (error) {
+      console.error("Patch recipe error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to patch recipe")
+      );
+    }
+  }
+);
+
+// --- Delete recipe
+// Moves the recipe to the trash; it is purged after the retention period
+// (see src/purge.js) and can be restored until then.
+app.delete(
+  "/api/recipes/:id",
+  recipeAccess("delete"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      await prisma.recipe.update({
+        where: { id: req.recipe.id },
+        data: { deletedAt: new Date() },
+      });
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete recipe error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to delete recipe")
+      );
+    }
+  }
+);
+
+// --- Dashboard
+// GET /api/me/dashboard?tzOffset=<minutes>
+// The current user's cooking activity: attempts per week, a calendar of
+// cooking days, streaks, most-improved recipe, recipes cooked only once and
+// top tags. tzOffset (as from Date#getTimezoneOffset) decides what a day is.
+app.get("/api/me/dashboard", requireAuth, async (req, res) => {
+  try {
+    const { errors, tzOffset } = parseTzOffset(req.query);
+    if (errors.length) return sendErrors(res, 400, errors);
+
+    const userId = req.session.userId;
+    const [recipes, attempts] = await Promise.all([
+      prisma.recipe.findMany({
+        where: { authorId: userId, deletedAt: null },
+        select: {
+          id: true,
+          title: true,
+          bestAttemptId: true,
+          tags: { include: { tag: true } },
+          attempts: {
+            select: { id: true, rating: true, cookedAt: true, createdAt: true },
           },
         },
-      },
-    });
+      }),
+      prisma.attempt.findMany({
+        where: { authorId: userId, recipe: { deletedAt: null } },
+        select: { cookedAt: true, createdAt: true },
+      }),
+    ]);
+    res.json(buildDashboard({ recipes, attempts, tzOffset }));
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    return sendErrors(
+      res,
+      500,
+      buildError("database", "Failed to load dashboard")
+    );
+  }
+});
 
-    // Transform recipe to match the expected format
-    const recipeResponse = {
-      ...updatedRecipe,
-      images: updatedRecipe.images.map((img) => img.url),
-      attempts: updatedRecipe.attempts.map((attempt) => ({
-        ...attempt,
-        images: attempt.images.map((img) => img.url),
-      })),
-    };
-
-    res.json(recipeWithBest(recipeResponse));
+// --- Storage
+// GET /api/me/storage — how much of the upload quota the current user has
+// used, broken down by the recipe each upload is used in
+app.get("/api/me/storage", requireAuth, async (req, res) => {
+  try {
+    const uploads = await prisma.upload.findMany({
+      where: { uploaderId: req.session.userId },
+      select: uploadUsageSelect,
+    });
+    res.json(storageReport(uploads, quotaBytes()));
   } catch (error) {
-    console.error("Patch recipe error:", error);
+    console.error("Storage usage error:", error);
     return sendErrors(
       res,
       500,
-      buildError("database", "Failed to patch recipe")
+      buildError("database", "Failed to load storage usage")
     );
   }
 });
 
-// --- Delete recipe
-app.delete("/api/recipes/:id", requireAuth, writeLimiter, async (req, res) => {
+// --- Trash
+// GET /api/trash — the current user's deleted recipes, most recently deleted first
+app.get("/api/trash", requireAuth, async (req, res) => {
   try {
-    const id = req.params.id;
-    const recipe = await prisma.recipe.findUnique({
-      where: { id },
+    const userId = req.session.userId;
+    const recipes = await prisma.recipe.findMany({
+      where: { authorId: userId, deletedAt: { not: null } },
+      include: recipeInclude,
+      orderBy: { deletedAt: "desc" },
     });
+    const items = recipes.map((r) => ({
+      ...formatRecipe(r, userId),
+      purgeAt: purgeAt(r.deletedAt),
+    }));
+    res.json({ total: items.length, items });
+  } catch (error) {
+    console.error("List trash error:", error);
+    return sendErrors(res, 500, buildError("database", "Failed to list trash"));
+  }
+});
 
-    if (!recipe)
-      return sendErrors(res, 404, buildError("id", "recipe not found"));
+// POST /api/recipes/:id/restore — take a recipe back out of the trash
+app.post(
+  "/api/recipes/:id/restore",
+  recipeAccess("restore"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      if (!req.recipe.deletedAt) {
+        return sendErrors(
+          res,
+          409,
+          buildError("id", "recipe is not in the trash")
+        );
+      }
+      const restored = await prisma.recipe.update({
+        where: { id: req.recipe.id },
+        data: { deletedAt: null },
+        include: recipeInclude,
+      });
+      res.json(formatRecipe(restored, req.session.userId));
+    } catch (error) {
+      console.error("Restore recipe error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to restore recipe")
+      );
+    }
+  }
+);
 
-    console.log("owner-check DELETE", {
-      recipeId: id,
-      recipeAuthorId: recipe.authorId,
-      sessionUserId: req.session && req.session.userId,
-      typeofAuthor: typeof recipe.authorId,
-      typeofSession: typeof (req.session && req.session.userId),
-    });
-    // only the recipe author may delete
-    if (!recipe.authorId || recipe.authorId !== req.session.userId) {
-      return sendErrors(res, 403, buildError("auth", "forbidden"));
+// adjustments may point at a step; make sure those steps belong to the recipe
+async function checkAdjustmentSteps(recipeId, adjustments) {
+  const stepIds = [
+    ...new Set(
+      ensureArray(adjustments)
+        .map((a) => a.stepId)
+        .filter(Boolean)
+    ),
+  ];
+  if (!stepIds.length) return [];
+  const found = await prisma.step.findMany({
+    where: { id: { in: stepIds }, recipeId },
+    select: { id: true },
+  });
+  const known = new Set(found.map((s) => s.id));
+  return adjustments
+    .map((a, i) =>
+      a.stepId && !known.has(a.stepId)
+        ? buildError(
+            `adjustments[${i}].stepId`,
+            "step not found for this recipe"
+          )
+        : null
+    )
+    .filter(Boolean);
+}
+
+// --- Revisions
+// Each content update snapshots the replaced version (numbered from 1).
+
+async function findRevision(recipeId, revId) {
+  const rev = await prisma.recipeRevision.findUnique({ where: { id: revId } });
+  return rev && rev.recipeId === recipeId ? rev : null;
+}
+
+// GET /api/recipes/:id/revisions — newest first
+app.get(
+  "/api/recipes/:id/revisions",
+  recipeAccess("read"),
+  async (req, res) => {
+    try {
+      const revisions = await prisma.recipeRevision.findMany({
+        where: { recipeId: req.recipe.id },
+        orderBy: { number: "desc" },
+      });
+      const items = revisions.map(formatRevision);
+      res.json({ total: items.length, items });
+    } catch (error) {
+      console.error("List revisions error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to list revisions")
+      );
     }
+  }
+);
 
-    // Delete dependent attempts and their images first to avoid FK constraint errors
+// GET /api/recipes/:id/revisions/diff?from=<revId>&to=<revId>
+// Line-level diff of title, body, feedback, ingredients and steps, added and
+// removed images and tags, and { from, to } for servings, baking and
+// visibility. `to` defaults to the current version of the recipe.
+app.get(
+  "/api/recipes/:id/revisions/diff",
+  recipeAccess("read"),
+  async (req, res) => {
     try {
-      await prisma.$transaction(async (tx) => {
-        const attempts = await tx.attempt.findMany({
-          where: { recipeId: id },
-          select: { id: true },
+      const { from, to } = req.query;
+      const errors = [];
+      if (!isNonEmptyString(from))
+        errors.push(buildError("from", "from revision id is required"));
+      if (to !== undefined && !isNonEmptyString(to))
+        errors.push(buildError("to", "to must be a revision id"));
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      const fromRev = await findRevision(req.recipe.id, from);
+      if (!fromRev)
+        return sendErrors(res, 404, buildError("from", "revision not found"));
+
+      let toContent;
+      let toRev = null;
+      if (to) {
+        toRev = await findRevision(req.recipe.id, to);
+        if (!toRev)
+          return sendErrors(res, 404, buildError("to", "revision not found"));
+        toContent = revisionContent(toRev);
+      } else {
+        const current = await prisma.recipe.findUnique({
+          where: { id: req.recipe.id },
+          include: contentInclude,
         });
-        const attemptIds = attempts.map((a) => a.id);
+        toContent = recipeContent(current);
+      }
 
-        if (attemptIds.length) {
-          // delete images attached to attempts
-          await tx.image.deleteMany({
-            where: { attemptId: { in: attemptIds } },
+      res.json({
+        from: { id: fromRev.id, number: fromRev.number },
+        to: toRev ? { id: toRev.id, number: toRev.number } : null,
+        ...diffContents(revisionContent(fromRev), toContent),
+      });
+    } catch (error) {
+      console.error("Diff revisions error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to diff revisions")
+      );
+    }
+  }
+);
+
+// POST /api/recipes/:id/revisions/:revId/restore
+// Puts the revision's content back; the version it replaces becomes a new revision.
+app.post(
+  "/api/recipes/:id/revisions/:revId/restore",
+  recipeAccess("update"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const id = req.recipe.id;
+      const rev = await findRevision(id, req.params.revId);
+      if (!rev)
+        return sendErrors(
+          res,
+          404,
+          buildError("revId", "revision not found for this recipe")
+        );
+
+      const restored = await prisma.$transaction(async (tx) => {
+        await snapshotRecipe(tx, id, req.session.userId);
+        const data = await restoreData(tx, rev);
+        return tx.recipe.update({
+          where: { id },
+          data: { ...data, ...visibilityData(data.visibility, req.recipe) },
+          include: recipeInclude,
+        });
+      });
+
+      res.json(formatRecipe(restored, req.session.userId));
+    } catch (error) {
+      console.error("Restore revision error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to restore revision")
+      );
+    }
+  }
+);
+
+// --- Forks
+// POST /api/recipes/:id/fork
+// Expected body (optional): { visibility }
+// Copies title, body, feedback, images, ingredients, tags, steps and the chosen
+// best attempt into a new recipe owned by the current user.
+app.post(
+  "/api/recipes/:id/fork",
+  recipeAccess("fork"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const payload = req.body || {};
+      const visibility =
+        payload.visibility === undefined ? "public" : payload.visibility;
+      const errors = validateVisibility(visibility);
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      const userId = req.session.userId;
+      const source = await prisma.recipe.findUnique({
+        where: { id: req.recipe.id },
+        include: recipeInclude,
+      });
+      const best = source.bestAttemptId
+        ? source.attempts.find((a) => a.id === source.bestAttemptId)
+        : null;
+
+      const forkId = await prisma.$transaction(async (tx) => {
+        const steps = [];
+        for (const step of source.steps) {
+          steps.push({
+            position: step.position,
+            text: step.text,
+            durationSeconds: step.durationSeconds,
+            temperature: step.temperature,
+            temperatureUnit: step.temperatureUnit,
+            images: { create: await imagesCreateData(tx, step.images) },
           });
-          // delete attempts
-          await tx.attempt.deleteMany({ where: { id: { in: attemptIds } } });
         }
+        const fork = await tx.recipe.create({
+          data: {
+            title: source.title,
+            body: source.body,
+            feedback: source.feedback,
+            meta: source.meta || {},
+            servings: source.servings,
+            baking: source.baking,
+            ...visibilityData(visibility, null),
+            author: { connect: { id: userId } },
+            forkedFrom: { connect: { id: source.id } },
+            images: { create: await imagesCreateData(tx, source.images) },
+            ingredients: {
+              create: source.ingredients.map(({ id, recipeId, ...ing }) => ing),
+            },
+            tags: {
+              create: source.tags.map((rt) => ({
+                tag: { connect: { id: rt.tagId } },
+              })),
+            },
+            steps: { create: steps },
+          },
+        });
 
-        // delete images attached directly to the recipe
-        await tx.image.deleteMany({ where: { recipeId: id } });
+        if (best) {
+          const copy = await tx.attempt.create({
+            data: {
+              body: best.body,
+              feedback: best.feedback,
+              outcome: best.outcome,
+              rating: best.rating,
+              durationMinutes: best.durationMinutes,
+              cookedAt: best.cookedAt,
+              // adjustments point at the parent's steps, which the fork does not share
+              adjustments: (best.adjustments || []).map((a) => ({
+                text: a.text,
+                stepId: null,
+              })),
+              meta: { ...(best.meta || {}), forkedFromAttemptId: best.id },
+              author: { connect: { id: userId } },
+              recipe: { connect: { id: fork.id } },
+              images: { create: await imagesCreateData(tx, best.images) },
+            },
+          });
+          await tx.recipe.update({
+            where: { id: fork.id },
+            data: { bestAttemptId: copy.id },
+          });
+        }
+        return fork.id;
+      });
 
-        // finally delete the recipe
-        await tx.recipe.delete({ where: { id } });
+      const created = await prisma.recipe.findUnique({
+        where: { id: forkId },
+        include: recipeInclude,
       });
-    } catch (innerErr) {
-      console.error("Error deleting dependent data for recipe:", innerErr);
-      if (innerErr && innerErr.stack) console.error(innerErr.stack);
+      res.status(201).json(formatRecipe(created, userId));
+    } catch (error) {
+      console.error("Fork recipe error:", error);
       return sendErrors(
         res,
         500,
-        buildError("database", "Failed to delete recipe")
+        buildError("database", "Failed to fork recipe")
       );
     }
+  }
+);
 
-    res.status(204).send();
+// GET /api/recipes/:id/forks
+// Direct forks the current user may see in lists (public ones and their own).
+app.get("/api/recipes/:id/forks", recipeAccess("read"), async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const forks = await prisma.recipe.findMany({
+      where: {
+        forkedFromId: req.recipe.id,
+        deletedAt: null,
+        OR: [
+          { visibility: "public" },
+          ...(userId ? [{ authorId: userId }] : []),
+        ],
+      },
+      include: recipeInclude,
+      orderBy: { createdAt: "desc" },
+    });
+    const items = forks.map((r) => formatRecipe(r, userId));
+    res.json({ total: items.length, items });
   } catch (error) {
-    console.error("Delete recipe error:", error);
-    return sendErrors(
-      res,
-      500,
-      buildError("database", "Failed to delete recipe")
-    );
+    console.error("List forks error:", error);
+    return sendErrors(res, 500, buildError("database", "Failed to list forks"));
   }
 });
 
 // --- Add attempt to a recipe
-// Expected body: { body: "描述此次尝试", feedback: "可选", images: [], meta: {} }
-app.post("/api/recipes/:id/attempts", writeLimiter, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const recipe = await prisma.recipe.findUnique({
-      where: { id },
-    });
+// Expected body: { body: "描述此次尝试", feedback: "可选", images: [], meta: {},
+//   outcome: "success" | "partial" | "failure", rating: 1-5, durationMinutes,
+//   cookedAt: ISO date (defaults to now), adjustments: ["..." | { text, stepId }] }
+app.post(
+  "/api/recipes/:id/attempts",
+  recipeAccess("addAttempt"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const id = req.recipe.id;
+      const payload = req.body || {};
+      const errors = [];
 
-    if (!recipe)
-      return sendErrors(res, 404, buildError("id", "recipe not found"));
+      if (!isNonEmptyString(payload.body)) {
+        errors.push(
+          buildError(
+            "body",
+            "attempt body is required and must be a non-empty string"
+          )
+        );
+      }
+      if (
+        payload.feedback !== undefined &&
+        !isStringOrEmpty(payload.feedback)
+      ) {
+        errors.push(buildError("feedback", "feedback must be a string"));
+      }
+      let images;
+      if (payload.images !== undefined) {
+        const checked = validateImages(payload.images);
+        errors.push(...checked.errors);
+        images = checked.items;
+        errors.push(...(await checkImageUrls(prisma, images)));
+      }
+      if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
+        errors.push(buildError("meta", "meta must be an object"));
+      }
+      const fields = validateAttemptFields(payload);
+      errors.push(...fields.errors);
+      if (!fields.errors.length) {
+        errors.push(
+          ...(await checkAdjustmentSteps(id, fields.data.adjustments))
+        );
+      }
 
-    const payload = req.body || {};
-    const errors = [];
+      if (errors.length) return sendErrors(res, 400, errors);
 
-    if (!isNonEmptyString(payload.body)) {
-      errors.push(
-        buildError(
-          "body",
-          "attempt body is required and must be a non-empty string"
-        )
+      const attempt = await prisma.attempt.create({
+        data: {
+          body: payload.body,
+          feedback: isStringOrEmpty(payload.feedback) ? payload.feedback : "",
+          ...fields.data,
+          cookedAt: fields.data.cookedAt || new Date(),
+          author: { connect: { id: req.session.userId } },
+          recipe: {
+            connect: { id },
+          },
+          images: { create: await imagesCreateData(prisma, images || []) },
+          meta: isPlainObject(payload.meta) ? payload.meta : {},
+        },
+        include: {
+          images: orderedImages,
+        },
+      });
+
+      res.status(201).json(formatAttempt(attempt));
+    } catch (error) {
+      console.error("Create attempt error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to create attempt")
       );
     }
-    if (payload.feedback !== undefined && !isStringOrEmpty(payload.feedback)) {
-      errors.push(buildError("feedback", "feedback must be a string"));
-    }
-    if (payload.images !== undefined && !Array.isArray(payload.images)) {
-      errors.push(buildError("images", "images must be an array"));
-    }
-    if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
-      errors.push(buildError("meta", "meta must be an object"));
-    }
+  }
+);
 
-    if (errors.length) return sendErrors(res, 400, errors);
+// --- List attempts for a recipe
+// GET /api/recipes/:id/attempts?sort=&limit=&cursor=
+// sort: newest (default), oldest, rating
+app.get("/api/recipes/:id/attempts", recipeAccess("read"), async (req, res) => {
+  try {
+    const id = req.recipe.id;
 
-    const attempt = await prisma.attempt.create({
-      data: {
-        body: payload.body,
-        feedback: isStringOrEmpty(payload.feedback) ? payload.feedback : "",
-        recipe: {
-          connect: { id },
-        },
-        images: {
-          create: ensureArray(payload.images).map((url) => ({ url })),
-        },
-        meta: isPlainObject(payload.meta) ? payload.meta : {},
-      },
+    const params = parseListParams(req, res, ATTEMPT_SORTS, "newest");
+    if (!params) return;
+
+    const page = await findAttemptPage(prisma, { recipeId: id, ...params });
+    const attempts = await prisma.attempt.findMany({
+      where: { id: { in: page.rows.map((row) => row.id) } },
       include: {
-        images: true,
+        images: orderedImages,
       },
     });
-
-    // Transform attempt to match the expected format
-    const attemptResponse = {
-      ...attempt,
-      images: attempt.images.map((img) => img.url),
-    };
-
-    res.status(201).json(attemptResponse);
+    const byId = new Map(attempts.map((a) => [a.id, a]));
+    const items = page.rows
+      .filter((row) => byId.has(row.id))
+      .map((row) => formatAttempt(byId.get(row.id)));
+
+    res.json({
+      total: page.total,
+      items,
+      nextCursor: page.nextCursor ? encodeCursor(page.nextCursor) : null,
+      limit: params.limit,
+      sort: params.sort,
+    });
   } catch (error) {
-    console.error("Create attempt error:", error);
+    console.error("List attempts error:", error);
     return sendErrors(
       res,
       500,
-      buildError("database", "Failed to create attempt")
+      buildError("database", "Failed to list attempts")
     );
   }
 });
 
-// --- List attempts for a recipe
-app.get("/api/recipes/:id/attempts", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const recipe = await prisma.recipe.findUnique({
-      where: { id },
-    });
+// --- Compare attempts side by side
+// GET /api/recipes/:id/attempts/compare?ids=a,b,c
+// Attempts in the order they were cooked, with word-level diffs of each
+// attempt's body and feedback against the previous one, image changes, and
+// which of outcome, rating, duration, cookedAt, meta and adjustments differ.
+app.get(
+  "/api/recipes/:id/attempts/compare",
+  recipeAccess("read"),
+  async (req, res) => {
+    try {
+      const { errors, ids } = parseCompareIds(req.query);
+      if (errors.length) return sendErrors(res, 400, errors);
 
-    if (!recipe)
-      return sendErrors(res, 404, buildError("id", "recipe not found"));
+      const attempts = await prisma.attempt.findMany({
+        where: { id: { in: ids }, recipeId: req.recipe.id },
+        include: { images: orderedImages },
+      });
+      if (attempts.length !== ids.length)
+        return sendErrors(res, 404, buildError("ids", "attempt not found"));
+
+      res.json(compareAttempts(attempts.map(formatAttempt)));
+    } catch (error) {
+      console.error("Compare attempts error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to compare attempts")
+      );
+    }
+  }
+);
 
+// --- Attempt statistics
+// GET /api/recipes/:id/stats
+// Attempt count, outcomes and success rate, ratings in the order the attempts
+// were cooked, average duration, days between attempts and the most frequent
+// words in attempt feedback and adjustments.
+app.get("/api/recipes/:id/stats", recipeAccess("read"), async (req, res) => {
+  try {
     const attempts = await prisma.attempt.findMany({
-      where: { recipeId: id },
-      include: {
-        images: true,
-      },
-      orderBy: {
-        createdAt: "desc",
+      where: { recipeId: req.recipe.id },
+      select: {
+        id: true,
+        outcome: true,
+        rating: true,
+        durationMinutes: true,
+        cookedAt: true,
+        createdAt: true,
+        feedback: true,
+        adjustments: true,
       },
     });
-
-    // Transform attempts to match the expected format
-    const list = attempts.map((attempt) => ({
-      ...attempt,
-      images: attempt.images.map((img) => img.url),
-    }));
-
-    res.json({ total: list.length, items: list });
+    res.json(recipeStats(attempts));
   } catch (error) {
-    console.error("List attempts error:", error);
+    console.error("Recipe stats error:", error);
     return sendErrors(
       res,
       500,
-      buildError("database", "Failed to list attempts")
+      buildError("database", "Failed to load recipe statistics")
     );
   }
 });
@@ -1014,19 +1692,13 @@ app.get("/api/recipes/:id/attempts", async (req, res) => {
 // POST /api/recipes/:id/attempts/:attemptId/choose
 app.post(
   "/api/recipes/:id/attempts/:attemptId/choose",
+  recipeAccess("chooseBestAttempt"),
   writeLimiter,
   async (req, res) => {
     try {
-      const id = req.params.id;
+      const id = req.recipe.id;
       const attemptId = req.params.attemptId;
 
-      // Check if recipe exists
-      const recipe = await prisma.recipe.findUnique({
-        where: { id },
-      });
-      if (!recipe)
-        return sendErrors(res, 404, buildError("id", "recipe not found"));
-
       // Check if attempt exists and belongs to this recipe
       const attempt = await prisma.attempt.findUnique({
         where: { id: attemptId },
@@ -1043,28 +1715,11 @@ app.post(
       const updatedRecipe = await prisma.recipe.update({
         where: { id },
         data: { bestAttemptId: attemptId },
-        include: {
-          images: true,
-          attempts: {
-            include: {
-              images: true,
-            },
-          },
-        },
+        include: recipeInclude,
       });
 
-      // Transform recipe to match the expected format
-      const recipeResponse = {
-        ...updatedRecipe,
-        images: updatedRecipe.images.map((img) => img.url),
-        attempts: updatedRecipe.attempts.map((attempt) => ({
-          ...attempt,
-          images: attempt.images.map((img) => img.url),
-        })),
-      };
-
       // return updated recipe with bestAttempt attached
-      res.json(recipeWithBest(recipeResponse));
+      res.json(formatRecipe(updatedRecipe, req.session.userId));
     } catch (error) {
       console.error("Choose best attempt error:", error);
       return sendErrors(
@@ -1076,6 +1731,510 @@ app.post(
   }
 );
 
+// --- Edit / delete a single attempt
+// Allowed for the attempt's author and the recipe owner.
+
+// PATCH /api/recipes/:id/attempts/:attemptId
+// Expected body: any of { body, feedback, images, meta, outcome, rating, durationMinutes, cookedAt, adjustments }
+// `images` replaces the attempt's images; null clears the optional fields.
+app.patch(
+  "/api/recipes/:id/attempts/:attemptId",
+  attemptAccess("updateAttempt"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const attempt = req.attempt;
+
+      const payload = req.body || {};
+      const errors = [];
+
+      if (payload.body !== undefined && !isNonEmptyString(payload.body)) {
+        errors.push(
+          buildError("body", "body must be a non-empty string when provided")
+        );
+      }
+      if (
+        payload.feedback !== undefined &&
+        !isStringOrEmpty(payload.feedback)
+      ) {
+        errors.push(buildError("feedback", "feedback must be a string"));
+      }
+      let images;
+      if (payload.images !== undefined) {
+        const checked = validateImages(payload.images);
+        errors.push(...checked.errors);
+        images = checked.items;
+        errors.push(...(await checkImageUrls(prisma, images)));
+      }
+      if (payload.meta !== undefined && !isPlainObject(payload.meta)) {
+        errors.push(buildError("meta", "meta must be an object"));
+      }
+      const fields = validateAttemptFields(payload);
+      errors.push(...fields.errors);
+      if (!fields.errors.length) {
+        errors.push(
+          ...(await checkAdjustmentSteps(
+            attempt.recipeId,
+            fields.data.adjustments
+          ))
+        );
+      }
+
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      const updateData = { ...fields.data };
+      if (payload.body !== undefined) updateData.body = payload.body;
+      if (payload.feedback !== undefined)
+        updateData.feedback = payload.feedback;
+      if (payload.meta !== undefined) updateData.meta = payload.meta;
+      if (payload.images !== undefined) {
+        updateData.images = {
+          deleteMany: {},
+          create: await imagesCreateData(prisma, images),
+        };
+      }
+
+      const updated = await prisma.attempt.update({
+        where: { id: attempt.id },
+        data: updateData,
+        include: { images: orderedImages },
+      });
+
+      res.json(formatAttempt(updated));
+    } catch (error) {
+      console.error("Patch attempt error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to patch attempt")
+      );
+    }
+  }
+);
+
+// DELETE /api/recipes/:id/attempts/:attemptId
+// Removes the attempt's images too; clears the recipe's bestAttemptId if it pointed here.
+app.delete(
+  "/api/recipes/:id/attempts/:attemptId",
+  attemptAccess("deleteAttempt"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const { recipe, attempt } = req;
+
+      await prisma.$transaction(async (tx) => {
+        await tx.image.deleteMany({ where: { attemptId: attempt.id } });
+        if (recipe.bestAttemptId === attempt.id) {
+          await tx.recipe.update({
+            where: { id: recipe.id },
+            data: { bestAttemptId: null },
+          });
+        }
+        await tx.attempt.delete({ where: { id: attempt.id } });
+      });
+
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete attempt error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to delete attempt")
+      );
+    }
+  }
+);
+
+// --- Image galleries
+// Reorder and caption the images of a recipe or an attempt in place. Order and
+// captions are presentation only, so no revision is recorded. Both routes
+// respond with the gallery's { images, cover, imageDetails }.
+
+// PUT .../images/order { ids: [...] } — every image id of the gallery, in the new order
+function reorderImagesHandler(ownerOf) {
+  return async (req, res) => {
+    try {
+      const owner = ownerOf(req);
+      const ids = (req.body || {}).ids;
+      const errors = validateImageOrder(ids, await findImages(prisma, owner));
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      res.json(imageFields(await reorderImages(prisma, owner, ids)));
+    } catch (error) {
+      console.error("Reorder images error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to reorder images")
+      );
+    }
+  };
+}
+
+// PATCH .../images/:imageId { caption?, isCover? } — caption null clears it;
+// making an image the cover unflags the previous one
+function updateImageHandler(ownerOf) {
+  return async (req, res) => {
+    try {
+      const { errors, data } = validateImageUpdate(req.body);
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      const owner = ownerOf(req);
+      const image = await prisma.image.findFirst({
+        where: { id: req.params.imageId, ...owner },
+      });
+      if (!image)
+        return sendErrors(res, 404, buildError("imageId", "image not found"));
+
+      res.json(imageFields(await updateImage(prisma, owner, image.id, data)));
+    } catch (error) {
+      console.error("Update image error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to update image")
+      );
+    }
+  };
+}
+
+const recipeGallery = (req) => ({ recipeId: req.recipe.id });
+const attemptGallery = (req) => ({ attemptId: req.attempt.id });
+
+app.put(
+  "/api/recipes/:id/images/order",
+  recipeAccess("update"),
+  writeLimiter,
+  reorderImagesHandler(recipeGallery)
+);
+app.patch(
+  "/api/recipes/:id/images/:imageId",
+  recipeAccess("update"),
+  writeLimiter,
+  updateImageHandler(recipeGallery)
+);
+app.put(
+  "/api/recipes/:id/attempts/:attemptId/images/order",
+  attemptAccess("updateAttempt"),
+  writeLimiter,
+  reorderImagesHandler(attemptGallery)
+);
+app.patch(
+  "/api/recipes/:id/attempts/:attemptId/images/:imageId",
+  attemptAccess("updateAttempt"),
+  writeLimiter,
+  updateImageHandler(attemptGallery)
+);
+
+// --- Steps
+// Steps are kept in order by a 0-based `position`; writes keep positions contiguous.
+
+// a step's image follows the same rules as gallery images
+function checkStepImage(url) {
+  return checkImageUrls(prisma, [{ url }], () => "image");
+}
+
+// Changing steps changes the recipe: keep the version being replaced as a
+// revision and move the recipe's updatedAt on. Call first in the transaction.
+async function snapshotForSteps(tx, req) {
+  await snapshotRecipe(tx, req.recipe.id, req.session.userId);
+  await tx.recipe.update({
+    where: { id: req.recipe.id },
+    data: { updatedAt: new Date() },
+  });
+}
+
+async function listSteps(recipeId) {
+  const steps = await prisma.step.findMany({
+    where: { recipeId },
+    include: { images: true },
+    orderBy: { position: "asc" },
+  });
+  return steps.map(formatStep);
+}
+
+// GET /api/recipes/:id/steps
+app.get("/api/recipes/:id/steps", recipeAccess("read"), async (req, res) => {
+  try {
+    const items = await listSteps(req.recipe.id);
+    res.json({ total: items.length, items });
+  } catch (error) {
+    console.error("List steps error:", error);
+    return sendErrors(res, 500, buildError("database", "Failed to list steps"));
+  }
+});
+
+// POST /api/recipes/:id/steps
+// Expected body: { text, durationSeconds?, temperature?, temperatureUnit?, image?, position? }
+// `position` inserts before the step currently at that index; omitted appends.
+app.post(
+  "/api/recipes/:id/steps",
+  recipeAccess("manageSteps"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const recipe = req.recipe;
+
+      const payload = req.body || {};
+      const { errors, data } = validateStep(payload);
+      if (isNonEmptyString(payload.image)) {
+        errors.push(...(await checkStepImage(payload.image)));
+      }
+      if (
+        payload.position !== undefined &&
+        !(Number.isInteger(payload.position) && payload.position >= 0)
+      ) {
+        errors.push(
+          buildError("position", "position must be a non-negative integer")
+        );
+      }
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      const count = await prisma.step.count({ where: { recipeId: recipe.id } });
+      const position =
+        payload.position === undefined
+          ? count
+          : Math.min(payload.position, count);
+
+      const step = await prisma.$transaction(async (tx) => {
+        await snapshotForSteps(tx, req);
+        await tx.step.updateMany({
+          where: { recipeId: recipe.id, position: { gte: position } },
+          data: { position: { increment: 1 } },
+        });
+        return tx.step.create({
+          data: {
+            ...data,
+            position,
+            recipe: { connect: { id: recipe.id } },
+            images: {
+              create: isNonEmptyString(payload.image)
+                ? await imagesCreateData(tx, [{ url: payload.image }])
+                : [],
+            },
+          },
+          include: { images: true },
+        });
+      });
+
+      res.status(201).json(formatStep(step));
+    } catch (error) {
+      console.error("Create step error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to create step")
+      );
+    }
+  }
+);
+
+// PUT /api/recipes/:id/steps/order
+// Expected body: { order: [stepId, ...] } listing every step of the recipe exactly once
+app.put(
+  "/api/recipes/:id/steps/order",
+  recipeAccess("manageSteps"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const recipe = req.recipe;
+
+      const order = (req.body || {}).order;
+      const existing = await prisma.step.findMany({
+        where: { recipeId: recipe.id },
+        select: { id: true },
+      });
+      const ids = new Set(existing.map((s) => s.id));
+      if (
+        !Array.isArray(order) ||
+        order.length !== ids.size ||
+        new Set(order).size !== order.length ||
+        !order.every((stepId) => ids.has(stepId))
+      ) {
+        return sendErrors(
+          res,
+          400,
+          buildError(
+            "order",
+            "order must list every step id of this recipe once"
+          )
+        );
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await snapshotForSteps(tx, req);
+        for (const [position, stepId] of order.entries()) {
+          await tx.step.update({ where: { id: stepId }, data: { position } });
+        }
+      });
+
+      const items = await listSteps(recipe.id);
+      res.json({ total: items.length, items });
+    } catch (error) {
+      console.error("Reorder steps error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to reorder steps")
+      );
+    }
+  }
+);
+
+// PATCH /api/recipes/:id/steps/:stepId
+// Expected body: any of { text, durationSeconds, temperature, temperatureUnit, image }
+app.patch(
+  "/api/recipes/:id/steps/:stepId",
+  recipeAccess("manageSteps"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const recipe = req.recipe;
+
+      const step = await prisma.step.findUnique({
+        where: { id: req.params.stepId },
+      });
+      if (!step || step.recipeId !== recipe.id)
+        return sendErrors(res, 404, buildError("stepId", "step not found"));
+
+      const payload = req.body || {};
+      const { errors, data } = validateStep(payload, { partial: true });
+      if (isNonEmptyString(payload.image)) {
+        errors.push(...(await checkStepImage(payload.image)));
+      }
+      if (errors.length) return sendErrors(res, 400, errors);
+
+      const updated = await prisma.$transaction(async (tx) => {
+        await snapshotForSteps(tx, req);
+        return tx.step.update({
+          where: { id: step.id },
+          data: {
+            ...data,
+            // image replaces the current one; null removes it
+            ...(payload.image !== undefined
+              ? {
+                  images: {
+                    deleteMany: {},
+                    create: payload.image
+                      ? await imagesCreateData(tx, [{ url: payload.image }])
+                      : [],
+                  },
+                }
+              : {}),
+          },
+          include: { images: true },
+        });
+      });
+
+      res.json(formatStep(updated));
+    } catch (error) {
+      console.error("Update step error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to update step")
+      );
+    }
+  }
+);
+
+// DELETE /api/recipes/:id/steps/:stepId
+app.delete(
+  "/api/recipes/:id/steps/:stepId",
+  recipeAccess("manageSteps"),
+  writeLimiter,
+  async (req, res) => {
+    try {
+      const recipe = req.recipe;
+
+      const step = await prisma.step.findUnique({
+        where: { id: req.params.stepId },
+      });
+      if (!step || step.recipeId !== recipe.id)
+        return sendErrors(res, 404, buildError("stepId", "step not found"));
+
+      await prisma.$transaction(async (tx) => {
+        await snapshotForSteps(tx, req);
+        await tx.step.delete({ where: { id: step.id } });
+        await tx.step.updateMany({
+          where: { recipeId: recipe.id, position: { gt: step.position } },
+          data: { position: { decrement: 1 } },
+        });
+      });
+
+      res.status(204).send();
+    } catch (error) {
+      console.error("Delete step error:", error);
+      return sendErrors(
+        res,
+        500,
+        buildError("database", "Failed to delete step")
+      );
+    }
+  }
+);
+
+// --- Unit conversion
+// POST /api/convert { quantity, from, to, ingredient? }
+// `to` is a unit or a unit system ("metric" / "imperial"); converting between
+// mass and volume needs an `ingredient` with a known density (e.g. "flour").
+// Responds with { quantity, unit, text, from: { quantity, unit } } where text
+// is the amount rounded for the kitchen.
+app.post("/api/convert", (req, res) => {
+  const payload = req.body || {};
+  const errors = [];
+  const quantity = parseQuantity(payload.quantity);
+  if (quantity === null || Number.isNaN(quantity)) {
+    errors.push(buildError("quantity", "quantity must be a number"));
+  }
+  for (const key of ["from", "to"]) {
+    if (!isNonEmptyString(payload[key])) {
+      errors.push(buildError(key, `${key} must be a unit name`));
+    }
+  }
+  if (
+    payload.ingredient !== undefined &&
+    !isStringOrEmpty(payload.ingredient)
+  ) {
+    errors.push(buildError("ingredient", "ingredient must be a string"));
+  }
+  if (errors.length) return sendErrors(res, 400, errors);
+
+  let result;
+  if (!UNIT_SYSTEMS.includes(payload.to)) {
+    result = convert(quantity, payload.from, payload.to, payload.ingredient);
+  } else if (!findUnit(payload.from)) {
+    result = { field: "from", error: `unknown unit: ${payload.from}` };
+  } else {
+    result = convertIngredient(
+      { name: payload.ingredient, quantity, unit: payload.from },
+      payload.to
+    );
+  }
+  if (result.error) {
+    return sendErrors(res, 400, buildError(result.field, result.error));
+  }
+
+  res.json({
+    quantity: result.quantity,
+    unit: result.unit,
+    text: findTemperatureUnit(result.unit)
+      ? String(Math.round(result.quantity))
+      : roundQuantity(result.quantity, result.unit).text,
+    from: { quantity, unit: payload.from },
+  });
+});
+
+// --- Baker's percentages
+// POST /api/bakers-formula { doughWeight, formula: [{ name, percent }] }
+// Ingredient weights in grams for `doughWeight` grams of dough, with flour at
+// 100%. Responds with { doughWeight, totalPercent, flourWeight, ingredients }.
+app.post("/api/bakers-formula", (req, res) => {
+  const { errors, data } = validateBakersFormula(req.body);
+  if (errors.length) return sendErrors(res, 400, errors);
+  res.json(formulaWeights(data.doughWeight, data.formula));
+});
+
 app.get("/api/ping", (req, res) => {
   res.json({ message: "pong", time: new Date().toISOString() });
 });
@@ -1101,6 +2260,37 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
+
+  // optional in-process trash purge; otherwise run scripts/purge-trash.js from cron
+  const purgeMinutes = Number(process.env.PURGE_INTERVAL_MINUTES);
+  if (purgeMinutes > 0) {
+    setInterval(async () => {
+      try {
+        const purged = await purgeDeletedRecipes(prisma);
+        if (purged.length) console.log(`Purged ${purged.length} recipe(s)`);
+      } catch (error) {
+        console.error("Trash purge error:", error);
+      }
+    }, purgeMinutes * 60 * 1000).unref();
+  }
+
+  // optional in-process upload sweep; otherwise run scripts/sweep-uploads.js from cron
+  const sweepMinutes = Number(process.env.SWEEP_INTERVAL_MINUTES);
+  if (sweepMinutes > 0) {
+    setInterval(async () => {
+      try {
+        const report = await sweepUploads(prisma, { storage });
+        const count = report.uploads.length + report.strayFiles.length;
+        if (count) {
+          console.log(
+            `Swept ${report.uploads.length} upload(s) and ${report.strayFiles.length} stray file(s)`
+          );
+        }
+      } catch (error) {
+        console.error("Upload sweep error:", error);
+      }
+    }, sweepMinutes * 60 * 1000).unref();
+  }
 }
 
 // 导出app供测试使用
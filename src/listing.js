@@ -0,0 +1,171 @@
+// src/listing.js
+// Keyset pagination and sorting for recipe and attempt lists (PostgreSQL).
+//
+// Each list is built from a "rows" query exposing `id` plus every sortable
+// column; a page is the next `limit` rows after the cursor in (sort value, id)
+// order. Cursors carry the sort they were issued for, so changing the sort
+// requires starting from the first page again.
+const { Prisma } = require("@prisma/client");
+const { recipeSearchSql } = require("./search");
+
+const date = "date";
+const number = "number";
+
+const RECIPE_SORTS = {
+  newest: { column: '"createdAt"', desc: true, type: date },
+  oldest: { column: '"createdAt"', desc: false, type: date },
+  updated: { column: '"updatedAt"', desc: true, type: date },
+  attempts: { column: '"attemptCount"', desc: true, type: number },
+  rating: { column: '"bestRating"', desc: true, type: number },
+  // only available when searching
+  relevance: { column: "rank", desc: true, type: number },
+};
+
+const ATTEMPT_SORTS = {
+  newest: { column: '"createdAt"', desc: true, type: date },
+  oldest: { column: '"createdAt"', desc: false, type: date },
+  rating: { column: "rating", desc: true, type: number },
+};
+
+// numeric rating of an attempt row, NULL when not rated
+function attemptRatingSql(alias) {
+  return Prisma.sql`${Prisma.raw(alias)}.rating::float8`;
+}
+
+// cursor is valid for `sort` when it was issued for it and has a usable value
+function isValidCursor(cursor, sortName, sort) {
+  if (!cursor || cursor.sort !== sortName || typeof cursor.id !== "string")
+    return false;
+  if (sort.type === number) return Number.isFinite(cursor.v);
+  return typeof cursor.v === "string" && !Number.isNaN(Date.parse(cursor.v));
+}
+
+// One statement computes the rows query once (a CTE used more than once is
+// materialized) and returns the total, the page as JSON and any `extra`
+// columns over the same "listed" rows. Date sort values are sent as ISO
+// strings.
+async function findPage(
+  prisma,
+  rowsSql,
+  sortName,
+  sort,
+  { limit, cursor },
+  extra = Prisma.empty
+) {
+  const column = Prisma.raw(sort.column);
+  const pageColumn = Prisma.raw(`page.${sort.column}`);
+  const dir = Prisma.raw(sort.desc ? "DESC" : "ASC");
+  let after = Prisma.sql`TRUE`;
+  if (cursor) {
+    const value =
+      sort.type === date
+        ? Prisma.sql`${cursor.v}::timestamp`
+        : Prisma.sql`${cursor.v}::float8`;
+    after = sort.desc
+      ? Prisma.sql`(${column}, id) < (${value}, ${cursor.id})`
+      : Prisma.sql`(${column}, id) > (${value}, ${cursor.id})`;
+  }
+  const sortValue =
+    sort.type === date
+      ? Prisma.sql`to_char(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`
+      : column;
+
+  const [result] = await prisma.$queryRaw`WITH listed AS (${rowsSql}),
+    page AS (
+      SELECT listed.*, ${sortValue} AS "sortValue" FROM listed
+      WHERE ${after}
+      ORDER BY ${column} ${dir}, id ${dir}
+      LIMIT ${limit + 1}
+    )
+    SELECT
+      (SELECT COUNT(*)::int FROM listed) AS total,
+      coalesce(
+        (SELECT json_agg(page ORDER BY ${pageColumn} ${dir}, page.id ${dir})
+          FROM page),
+        '[]'::json
+      ) AS rows
+      ${extra}`;
+
+  const { total, rows, ...rest } = result;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    ...rest,
+    total,
+    rows: page,
+    nextCursor:
+      rows.length > limit
+        ? { sort: sortName, v: last.sortValue, id: last.id }
+        : null,
+  };
+}
+
+// most frequent tags returned as facets
+const MAX_FACETS = 50;
+
+// extra findPage column: per-tag recipe counts over every listed recipe (all
+// pages), [{ name, count }] most used first
+function facetsSql() {
+  return Prisma.sql`, coalesce(
+    (SELECT json_agg(f ORDER BY f.count DESC, f.name ASC) FROM (
+      SELECT t.name, COUNT(*)::int AS count
+      FROM listed
+      JOIN "RecipeTag" rt ON rt."recipeId" = listed.id
+      JOIN "Tag" t ON t.id = rt."tagId"
+      GROUP BY t.name
+      ORDER BY count DESC, t.name ASC
+      LIMIT ${MAX_FACETS}
+    ) f),
+    '[]'::json
+  ) AS facets`;
+}
+
+// `where` is a Prisma.sql condition on the "Recipe" row aliased as r.
+// With `q`, only matching recipes are listed and `rank` holds their relevance.
+function recipeRowsSql({ q, terms, where }) {
+  const search = q ? recipeSearchSql(q, terms) : null;
+  return Prisma.sql`
+    SELECT r.id, r."createdAt", r."updatedAt",
+      ${search ? search.rank : Prisma.sql`0::float8`} AS rank,
+      (SELECT COUNT(*) FROM "Attempt" a WHERE a."recipeId" = r.id)::float8
+        AS "attemptCount",
+      coalesce((
+        SELECT MAX(${attemptRatingSql("a")}) FROM "Attempt" a
+        WHERE a."recipeId" = r.id
+      ), -1)::float8 AS "bestRating"
+    FROM "Recipe" r
+    WHERE ${where} ${search ? Prisma.sql`AND ${search.match}` : Prisma.empty}`;
+}
+
+// { total, rows, nextCursor, facets } for one page of recipes
+function findRecipePage(prisma, { q, terms, where, sort, limit, cursor }) {
+  const rowsSql = recipeRowsSql({ q, terms, where });
+  return findPage(
+    prisma,
+    rowsSql,
+    sort,
+    RECIPE_SORTS[sort],
+    { limit, cursor },
+    facetsSql()
+  );
+}
+
+function findAttemptPage(prisma, { recipeId, sort, limit, cursor }) {
+  const rowsSql = Prisma.sql`
+    SELECT a.id, a."createdAt",
+      coalesce(${attemptRatingSql("a")}, -1)::float8 AS rating
+    FROM "Attempt" a
+    WHERE a."recipeId" = ${recipeId}`;
+  return findPage(prisma, rowsSql, sort, ATTEMPT_SORTS[sort], {
+    limit,
+    cursor,
+  });
+}
+
+module.exports = {
+  RECIPE_SORTS,
+  ATTEMPT_SORTS,
+  isValidCursor,
+  findRecipePage,
+  findAttemptPage,
+};
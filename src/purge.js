@@ -0,0 +1,76 @@
+// src/purge.js
+// Hard deletion of recipes. Deleting through the API only moves a recipe to the
+// trash (deletedAt); rows are removed here once the retention period has passed.
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// when a recipe deleted at `deletedAt` becomes eligible for purging
+function purgeAt(deletedAt, days = retentionDays()) {
+  return new Date(new Date(deletedAt).getTime() + days * DAY_MS);
+}
+
+// Delete a recipe with its attempts and images. Run inside a transaction (`tx`).
+// Steps, ingredients and revisions are removed by their cascading relations.
+async function deleteRecipeCascade(tx, id) {
+  const attempts = await tx.attempt.findMany({
+    where: { recipeId: id },
+    select: { id: true },
+  });
+  const attemptIds = attempts.map((a) => a.id);
+
+  if (attemptIds.length) {
+    // delete images attached to attempts
+    await tx.image.deleteMany({
+      where: { attemptId: { in: attemptIds } },
+    });
+    // delete attempts
+    await tx.attempt.deleteMany({ where: { id: { in: attemptIds } } });
+  }
+
+  // delete images attached directly to the recipe
+  await tx.image.deleteMany({ where: { recipeId: id } });
+
+  // finally delete the recipe
+  await tx.recipe.delete({ where: { id } });
+}
+
+// Purge recipes that have been in the trash longer than the retention period.
+// Returns the purged (or, with dryRun, the purgeable) recipes as { id, title, deletedAt }.
+async function purgeDeletedRecipes(
+  prisma,
+  { days = retentionDays(), now = new Date(), dryRun = false } = {}
+) {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const expired = await prisma.recipe.findMany({
+    where: { deletedAt: { not: null, lte: cutoff } },
+    select: { id: true, title: true, deletedAt: true },
+    orderBy: { deletedAt: "asc" },
+  });
+  if (dryRun) return expired;
+
+  const purged = [];
+  for (const recipe of expired) {
+    // one transaction per recipe so a failure only skips that recipe
+    try {
+      await prisma.$transaction((tx) => deleteRecipeCascade(tx, recipe.id));
+      purged.push(recipe);
+    } catch (error) {
+      console.error(`Failed to purge recipe ${recipe.id}:`, error);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  retentionDays,
+  purgeAt,
+  deleteRecipeCascade,
+  purgeDeletedRecipes,
+};
@@ -0,0 +1,126 @@
+// src/quota.js
+// Per-user storage accounting. Every upload records who uploaded it and how
+// many bytes it stores (the original plus all variants); a user's uploads may
+// take up to UPLOAD_QUOTA_MB in total. Uploads count until they are swept,
+// whether or not an image still uses them.
+const { buildError } = require("./utils/validate");
+
+const DEFAULT_QUOTA_MB = 500;
+const MB = 1024 * 1024;
+
+function quotaBytes() {
+  const mb = Number(process.env.UPLOAD_QUOTA_MB);
+  return Math.round(
+    (Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_QUOTA_MB) * MB
+  );
+}
+
+function formatBytes(bytes) {
+  return bytes >= MB
+    ? `${(bytes / MB).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// bytes currently stored for the user's uploads
+async function storageUsed(db, userId) {
+  const { _sum } = await db.upload.aggregate({
+    where: { uploaderId: userId },
+    _sum: { bytes: true },
+  });
+  return _sum.bytes || 0;
+}
+
+// the error for an upload of `bytes` (0 when not yet known) that does not fit
+function quotaError(used, bytes, quota) {
+  const total = formatBytes(quota);
+  if (!bytes) {
+    return buildError(
+      "file",
+      `storage quota exceeded: you have used ${formatBytes(used)} of ${total}`
+    );
+  }
+  const needed = formatBytes(bytes);
+  const left = formatBytes(Math.max(0, quota - used));
+  return buildError(
+    "file",
+    `storage quota exceeded: this upload needs ${needed} but only ${left} of ${total} is left`
+  );
+}
+
+// select for storageReport: each upload with the recipes its images belong
+// to, oldest image first
+const uploadUsageSelect = {
+  id: true,
+  bytes: true,
+  images: {
+    orderBy: { createdAt: "asc" },
+    select: {
+      recipe: { select: { id: true, title: true, deletedAt: true } },
+      attempt: {
+        select: {
+          recipe: { select: { id: true, title: true, deletedAt: true } },
+        },
+      },
+      step: {
+        select: {
+          recipe: { select: { id: true, title: true, deletedAt: true } },
+        },
+      },
+    },
+  },
+};
+
+function imageRecipe(image) {
+  return (
+    image.recipe ||
+    (image.attempt && image.attempt.recipe) ||
+    (image.step && image.step.recipe) ||
+    null
+  );
+}
+
+// Usage broken down by recipe. An upload counts towards the recipe it was
+// first used in (gallery, attempt or step); uploads no image uses yet (or any
+// more) are listed as `unused`. Recipes come largest first.
+function storageReport(uploads, quota) {
+  const recipes = new Map();
+  const unused = { bytes: 0, uploads: 0 };
+  let usedBytes = 0;
+  for (const upload of uploads) {
+    usedBytes += upload.bytes;
+    const recipe = upload.images.map(imageRecipe).find(Boolean);
+    if (!recipe) {
+      unused.bytes += upload.bytes;
+      unused.uploads += 1;
+      continue;
+    }
+    if (!recipes.has(recipe.id)) {
+      recipes.set(recipe.id, {
+        id: recipe.id,
+        title: recipe.title,
+        deleted: Boolean(recipe.deletedAt),
+        bytes: 0,
+        uploads: 0,
+      });
+    }
+    const entry = recipes.get(recipe.id);
+    entry.bytes += upload.bytes;
+    entry.uploads += 1;
+  }
+  return {
+    usedBytes,
+    quotaBytes: quota,
+    uploads: uploads.length,
+    recipes: [...recipes.values()].sort((a, b) => b.bytes - a.bytes),
+    unused,
+  };
+}
+
+module.exports = {
+  DEFAULT_QUOTA_MB,
+  quotaBytes,
+  storageUsed,
+  quotaError,
+  uploadUsageSelect,
+  storageReport,
+};
@@ -0,0 +1,266 @@
+// src/revisions.js
+// Recipe revision history. Every content update first snapshots the version it
+// replaces into RecipeRevision, so any earlier version can be diffed or restored.
+const { diffLines, diffSets, hasChanges } = require("./utils/diff");
+const { orderedImages, imagesCreateData } = require("./images");
+const { tagNames, tagsCreateData } = require("./tags");
+const { publicUrl } = require("./storage");
+
+// fields whose change creates a revision
+const CONTENT_FIELDS = [
+  "title",
+  "body",
+  "feedback",
+  "meta",
+  "images",
+  "ingredients",
+  "tags",
+  "servings",
+  "baking",
+  "visibility",
+];
+
+// settings diffed as { from, to }
+const SETTING_FIELDS = ["servings", "baking", "visibility"];
+
+// include for loading a recipe with everything recipeContent() versions
+const contentInclude = {
+  images: orderedImages,
+  ingredients: true,
+  steps: { orderBy: { position: "asc" }, include: { images: orderedImages } },
+  tags: { include: { tag: true } },
+};
+
+// a payload field set to the value the recipe already has is not a change
+function isContentUpdate(payload, recipe) {
+  return CONTENT_FIELDS.some(
+    (f) => payload[f] !== undefined && payload[f] !== recipe[f]
+  );
+}
+
+function ingredientLine(ing) {
+  const amount = [ing.quantity, ing.unit]
+    .filter((v) => v !== null && v !== undefined && v !== "")
+    .join(" ");
+  const text = [amount, ing.name].filter(Boolean).join(" ");
+  const withNote = ing.note ? `${text} (${ing.note})` : text;
+  return ing.group ? `[${ing.group}] ${withNote}` : withNote;
+}
+
+function stepLine(step) {
+  const details = [];
+  if (step.durationSeconds) {
+    details.push(
+      step.durationSeconds % 60
+        ? `${step.durationSeconds} s`
+        : `${step.durationSeconds / 60} min`
+    );
+  }
+  if (step.temperature !== null && step.temperature !== undefined) {
+    details.push(`${step.temperature} °${step.temperatureUnit || "C"}`);
+  }
+  return details.length ? `${step.text} (${details.join(", ")})` : step.text;
+}
+
+// versioned content of a live recipe loaded with contentInclude
+function recipeContent(recipe) {
+  return {
+    title: recipe.title,
+    body: recipe.body || "",
+    feedback: recipe.feedback || "",
+    meta: recipe.meta || {},
+    images: (recipe.images || []).map((img) => img.url),
+    ingredients: [...(recipe.ingredients || [])]
+      .sort((a, b) => a.position - b.position)
+      .map(({ quantity, unit, name, note, group }) => ({
+        quantity,
+        unit,
+        name,
+        note,
+        group,
+      })),
+    steps: [...(recipe.steps || [])]
+      .sort((a, b) => a.position - b.position)
+      .map(
+        ({ text, durationSeconds, temperature, temperatureUnit, images }) => ({
+          text,
+          durationSeconds,
+          temperature,
+          temperatureUnit,
+          image: images && images.length ? images[0].url : null,
+        })
+      ),
+    tags: tagNames(recipe),
+    servings: recipe.servings === undefined ? null : recipe.servings,
+    baking: recipe.baking === true,
+    visibility: recipe.visibility || "public",
+  };
+}
+
+function revisionContent(rev) {
+  return {
+    title: rev.title,
+    body: rev.body || "",
+    feedback: rev.feedback || "",
+    meta: rev.meta || {},
+    images: Array.isArray(rev.images) ? rev.images : [],
+    ingredients: Array.isArray(rev.ingredients) ? rev.ingredients : [],
+    steps: Array.isArray(rev.steps) ? rev.steps : [],
+    tags: Array.isArray(rev.tags) ? rev.tags : [],
+    servings: rev.servings === undefined ? null : rev.servings,
+    baking: rev.baking === true,
+    visibility: rev.visibility || "public",
+  };
+}
+
+function formatRevision(rev) {
+  const { id, recipeId, number, editorId, savedAt, createdAt } = rev;
+  const content = revisionContent(rev);
+  return {
+    id,
+    recipeId,
+    number,
+    editorId,
+    // when this version was saved, and when it was replaced
+    savedAt,
+    createdAt,
+    ...content,
+    images: content.images.map(publicUrl),
+    steps: content.steps.map((step) => ({
+      ...step,
+      image: publicUrl(step.image),
+    })),
+  };
+}
+
+// store the recipe's current content as the next revision; `db` may be a transaction
+async function snapshotRecipe(db, recipeId, editorId) {
+  const recipe = await db.recipe.findUnique({
+    where: { id: recipeId },
+    include: contentInclude,
+  });
+  const last = await db.recipeRevision.aggregate({
+    where: { recipeId },
+    _max: { number: true },
+  });
+  return db.recipeRevision.create({
+    data: {
+      recipeId,
+      number: (last._max.number || 0) + 1,
+      editorId: editorId || null,
+      savedAt: recipe.updatedAt,
+      ...recipeContent(recipe),
+    },
+  });
+}
+
+// Recipe update data that puts a revision's content back in place. Steps are
+// rewritten in place by position, so attempt adjustments keep pointing at
+// the steps that remain. `visibility` is returned as a plain value for the
+// caller to turn into visibility and share token data.
+async function restoreData(db, rev) {
+  const content = revisionContent(rev);
+  const current = await db.step.findMany({
+    where: { recipeId: rev.recipeId },
+    orderBy: { position: "asc" },
+    select: { id: true },
+  });
+  const steps = [];
+  for (const [position, step] of content.steps.entries()) {
+    const { text, durationSeconds, temperature, temperatureUnit } = step;
+    steps.push({
+      position,
+      text,
+      durationSeconds,
+      temperature,
+      temperatureUnit,
+      images: {
+        ...(position < current.length ? { deleteMany: {} } : {}),
+        create: await imagesCreateData(
+          db,
+          step.image ? [{ url: step.image }] : []
+        ),
+      },
+    });
+  }
+  const kept = current.slice(0, steps.length);
+  return {
+    title: content.title,
+    body: content.body,
+    feedback: content.feedback,
+    meta: content.meta,
+    servings: content.servings,
+    baking: content.baking,
+    visibility: content.visibility,
+    images: {
+      deleteMany: {},
+      create: await imagesCreateData(
+        db,
+        content.images.map((url) => ({ url }))
+      ),
+    },
+    ingredients: {
+      deleteMany: {},
+      create: content.ingredients.map((ing, position) => ({
+        ...ing,
+        position,
+      })),
+    },
+    steps: {
+      deleteMany: { id: { in: current.slice(steps.length).map((s) => s.id) } },
+      update: kept.map((s, i) => ({ where: { id: s.id }, data: steps[i] })),
+      create: steps.slice(kept.length),
+    },
+    tags: { deleteMany: {}, create: tagsCreateData(content.tags) },
+  };
+}
+
+// field-by-field diff between two contents (see recipeContent/revisionContent)
+function diffContents(from, to) {
+  const fields = {
+    title: diffLines(from.title, to.title),
+    body: diffLines(from.body, to.body),
+    feedback: diffLines(from.feedback, to.feedback),
+    ingredients: diffLines(
+      from.ingredients.map(ingredientLine).join("\n"),
+      to.ingredients.map(ingredientLine).join("\n")
+    ),
+    steps: diffLines(
+      from.steps.map(stepLine).join("\n"),
+      to.steps.map(stepLine).join("\n")
+    ),
+  };
+  const images = diffSets(from.images.map(publicUrl), to.images.map(publicUrl));
+  const tags = diffSets(from.tags, to.tags);
+  const settings = Object.fromEntries(
+    SETTING_FIELDS.map((f) => [f, { from: from[f], to: to[f] }])
+  );
+  const changed = Object.keys(fields).filter((f) => hasChanges(fields[f]));
+  // a step's image can change while its line stays the same
+  if (
+    !changed.includes("steps") &&
+    JSON.stringify(from.steps) !== JSON.stringify(to.steps)
+  ) {
+    changed.push("steps");
+  }
+  if (images.added.length || images.removed.length) changed.push("images");
+  if (tags.added.length || tags.removed.length) changed.push("tags");
+  changed.push(...SETTING_FIELDS.filter((f) => from[f] !== to[f]));
+  if (JSON.stringify(from.meta) !== JSON.stringify(to.meta)) {
+    changed.push("meta");
+  }
+  return { changed, ...fields, images, tags, ...settings };
+}
+
+module.exports = {
+  contentInclude,
+  isContentUpdate,
+  ingredientLine,
+  stepLine,
+  recipeContent,
+  revisionContent,
+  formatRevision,
+  snapshotRecipe,
+  restoreData,
+  diffContents,
+};
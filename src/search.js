@@ -0,0 +1,69 @@
+// src/search.js
+// Database-backed recipe search (PostgreSQL).
+//
+// Ranking uses Recipe."searchVector", a weighted tsvector over the recipe
+// title (A), body + feedback (B) and all attempt bodies/feedback (C) that
+// database triggers keep up to date and a GIN index serves. The 'simple' text
+// search config does not segment Chinese, so a case-insensitive substring
+// match on every query term is accepted as well and adds a small boost per
+// field it hits.
+const { Prisma } = require("@prisma/client");
+
+// escape LIKE wildcards so user input is matched literally
+function likePattern(term) {
+  return `%${term.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+function titleText() {
+  return Prisma.sql`coalesce(r.title, '')`;
+}
+
+function contentText() {
+  return Prisma.sql`coalesce(r.body, '') || ' ' || coalesce(r.feedback, '')`;
+}
+
+function inTitle(pattern) {
+  return Prisma.sql`${titleText()} ILIKE ${pattern}`;
+}
+
+function inContent(pattern) {
+  return Prisma.sql`${contentText()} ILIKE ${pattern}`;
+}
+
+function inAttempts(pattern) {
+  return Prisma.sql`EXISTS (
+    SELECT 1 FROM "Attempt" a
+    WHERE a."recipeId" = r.id
+      AND a.body || ' ' || coalesce(a.feedback, '') ILIKE ${pattern}
+  )`;
+}
+
+function inAnyField(pattern) {
+  return Prisma.sql`(${inTitle(pattern)} OR ${inContent(pattern)}
+    OR ${inAttempts(pattern)})`;
+}
+
+// { match, rank } for the "Recipe" row aliased as r: the condition for
+// recipes matching `q` and their relevance
+function recipeSearchSql(q, terms) {
+  const patterns = terms.map(likePattern);
+  const query = Prisma.sql`websearch_to_tsquery('simple', ${q})`;
+  const vector = Prisma.sql`coalesce(r."searchVector", ''::tsvector)`;
+  // every term found by `has`
+  const allTerms = (has) =>
+    patterns.length
+      ? Prisma.sql`(${Prisma.join(patterns.map(has), " AND ")})`
+      : Prisma.sql`FALSE`;
+
+  return {
+    match: Prisma.sql`(${vector} @@ ${query} OR ${allTerms(inAnyField)})`,
+    rank: Prisma.sql`(
+      ts_rank(${vector}, ${query})
+      + CASE WHEN ${allTerms(inTitle)} THEN 0.5 ELSE 0 END
+      + CASE WHEN ${allTerms(inContent)} THEN 0.2 ELSE 0 END
+      + CASE WHEN ${allTerms(inAttempts)} THEN 0.1 ELSE 0 END
+    )::float8`,
+  };
+}
+
+module.exports = { recipeSearchSql };
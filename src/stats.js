@@ -0,0 +1,146 @@
+// src/stats.js
+// Per-recipe attempt statistics: outcomes, rating trend, durations, how often
+// the recipe is cooked, and the words that come up most in attempt feedback.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TERMS = 20;
+
+// words too common to say anything about an attempt
+const STOP_WORDS = new Set([
+  "的",
+  "了",
+  "和",
+  "是",
+  "在",
+  "有",
+  "也",
+  "就",
+  "都",
+  "很",
+  "太",
+  "放",
+  "还",
+  "但",
+  "又",
+  "我",
+  "这",
+  "那",
+  "要",
+  "会",
+  "一",
+  "一点",
+  "有点",
+  "比较",
+  "这次",
+  "下次",
+  "the",
+  "a",
+  "an",
+  "and",
+  "or",
+  "but",
+  "to",
+  "of",
+  "in",
+  "on",
+  "for",
+  "with",
+  "is",
+  "was",
+  "it",
+  "this",
+  "that",
+  "too",
+  "bit",
+  "very",
+  "next",
+  "time",
+]);
+
+// the ICU word segmenter splits Chinese text, which has no spaces
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// most frequent words across texts: [{ term, count }], most frequent first
+function topTerms(texts, limit = MAX_TERMS) {
+  const counts = new Map();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const { segment, isWordLike } of wordSegmenter.segment(text)) {
+      const term = segment.toLowerCase();
+      if (!isWordLike || STOP_WORDS.has(term) || /^\d+$/.test(term)) continue;
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([term, count]) => ({ term, count }))
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+function cookedAt(attempt) {
+  return new Date(attempt.cookedAt || attempt.createdAt);
+}
+
+// statistics for a recipe's attempts (rows with outcome, rating,
+// durationMinutes, cookedAt, createdAt, feedback and adjustments)
+function recipeStats(attempts) {
+  const ordered = [...attempts].sort((a, b) => cookedAt(a) - cookedAt(b));
+
+  const outcomes = { success: 0, partial: 0, failure: 0, unrecorded: 0 };
+  for (const a of ordered) {
+    if (a.outcome in outcomes) outcomes[a.outcome] += 1;
+    else outcomes.unrecorded += 1;
+  }
+  const recorded = ordered.length - outcomes.unrecorded;
+
+  const rated = ordered.filter((a) => typeof a.rating === "number");
+  const averageRating = average(rated.map((a) => a.rating));
+  const averageDuration = average(
+    ordered
+      .filter((a) => typeof a.durationMinutes === "number")
+      .map((a) => a.durationMinutes)
+  );
+
+  const daysBetween = ordered
+    .slice(1)
+    .map((a, i) => round((cookedAt(a) - cookedAt(ordered[i])) / DAY_MS, 1));
+  const averageDays = average(daysBetween);
+
+  const texts = ordered.flatMap((a) => [
+    a.feedback,
+    ...(Array.isArray(a.adjustments) ? a.adjustments : []).map(
+      (adj) => adj && adj.text
+    ),
+  ]);
+
+  return {
+    attempts: ordered.length,
+    outcomes,
+    // share of attempts with a recorded outcome that succeeded
+    successRate: recorded ? round(outcomes.success / recorded, 3) : null,
+    averageRating: averageRating === null ? null : round(averageRating, 2),
+    ratings: rated.map((a) => ({
+      attemptId: a.id,
+      cookedAt: cookedAt(a).toISOString(),
+      rating: a.rating,
+    })),
+    averageDurationMinutes:
+      averageDuration === null ? null : round(averageDuration, 1),
+    daysBetweenAttempts: daysBetween,
+    averageDaysBetweenAttempts:
+      averageDays === null ? null : round(averageDays, 1),
+    terms: topTerms(texts),
+  };
+}
+
+module.exports = { topTerms, recipeStats };
@@ -0,0 +1,109 @@
+// src/storage/index.js
+// Where uploaded files live. Every backend implements the same interface:
+//   put(key, body, { contentType })   store bytes under a key
+//   get(key)                          bytes, or null when missing
+//   delete(key)                       remove (missing keys are ignored)
+//   list(prefix)                      [{ key, size, lastModified }]
+//   url(key)                          url clients can load the file from
+//   signedUrl(key, { expiresIn })     time-limited url, also for private keys
+//   keyFromUrl(url)                   key for one of our urls, else null
+// The database stores keys (e.g. "images/123_full.webp"), never host urls;
+// responses turn them into urls with publicUrl().
+const path = require("path");
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+const STORAGE_BACKENDS = ["local", "s3"];
+
+// originals are never linked from the app; only signed urls reach them
+const ORIGINALS_PREFIX = "originals/";
+const IMAGES_PREFIX = "images/";
+
+function requireEnv(env, name) {
+  if (!env[name]) throw new Error(`${name} must be set for s3 storage`);
+  return env[name];
+}
+
+// backend chosen by STORAGE_BACKEND ("local" by default)
+function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || "local";
+  if (backend === "local") {
+    return createLocalStorage({
+      root:
+        env.LOCAL_STORAGE_DIR ||
+        path.join(__dirname, "..", "..", "public", "uploads"),
+      baseUrl: env.LOCAL_STORAGE_URL || "/uploads",
+      secret:
+        env.STORAGE_SIGNING_SECRET ||
+        env.SESSION_SECRET ||
+        "dev-only-storage-secret",
+      privatePrefixes: [ORIGINALS_PREFIX],
+    });
+  }
+  if (backend === "s3") {
+    return createS3Storage({
+      endpoint: requireEnv(env, "S3_ENDPOINT"),
+      region: env.S3_REGION || "us-east-1",
+      bucket: requireEnv(env, "S3_BUCKET"),
+      accessKeyId: requireEnv(env, "S3_ACCESS_KEY_ID"),
+      secretAccessKey: requireEnv(env, "S3_SECRET_ACCESS_KEY"),
+      publicUrl: env.S3_PUBLIC_URL || null,
+      privatePrefixes: [ORIGINALS_PREFIX],
+    });
+  }
+  throw new Error(
+    `STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(", ")}`
+  );
+}
+
+let storage = null;
+
+// the configured backend, created on first use
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+// urls that are not ours (other sites, or absolute paths) are kept as they are
+function isUrl(value) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith("/");
+}
+
+// Files were served from the storage root before keys were stored; they now
+// live under images/, so http://host/uploads/x.webp means images/x.webp
+function urlKey(url) {
+  const key = getStorage().keyFromUrl(url);
+  return key && !key.includes("/") ? `${IMAGES_PREFIX}${key}` : key;
+}
+
+// the url to send to clients for a stored key (or a foreign url); originals
+// are never handed out this way
+function publicUrl(value) {
+  if (!value) return value;
+  // urls saved before keys were stored, e.g. http://host/uploads/x.webp
+  const key = isUrl(value) ? urlKey(value) : value;
+  if (!key) return value;
+  return key.startsWith(ORIGINALS_PREFIX) ? null : getStorage().url(key);
+}
+
+// the key for a url of our storage (or a stored key), or null for a foreign
+// url
+function ownKey(url) {
+  return isUrl(url) ? urlKey(url) : url;
+}
+
+// the value to store for a url: its key, or a foreign url as it is
+function toKey(url) {
+  return ownKey(url) || url;
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  ORIGINALS_PREFIX,
+  IMAGES_PREFIX,
+  createStorage,
+  getStorage,
+  publicUrl,
+  ownKey,
+  toKey,
+};
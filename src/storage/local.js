@@ -0,0 +1,141 @@
+// src/storage/local.js
+// Local-disk storage: keys are paths under `root`, served by handler() at
+// `baseUrl`. Keys under a private prefix (originals) are only served with a
+// valid signature from signedUrl().
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+function createLocalStorage({ root, baseUrl, secret, privatePrefixes = [] }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const rootDir = path.resolve(root);
+
+  // absolute path of a key; keys may not climb out of the root
+  function filePath(key) {
+    const file = path.resolve(rootDir, key);
+    if (!file.startsWith(rootDir + path.sep)) {
+      throw new Error(`invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  function sign(key, expires) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${key}\n${expires}`)
+      .digest("hex");
+  }
+
+  function isPrivate(key) {
+    return privatePrefixes.some((prefix) => key.startsWith(prefix));
+  }
+
+  function verify(key, query) {
+    const expires = Number(query.expires);
+    if (!Number.isInteger(expires) || expires * 1000 < Date.now()) return false;
+    const expected = Buffer.from(sign(key, expires));
+    const given = Buffer.from(String(query.signature || ""));
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    );
+  }
+
+  async function walk(dir, prefix, out) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return out;
+    }
+    for (const entry of entries) {
+      const key = prefix + entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name), `${key}/`, out);
+      } else if (entry.isFile()) {
+        const stat = await fs.promises.stat(path.join(dir, entry.name));
+        out.push({ key, size: stat.size, lastModified: stat.mtime });
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: "local",
+    baseUrl: base,
+
+    async put(key, body) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    // the stored bytes, or null when the key does not exist
+    async get(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+
+    // [{ key, size, lastModified }] for every key starting with `prefix`
+    async list(prefix = "") {
+      const all = await walk(rootDir, "", []);
+      return all.filter((item) => item.key.startsWith(prefix));
+    },
+
+    url(key) {
+      return `${base}/${key}`;
+    },
+
+    signedUrl(key, { expiresIn = 3600 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = sign(key, expires);
+      return `${base}/${key}?expires=${expires}&signature=${signature}`;
+    },
+
+    // key for a url served from baseUrl (relative or on any host), else
+    // null; malformed urls and escapes are not ours either
+    keyFromUrl(url) {
+      try {
+        const { pathname } = new URL(url, "http://localhost");
+        return pathname.startsWith(`${base}/`)
+          ? decodeURIComponent(pathname.slice(base.length + 1))
+          : null;
+      } catch {
+        return null;
+      }
+    },
+
+    // express middleware serving the files, mounted at baseUrl. Only
+    // canonical keys are served, so "./" or "../" segments cannot dodge the
+    // private prefix check.
+    handler() {
+      const serve = express.static(rootDir, { index: false, dotfiles: "deny" });
+      return (req, res, next) => {
+        let key;
+        try {
+          key = decodeURIComponent(req.path.replace(/^\/+/, ""));
+        } catch {
+          return res.status(400).end();
+        }
+        if (key !== path.posix.normalize(key) || key.startsWith("..")) {
+          return res.status(404).end();
+        }
+        if (isPrivate(key) && !verify(key, req.query)) {
+          return res.status(403).end();
+        }
+        return serve(req, res, next);
+      };
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
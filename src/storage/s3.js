@@ -0,0 +1,165 @@
+// src/storage/s3.js
+// S3-compatible object storage (AWS S3, MinIO, Cloudflare R2...) over plain
+// HTTPS with SigV4 signing. Objects are addressed path-style
+// (`endpoint/bucket/key`), which every S3-compatible service accepts.
+const { sha256Hex, encodePath, signRequest, presignUrl } = require("./sigv4");
+
+const XML_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+};
+
+function xmlText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match
+    ? match[1].replace(/&(amp|lt|gt|quot|apos);/g, (e) => XML_ENTITIES[e])
+    : null;
+}
+
+// one page of a ListObjectsV2 response
+function parseListPage(xml) {
+  const items = [...xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map(
+    ([, entry]) => ({
+      key: xmlText(entry, "Key"),
+      size: Number(xmlText(entry, "Size")),
+      lastModified: new Date(xmlText(entry, "LastModified")),
+    })
+  );
+  return {
+    items,
+    nextToken:
+      xmlText(xml, "IsTruncated") === "true"
+        ? xmlText(xml, "NextContinuationToken")
+        : null,
+  };
+}
+
+// `publicUrl` is the base under which objects are publicly readable (a CDN or
+// public bucket); without it url() returns presigned urls valid for
+// `urlExpiresIn` seconds. Keys under `privatePrefixes` (originals) only get a
+// url from signedUrl().
+function createS3Storage({
+  endpoint,
+  region = "us-east-1",
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  urlExpiresIn = 7 * 24 * 60 * 60,
+  privatePrefixes = [],
+  fetch = globalThis.fetch,
+}) {
+  const bucketUrl = `${endpoint.replace(/\/+$/, "")}/${bucket}`;
+  const publicBase = publicUrl ? publicUrl.replace(/\/+$/, "") : null;
+  const credentials = { accessKeyId, secretAccessKey };
+
+  function objectUrl(key) {
+    return `${bucketUrl}${encodePath(`/${key}`)}`;
+  }
+
+  async function send(method, url, { body, headers = {} } = {}) {
+    const signed = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: sha256Hex(body || ""),
+      credentials,
+      region,
+    });
+    delete signed.host;
+    return fetch(url, { method, headers: signed, body });
+  }
+
+  async function check(res, what) {
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(
+        `S3 ${what} failed: ${res.status} ${xmlText(text, "Code") || ""}`.trim()
+      );
+    }
+    return res;
+  }
+
+  function signedUrl(key, { expiresIn = 3600 } = {}) {
+    return presignUrl({
+      url: objectUrl(key),
+      expiresIn,
+      credentials,
+      region,
+    });
+  }
+
+  return {
+    name: "s3",
+
+    async put(key, body, { contentType } = {}) {
+      const res = await send("PUT", objectUrl(key), {
+        body,
+        headers: contentType ? { "content-type": contentType } : {},
+      });
+      await check(res, `put ${key}`);
+    },
+
+    // the stored bytes, or null when the key does not exist
+    async get(key) {
+      const res = await send("GET", objectUrl(key));
+      if (res.status === 404) return null;
+      await check(res, `get ${key}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    async delete(key) {
+      const res = await send("DELETE", objectUrl(key));
+      if (res.status !== 404) await check(res, `delete ${key}`);
+    },
+
+    // [{ key, size, lastModified }] for every key starting with `prefix`
+    async list(prefix = "") {
+      const items = [];
+      let token = null;
+      do {
+        const url = new URL(bucketUrl);
+        url.searchParams.set("list-type", "2");
+        url.searchParams.set("prefix", prefix);
+        if (token) url.searchParams.set("continuation-token", token);
+        const res = await check(await send("GET", url.toString()), "list");
+        const page = parseListPage(await res.text());
+        items.push(...page.items);
+        token = page.nextToken;
+      } while (token);
+      return items;
+    },
+
+    url(key) {
+      if (privatePrefixes.some((prefix) => key.startsWith(prefix))) {
+        throw new Error(`no public url for private key: ${key}`);
+      }
+      return publicBase
+        ? `${publicBase}${encodePath(`/${key}`)}`
+        : signedUrl(key, { expiresIn: urlExpiresIn });
+    },
+
+    signedUrl,
+
+    // key for a url of this bucket (public, presigned or raw), else null;
+    // urls with malformed escapes are not ours either
+    keyFromUrl(url) {
+      const [withoutQuery] = String(url).split("?");
+      for (const base of [publicBase, bucketUrl].filter(Boolean)) {
+        if (withoutQuery.startsWith(`${base}/`)) {
+          try {
+            return decodeURIComponent(withoutQuery.slice(base.length + 1));
+          } catch {
+            return null;
+          }
+        }
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = { parseListPage, createS3Storage };
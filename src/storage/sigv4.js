@@ -0,0 +1,181 @@
+// src/storage/sigv4.js
+// AWS Signature Version 4 for S3-compatible object stores (AWS S3, MinIO,
+// R2...): signed request headers and presigned GET urls. Only what the S3
+// storage adapter needs; payloads are hashed by the caller.
+const crypto = require("crypto");
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 requires (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+// object keys keep their slashes; every segment is encoded exactly once, so
+// segments already percent-encoded by URL are decoded first
+function encodePath(pathname) {
+  return pathname
+    .split("/")
+    .map((segment) => encodeRfc3986(decodeURIComponent(segment)))
+    .join("/");
+}
+
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// encoded name=value pairs sorted by name, then value
+function canonicalQuery(params) {
+  return [...params]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a, av], [b, bv]) => compare(a, b) || compare(av, bv))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+}
+
+// signature over a request; `headers` must already contain every header to sign
+function signature({
+  method,
+  url,
+  headers,
+  payloadHash,
+  query,
+  credentials,
+  region,
+  service,
+  date,
+}) {
+  const names = Object.keys(headers)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowered = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  const signedHeaders = names.join(";");
+  const canonicalRequest = [
+    method,
+    encodePath(url.pathname),
+    canonicalQuery(query),
+    names.map((name) => `${name}:${String(lowered[name]).trim()}\n`).join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const stamp = amzDate(date);
+  const scope = `${stamp.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    ALGORITHM,
+    stamp,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+  const signingKey = [
+    stamp.slice(0, 8),
+    region,
+    service,
+    "aws4_request",
+  ].reduce(hmac, `AWS4${credentials.secretAccessKey}`);
+  return {
+    signature: hmac(signingKey, stringToSign).toString("hex"),
+    signedHeaders,
+    scope,
+  };
+}
+
+// headers to send with a request: host, x-amz-date, x-amz-content-sha256 and
+// the Authorization header, plus the `headers` passed in
+function signRequest({
+  method,
+  url,
+  headers = {},
+  payloadHash = UNSIGNED_PAYLOAD,
+  credentials,
+  region,
+  service = "s3",
+  date = new Date(),
+}) {
+  const target = new URL(url);
+  const signed = {
+    ...headers,
+    host: target.host,
+    "x-amz-date": amzDate(date),
+    "x-amz-content-sha256": payloadHash,
+  };
+  const result = signature({
+    method,
+    url: target,
+    headers: signed,
+    payloadHash,
+    query: target.searchParams,
+    credentials,
+    region,
+    service,
+    date,
+  });
+  return {
+    ...signed,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${result.scope}, SignedHeaders=${result.signedHeaders}, Signature=${result.signature}`,
+  };
+}
+
+// a GET url anyone can use until it expires (`expiresIn` seconds, max 7 days)
+function presignUrl({
+  url,
+  expiresIn,
+  credentials,
+  region,
+  service = "s3",
+  date = new Date(),
+}) {
+  const target = new URL(url);
+  const stamp = amzDate(date);
+  const scope = `${stamp.slice(0, 8)}/${region}/${service}/aws4_request`;
+  target.searchParams.set("X-Amz-Algorithm", ALGORITHM);
+  target.searchParams.set(
+    "X-Amz-Credential",
+    `${credentials.accessKeyId}/${scope}`
+  );
+  target.searchParams.set("X-Amz-Date", stamp);
+  target.searchParams.set("X-Amz-Expires", String(expiresIn));
+  target.searchParams.set("X-Amz-SignedHeaders", "host");
+  const result = signature({
+    method: "GET",
+    url: target,
+    headers: { host: target.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    query: target.searchParams,
+    credentials,
+    region,
+    service,
+    date,
+  });
+  return `${target.origin}${encodePath(target.pathname)}?${canonicalQuery(
+    target.searchParams
+  )}&X-Amz-Signature=${result.signature}`;
+}
+
+module.exports = {
+  UNSIGNED_PAYLOAD,
+  sha256Hex,
+  encodeRfc3986,
+  encodePath,
+  signRequest,
+  presignUrl,
+};
@@ -0,0 +1,119 @@
+// src/sweep.js
+// Garbage collection for uploaded files. POST /api/uploads stores files right
+// away, before any recipe or attempt uses them; an upload stays pending until
+// an Image claims it. Uploads nobody references once the grace period has
+// passed (abandoned forms, images replaced by PUT/PATCH, purged recipes) are
+// deleted with their files, as are stray files no upload or image knows about.
+const { IMAGES_PREFIX, toKey } = require("./storage");
+
+const DEFAULT_GRACE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+function graceHours() {
+  const hours = Number(process.env.UPLOAD_GRACE_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+}
+
+// keys of every file an image or a recipe revision (which can be restored)
+// points at
+async function referencedKeys(db) {
+  const images = await db.image.findMany({ select: { url: true } });
+  const revisions = await db.recipeRevision.findMany({
+    select: { images: true, steps: true },
+  });
+  const urls = [
+    ...images.map((img) => img.url),
+    ...revisions.flatMap((rev) => [
+      ...(Array.isArray(rev.images) ? rev.images : []),
+      ...(Array.isArray(rev.steps) ? rev.steps : [])
+        .map((step) => step.image)
+        .filter(Boolean),
+    ]),
+  ];
+  return new Set(urls.map(toKey));
+}
+
+// Find (and unless dryRun, delete) orphaned uploads and stray files in
+// `storage`. Returns a report:
+// { cutoff, uploads: [{ id, key, status, createdAt, keys, bytes }],
+//   strayFiles: [{ key, bytes }], bytes } where status is "pending" for
+// uploads never claimed and "released" for ones whose images were removed.
+async function sweepUploads(
+  db,
+  { storage, hours = graceHours(), now = new Date(), dryRun = false }
+) {
+  const cutoff = new Date(now.getTime() - hours * HOUR_MS);
+  const referenced = await referencedKeys(db);
+  const uploads = await db.upload.findMany({
+    include: { variants: true },
+    orderBy: { createdAt: "asc" },
+  });
+  const stored = await storage.list();
+  const sizes = new Map(stored.map((item) => [item.key, item.size]));
+
+  const known = new Set(referenced);
+  const orphaned = [];
+  for (const upload of uploads) {
+    const variantKeys = upload.variants.map((v) => v.key);
+    const keys = [upload.originalKey, ...variantKeys];
+    keys.forEach((key) => known.add(key));
+    if (
+      upload.createdAt > cutoff ||
+      variantKeys.some((key) => referenced.has(key))
+    ) {
+      continue;
+    }
+    orphaned.push({
+      id: upload.id,
+      key: upload.key,
+      status: upload.claimedAt ? "released" : "pending",
+      createdAt: upload.createdAt,
+      keys,
+      bytes: keys.reduce((sum, key) => sum + (sizes.get(key) || 0), 0),
+    });
+  }
+
+  // files of crashed uploads, and files from before uploads were tracked.
+  // Files not yet moved from the storage root under images/ count as their
+  // images/ key.
+  const isKnown = (key) =>
+    known.has(key) ||
+    (!key.includes("/") && known.has(`${IMAGES_PREFIX}${key}`));
+  const stray = stored
+    .filter((item) => !isKnown(item.key) && item.lastModified <= cutoff)
+    .map((item) => ({ key: item.key, bytes: item.size }));
+
+  const report = { cutoff, uploads: orphaned, strayFiles: stray };
+  if (dryRun) return withTotal(report);
+
+  const swept = [];
+  for (const upload of orphaned) {
+    try {
+      // an image may have claimed the upload since it was loaded
+      const { count } = await db.upload.deleteMany({
+        where: { id: upload.id, images: { none: {} } },
+      });
+      if (!count) continue;
+      for (const key of upload.keys) await storage.delete(key);
+      swept.push(upload);
+    } catch (error) {
+      console.error(`Failed to sweep upload ${upload.id}:`, error);
+    }
+  }
+  for (const file of stray) await storage.delete(file.key);
+  return withTotal({ ...report, uploads: swept });
+}
+
+function withTotal(report) {
+  const bytes = [...report.uploads, ...report.strayFiles].reduce(
+    (sum, item) => sum + item.bytes,
+    0
+  );
+  return { ...report, bytes };
+}
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  graceHours,
+  sweepUploads,
+};
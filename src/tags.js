@@ -0,0 +1,64 @@
+// src/tags.js
+// Recipe tags: nested writes for tagging recipes and the `?tag=` list filter.
+const { Prisma } = require("@prisma/client");
+const { buildError, normalizeTag } = require("./utils/validate");
+
+// "all": recipes carrying every requested tag (AND); "any": at least one (OR)
+const TAG_MATCHES = ["all", "any"];
+
+// nested RecipeTag create data; unknown tags are created on the fly
+function tagsCreateData(names) {
+  return names.map((name) => ({
+    tag: { connectOrCreate: { where: { name }, create: { name } } },
+  }));
+}
+
+// tag names of a recipe loaded with `tags: { include: { tag: true } }`
+function tagNames(recipe) {
+  return (recipe.tags || []).map((rt) => rt.tag.name).sort();
+}
+
+// parse `tag` (repeatable) and `match` query params
+function parseTagFilter(query) {
+  const errors = [];
+  const raw = query.tag === undefined ? [] : [].concat(query.tag);
+  const tags = [];
+  raw.forEach((t) => {
+    const name = typeof t === "string" ? normalizeTag(t) : "";
+    if (!name) {
+      errors.push(buildError("tag", "tag must be a non-empty string"));
+    } else if (!tags.includes(name)) {
+      tags.push(name);
+    }
+  });
+  const match = query.match === undefined ? "all" : query.match;
+  if (!TAG_MATCHES.includes(match)) {
+    errors.push(
+      buildError("match", `match must be one of ${TAG_MATCHES.join(", ")}`)
+    );
+  }
+  return { errors, tags, match };
+}
+
+// condition on the "Recipe" row aliased as r; TRUE when no tags are requested
+function tagFilterSql(tags, match) {
+  if (!tags.length) return Prisma.sql`TRUE`;
+  const tagged = Prisma.sql`
+    SELECT rt."recipeId" FROM "RecipeTag" rt
+    JOIN "Tag" t ON t.id = rt."tagId"
+    WHERE t.name = ANY(${tags})`;
+  if (match === "any") return Prisma.sql`r.id IN (${tagged})`;
+  return Prisma.sql`r.id IN (
+    ${tagged}
+    GROUP BY rt."recipeId"
+    HAVING COUNT(*)::int = ${tags.length}
+  )`;
+}
+
+module.exports = {
+  TAG_MATCHES,
+  tagsCreateData,
+  tagNames,
+  parseTagFilter,
+  tagFilterSql,
+};
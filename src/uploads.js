@@ -1,52 +1,155 @@
+const crypto = require('crypto');
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
 const multer = require('multer');
 const sharp = require('sharp');
-
-const router = express.Router();
+const {
+  maxInputPixels,
+  parseCrop,
+  orientedSize,
+  stripMetadata,
+  renderVariants,
+  isDefaultVariant,
+  formatUpload
+} = require('./variants');
+const { IMAGE_TYPES, sniffImageType } = require('./imageTypes');
+const { ORIGINALS_PREFIX, IMAGES_PREFIX } = require('./storage');
+const { requireAuth } = require('./authz');
+const { quotaBytes, storageUsed, quotaError } = require('./quota');
+const { sendErrors } = require('./utils/validate');
 
 // multer: store in memory so we can process with sharp
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }); // 10MB limit
 
-// ensure upload dir exists
-const UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-
-// POST /api/uploads
-// expects multipart/form-data with field 'file'
-router.post('/', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ errors: [{ field: 'file', message: 'No file uploaded' }] });
-
-    // Use sharp to auto-rotate, center-crop and resize to 800x800, and convert to webp
-    const filename = `${Date.now()}_${Math.round(Math.random() * 1e6)}.webp`;
-    const outPath = path.join(UPLOAD_DIR, filename);
-
-    // pipeline: autoRotate -> extract center square -> resize -> to webp
-    // Strategy: first metadata to get width/height, compute center square
-    const image = sharp(req.file.buffer);
-    const meta = await image.metadata();
-
-    // apply autoRotate
-    let pipeline = image.rotate(); // sharp.rotate() with no args applies EXIF-based rotation
-
-    // after rotation, re-get metadata may be needed, but we can do centerCrop with fit 'cover' and position 'centre'
-    await pipeline
-      .resize(800, 800, { fit: 'cover', position: 'centre' })
-      .webp({ quality: 70 })
-      .toFile(outPath);
-
-    // build URL to return — adjust host/origin as needed
-    // If your server runs behind a proxy or different host, you may want to construct full URL dynamically.
-    const baseUrl = (req.protocol || 'http') + '://' + (req.get('host') || 'localhost:4000');
-    const url = `${baseUrl}/uploads/${filename}`;
-
-    return res.json({ url });
-  } catch (err) {
-    console.error('Upload error', err);
-    return res.status(500).json({ errors: [{ message: 'Upload failed' }] });
+const TYPE_NAMES = IMAGE_TYPES.map((t) => t.format.toUpperCase()).join(', ');
+
+function fileError(message) {
+  return { errors: [{ field: 'file', message }] };
+}
+
+// identical bytes with the same crop render identical variants
+function contentHash(buffer, crop) {
+  return crypto.createHash('sha256').update(buffer).update(`\n${JSON.stringify(crop)}`).digest('hex');
+}
+
+// files go to `storage` (see src/storage): the original under originals/ and
+// the variants under images/
+function createUploadsRouter(prisma, storage) {
+  const router = express.Router();
+
+  // the user's earlier upload of the same content, if any. A pending one
+  // starts a new grace period so the sweeper does not remove it while it is
+  // being reused.
+  async function findDuplicate(uploaderId, hash) {
+    const existing = await prisma.upload.findUnique({
+      where: { uploaderId_contentHash: { uploaderId, contentHash: hash } },
+      include: { variants: true }
+    });
+    if (existing && !existing.claimedAt) {
+      await prisma.upload.update({ where: { id: existing.id }, data: { createdAt: new Date() } });
+    }
+    return existing;
   }
-});
 
-module.exports = router;
\ No newline at end of file
+  // POST /api/uploads (signed-in users only)
+  // expects multipart/form-data with field 'file' and optional 'crop'
+  // (JSON { left, top, width, height } in pixels of the EXIF-rotated photo).
+  // Responds with the upload: `url` is the full-size webp, `variants` every
+  // size/format and `sources` the <picture> srcsets. Uploading the same file
+  // and crop again returns the existing upload. Uploads beyond the user's
+  // storage quota get 413.
+  router.post('/', requireAuth, upload.single('file'), async (req, res) => {
+    try {
+      const userId = req.session.userId;
+      if (!req.file) return res.status(400).json(fileError('No file uploaded'));
+
+      // trust the bytes, not the file name or the client's Content-Type
+      const type = sniffImageType(req.file.buffer);
+      if (!type) return res.status(400).json(fileError(`file must be an image (${TYPE_NAMES})`));
+
+      let meta;
+      try {
+        meta = await sharp(req.file.buffer).metadata();
+      } catch {
+        return res.status(400).json(fileError('file is not a readable image'));
+      }
+      // checked from the header, before any pixels are decoded
+      const maxPixels = maxInputPixels();
+      if (meta.width * meta.height > maxPixels) {
+        return res.status(400).json(fileError(`image must be at most ${maxPixels / 1e6} megapixels`));
+      }
+
+      const { width, height } = orientedSize(meta);
+      const { errors, crop } = parseCrop((req.body || {}).crop, width, height);
+      if (errors.length) return res.status(400).json({ errors });
+
+      const hash = contentHash(req.file.buffer, crop);
+      // a duplicate takes no extra space, so it is returned even over quota
+      const duplicate = await findDuplicate(userId, hash);
+      if (duplicate) return res.json(formatUpload(duplicate));
+
+      const quota = quotaBytes();
+      const used = await storageUsed(prisma, userId);
+      if (used >= quota) return sendErrors(res, 413, quotaError(used, 0, quota));
+
+      // keep the original without its metadata (GPS position, camera serial...),
+      // then render the variants from it
+      const original = await stripMetadata(req.file.buffer, type);
+      const rendered = await renderVariants(original, crop);
+      const bytes = rendered.variants.reduce((sum, v) => sum + v.buffer.length, original.length);
+      if (used + bytes > quota) return sendErrors(res, 413, quotaError(used, bytes, quota));
+
+      const name = `${Date.now()}_${Math.round(Math.random() * 1e6)}`;
+      const originalKey = `${ORIGINALS_PREFIX}${name}.${type.format}`;
+      await storage.put(originalKey, original, { contentType: type.mime });
+
+      const variants = [];
+      for (const v of rendered.variants) {
+        const key = `${IMAGES_PREFIX}${name}_${v.size}.${v.format}`;
+        await storage.put(key, v.buffer, { contentType: `image/${v.format}` });
+        variants.push({
+          size: v.size,
+          format: v.format,
+          key,
+          width: v.width,
+          height: v.height,
+          bytes: v.buffer.length
+        });
+      }
+
+      let stored;
+      try {
+        stored = await prisma.upload.create({
+          data: {
+            key: variants.find(isDefaultVariant).key,
+            originalKey,
+            contentHash: hash,
+            uploaderId: userId,
+            bytes,
+            originalBytes: original.length,
+            dominantColor: rendered.dominantColor,
+            lqip: rendered.lqip,
+            width: rendered.width,
+            height: rendered.height,
+            ...(crop ? { crop } : {}),
+            variants: { create: variants }
+          },
+          include: { variants: true }
+        });
+      } catch (err) {
+        // the same file was uploaded concurrently and stored first
+        if (err.code !== 'P2002') throw err;
+        for (const key of [originalKey, ...variants.map((v) => v.key)]) await storage.delete(key);
+        return res.json(formatUpload(await findDuplicate(userId, hash)));
+      }
+
+      return res.json(formatUpload(stored));
+    } catch (err) {
+      console.error('Upload error', err);
+      return res.status(500).json({ errors: [{ message: 'Upload failed' }] });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUploadsRouter };
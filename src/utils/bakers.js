@@ -0,0 +1,173 @@
+// src/utils/bakers.js
+// Baker's percentages: every ingredient weight expressed relative to the total
+// flour weight (flour = 100%). Works in both directions: from a recipe's
+// ingredients to percentages, and from a percentage formula plus a target
+// dough weight back to ingredient weights.
+const { convert } = require("./units");
+
+// ingredient roles, matched against the ingredient name (longest match wins,
+// so "salted butter" is fat and "牛奶" is not plain water)
+const ROLES = {
+  flour: [
+    "flour",
+    "面粉",
+    "高筋粉",
+    "低筋粉",
+    "中筋粉",
+    "高筋面粉",
+    "低筋面粉",
+    "中筋面粉",
+    "全麦粉",
+    "黑麦粉",
+    "面包粉",
+  ],
+  liquid: [
+    "water",
+    "水",
+    "milk",
+    "牛奶",
+    "egg",
+    "eggs",
+    "鸡蛋",
+    "蛋",
+    "yogurt",
+    "酸奶",
+    "cream",
+    "淡奶油",
+  ],
+  salt: ["salt", "盐"],
+  leavening: [
+    "yeast",
+    "酵母",
+    "starter",
+    "levain",
+    "酵种",
+    "鲁邦种",
+    "baking powder",
+    "泡打粉",
+    "baking soda",
+    "小苏打",
+  ],
+  fat: ["butter", "黄油", "oil", "油", "lard", "猪油"],
+};
+
+// share of water in liquids that count towards hydration
+const WATER_CONTENT = [
+  { names: ["milk", "牛奶"], water: 0.87 },
+  { names: ["egg", "鸡蛋", "蛋"], water: 0.75 },
+  { names: ["yogurt", "酸奶"], water: 0.85 },
+  { names: ["cream", "淡奶油"], water: 0.6 },
+];
+
+// eggs are usually counted, not weighed
+const EGG_GRAMS = 50;
+const PIECE_UNITS = ["", "个", "颗", "只", "pc", "pcs", "piece", "pieces"];
+
+function longestMatch(name, candidates) {
+  let best = null;
+  let bestLength = 0;
+  for (const [key, names] of candidates) {
+    for (const n of names) {
+      if (name.includes(n) && n.length > bestLength) {
+        best = key;
+        bestLength = n.length;
+      }
+    }
+  }
+  return best;
+}
+
+function ingredientRole(name) {
+  const key = String(name || "").toLowerCase();
+  return longestMatch(key, Object.entries(ROLES)) || "other";
+}
+
+function waterShare(name) {
+  const key = String(name || "").toLowerCase();
+  const match = longestMatch(
+    key,
+    WATER_CONTENT.map((w, i) => [i, w.names])
+  );
+  return match === null ? 1 : WATER_CONTENT[match].water;
+}
+
+// weight in grams of a formatted ingredient, or null when it cannot be weighed
+function ingredientGrams(ing) {
+  if (typeof ing.quantity !== "number") return null;
+  const unit = String(ing.unit || "")
+    .trim()
+    .toLowerCase();
+  if (PIECE_UNITS.includes(unit)) {
+    return /egg|蛋/i.test(ing.name) ? ing.quantity * EGG_GRAMS : null;
+  }
+  const result = convert(ing.quantity, ing.unit, "g", ing.name);
+  return result.error ? null : result.quantity;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// percentages for a recipe's ingredients; null when no flour can be weighed.
+// hydration counts the water in every liquid (milk 87%, eggs 75%...).
+function bakersPercentages(ingredients) {
+  const weighed = [];
+  const skipped = [];
+  for (const ing of ingredients || []) {
+    const grams = ingredientGrams(ing);
+    if (grams === null) skipped.push({ id: ing.id, name: ing.name });
+    else weighed.push({ ing, grams, role: ingredientRole(ing.name) });
+  }
+
+  const flourWeight = weighed
+    .filter((w) => w.role === "flour")
+    .reduce((sum, w) => sum + w.grams, 0);
+  if (!flourWeight) return null;
+
+  const percentOf = (grams) => round1((grams / flourWeight) * 100);
+  const total = (role, weight = (w) => w.grams) =>
+    weighed
+      .filter((w) => w.role === role)
+      .reduce((sum, w) => sum + weight(w), 0);
+
+  return {
+    flourWeight: round1(flourWeight),
+    hydration: percentOf(
+      total("liquid", (w) => w.grams * waterShare(w.ing.name))
+    ),
+    salt: percentOf(total("salt")),
+    leavening: percentOf(total("leavening")),
+    ingredients: weighed.map(({ ing, grams, role }) => ({
+      id: ing.id,
+      name: ing.name,
+      role,
+      grams: round1(grams),
+      percent: percentOf(grams),
+    })),
+    skipped,
+  };
+}
+
+// ingredient weights for `doughWeight` grams of dough from a formula of
+// { name, percent } items (flour items should add up to 100)
+function formulaWeights(doughWeight, formula) {
+  const totalPercent = formula.reduce((sum, item) => sum + item.percent, 0);
+  const flourWeight = (doughWeight * 100) / totalPercent;
+  return {
+    doughWeight,
+    totalPercent: round1(totalPercent),
+    flourWeight: round1(flourWeight),
+    ingredients: formula.map((item) => ({
+      name: item.name,
+      percent: item.percent,
+      grams: round1((flourWeight * item.percent) / 100),
+    })),
+  };
+}
+
+module.exports = {
+  ingredientRole,
+  ingredientGrams,
+  bakersPercentages,
+  formulaWeights,
+};
@@ -0,0 +1,104 @@
+// src/utils/diff.js
+// Small LCS-based diff for short texts (recipe revisions, attempt comparisons).
+
+// above this many cells the LCS table is skipped and the inputs are reported
+// as fully replaced; recipes are far below it
+const MAX_CELLS = 1000000;
+
+// diff two arrays; returns [{ op: "equal" | "remove" | "add", value }] in order
+function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_CELLS) {
+    return [
+      ...a.map((value) => ({ op: "remove", value })),
+      ...b.map((value) => ({ op: "add", value })),
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ op: "equal", value: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "remove", value: a[i++] });
+    } else {
+      out.push({ op: "add", value: b[j++] });
+    }
+  }
+  while (i < n) out.push({ op: "remove", value: a[i++] });
+  while (j < m) out.push({ op: "add", value: b[j++] });
+  return out;
+}
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === "") return [];
+  return String(text).replace(/\r\n?/g, "\n").split("\n");
+}
+
+// line-level diff of two texts: [{ op, text }]
+function diffLines(before, after) {
+  return diffSequences(splitLines(before), splitLines(after)).map(
+    ({ op, value }) => ({ op, text: value })
+  );
+}
+
+// words, spaces and punctuation as separate tokens; the ICU word segmenter
+// also splits Chinese text, which has no spaces between words
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+
+function splitWords(text) {
+  if (text === null || text === undefined || text === "") return [];
+  return Array.from(wordSegmenter.segment(String(text)), (s) => s.segment);
+}
+
+// word-level diff of two texts, runs of the same op merged: [{ op, text }]
+function diffWords(before, after) {
+  const out = [];
+  for (const { op, value } of diffSequences(
+    splitWords(before),
+    splitWords(after)
+  )) {
+    const last = out[out.length - 1];
+    if (last && last.op === op) last.text += value;
+    else out.push({ op, text: value });
+  }
+  return out;
+}
+
+// membership diff for unordered values such as image urls
+function diffSets(before, after) {
+  const a = new Set(before || []);
+  const b = new Set(after || []);
+  return {
+    added: [...b].filter((v) => !a.has(v)),
+    removed: [...a].filter((v) => !b.has(v)),
+  };
+}
+
+function hasChanges(ops) {
+  return ops.some((o) => o.op !== "equal");
+}
+
+module.exports = {
+  diffSequences,
+  diffLines,
+  diffWords,
+  diffSets,
+  hasChanges,
+};
@@ -0,0 +1,74 @@
+// src/utils/highlight.js
+// 为搜索结果生成高亮片段：{ snippet, matches: [[start, end], ...] }
+// matches 是片段内的字符区间，前端据此渲染 <mark>，避免返回 HTML
+
+const SNIPPET_RADIUS = 40;
+
+// 拆分查询词：按空白切分，去掉引号；排除词（"-xxx"）与 "or" 不高亮
+function searchTerms(q) {
+  return String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((t) => !t.startsWith("-"))
+    .map((t) => t.replace(/^"+|"+$/g, ""))
+    .filter((t) => t && t !== "or");
+}
+
+function findMatches(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let from = 0;
+    let idx;
+    while ((idx = lower.indexOf(term, from)) !== -1) {
+      ranges.push([idx, idx + term.length]);
+      from = idx + term.length;
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  // 合并重叠区间
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([r[0], r[1]]);
+  }
+  return merged;
+}
+
+// 以第一个命中为中心截取片段；没有命中返回 null
+function highlight(text, terms) {
+  if (typeof text !== "string" || !text || !terms.length) return null;
+  const matches = findMatches(text, terms);
+  if (!matches.length) return null;
+  const start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const shift = prefix.length - start;
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    matches: matches
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + shift, e + shift]),
+  };
+}
+
+// 对菜谱各字段及其尝试记录生成高亮列表
+function buildHighlights(recipe, terms) {
+  const out = [];
+  for (const field of ["title", "body", "feedback"]) {
+    const h = highlight(recipe[field], terms);
+    if (h) out.push({ field, ...h });
+  }
+  for (const attempt of recipe.attempts || []) {
+    for (const field of ["body", "feedback"]) {
+      const h = highlight(attempt[field], terms);
+      if (h)
+        out.push({ field: `attempt.${field}`, attemptId: attempt.id, ...h });
+    }
+  }
+  return out;
+}
+
+module.exports = { searchTerms, highlight, buildHighlights };
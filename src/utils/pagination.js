@@ -0,0 +1,38 @@
+// src/utils/pagination.js
+// 分页辅助：不透明游标（base64url 编码的 JSON）与 limit 解析
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+// 无法解析的游标返回 null，由调用方决定返回 400
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || cursor === "") return null;
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return data && typeof data === "object" && !Array.isArray(data)
+      ? data
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// 返回 [1, MAX_LIMIT] 内的整数；非法值返回 NaN
+function parseLimit(value, fallback = DEFAULT_LIMIT) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) return NaN;
+  return Math.min(n, MAX_LIMIT);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+};
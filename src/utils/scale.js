@@ -0,0 +1,120 @@
+// src/utils/scale.js
+// Scale ingredient quantities to a different number of servings and round the
+// results to amounts a cook can actually measure.
+
+// weights and volumes measured on a scale or jug are rounded as decimals;
+// everything else (cups, spoons, pieces...) to common fractions
+const DECIMAL_UNITS = [
+  "g",
+  "kg",
+  "mg",
+  "ml",
+  "l",
+  "克",
+  "千克",
+  "公斤",
+  "毫克",
+  "毫升",
+  "升",
+];
+
+// [numerator, denominator] pairs between 0 and 1
+const KITCHEN_FRACTIONS = [
+  [0, 1],
+  [1, 8],
+  [1, 4],
+  [1, 3],
+  [1, 2],
+  [2, 3],
+  [3, 4],
+  [1, 1],
+];
+
+function isDecimalUnit(unit) {
+  return !!unit && DECIMAL_UNITS.includes(String(unit).trim().toLowerCase());
+}
+
+// two significant digits, for amounts too small to round further
+function roundSmall(value) {
+  const rounded = Number(value.toPrecision(2));
+  return { value: rounded, text: String(rounded) };
+}
+
+function roundDecimal(value) {
+  if (value < 1) return roundSmall(value);
+  let rounded;
+  if (value < 10) rounded = Math.round(value * 10) / 10;
+  else if (value < 100) rounded = Math.round(value);
+  else if (value < 1000) rounded = Math.round(value / 5) * 5;
+  else rounded = Math.round(value / 10) * 10;
+  return { value: rounded, text: String(rounded) };
+}
+
+// nearest kitchen fraction, e.g. 1.48 -> { value: 1.5, text: "1 1/2" }
+function roundFraction(value) {
+  if (value < 1 / 8) return roundSmall(value);
+  if (value >= 10) {
+    const rounded = Math.round(value);
+    return { value: rounded, text: String(rounded) };
+  }
+  let whole = Math.floor(value);
+  const rest = value - whole;
+  let [n, d] = KITCHEN_FRACTIONS.reduce((best, f) =>
+    Math.abs(f[0] / f[1] - rest) < Math.abs(best[0] / best[1] - rest) ? f : best
+  );
+  if (n === d) {
+    whole += 1;
+    n = 0;
+  }
+  const parts = [];
+  if (whole) parts.push(String(whole));
+  if (n) parts.push(`${n}/${d}`);
+  return { value: whole + n / d, text: parts.join(" ") };
+}
+
+// round a scaled quantity for its unit; returns { value, text }
+function roundQuantity(value, unit) {
+  if (value <= 0) return { value: 0, text: "0" };
+  return isDecimalUnit(unit) ? roundDecimal(value) : roundFraction(value);
+}
+
+// rounded copies of formatted ingredients; quantityText is the rounded amount
+// for display, quantity its numeric value
+function roundIngredients(ingredients) {
+  return ingredients.map((ing) => {
+    if (ing.quantity === null || ing.quantity === undefined) {
+      return { ...ing, quantityText: null };
+    }
+    const rounded = roundQuantity(ing.quantity, ing.unit);
+    return { ...ing, quantity: rounded.value, quantityText: rounded.text };
+  });
+}
+
+function scaleIngredients(ingredients, factor) {
+  return roundIngredients(
+    ingredients.map((ing) =>
+      typeof ing.quantity === "number"
+        ? { ...ing, quantity: ing.quantity * factor }
+        : ing
+    )
+  );
+}
+
+// a formatted recipe with its ingredients scaled from recipe.servings to `servings`
+function scaleRecipe(recipe, servings) {
+  const factor = servings / recipe.servings;
+  return {
+    ...recipe,
+    servings,
+    scale: { from: recipe.servings, to: servings, factor },
+    ingredients: scaleIngredients(recipe.ingredients, factor),
+  };
+}
+
+module.exports = {
+  isDecimalUnit,
+  roundQuantity,
+  roundIngredients,
+  scaleIngredients,
+  scaleRecipe,
+};
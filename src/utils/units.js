@@ -0,0 +1,262 @@
+// src/utils/units.js
+// Unit conversion for ingredient amounts and step temperatures: mass and volume
+// tables (metric, US customary and Chinese market units), temperature scales,
+// and ingredient densities for converting between cups and grams.
+
+const UNIT_SYSTEMS = ["metric", "imperial"];
+
+// factor = size of one unit in the dimension's base unit (g or ml)
+const UNITS = {
+  g: { dimension: "mass", factor: 1 },
+  kg: { dimension: "mass", factor: 1000 },
+  mg: { dimension: "mass", factor: 0.001 },
+  oz: { dimension: "mass", factor: 28.349523125 },
+  lb: { dimension: "mass", factor: 453.59237 },
+  斤: { dimension: "mass", factor: 500 },
+  两: { dimension: "mass", factor: 50 },
+  ml: { dimension: "volume", factor: 1 },
+  l: { dimension: "volume", factor: 1000 },
+  tsp: { dimension: "volume", factor: 4.92892159375 },
+  tbsp: { dimension: "volume", factor: 14.78676478125 },
+  "fl oz": { dimension: "volume", factor: 29.5735295625 },
+  cup: { dimension: "volume", factor: 236.5882365 },
+  pint: { dimension: "volume", factor: 473.176473 },
+  quart: { dimension: "volume", factor: 946.352946 },
+  gallon: { dimension: "volume", factor: 3785.411784 },
+  // metric measuring spoons
+  茶匙: { dimension: "volume", factor: 5 },
+  汤匙: { dimension: "volume", factor: 15 },
+};
+
+const UNIT_ALIASES = {
+  gram: "g",
+  grams: "g",
+  克: "g",
+  kilogram: "kg",
+  kilograms: "kg",
+  千克: "kg",
+  公斤: "kg",
+  milligram: "mg",
+  milligrams: "mg",
+  毫克: "mg",
+  ounce: "oz",
+  ounces: "oz",
+  pound: "lb",
+  pounds: "lb",
+  lbs: "lb",
+  磅: "lb",
+  盎司: "oz",
+  milliliter: "ml",
+  milliliters: "ml",
+  millilitre: "ml",
+  millilitres: "ml",
+  毫升: "ml",
+  liter: "l",
+  liters: "l",
+  litre: "l",
+  litres: "l",
+  升: "l",
+  teaspoon: "tsp",
+  teaspoons: "tsp",
+  tablespoon: "tbsp",
+  tablespoons: "tbsp",
+  tbs: "tbsp",
+  cups: "cup",
+  杯: "cup",
+  "fluid ounce": "fl oz",
+  "fluid ounces": "fl oz",
+  floz: "fl oz",
+  pints: "pint",
+  pt: "pint",
+  quarts: "quart",
+  qt: "quart",
+  gallons: "gallon",
+  gal: "gallon",
+  小勺: "茶匙",
+  大勺: "汤匙",
+};
+
+const TEMPERATURE_UNITS = {
+  c: "C",
+  "°c": "C",
+  celsius: "C",
+  摄氏度: "C",
+  f: "F",
+  "°f": "F",
+  fahrenheit: "F",
+  华氏度: "F",
+};
+
+// grams per millilitre; `names` are matched against the ingredient name
+// (longest match wins, so "brown sugar" beats "sugar"). Liquids stay in
+// volume units when converting to metric.
+const DENSITIES = [
+  { names: ["water", "水"], gPerMl: 1, liquid: true },
+  { names: ["milk", "牛奶"], gPerMl: 1.03, liquid: true },
+  { names: ["cream", "奶油", "淡奶油"], gPerMl: 1.01, liquid: true },
+  { names: ["oil", "油", "植物油", "橄榄油"], gPerMl: 0.92, liquid: true },
+  { names: ["soy sauce", "酱油", "生抽", "老抽"], gPerMl: 1.2, liquid: true },
+  { names: ["vinegar", "醋"], gPerMl: 1.01, liquid: true },
+  { names: ["honey", "蜂蜜"], gPerMl: 1.42 },
+  {
+    names: ["flour", "面粉", "中筋面粉", "低筋面粉", "高筋面粉"],
+    gPerMl: 0.53,
+  },
+  { names: ["sugar", "糖", "白糖", "砂糖", "白砂糖"], gPerMl: 0.85 },
+  { names: ["brown sugar", "红糖"], gPerMl: 0.93 },
+  { names: ["powdered sugar", "icing sugar", "糖粉"], gPerMl: 0.51 },
+  { names: ["butter", "黄油"], gPerMl: 0.96 },
+  { names: ["salt", "盐"], gPerMl: 1.22 },
+  { names: ["rice", "米", "大米"], gPerMl: 0.78 },
+  { names: ["cocoa", "可可粉"], gPerMl: 0.42 },
+  { names: ["oats", "燕麦"], gPerMl: 0.38 },
+  { names: ["cornstarch", "玉米淀粉", "淀粉"], gPerMl: 0.54 },
+  { names: ["yeast", "酵母"], gPerMl: 0.64 },
+  { names: ["baking powder", "泡打粉"], gPerMl: 0.92 },
+  { names: ["baking soda", "小苏打"], gPerMl: 1.1 },
+];
+
+function unitKey(unit) {
+  return typeof unit === "string" ? unit.trim().toLowerCase() : "";
+}
+
+// canonical unit with its table entry, or null for units we cannot convert
+// (pieces, pinches, cloves...)
+function findUnit(unit) {
+  const key = unitKey(unit);
+  const name = UNITS[key] ? key : UNIT_ALIASES[key];
+  return name ? { unit: name, ...UNITS[name] } : null;
+}
+
+// "C" | "F" | null
+function findTemperatureUnit(unit) {
+  return TEMPERATURE_UNITS[unitKey(unit)] || null;
+}
+
+function findDensity(ingredientName) {
+  const name = unitKey(ingredientName);
+  if (!name) return null;
+  let best = null;
+  let bestLength = 0;
+  for (const entry of DENSITIES) {
+    for (const n of entry.names) {
+      if (name.includes(n) && n.length > bestLength) {
+        best = entry;
+        bestLength = n.length;
+      }
+    }
+  }
+  return best;
+}
+
+function convertTemperature(value, from, to) {
+  if (from === to) return value;
+  return to === "F" ? (value * 9) / 5 + 32 : ((value - 32) * 5) / 9;
+}
+
+// convert `quantity` between two units; mass <-> volume needs the ingredient's
+// density. Returns { quantity, unit }, or { field, error } when the units are
+// unknown or incompatible.
+function convert(quantity, from, to, ingredientName) {
+  const fromTemp = findTemperatureUnit(from);
+  const toTemp = findTemperatureUnit(to);
+  if (fromTemp || toTemp) {
+    if (!fromTemp || !toTemp) {
+      return {
+        field: "to",
+        error: "temperatures only convert between C and F",
+      };
+    }
+    return {
+      quantity: convertTemperature(quantity, fromTemp, toTemp),
+      unit: toTemp,
+    };
+  }
+
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (!source) return { field: "from", error: `unknown unit: ${from}` };
+  if (!target) return { field: "to", error: `unknown unit: ${to}` };
+
+  const base = quantity * source.factor;
+  if (source.dimension === target.dimension) {
+    return { quantity: base / target.factor, unit: target.unit };
+  }
+  const density = findDensity(ingredientName);
+  if (!density) {
+    return {
+      field: "ingredient",
+      error: `converting ${source.unit} to ${target.unit} needs an ingredient with a known density`,
+    };
+  }
+  const converted =
+    source.dimension === "volume"
+      ? base * density.gPerMl
+      : base / density.gPerMl;
+  return { quantity: converted / target.factor, unit: target.unit };
+}
+
+// unit to show an amount of `base` grams or millilitres in, per system
+function preferredUnit(dimension, base, system) {
+  if (system === "metric") {
+    if (dimension === "mass") return base >= 1000 ? "kg" : "g";
+    return base >= 1000 ? "l" : "ml";
+  }
+  if (dimension === "mass") return base >= UNITS.lb.factor ? "lb" : "oz";
+  if (base >= UNITS.cup.factor / 4) return "cup";
+  return base >= UNITS.tbsp.factor ? "tbsp" : "tsp";
+}
+
+// an ingredient restated in the given system. Metric recipes weigh dry
+// ingredients, so cups of flour become grams; imperial keeps the dimension.
+// Quantities are not rounded. Unknown units are returned unchanged.
+function convertIngredient(ing, system) {
+  const source = findUnit(ing.unit);
+  if (!source || ing.quantity === null || ing.quantity === undefined) {
+    return ing;
+  }
+  let dimension = source.dimension;
+  let base = ing.quantity * source.factor;
+  if (system === "metric" && dimension === "volume") {
+    const density = findDensity(ing.name);
+    if (density && !density.liquid) {
+      dimension = "mass";
+      base *= density.gPerMl;
+    }
+  }
+  const unit = preferredUnit(dimension, base, system);
+  return { ...ing, quantity: base / UNITS[unit].factor, unit };
+}
+
+function convertStep(step, system) {
+  const from = findTemperatureUnit(step.temperatureUnit);
+  if (typeof step.temperature !== "number" || !from) return step;
+  const to = system === "metric" ? "C" : "F";
+  return {
+    ...step,
+    temperature: Math.round(convertTemperature(step.temperature, from, to)),
+    temperatureUnit: to,
+  };
+}
+
+// a formatted recipe with ingredients and step temperatures in `system`
+function convertRecipe(recipe, system) {
+  return {
+    ...recipe,
+    units: system,
+    ingredients: recipe.ingredients.map((ing) =>
+      convertIngredient(ing, system)
+    ),
+    steps: (recipe.steps || []).map((step) => convertStep(step, system)),
+  };
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  findUnit,
+  findTemperatureUnit,
+  findDensity,
+  convert,
+  convertIngredient,
+  convertRecipe,
+};
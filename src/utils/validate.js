@@ -38,6 +38,328 @@ function buildError(field, message) {
     return Array.isArray(v) ? v : [];
   }
   
+  // 解析数量：支持数字、"1.5"、"1/2"、"1 1/2"；无法解析返回 NaN，空值返回 null
+  function parseQuantity(v) {
+    if (v === undefined || v === null || v === '') return null;
+    if (typeof v === 'number') return Number.isFinite(v) ? v : NaN;
+    if (typeof v !== 'string') return NaN;
+    const s = v.trim();
+    if (s === '') return null;
+    const mixed = s.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+    const frac = s.match(/^(\d+)\/(\d+)$/);
+    if (frac) return Number(frac[2]) === 0 ? NaN : Number(frac[1]) / Number(frac[2]);
+    return /^\d*\.?\d+$/.test(s) ? Number(s) : NaN;
+  }
+  
+  // 可选字符串字段：undefined/null/'' 统一为 null
+  function optionalString(v) {
+    return isNonEmptyString(v) ? v.trim() : null;
+  }
+  
+  // 校验并规范化材料列表
+  // 每项: { name, quantity?, unit?, note?, group? }，返回 { errors, items }
+  function validateIngredients(list, field = 'ingredients') {
+    const errors = [];
+    const items = [];
+    if (!Array.isArray(list)) {
+      errors.push(buildError(field, `${field} must be an array`));
+      return { errors, items };
+    }
+    list.forEach((raw, i) => {
+      const f = `${field}[${i}]`;
+      if (!isPlainObject(raw)) {
+        errors.push(buildError(f, 'ingredient must be an object'));
+        return;
+      }
+      if (!isNonEmptyString(raw.name)) {
+        errors.push(buildError(`${f}.name`, 'ingredient name is required'));
+      }
+      const quantity = parseQuantity(raw.quantity);
+      if (Number.isNaN(quantity) || (quantity !== null && quantity < 0)) {
+        errors.push(buildError(`${f}.quantity`, 'quantity must be a non-negative number'));
+      }
+      for (const key of ['unit', 'note', 'group']) {
+        if (raw[key] !== undefined && raw[key] !== null && !isStringOrEmpty(raw[key])) {
+          errors.push(buildError(`${f}.${key}`, `${key} must be a string`));
+        }
+      }
+      items.push({
+        position: i,
+        name: isNonEmptyString(raw.name) ? raw.name.trim() : '',
+        quantity: Number.isNaN(quantity) ? null : quantity,
+        unit: optionalString(raw.unit),
+        note: optionalString(raw.note),
+        group: optionalString(raw.group),
+      });
+    });
+    return { errors, items };
+  }
+  
+  const TEMPERATURE_UNITS = ['C', 'F'];
+  
+  // 校验步骤字段；partial=true 时只校验提供的字段（用于 PATCH）
+  // 返回 { errors, data }，data 只包含提供的字段
+  function validateStep(payload, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+    const p = isPlainObject(payload) ? payload : {};
+  
+    if (!partial || p.text !== undefined) {
+      if (!isNonEmptyString(p.text)) {
+        errors.push(buildError('text', 'step text is required and must be a non-empty string'));
+      } else {
+        data.text = p.text.trim();
+      }
+    }
+    if (p.durationSeconds !== undefined) {
+      if (p.durationSeconds !== null && !(Number.isInteger(p.durationSeconds) && p.durationSeconds >= 0)) {
+        errors.push(buildError('durationSeconds', 'durationSeconds must be a non-negative integer or null'));
+      } else {
+        data.durationSeconds = p.durationSeconds;
+      }
+    }
+    if (p.temperature !== undefined) {
+      if (p.temperature !== null && !(typeof p.temperature === 'number' && Number.isFinite(p.temperature))) {
+        errors.push(buildError('temperature', 'temperature must be a number or null'));
+      } else {
+        data.temperature = p.temperature;
+      }
+    }
+    if (p.temperatureUnit !== undefined) {
+      if (p.temperatureUnit !== null && !TEMPERATURE_UNITS.includes(p.temperatureUnit)) {
+        errors.push(buildError('temperatureUnit', `temperatureUnit must be one of ${TEMPERATURE_UNITS.join(', ')}`));
+      } else {
+        data.temperatureUnit = p.temperatureUnit;
+      }
+    }
+    // 提供温度但未给单位时默认摄氏度
+    if (typeof data.temperature === 'number' && p.temperatureUnit === undefined && !partial) {
+      data.temperatureUnit = 'C';
+    }
+    if (p.image !== undefined && p.image !== null && !isNonEmptyString(p.image)) {
+      errors.push(buildError('image', 'image must be a url string or null'));
+    }
+    return { errors, data };
+  }
+  
+  // private: 仅作者可见；unlisted: 持分享链接可见；public: 出现在列表中
+  const RECIPE_VISIBILITIES = ['private', 'unlisted', 'public'];
+  
+  function validateVisibility(value) {
+    if (!RECIPE_VISIBILITIES.includes(value)) {
+      return [buildError('visibility', `visibility must be one of ${RECIPE_VISIBILITIES.join(', ')}`)];
+    }
+    return [];
+  }
+  
+  const MAX_SERVINGS = 1000;
+  
+  // 份数：1 到 MAX_SERVINGS 的整数；allowNull 时 null 表示清空
+  function validateServings(value, { allowNull = true } = {}) {
+    if (value === null && allowNull) return [];
+    if (!(Number.isInteger(value) && value >= 1 && value <= MAX_SERVINGS)) {
+      return [buildError('servings', `servings must be an integer from 1 to ${MAX_SERVINGS}`)];
+    }
+    return [];
+  }
+  
+  // 烘焙百分比配方：{ doughWeight, formula: [{ name, percent }] }，返回 { errors, data }
+  function validateBakersFormula(payload) {
+    const errors = [];
+    const p = isPlainObject(payload) ? payload : {};
+    const doughWeight = parseQuantity(p.doughWeight);
+    if (doughWeight === null || Number.isNaN(doughWeight) || doughWeight <= 0) {
+      errors.push(buildError('doughWeight', 'doughWeight must be a positive number of grams'));
+    }
+    const formula = [];
+    if (!Array.isArray(p.formula) || p.formula.length === 0) {
+      errors.push(buildError('formula', 'formula must be a non-empty array of { name, percent }'));
+    } else {
+      p.formula.forEach((item, i) => {
+        const f = `formula[${i}]`;
+        if (!isPlainObject(item) || !isNonEmptyString(item.name)) {
+          errors.push(buildError(`${f}.name`, 'name is required'));
+          return;
+        }
+        const percent = parseQuantity(item.percent);
+        if (percent === null || Number.isNaN(percent) || percent < 0) {
+          errors.push(buildError(`${f}.percent`, 'percent must be a non-negative number'));
+          return;
+        }
+        formula.push({ name: item.name.trim(), percent });
+      });
+      if (!errors.length && formula.every((item) => item.percent === 0)) {
+        errors.push(buildError('formula', 'formula percentages must not all be zero'));
+      }
+    }
+    return { errors, data: { doughWeight, formula } };
+  }
+  
+  const MAX_TAGS = 20;
+  const MAX_TAG_LENGTH = 32;
+  
+  // 标签统一为去掉首尾空白、合并空白并转小写的形式，便于去重和筛选
+  function normalizeTag(value) {
+    return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  
+  // 校验标签数组：每项为非空字符串，去重后最多 MAX_TAGS 个。返回 { errors, items }
+  function validateTags(tags) {
+    const errors = [];
+    const items = [];
+    if (!Array.isArray(tags)) {
+      return { errors: [buildError('tags', 'tags must be an array of strings')], items };
+    }
+    tags.forEach((t, i) => {
+      if (!isNonEmptyString(t)) {
+        errors.push(buildError(`tags[${i}]`, 'tag must be a non-empty string'));
+        return;
+      }
+      const name = normalizeTag(t);
+      if (name.length > MAX_TAG_LENGTH) {
+        errors.push(buildError(`tags[${i}]`, `tag must be at most ${MAX_TAG_LENGTH} characters`));
+      } else if (!items.includes(name)) {
+        items.push(name);
+      }
+    });
+    if (items.length > MAX_TAGS) {
+      errors.push(buildError('tags', `a recipe can have at most ${MAX_TAGS} tags`));
+    }
+    return { errors, items };
+  }
+  
+  const MAX_IMAGES = 20;
+  const MAX_CAPTION_LENGTH = 200;
+
+  // 图片说明：字符串或 null，空白视为 null
+  function validateCaption(value, field) {
+    if (value === undefined || value === null) return { errors: [], caption: null };
+    if (typeof value !== 'string') {
+      return { errors: [buildError(field, 'caption must be a string')], caption: null };
+    }
+    const caption = value.trim();
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      return { errors: [buildError(field, `caption must be at most ${MAX_CAPTION_LENGTH} characters`)], caption: null };
+    }
+    return { errors: [], caption: caption || null };
+  }
+
+  // 校验图片数组：每项为 url 字符串或 { url, caption?, isCover? }，按数组顺序排列，
+  // 最多一张封面。返回 { errors, items: [{ url, caption, isCover }] }
+  function validateImages(images) {
+    const errors = [];
+    const items = [];
+    if (!Array.isArray(images)) {
+      return { errors: [buildError('images', 'images must be an array')], items };
+    }
+    if (images.length > MAX_IMAGES) {
+      return { errors: [buildError('images', `at most ${MAX_IMAGES} images are allowed`)], items };
+    }
+    images.forEach((raw, i) => {
+      const f = `images[${i}]`;
+      const img = typeof raw === 'string' ? { url: raw } : raw;
+      if (!isPlainObject(img) || !isNonEmptyString(img.url)) {
+        errors.push(buildError(`${f}.url`, 'image must be a url or { url, caption, isCover }'));
+        return;
+      }
+      if (img.isCover !== undefined && typeof img.isCover !== 'boolean') {
+        errors.push(buildError(`${f}.isCover`, 'isCover must be a boolean'));
+        return;
+      }
+      const { errors: captionErrors, caption } = validateCaption(img.caption, `${f}.caption`);
+      if (captionErrors.length) {
+        errors.push(...captionErrors);
+        return;
+      }
+      items.push({ url: img.url, caption, isCover: img.isCover === true });
+    });
+    if (items.filter((img) => img.isCover).length > 1) {
+      errors.push(buildError('images', 'only one image can be the cover'));
+    }
+    return { errors, items };
+  }
+
+  // 单张图片的修改：{ caption?, isCover? }，至少提供一项。返回 { errors, data }
+  function validateImageUpdate(payload) {
+    const errors = [];
+    const data = {};
+    const p = isPlainObject(payload) ? payload : {};
+    if (p.caption !== undefined) {
+      const result = validateCaption(p.caption, 'caption');
+      errors.push(...result.errors);
+      data.caption = result.caption;
+    }
+    if (p.isCover !== undefined) {
+      if (typeof p.isCover !== 'boolean') errors.push(buildError('isCover', 'isCover must be a boolean'));
+      else data.isCover = p.isCover;
+    }
+    if (!errors.length && Object.keys(data).length === 0) {
+      errors.push(buildError('caption', 'provide caption or isCover'));
+    }
+    return { errors, data };
+  }
+
+  const ATTEMPT_OUTCOMES = ['success', 'partial', 'failure'];
+  
+  // 校验尝试记录的结构化字段：outcome、rating、durationMinutes、cookedAt、adjustments
+  // 均为可选；null 表示清空。返回 { errors, data }，data 只包含提供的字段
+  function validateAttemptFields(payload) {
+    const errors = [];
+    const data = {};
+    const p = isPlainObject(payload) ? payload : {};
+  
+    if (p.outcome !== undefined) {
+      if (p.outcome !== null && !ATTEMPT_OUTCOMES.includes(p.outcome)) {
+        errors.push(buildError('outcome', `outcome must be one of ${ATTEMPT_OUTCOMES.join(', ')}`));
+      } else {
+        data.outcome = p.outcome;
+      }
+    }
+    if (p.rating !== undefined) {
+      if (p.rating !== null && !(Number.isInteger(p.rating) && p.rating >= 1 && p.rating <= 5)) {
+        errors.push(buildError('rating', 'rating must be an integer from 1 to 5'));
+      } else {
+        data.rating = p.rating;
+      }
+    }
+    if (p.durationMinutes !== undefined) {
+      if (p.durationMinutes !== null && !(Number.isInteger(p.durationMinutes) && p.durationMinutes >= 0)) {
+        errors.push(buildError('durationMinutes', 'durationMinutes must be a non-negative integer'));
+      } else {
+        data.durationMinutes = p.durationMinutes;
+      }
+    }
+    if (p.cookedAt !== undefined) {
+      const d = p.cookedAt === null ? null : new Date(p.cookedAt);
+      if (d !== null && (typeof p.cookedAt !== 'string' || Number.isNaN(d.getTime()))) {
+        errors.push(buildError('cookedAt', 'cookedAt must be an ISO date string'));
+      } else {
+        data.cookedAt = d;
+      }
+    }
+    if (p.adjustments !== undefined) {
+      if (p.adjustments !== null && !Array.isArray(p.adjustments)) {
+        errors.push(buildError('adjustments', 'adjustments must be an array'));
+      } else {
+        // 允许纯字符串或 { text, stepId }，统一为 { text, stepId }
+        const list = [];
+        ensureArray(p.adjustments).forEach((a, i) => {
+          const item = typeof a === 'string' ? { text: a } : a;
+          if (!isPlainObject(item) || !isNonEmptyString(item.text)) {
+            errors.push(buildError(`adjustments[${i}]`, 'adjustment must be a non-empty string or { text, stepId }'));
+          } else if (item.stepId !== undefined && item.stepId !== null && !isNonEmptyString(item.stepId)) {
+            errors.push(buildError(`adjustments[${i}].stepId`, 'stepId must be a string'));
+          } else {
+            list.push({ text: item.text.trim(), stepId: item.stepId || null });
+          }
+        });
+        data.adjustments = list;
+      }
+    }
+    return { errors, data };
+  }
+  
   module.exports = {
     buildError,
     sendError,
@@ -45,5 +367,19 @@ function buildError(field, message) {
     isNonEmptyString,
     isStringOrEmpty,
     isPlainObject,
-    ensureArray
+    ensureArray,
+    parseQuantity,
+    optionalString,
+    validateIngredients,
+    validateStep,
+    ATTEMPT_OUTCOMES,
+    validateAttemptFields,
+    RECIPE_VISIBILITIES,
+    validateVisibility,
+    validateServings,
+    validateBakersFormula,
+    normalizeTag,
+    validateTags,
+    validateImages,
+    validateImageUpdate
   };
\ No newline at end of file
@@ -0,0 +1,241 @@
+// src/variants.js
+// Responsive image variants. An upload keeps its original file; from it we
+// render each size in AVIF and webp, optionally from a user-chosen crop
+// rectangle instead of the whole (EXIF-rotated) photo. Nothing is cropped to a
+// fixed aspect ratio, so portrait photos stay portrait.
+const sharp = require("sharp");
+const { buildError } = require("./utils/validate");
+const { publicUrl } = require("./storage");
+
+// widths are upper bounds: the aspect ratio is kept and small photos are never
+// enlarged. "full" webp is the default url of an upload.
+const VARIANT_SIZES = [
+  { size: "thumbnail", width: 320 },
+  { size: "card", width: 800 },
+  { size: "full", width: 1600 },
+];
+
+// listed in order of preference for <picture> sources
+const VARIANT_FORMATS = [
+  { format: "avif", type: "image/avif", options: { quality: 50, effort: 4 } },
+  { format: "webp", type: "image/webp", options: { quality: 75 } },
+];
+
+const DEFAULT_VARIANT = { size: "full", format: "webp" };
+
+// decompression bombs: a small file can declare a huge canvas
+const DEFAULT_MAX_MEGAPIXELS = 40;
+
+function maxInputPixels() {
+  const megapixels = Number(process.env.UPLOAD_MAX_MEGAPIXELS);
+  return Math.round(
+    (Number.isFinite(megapixels) && megapixels > 0
+      ? megapixels
+      : DEFAULT_MAX_MEGAPIXELS) * 1e6
+  );
+}
+
+function load(buffer) {
+  return sharp(buffer, { limitInputPixels: maxInputPixels() });
+}
+
+// crop rectangle { left, top, width, height } in pixels of the rotated
+// original; accepts an object or its JSON text (multipart fields are strings).
+// Returns { errors, crop }, crop being null when none was given.
+function parseCrop(value, imageWidth, imageHeight) {
+  if (value === undefined || value === null || value === "") {
+    return { errors: [], crop: null };
+  }
+  let crop = value;
+  if (typeof value === "string") {
+    try {
+      crop = JSON.parse(value);
+    } catch {
+      crop = null;
+    }
+  }
+  const keys = ["left", "top", "width", "height"];
+  if (
+    !crop ||
+    typeof crop !== "object" ||
+    !keys.every((k) => Number.isInteger(crop[k]) && crop[k] >= 0)
+  ) {
+    return {
+      errors: [
+        buildError(
+          "crop",
+          "crop must be { left, top, width, height } in whole pixels"
+        ),
+      ],
+      crop: null,
+    };
+  }
+  if (
+    crop.width === 0 ||
+    crop.height === 0 ||
+    crop.left + crop.width > imageWidth ||
+    crop.top + crop.height > imageHeight
+  ) {
+    return {
+      errors: [
+        buildError(
+          "crop",
+          `crop must lie within the ${imageWidth}x${imageHeight} image`
+        ),
+      ],
+      crop: null,
+    };
+  }
+  const { left, top, width, height } = crop;
+  return { errors: [], crop: { left, top, width, height } };
+}
+
+// size of the photo as it is displayed, i.e. after EXIF rotation
+function orientedSize(meta) {
+  const swapped = meta.orientation >= 5;
+  return swapped
+    ? { width: meta.height, height: meta.width }
+    : { width: meta.width, height: meta.height };
+}
+
+// the original to keep, re-encoded in its own format (see src/imageTypes.js)
+// without EXIF, GPS, XMP or IPTC metadata. The EXIF orientation is applied to
+// the pixels so the photo still displays upright; the colour profile is kept.
+async function stripMetadata(original, type) {
+  return load(original)
+    .rotate()
+    .keepIccProfile()
+    [type.format](type.options)
+    .toBuffer();
+}
+
+// placeholders are shown while the real image loads
+const PLACEHOLDER_WIDTH = 16;
+
+function hexColor({ r, g, b }) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// dominant colour ("#rrggbb") and a tiny blurry webp as a data: url (LQIP,
+// a few hundred bytes) of the rendered photo; transparency is shown on white
+async function renderPlaceholder(source) {
+  const flat = await sharp(source)
+    .flatten({ background: "#ffffff" })
+    .resize({ width: 64, height: 64, fit: "inside" })
+    .toBuffer();
+  const { dominant } = await sharp(flat).stats();
+  const tiny = await sharp(flat)
+    .resize({
+      width: PLACEHOLDER_WIDTH,
+      height: PLACEHOLDER_WIDTH,
+      fit: "inside",
+    })
+    .webp({ quality: 40 })
+    .toBuffer();
+  return {
+    dominantColor: hexColor(dominant),
+    lqip: `data:image/webp;base64,${tiny.toString("base64")}`,
+  };
+}
+
+// render every size/format of `original` (a buffer). Returns the source
+// dimensions after rotation and crop, and [{ size, format, width, height,
+// buffer }] variants, plus the placeholder (see renderPlaceholder). Like all
+// sharp output, variants carry no metadata.
+async function renderVariants(original, crop) {
+  // rotate first so the crop rectangle matches what the user saw
+  const rotated = await load(original).rotate().toBuffer();
+  let base = sharp(rotated);
+  if (crop) base = base.extract(crop);
+  const source = await base.toBuffer({ resolveWithObject: true });
+
+  const variants = [];
+  for (const { size, width } of VARIANT_SIZES) {
+    for (const { format, options } of VARIANT_FORMATS) {
+      const { data, info } = await sharp(source.data)
+        .resize({ width, withoutEnlargement: true })
+        [format](options)
+        .toBuffer({ resolveWithObject: true });
+      variants.push({
+        size,
+        format,
+        width: info.width,
+        height: info.height,
+        buffer: data,
+      });
+    }
+  }
+  return {
+    width: source.info.width,
+    height: source.info.height,
+    variants,
+    ...(await renderPlaceholder(source.data)),
+  };
+}
+
+function isDefaultVariant(v) {
+  return v.size === DEFAULT_VARIANT.size && v.format === DEFAULT_VARIANT.format;
+}
+
+// <picture> sources for stored variants: [{ type, srcset }] with public urls,
+// preferred format first. Sizes rendered at the same width (small photos) appear once.
+function variantSources(variants) {
+  return VARIANT_FORMATS.map(({ format, type }) => {
+    const byWidth = new Map();
+    (variants || [])
+      .filter((v) => v.format === format)
+      .sort((a, b) => a.width - b.width)
+      .forEach((v) => {
+        if (!byWidth.has(v.width)) byWidth.set(v.width, publicUrl(v.key));
+      });
+    const srcset = [...byWidth]
+      .map(([width, url]) => `${url} ${width}w`)
+      .join(", ");
+    return { type, srcset };
+  }).filter((source) => source.srcset);
+}
+
+// width / height, or null when either is unknown
+function aspectRatio(width, height) {
+  return width && height ? Math.round((width / height) * 1e4) / 1e4 : null;
+}
+
+// response body for a stored upload loaded with its variants
+function formatUpload(upload) {
+  const { id, width, height, crop } = upload;
+  return {
+    id,
+    // what to put in a recipe's or attempt's `images`
+    url: publicUrl(upload.key),
+    width,
+    height,
+    aspectRatio: aspectRatio(width, height),
+    dominantColor: upload.dominantColor || null,
+    lqip: upload.lqip || null,
+    crop: crop || null,
+    variants: upload.variants.map((v) => ({
+      size: v.size,
+      format: v.format,
+      url: publicUrl(v.key),
+      width: v.width,
+      height: v.height,
+    })),
+    sources: variantSources(upload.variants),
+  };
+}
+
+module.exports = {
+  VARIANT_SIZES,
+  VARIANT_FORMATS,
+  DEFAULT_MAX_MEGAPIXELS,
+  maxInputPixels,
+  parseCrop,
+  orientedSize,
+  stripMetadata,
+  renderPlaceholder,
+  renderVariants,
+  aspectRatio,
+  isDefaultVariant,
+  variantSources,
+  formatUpload,
+};
@@ -0,0 +1,274 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Attempt endpoints", () => {
+  let cookie;
+  let recipeId;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "cook@example.com", password: "password123" })
+      .expect(201);
+    cookie = extractCookie(reg);
+
+    const recipeRes = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Dumplings" })
+      .expect(201);
+    recipeId = recipeRes.body.id;
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  async function addAttempt(body) {
+    const res = await request(app)
+      .post(`/api/recipes/${recipeId}/attempts`)
+      .set("Cookie", cookie)
+      .send(body)
+      .expect(201);
+    return res.body;
+  }
+
+  it("stores outcome, rating, duration, cookedAt, adjustments and the author", async () => {
+    const step = await request(app)
+      .post(`/api/recipes/${recipeId}/steps`)
+      .set("Cookie", cookie)
+      .send({ text: "Fold" })
+      .expect(201);
+    const stepId = step.body.id;
+
+    const attempt = await addAttempt({
+      body: "Second try",
+      outcome: "success",
+      rating: 5,
+      durationMinutes: 90,
+      cookedAt: "2024-05-01T18:30:00.000Z",
+      adjustments: ["less salt", { text: "fold tighter", stepId }],
+    });
+
+    expect(attempt).toMatchObject({
+      outcome: "success",
+      rating: 5,
+      durationMinutes: 90,
+      cookedAt: "2024-05-01T18:30:00.000Z",
+      authorId: expect.any(String),
+      adjustments: [
+        { text: "less salt", stepId: null },
+        { text: "fold tighter", stepId },
+      ],
+    });
+  });
+
+  it("defaults cookedAt and rejects invalid fields", async () => {
+    const created = await addAttempt({ body: "Quick", rating: null });
+    expect(created.cookedAt).toBeTruthy();
+    expect(created.rating).toBeNull();
+    expect(created.adjustments).toEqual([]);
+
+    let res = await request(app)
+      .post(`/api/recipes/${recipeId}/attempts`)
+      .set("Cookie", cookie)
+      .send({ body: "Again", rating: 0, outcome: "meh" })
+      .expect(400);
+    expect(res.body.errors.map((e) => e.field)).toEqual(["outcome", "rating"]);
+
+    res = await request(app)
+      .post(`/api/recipes/${recipeId}/attempts`)
+      .set("Cookie", cookie)
+      .send({ body: "Again", adjustments: [{ text: "x", stepId: "missing" }] })
+      .expect(400);
+    expect(res.body.errors[0].field).toBe("adjustments[0].stepId");
+  });
+
+  it("only lets the recipe owner add attempts and choose the best one", async () => {
+    const attempt = await addAttempt({ body: "Mine" });
+
+    let res = await request(app)
+      .post(`/api/recipes/${recipeId}/attempts`)
+      .send({ body: "Anonymous" })
+      .expect(401);
+    expect(res.body.errors[0].field).toBe("auth");
+
+    const other = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "other@example.com", password: "password123" })
+      .expect(201);
+    const otherCookie = extractCookie(other);
+
+    res = await request(app)
+      .post(`/api/recipes/${recipeId}/attempts`)
+      .set("Cookie", otherCookie)
+      .send({ body: "Not yours" })
+      .expect(403);
+    expect(res.body.errors[0].field).toBe("auth");
+
+    await request(app)
+      .post(`/api/recipes/${recipeId}/attempts/${attempt.id}/choose`)
+      .expect(401);
+    await request(app)
+      .post(`/api/recipes/${recipeId}/attempts/${attempt.id}/choose`)
+      .set("Cookie", otherCookie)
+      .expect(403);
+    await request(app)
+      .post(`/api/recipes/${recipeId}/attempts/${attempt.id}/choose`)
+      .set("Cookie", cookie)
+      .expect(200);
+  });
+
+  it("patches only the provided fields", async () => {
+    const attempt = await addAttempt({
+      body: "Too slaty",
+      rating: 2,
+      images: ["https://img.example.com/a.webp"],
+    });
+
+    const res = await request(app)
+      .patch(`/api/recipes/${recipeId}/attempts/${attempt.id}`)
+      .set("Cookie", cookie)
+      .send({ body: "Too salty", outcome: "partial", rating: null })
+      .expect(200);
+
+    expect(res.body).toMatchObject({
+      id: attempt.id,
+      body: "Too salty",
+      outcome: "partial",
+      rating: null,
+      images: ["https://img.example.com/a.webp"],
+    });
+
+    const bad = await request(app)
+      .patch(`/api/recipes/${recipeId}/attempts/${attempt.id}`)
+      .set("Cookie", cookie)
+      .send({ body: "", rating: 9 })
+      .expect(400);
+    expect(bad.body.errors.map((e) => e.field)).toEqual(["body", "rating"]);
+  });
+
+  it("deletes an attempt with its images and clears the best attempt", async () => {
+    const keep = await addAttempt({ body: "First" });
+    const best = await addAttempt({
+      body: "Second",
+      images: ["https://img.example.com/b.webp"],
+    });
+    await request(app)
+      .post(`/api/recipes/${recipeId}/attempts/${best.id}/choose`)
+      .set("Cookie", cookie)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/recipes/${recipeId}/attempts/${best.id}`)
+      .set("Cookie", cookie)
+      .expect(204);
+
+    expect(await prisma.image.count({ where: { attemptId: best.id } })).toBe(0);
+    const recipe = await request(app)
+      .get(`/api/recipes/${recipeId}`)
+      .expect(200);
+    expect(recipe.body.bestAttemptId).toBeNull();
+    expect(recipe.body.attempts.map((a) => a.id)).toEqual([keep.id]);
+
+    await request(app)
+      .delete(`/api/recipes/${recipeId}/attempts/${best.id}`)
+      .set("Cookie", cookie)
+      .expect(404);
+  });
+
+  it("rejects anonymous and non-owner edits", async () => {
+    const attempt = await addAttempt({ body: "Mine" });
+
+    await request(app)
+      .patch(`/api/recipes/${recipeId}/attempts/${attempt.id}`)
+      .send({ body: "Hacked" })
+      .expect(401);
+
+    const other = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "other@example.com", password: "password123" })
+      .expect(201);
+    await request(app)
+      .delete(`/api/recipes/${recipeId}/attempts/${attempt.id}`)
+      .set("Cookie", extractCookie(other))
+      .expect(403);
+  });
+
+  it("compares attempts in the order they were cooked", async () => {
+    const later = await addAttempt({
+      body: "Knead 10 minutes, rest 1 hour",
+      rating: 4,
+      cookedAt: "2024-05-08T18:00:00.000Z",
+    });
+    const first = await addAttempt({
+      body: "Knead 5 minutes, rest 1 hour",
+      rating: 2,
+      cookedAt: "2024-05-01T18:00:00.000Z",
+    });
+
+    const res = await request(app)
+      .get(`/api/recipes/${recipeId}/attempts/compare?ids=${later.id},${first.id}`)
+      .expect(200);
+    expect(res.body.attempts.map((a) => a.id)).toEqual([first.id, later.id]);
+    expect(res.body.changed).toEqual(["body", "rating", "cookedAt"]);
+    expect(res.body.fields.rating).toEqual({ values: [2, 4], differs: true });
+    expect(res.body.diffs).toHaveLength(1);
+    expect(res.body.diffs[0].body).toEqual([
+      { op: "equal", text: "Knead " },
+      { op: "remove", text: "5" },
+      { op: "add", text: "10" },
+      { op: "equal", text: " minutes, rest 1 hour" },
+    ]);
+
+    await request(app)
+      .get(`/api/recipes/${recipeId}/attempts/compare?ids=${first.id}`)
+      .expect(400);
+    await request(app)
+      .get(`/api/recipes/${recipeId}/attempts/compare?ids=${first.id},missing`)
+      .expect(404);
+  });
+
+  it("summarizes attempts in the recipe stats", async () => {
+    await addAttempt({
+      body: "First",
+      outcome: "failure",
+      rating: 2,
+      feedback: "面团太湿",
+      cookedAt: "2024-05-01T18:00:00.000Z",
+    });
+    await addAttempt({
+      body: "Second",
+      outcome: "success",
+      rating: 4,
+      feedback: "面团刚好",
+      cookedAt: "2024-05-08T18:00:00.000Z",
+    });
+
+    const res = await request(app)
+      .get(`/api/recipes/${recipeId}/stats`)
+      .expect(200);
+    expect(res.body).toMatchObject({
+      attempts: 2,
+      successRate: 0.5,
+      averageRating: 3,
+      daysBetweenAttempts: [7],
+    });
+    expect(res.body.ratings.map((r) => r.rating)).toEqual([2, 4]);
+    expect(res.body.terms.map((t) => t.term)).toContain("湿");
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  canOnRecipe,
+  canOnAttempt,
+  canReadRecipe,
+  recipeRole,
+} = require("../src/authz");
+
+describe("authz", () => {
+  const recipe = { id: "r1", authorId: "owner" };
+
+  it("gives the author the owner role", () => {
+    expect(recipeRole(recipe, "owner")).toBe("owner");
+    expect(recipeRole(recipe, "someone")).toBeNull();
+    expect(recipeRole({ id: "r2", authorId: null }, null)).toBeNull();
+  });
+
+  it("checks recipe actions by role", () => {
+    expect(canOnRecipe("read", recipe, null)).toBe(true);
+    expect(canOnRecipe("update", recipe, "owner")).toBe(true);
+    expect(canOnRecipe("update", recipe, "someone")).toBe(false);
+    expect(canOnRecipe("addAttempt", recipe, null)).toBe(false);
+    expect(canOnRecipe("chooseBestAttempt", recipe, "owner")).toBe(true);
+    expect(canOnRecipe("fork", recipe, "someone")).toBe(true);
+    expect(canOnRecipe("fork", recipe, null)).toBe(false);
+    expect(() => canOnRecipe("fly", recipe, "owner")).toThrow();
+  });
+
+  it("lets attempt authors and recipe owners edit attempts", () => {
+    const attempt = { id: "a1", recipeId: "r1", authorId: "cook" };
+    expect(canOnAttempt("updateAttempt", attempt, recipe, "cook")).toBe(true);
+    expect(canOnAttempt("deleteAttempt", attempt, recipe, "owner")).toBe(true);
+    expect(canOnAttempt("deleteAttempt", attempt, recipe, "someone")).toBe(
+      false
+    );
+    expect(canOnAttempt("updateAttempt", attempt, recipe, null)).toBe(false);
+  });
+
+  it("limits reads by visibility", () => {
+    const hidden = { ...recipe, visibility: "private", shareToken: null };
+    const unlisted = {
+      ...recipe,
+      visibility: "unlisted",
+      shareToken: "s3cret",
+    };
+
+    expect(canReadRecipe({ ...recipe, visibility: "public" }, null)).toBe(true);
+    expect(canReadRecipe(hidden, "owner")).toBe(true);
+    expect(canReadRecipe(hidden, "someone")).toBe(false);
+    expect(canReadRecipe(unlisted, null, "s3cret")).toBe(true);
+    expect(canReadRecipe(unlisted, null, "guess")).toBe(false);
+    expect(canReadRecipe(unlisted, "someone")).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+const {
+  ingredientRole,
+  ingredientGrams,
+  bakersPercentages,
+  formulaWeights,
+} = require("../src/utils/bakers");
+
+describe("bakers", () => {
+  it("classifies ingredients by name", () => {
+    expect(ingredientRole("Bread flour")).toBe("flour");
+    expect(ingredientRole("高筋面粉")).toBe("flour");
+    expect(ingredientRole("牛奶")).toBe("liquid");
+    expect(ingredientRole("instant yeast")).toBe("leavening");
+    expect(ingredientRole("salted butter")).toBe("fat");
+    expect(ingredientRole("sugar")).toBe("other");
+  });
+
+  it("weighs ingredients in grams", () => {
+    expect(ingredientGrams({ name: "flour", quantity: 1, unit: "kg" })).toBe(
+      1000
+    );
+    expect(ingredientGrams({ name: "eggs", quantity: 2, unit: "个" })).toBe(
+      100
+    );
+    expect(ingredientGrams({ name: "garlic", quantity: 2, unit: "" })).toBe(
+      null
+    );
+    expect(ingredientGrams({ name: "salt", quantity: null, unit: "g" })).toBe(
+      null
+    );
+  });
+
+  it("computes hydration, salt and leavening against the flour weight", () => {
+    const result = bakersPercentages([
+      { id: 1, name: "bread flour", quantity: 400, unit: "g" },
+      { id: 2, name: "whole wheat flour", quantity: 100, unit: "g" },
+      { id: 3, name: "water", quantity: 300, unit: "ml" },
+      { id: 4, name: "milk", quantity: 100, unit: "g" },
+      { id: 5, name: "salt", quantity: 10, unit: "g" },
+      { id: 6, name: "yeast", quantity: 5, unit: "g" },
+      { id: 7, name: "scallions", quantity: 2, unit: "根" },
+    ]);
+    expect(result.flourWeight).toBe(500);
+    // 300g water + 87g of water in the milk
+    expect(result.hydration).toBe(77.4);
+    expect(result.salt).toBe(2);
+    expect(result.leavening).toBe(1);
+    expect(result.ingredients[3]).toEqual({
+      id: 4,
+      name: "milk",
+      role: "liquid",
+      grams: 100,
+      percent: 20,
+    });
+    expect(result.skipped).toEqual([{ id: 7, name: "scallions" }]);
+  });
+
+  it("returns null without weighable flour", () => {
+    expect(
+      bakersPercentages([{ name: "water", quantity: 1, unit: "cup" }])
+    ).toBeNull();
+  });
+
+  it("derives ingredient weights from a dough weight and formula", () => {
+    const result = formulaWeights(1000, [
+      { name: "flour", percent: 100 },
+      { name: "water", percent: 70 },
+      { name: "salt", percent: 2 },
+      { name: "yeast", percent: 1 },
+    ]);
+    expect(result.totalPercent).toBe(173);
+    expect(result.flourWeight).toBe(578);
+    expect(result.ingredients.map((i) => i.grams)).toEqual([
+      578, 404.6, 11.6, 5.8,
+    ]);
+  });
+});
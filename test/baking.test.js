@@ -0,0 +1,84 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+describe("Baking recipes", () => {
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  const ingredients = [
+    { name: "bread flour", quantity: 500, unit: "g" },
+    { name: "water", quantity: 350, unit: "ml" },
+    { name: "salt", quantity: 10, unit: "g" },
+    { name: "yeast", quantity: 1, unit: "tsp" },
+  ];
+
+  it("includes baker's percentages for baking recipes only", async () => {
+    const bread = await request(app)
+      .post("/api/recipes")
+      .send({ title: "Bread", baking: true, ingredients })
+      .expect(201);
+    expect(bread.body.baking).toBe(true);
+    expect(bread.body.bakersPercentages).toMatchObject({
+      flourWeight: 500,
+      hydration: 70,
+      salt: 2,
+      leavening: 0.6,
+    });
+
+    const fetched = await request(app)
+      .get(`/api/recipes/${bread.body.id}`)
+      .expect(200);
+    expect(fetched.body.bakersPercentages.hydration).toBe(70);
+
+    const soup = await request(app)
+      .post("/api/recipes")
+      .send({ title: "Soup", ingredients })
+      .expect(201);
+    expect(soup.body.baking).toBe(false);
+    expect(soup.body.bakersPercentages).toBeNull();
+
+    const bad = await request(app)
+      .post("/api/recipes")
+      .send({ title: "Bad", baking: "yes" })
+      .expect(400);
+    expect(bad.body.errors[0].field).toBe("baking");
+  });
+
+  it("computes ingredient weights from a dough weight", async () => {
+    const res = await request(app)
+      .post("/api/bakers-formula")
+      .send({
+        doughWeight: 865,
+        formula: [
+          { name: "flour", percent: 100 },
+          { name: "water", percent: 70 },
+          { name: "salt", percent: "2" },
+          { name: "yeast", percent: 1 },
+        ],
+      })
+      .expect(200);
+    expect(res.body.flourWeight).toBe(500);
+    expect(res.body.ingredients.map((i) => i.grams)).toEqual([500, 350, 10, 5]);
+
+    const bad = await request(app)
+      .post("/api/bakers-formula")
+      .send({ doughWeight: -1, formula: [{ name: "flour" }] })
+      .expect(400);
+    expect(bad.body.errors.map((e) => e.field)).toEqual([
+      "doughWeight",
+      "formula[0].percent",
+    ]);
+  });
+});
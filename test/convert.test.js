@@ -0,0 +1,125 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Unit conversion", () => {
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it("converts a single amount", async () => {
+    const res = await request(app)
+      .post("/api/convert")
+      .send({ quantity: "1 1/2", from: "cup", to: "g", ingredient: "flour" })
+      .expect(200);
+    expect(res.body.unit).toBe("g");
+    expect(res.body.text).toBe("190");
+    expect(res.body.from).toEqual({ quantity: 1.5, unit: "cup" });
+
+    const system = await request(app)
+      .post("/api/convert")
+      .send({ quantity: 1, from: "斤", to: "imperial" })
+      .expect(200);
+    expect(system.body.unit).toBe("lb");
+
+    const temp = await request(app)
+      .post("/api/convert")
+      .send({ quantity: 350, from: "F", to: "C" })
+      .expect(200);
+    expect(temp.body.text).toBe("177");
+  });
+
+  it("rejects unknown or incompatible units", async () => {
+    const unknown = await request(app)
+      .post("/api/convert")
+      .send({ quantity: 1, from: "handful", to: "g" })
+      .expect(400);
+    expect(unknown.body.errors[0].field).toBe("from");
+
+    const density = await request(app)
+      .post("/api/convert")
+      .send({ quantity: 1, from: "cup", to: "g" })
+      .expect(400);
+    expect(density.body.errors[0].field).toBe("ingredient");
+
+    await request(app)
+      .post("/api/convert")
+      .send({ quantity: "lots", from: "cup", to: "ml" })
+      .expect(400);
+  });
+
+  it("returns a recipe in the requested unit system", async () => {
+    const created = await request(app)
+      .post("/api/recipes")
+      .send({
+        title: "Cake",
+        servings: 8,
+        ingredients: [
+          { quantity: 2, unit: "cups", name: "flour" },
+          { quantity: 1, unit: "cup", name: "milk" },
+          { quantity: 3, unit: "个", name: "eggs" },
+        ],
+      })
+      .expect(201);
+    const id = created.body.id;
+
+    const metric = await request(app)
+      .get(`/api/recipes/${id}?units=metric`)
+      .expect(200);
+    expect(metric.body.units).toBe("metric");
+    expect(
+      metric.body.ingredients.map((i) => [i.quantityText, i.unit])
+    ).toEqual([
+      ["250", "g"],
+      ["235", "ml"],
+      ["3", "个"],
+    ]);
+
+    const scaled = await request(app)
+      .get(`/api/recipes/${id}?units=metric&servings=4`)
+      .expect(200);
+    expect(scaled.body.ingredients[0]).toMatchObject({
+      quantityText: "125",
+      unit: "g",
+    });
+
+    await request(app).get(`/api/recipes/${id}?units=cups`).expect(400);
+  });
+
+  it("stores the preferred units on the user", async () => {
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "units@example.com", password: "password123" })
+      .expect(201);
+    const cookie = extractCookie(reg);
+    expect(reg.body.user.preferredUnits).toBeNull();
+
+    const updated = await request(app)
+      .put("/api/auth/me")
+      .set("Cookie", cookie)
+      .send({ preferredUnits: "imperial" })
+      .expect(200);
+    expect(updated.body.user.preferredUnits).toBe("imperial");
+
+    await request(app)
+      .put("/api/auth/me")
+      .set("Cookie", cookie)
+      .send({ preferredUnits: "nautical" })
+      .expect(400);
+  });
+});
@@ -0,0 +1,103 @@
+const { parseTzOffset, dayKey, buildDashboard } = require("../src/dashboard");
+
+function attempt(id, cookedAt, rating = null) {
+  const date = new Date(cookedAt);
+  return { id, rating, cookedAt: date, createdAt: date };
+}
+
+describe("dashboard aggregation", () => {
+  const now = new Date("2024-05-08T12:00:00Z");
+  const recipes = [
+    {
+      id: "bread",
+      title: "Bread",
+      bestAttemptId: null,
+      tags: [{ tag: { name: "baking" } }],
+      attempts: [
+        attempt("b1", "2024-05-06T09:00:00Z", 2),
+        attempt("b2", "2024-05-07T09:00:00Z", 5),
+        attempt("b3", "2024-05-08T09:00:00Z", 3),
+      ],
+    },
+    {
+      id: "soup",
+      title: "Soup",
+      bestAttemptId: null,
+      tags: [{ tag: { name: "dinner" } }, { tag: { name: "baking" } }],
+      attempts: [attempt("s1", "2024-04-20T09:00:00Z", 4)],
+    },
+    { id: "cake", title: "Cake", bestAttemptId: null, tags: [], attempts: [] },
+  ];
+  const attempts = recipes.flatMap((r) => r.attempts);
+
+  it("buckets attempts into weeks and calendar days", () => {
+    const dashboard = buildDashboard({ recipes, attempts, now });
+    expect(dashboard.totals).toEqual({ recipes: 3, attempts: 4 });
+    expect(dashboard.attemptsPerWeek).toHaveLength(12);
+    expect(dashboard.attemptsPerWeek.slice(-3)).toEqual([
+      { weekStart: "2024-04-22", count: 0 },
+      { weekStart: "2024-04-29", count: 0 },
+      { weekStart: "2024-05-06", count: 3 },
+    ]);
+    expect(dashboard.attemptsPerWeek[8]).toEqual({
+      weekStart: "2024-04-15",
+      count: 1,
+    });
+    expect(dashboard.calendar.to).toBe("2024-05-08");
+    expect(dashboard.calendar.days.map((d) => d.date)).toEqual([
+      "2024-04-20",
+      "2024-05-06",
+      "2024-05-07",
+      "2024-05-08",
+    ]);
+    expect(dashboard.streak).toEqual({ current: 3, longest: 3 });
+  });
+
+  it("keeps the streak alive until the end of the day", () => {
+    const dashboard = buildDashboard({
+      recipes,
+      attempts,
+      now: new Date("2024-05-09T12:00:00Z"),
+    });
+    expect(dashboard.streak.current).toBe(3);
+    const broken = buildDashboard({
+      recipes,
+      attempts,
+      now: new Date("2024-05-10T12:00:00Z"),
+    });
+    expect(broken.streak.current).toBe(0);
+  });
+
+  it("finds the most improved recipe, one-off recipes and top tags", () => {
+    const dashboard = buildDashboard({ recipes, attempts, now });
+    expect(dashboard.mostImproved).toEqual({
+      id: "bread",
+      title: "Bread",
+      firstRating: 2,
+      bestRating: 5,
+      delta: 3,
+    });
+    expect(dashboard.neverReattempted.items.map((r) => r.id)).toEqual(["soup"]);
+    expect(dashboard.topTags).toEqual([
+      { name: "baking", count: 2 },
+      { name: "dinner", count: 1 },
+    ]);
+  });
+
+  it("uses the chosen best attempt for the improvement", () => {
+    const chosen = { ...recipes[0], bestAttemptId: "b3" };
+    const dashboard = buildDashboard({ recipes: [chosen], attempts, now });
+    expect(dashboard.mostImproved.bestRating).toBe(3);
+  });
+
+  it("counts days in the user's time zone", () => {
+    const late = new Date("2024-05-07T23:30:00Z");
+    expect(dayKey(late, 0)).toBe("2024-05-07");
+    expect(dayKey(late, -480)).toBe("2024-05-08");
+    expect(parseTzOffset({ tzOffset: "-480" })).toEqual({
+      errors: [],
+      tzOffset: -480,
+    });
+    expect(parseTzOffset({ tzOffset: "abc" }).errors[0].field).toBe("tzOffset");
+  });
+});
@@ -0,0 +1,191 @@
+const {
+  diffSequences,
+  diffLines,
+  diffWords,
+  diffSets,
+} = require("../src/utils/diff");
+const { diffContents, ingredientLine, stepLine } = require("../src/revisions");
+const { parseCompareIds, compareAttempts } = require("../src/compare");
+
+describe("diff", () => {
+  it("diffs sequences keeping common items", () => {
+    expect(diffSequences(["a", "b", "c"], ["a", "c", "d"])).toEqual([
+      { op: "equal", value: "a" },
+      { op: "remove", value: "b" },
+      { op: "equal", value: "c" },
+      { op: "add", value: "d" },
+    ]);
+  });
+
+  it("diffs lines and normalizes line endings", () => {
+    expect(diffLines("boil\r\nsimmer", "boil\nsimmer 10 min")).toEqual([
+      { op: "equal", text: "boil" },
+      { op: "remove", text: "simmer" },
+      { op: "add", text: "simmer 10 min" },
+    ]);
+    expect(diffLines("", "new")).toEqual([{ op: "add", text: "new" }]);
+  });
+
+  it("diffs words, including Chinese text without spaces", () => {
+    expect(diffWords("add 2 tbsp sugar", "add 1 tbsp sugar")).toEqual([
+      { op: "equal", text: "add " },
+      { op: "remove", text: "2" },
+      { op: "add", text: "1" },
+      { op: "equal", text: " tbsp sugar" },
+    ]);
+    expect(diffWords("面粉和水混合", "面粉和牛奶混合")).toEqual([
+      { op: "equal", text: "面粉和" },
+      { op: "remove", text: "水" },
+      { op: "add", text: "牛奶" },
+      { op: "equal", text: "混合" },
+    ]);
+    expect(diffWords(null, "new")).toEqual([{ op: "add", text: "new" }]);
+  });
+
+  it("diffs sets", () => {
+    expect(diffSets(["a", "b"], ["b", "c"])).toEqual({
+      added: ["c"],
+      removed: ["a"],
+    });
+  });
+});
+
+describe("revision diffs", () => {
+  const base = {
+    title: "Soup",
+    body: "Boil water",
+    feedback: "",
+    meta: {},
+    images: ["images/a.webp"],
+    ingredients: [{ quantity: 1, unit: "l", name: "water" }],
+    steps: [
+      {
+        text: "Boil",
+        durationSeconds: 600,
+        temperature: 100,
+        temperatureUnit: "C",
+        image: null,
+      },
+    ],
+    tags: ["soup"],
+    servings: 2,
+    baking: false,
+    visibility: "public",
+  };
+
+  it("formats ingredient lines", () => {
+    expect(
+      ingredientLine({
+        quantity: 2,
+        unit: "tbsp",
+        name: "soy sauce",
+        note: "light",
+        group: "sauce",
+      })
+    ).toBe("[sauce] 2 tbsp soy sauce (light)");
+    expect(ingredientLine({ quantity: null, unit: null, name: "salt" })).toBe(
+      "salt"
+    );
+  });
+
+  it("lists the changed fields", () => {
+    const diff = diffContents(base, {
+      ...base,
+      body: "Boil water\nAdd salt",
+      images: [],
+      ingredients: [...base.ingredients, { name: "salt" }],
+    });
+    expect(diff.changed).toEqual(["body", "ingredients", "images"]);
+    expect(diff.images).toEqual({
+      added: [],
+      removed: ["/uploads/images/a.webp"],
+    });
+    expect(diff.ingredients).toEqual([
+      { op: "equal", text: "1 l water" },
+      { op: "add", text: "salt" },
+    ]);
+  });
+
+  it("formats step lines", () => {
+    expect(stepLine(base.steps[0])).toBe("Boil (10 min, 100 °C)");
+    expect(stepLine({ text: "Rest", durationSeconds: 90 })).toBe("Rest (90 s)");
+    expect(stepLine({ text: "Serve", temperature: null })).toBe("Serve");
+  });
+
+  it("diffs steps, tags and settings", () => {
+    const diff = diffContents(base, {
+      ...base,
+      steps: [
+        { ...base.steps[0], image: "images/b_full.webp" },
+        { text: "Season", durationSeconds: null, temperature: null },
+      ],
+      tags: ["dinner", "soup"],
+      servings: 4,
+      visibility: "private",
+    });
+    expect(diff.changed).toEqual(["steps", "tags", "servings", "visibility"]);
+    expect(diff.steps).toEqual([
+      { op: "equal", text: "Boil (10 min, 100 °C)" },
+      { op: "add", text: "Season" },
+    ]);
+    expect(diff.tags).toEqual({ added: ["dinner"], removed: [] });
+    expect(diff.servings).toEqual({ from: 2, to: 4 });
+    expect(diff.baking).toEqual({ from: false, to: false });
+
+    const image = diffContents(base, {
+      ...base,
+      steps: [{ ...base.steps[0], image: "images/b_full.webp" }],
+    });
+    expect(image.changed).toEqual(["steps"]);
+  });
+});
+
+describe("attempt comparison", () => {
+  const attempt = (id, cookedAt, fields) => ({
+    id,
+    body: "",
+    feedback: null,
+    images: [],
+    outcome: null,
+    rating: null,
+    durationMinutes: null,
+    meta: null,
+    adjustments: [],
+    createdAt: new Date(cookedAt),
+    cookedAt: new Date(cookedAt),
+    ...fields,
+  });
+
+  it("parses comma separated and repeated ids", () => {
+    expect(parseCompareIds({ ids: "a, b,a" })).toEqual({
+      errors: [],
+      ids: ["a", "b"],
+    });
+    expect(parseCompareIds({ ids: ["a", "b,c"] }).ids).toEqual(["a", "b", "c"]);
+    expect(parseCompareIds({ ids: "a" }).errors[0].field).toBe("ids");
+    expect(parseCompareIds({}).errors).toHaveLength(1);
+    expect(parseCompareIds({ ids: "a,b,c,d,e,f,g" }).errors).toHaveLength(1);
+  });
+
+  it("diffs each attempt against the one cooked before it", () => {
+    const result = compareAttempts([
+      attempt("c", "2024-03-01", { body: "bake 30 min", images: ["/b.webp"] }),
+      attempt("a", "2024-01-01", { body: "bake 20 min", images: ["/a.webp"] }),
+      attempt("b", "2024-02-01", { body: "bake 25 min", images: ["/a.webp"] }),
+    ]);
+    expect(result.attempts.map((a) => a.id)).toEqual(["a", "b", "c"]);
+    expect(result.diffs.map((d) => [d.from, d.to])).toEqual([
+      ["a", "b"],
+      ["b", "c"],
+    ]);
+    expect(result.diffs[1].images).toEqual({
+      added: ["/b.webp"],
+      removed: ["/a.webp"],
+    });
+    expect(result.changed).toEqual(["body", "images", "cookedAt"]);
+    expect(result.fields.outcome).toEqual({
+      values: [null, null, null],
+      differs: false,
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Recipe forks", () => {
+  let owner;
+  let other;
+  let recipe;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    owner = extractCookie(
+      await request(app)
+        .post("/api/auth/register")
+        .send({ email: "owner@example.com", password: "password123" })
+        .expect(201)
+    );
+    other = extractCookie(
+      await request(app)
+        .post("/api/auth/register")
+        .send({ email: "other@example.com", password: "password123" })
+        .expect(201)
+    );
+
+    const created = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", owner)
+      .send({
+        title: "Mapo Tofu",
+        body: "Original method",
+        images: ["https://img.example.com/tofu.webp"],
+        ingredients: [{ name: "tofu", quantity: 1, unit: "block" }],
+      })
+      .expect(201);
+    recipe = created.body;
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it("copies the recipe and its best attempt for the current user", async () => {
+    const res = await request(app)
+      .post(`/api/recipes/${recipe.id}/fork`)
+      .set("Cookie", other)
+      .expect(201);
+
+    expect(res.body.id).not.toBe(recipe.id);
+    expect(res.body).toMatchObject({
+      title: "Mapo Tofu",
+      body: "Original method",
+      images: ["https://img.example.com/tofu.webp"],
+      forkedFromId: recipe.id,
+      forkedFrom: { id: recipe.id, title: "Mapo Tofu" },
+    });
+    expect(res.body.authorId).not.toBe(recipe.authorId);
+    expect(res.body.ingredients.map((i) => i.name)).toEqual(["tofu"]);
+    expect(res.body.bestAttempt.body).toBe("Original method");
+    expect(res.body.bestAttempt.id).not.toBe(recipe.bestAttemptId);
+
+    // the fork is the other user's to change; the original is untouched
+    await request(app)
+      .patch(`/api/recipes/${res.body.id}`)
+      .set("Cookie", other)
+      .send({ title: "Mapo Tofu, less oil" })
+      .expect(200);
+    const original = await request(app)
+      .get(`/api/recipes/${recipe.id}`)
+      .expect(200);
+    expect(original.body.title).toBe("Mapo Tofu");
+  });
+
+  it("lists visible forks and requires sign-in to fork", async () => {
+    await request(app).post(`/api/recipes/${recipe.id}/fork`).expect(401);
+
+    const pub = await request(app)
+      .post(`/api/recipes/${recipe.id}/fork`)
+      .set("Cookie", other)
+      .expect(201);
+    await request(app)
+      .post(`/api/recipes/${recipe.id}/fork`)
+      .set("Cookie", other)
+      .send({ visibility: "private" })
+      .expect(201);
+
+    const anonymous = await request(app)
+      .get(`/api/recipes/${recipe.id}/forks`)
+      .expect(200);
+    expect(anonymous.body.items.map((r) => r.id)).toEqual([pub.body.id]);
+
+    const mine = await request(app)
+      .get(`/api/recipes/${recipe.id}/forks`)
+      .set("Cookie", other)
+      .expect(200);
+    expect(mine.body.total).toBe(2);
+  });
+
+  it("hides a private parent but keeps the fork", async () => {
+    const fork = await request(app)
+      .post(`/api/recipes/${recipe.id}/fork`)
+      .set("Cookie", other)
+      .expect(201);
+    await request(app)
+      .patch(`/api/recipes/${recipe.id}`)
+      .set("Cookie", owner)
+      .send({ visibility: "private" })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/recipes/${fork.body.id}`)
+      .set("Cookie", other)
+      .expect(200);
+    expect(res.body.forkedFrom).toBeNull();
+  });
+});
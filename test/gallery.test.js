@@ -0,0 +1,142 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Image galleries", () => {
+  let cookie;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "cook@example.com", password: "password123" })
+      .expect(201);
+    cookie = extractCookie(reg);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  async function createRecipe(images) {
+    const res = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Buns", images })
+      .expect(201);
+    return res.body;
+  }
+
+  it("keeps images in order with captions and a cover", async () => {
+    const recipe = await createRecipe([
+      "https://img.example.com/a.webp",
+      { url: "https://img.example.com/b.webp", caption: "成品", isCover: true },
+    ]);
+    expect(recipe.images).toEqual([
+      "https://img.example.com/a.webp",
+      "https://img.example.com/b.webp",
+    ]);
+    expect(recipe.cover).toBe("https://img.example.com/b.webp");
+    expect(recipe.imageDetails.map((img) => img.caption)).toEqual([
+      null,
+      "成品",
+    ]);
+
+    const bad = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Bad", images: [{ url: "/a", isCover: "yes" }] })
+      .expect(400);
+    expect(bad.body.errors[0].field).toBe("images[0].isCover");
+  });
+
+  it("reorders, captions and picks a new cover", async () => {
+    const recipe = await createRecipe([
+      "https://img.example.com/a.webp",
+      "https://img.example.com/b.webp",
+      { url: "https://img.example.com/c.webp", isCover: true },
+    ]);
+    const [a, b, c] = recipe.imageDetails.map((img) => img.id);
+
+    const reordered = await request(app)
+      .put(`/api/recipes/${recipe.id}/images/order`)
+      .set("Cookie", cookie)
+      .send({ ids: [c, a, b] })
+      .expect(200);
+    expect(reordered.body.images).toEqual([
+      "https://img.example.com/c.webp",
+      "https://img.example.com/a.webp",
+      "https://img.example.com/b.webp",
+    ]);
+
+    await request(app)
+      .put(`/api/recipes/${recipe.id}/images/order`)
+      .set("Cookie", cookie)
+      .send({ ids: [c, a] })
+      .expect(400);
+
+    const updated = await request(app)
+      .patch(`/api/recipes/${recipe.id}/images/${b}`)
+      .set("Cookie", cookie)
+      .send({ caption: "切面", isCover: true })
+      .expect(200);
+    expect(updated.body.cover).toBe("https://img.example.com/b.webp");
+    expect(updated.body.imageDetails.filter((img) => img.isCover)).toEqual([
+      expect.objectContaining({ id: b, caption: "切面" }),
+    ]);
+
+    const fetched = await request(app)
+      .get(`/api/recipes/${recipe.id}`)
+      .expect(200);
+    expect(fetched.body.images[0]).toBe("https://img.example.com/c.webp");
+    expect(fetched.body.cover).toBe("https://img.example.com/b.webp");
+
+    await request(app)
+      .patch(`/api/recipes/${recipe.id}/images/${b}`)
+      .send({ caption: "anon" })
+      .expect(401);
+  });
+
+  it("manages attempt galleries", async () => {
+    const recipe = await createRecipe([]);
+    const attempt = await request(app)
+      .post(`/api/recipes/${recipe.id}/attempts`)
+      .set("Cookie", cookie)
+      .send({
+        body: "Try",
+        images: [
+          "https://img.example.com/x.webp",
+          "https://img.example.com/y.webp",
+        ],
+      })
+      .expect(201);
+    const [x, y] = attempt.body.imageDetails.map((img) => img.id);
+
+    const reordered = await request(app)
+      .put(`/api/recipes/${recipe.id}/attempts/${attempt.body.id}/images/order`)
+      .set("Cookie", cookie)
+      .send({ ids: [y, x] })
+      .expect(200);
+    expect(reordered.body.cover).toBe("https://img.example.com/y.webp");
+
+    await request(app)
+      .patch(
+        `/api/recipes/${recipe.id}/attempts/${attempt.body.id}/images/missing`
+      )
+      .set("Cookie", cookie)
+      .send({ caption: "?" })
+      .expect(404);
+  });
+});
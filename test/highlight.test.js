@@ -0,0 +1,71 @@
+const {
+  searchTerms,
+  highlight,
+  buildHighlights,
+} = require("../src/utils/highlight");
+const {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+} = require("../src/utils/pagination");
+
+describe("search highlighting", () => {
+  it("splits queries into terms, dropping excluded words", () => {
+    expect(searchTerms('Pork  "belly" -beef or 红烧')).toEqual([
+      "pork",
+      "belly",
+      "红烧",
+    ]);
+  });
+
+  it("returns match ranges relative to the snippet", () => {
+    const h = highlight("Slow braised pork belly", ["pork", "belly"]);
+    expect(h.snippet).toBe("Slow braised pork belly");
+    expect(h.matches).toEqual([
+      [13, 17],
+      [18, 23],
+    ]);
+  });
+
+  it("trims long text around the first match and keeps ranges aligned", () => {
+    const text = `${"a".repeat(100)}红烧肉${"b".repeat(200)}`;
+    const h = highlight(text, ["红烧"]);
+    expect(h.snippet.startsWith("…")).toBe(true);
+    expect(h.snippet.endsWith("…")).toBe(true);
+    const [[start, end]] = h.matches;
+    expect(h.snippet.slice(start, end)).toBe("红烧");
+  });
+
+  it("collects highlights from recipe fields and attempts", () => {
+    const recipe = {
+      title: "Mapo tofu",
+      body: "silken tofu",
+      feedback: "",
+      attempts: [{ id: "a1", body: "firm tofu this time", feedback: null }],
+    };
+    const out = buildHighlights(recipe, ["tofu"]);
+    expect(out.map((h) => h.field)).toEqual(["title", "body", "attempt.body"]);
+    expect(out[2].attemptId).toBe("a1");
+  });
+});
+
+describe("pagination helpers", () => {
+  it("round-trips opaque cursors", () => {
+    const cursor = encodeCursor({ offset: 40 });
+    expect(typeof cursor).toBe("string");
+    expect(decodeCursor(cursor)).toEqual({ offset: 40 });
+  });
+
+  it("rejects malformed cursors", () => {
+    expect(decodeCursor("not-json")).toBeNull();
+    expect(decodeCursor(encodeCursor([1, 2]))).toBeNull();
+  });
+
+  it("parses and clamps limit", () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit("5")).toBe(5);
+    expect(parseLimit("500")).toBe(50);
+    expect(parseLimit("0")).toBeNaN();
+    expect(parseLimit("abc")).toBeNaN();
+  });
+});
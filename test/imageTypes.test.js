@@ -0,0 +1,27 @@
+const sharp = require("sharp");
+const { sniffImageType } = require("../src/imageTypes");
+
+function encode(format) {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#c0703a" },
+  })
+    [format]()
+    .toBuffer();
+}
+
+describe("image type sniffing", () => {
+  it.each(["jpeg", "png", "webp", "gif", "avif"])(
+    "recognises %s by its contents",
+    async (format) => {
+      expect(sniffImageType(await encode(format))).toMatchObject({ format });
+    }
+  );
+
+  it("rejects anything else", () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>');
+    expect(sniffImageType(svg)).toBeNull();
+    expect(sniffImageType(Buffer.from("%PDF-1.7\n%%EOF\n"))).toBeNull();
+    expect(sniffImageType(Buffer.from([0xff, 0xd8]))).toBeNull();
+    expect(sniffImageType(Buffer.alloc(0))).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+const {
+  checkImageUrls,
+  imagesCreateData,
+  imageFields,
+  validateImageOrder,
+} = require("../src/images");
+
+describe("image galleries", () => {
+  const gallery = [
+    { id: "a", url: "/a.webp", position: 0, caption: null, isCover: false },
+    {
+      id: "b",
+      url: "images/b_full.webp",
+      position: 1,
+      caption: "成品",
+      isCover: true,
+    },
+  ];
+
+  const upload = {
+    id: "u1",
+    key: "images/b_full.webp",
+    width: 1200,
+    height: 900,
+    dominantColor: "#b86838",
+    lqip: "data:image/webp;base64,AAAA",
+    variants: [{ key: "images/b_full.webp" }, { key: "images/b_thumb.webp" }],
+  };
+
+  // finds `upload` by its key or a variant key, and images by url
+  function fakeDb(claimed = [], imageUrls = []) {
+    return {
+      image: {
+        findMany: async ({ where }) =>
+          imageUrls
+            .filter((url) => where.url.in.includes(url))
+            .map((url) => ({ url })),
+      },
+      upload: {
+        findMany: async ({ where }) => {
+          const [byKey, byVariant] = where.OR;
+          const keys = [...byKey.key.in, ...byVariant.variants.some.key.in];
+          const known = [upload.key, ...upload.variants.map((v) => v.key)];
+          return keys.some((key) => known.includes(key)) ? [upload] : [];
+        },
+        updateMany: async ({ where }) => claimed.push(...where.id.in),
+      },
+    };
+  }
+
+  it("stores keys, claims uploads by key and copies placeholders", async () => {
+    const claimed = [];
+    const db = fakeDb(claimed);
+    expect(
+      await imagesCreateData(db, [
+        { url: "https://example.com/a.jpg", caption: null, isCover: false },
+        { url: "/uploads/images/b_full.webp", caption: "成品", isCover: true },
+        { url: "/uploads/images/b_thumb.webp" },
+      ])
+    ).toEqual([
+      {
+        url: "https://example.com/a.jpg",
+        caption: null,
+        isCover: false,
+        position: 0,
+        uploadId: null,
+        dominantColor: null,
+        aspectRatio: null,
+        lqip: null,
+      },
+      {
+        url: "images/b_full.webp",
+        caption: "成品",
+        isCover: true,
+        position: 1,
+        uploadId: "u1",
+        dominantColor: "#b86838",
+        aspectRatio: 1.3333,
+        lqip: "data:image/webp;base64,AAAA",
+      },
+      expect.objectContaining({ url: "images/b_full.webp", uploadId: "u1" }),
+    ]);
+    expect(claimed).toEqual(["u1"]);
+    expect(await imagesCreateData(db, [])).toEqual([]);
+  });
+
+  it("only accepts our urls for known uploads and existing images", async () => {
+    const db = fakeDb([], ["images/old.webp"]);
+    const urls = [
+      "https://example.com/a.jpg",
+      "/uploads/images/b_full.webp",
+      "/uploads/images/b_thumb.webp",
+      "/uploads/images/other_full.webp",
+      "/uploads/originals/b.jpeg",
+      "originals/b.jpeg",
+      "images/b_full.webp",
+      // urls from before files moved under images/
+      "http://old-host/uploads/b_full.webp",
+      "/uploads/old.webp",
+      "/uploads/gone.webp",
+    ];
+    const errors = await checkImageUrls(
+      db,
+      urls.map((url) => ({ url }))
+    );
+    expect(errors.map((e) => e.field)).toEqual([
+      "images[3].url",
+      "images[4].url",
+      "images[5].url",
+      "images[9].url",
+    ]);
+    expect(
+      await checkImageUrls(db, [{ url: "originals/b.jpeg" }], () => "image")
+    ).toEqual([
+      {
+        field: "image",
+        message: "image must be an uploaded image or an external url",
+      },
+    ]);
+  });
+
+  it("formats urls, the cover and image details", () => {
+    const plain = {
+      width: null,
+      height: null,
+      aspectRatio: null,
+      dominantColor: null,
+      lqip: null,
+      sources: [],
+    };
+    expect(imageFields(gallery)).toEqual({
+      images: ["/a.webp", "/uploads/images/b_full.webp"],
+      cover: "/uploads/images/b_full.webp",
+      imageDetails: gallery.map((img, i) => ({
+        ...img,
+        url: i ? "/uploads/images/b_full.webp" : img.url,
+        ...plain,
+      })),
+    });
+    const noCover = gallery.map((img) => ({ ...img, isCover: false }));
+    expect(imageFields(noCover).cover).toBe("/a.webp");
+    expect(imageFields(undefined)).toEqual({
+      images: [],
+      cover: null,
+      imageDetails: [],
+    });
+  });
+
+  it("adds size, placeholder and srcset sources for uploaded images", () => {
+    const upload = {
+      width: 1200,
+      height: 1600,
+      variants: [
+        { size: "thumbnail", format: "webp", key: "t.webp", width: 320 },
+        { size: "full", format: "webp", key: "f.webp", width: 1200 },
+        { size: "thumbnail", format: "avif", key: "t.avif", width: 320 },
+      ],
+    };
+    const placeholder = {
+      dominantColor: "#b86838",
+      lqip: "data:image/webp;base64,AAAA",
+    };
+    const [details] = imageFields([
+      { ...gallery[0], ...placeholder, upload },
+    ]).imageDetails;
+    expect(details).toEqual({
+      ...gallery[0],
+      ...placeholder,
+      width: 1200,
+      height: 1600,
+      aspectRatio: 0.75,
+      sources: [
+        { type: "image/avif", srcset: "/uploads/t.avif 320w" },
+        {
+          type: "image/webp",
+          srcset: "/uploads/t.webp 320w, /uploads/f.webp 1200w",
+        },
+      ],
+    });
+
+    // images saved before their upload was analysed fall back to the upload
+    const [fallback] = imageFields([
+      { ...gallery[0], upload: { ...upload, ...placeholder } },
+    ]).imageDetails;
+    expect(fallback).toMatchObject({ ...placeholder, aspectRatio: 0.75 });
+  });
+
+  it("requires every image exactly once when reordering", () => {
+    expect(validateImageOrder(["b", "a"], gallery)).toEqual([]);
+    expect(validateImageOrder(["b"], gallery)[0].field).toBe("ids");
+    expect(validateImageOrder(["b", "b"], gallery)).toHaveLength(1);
+    expect(validateImageOrder(["b", "c"], gallery)).toHaveLength(1);
+    expect(validateImageOrder("a,b", gallery)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,66 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("GET /api/me/dashboard", () => {
+  let cookie;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.tag.deleteMany();
+    await prisma.user.deleteMany();
+
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "cook@example.com", password: "password123" })
+      .expect(201);
+    cookie = extractCookie(reg);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it("requires a session", async () => {
+    await request(app).get("/api/me/dashboard").expect(401);
+  });
+
+  it("aggregates the user's recipes and attempts", async () => {
+    const recipe = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Bread", tags: ["baking"] })
+      .expect(201);
+    for (const rating of [2, 4]) {
+      await request(app)
+        .post(`/api/recipes/${recipe.body.id}/attempts`)
+        .set("Cookie", cookie)
+        .send({ body: "try", rating })
+        .expect(201);
+    }
+
+    const res = await request(app)
+      .get("/api/me/dashboard?tzOffset=0")
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(res.body.totals).toEqual({ recipes: 1, attempts: 2 });
+    expect(res.body.streak.current).toBe(1);
+    expect(res.body.mostImproved).toMatchObject({ title: "Bread", delta: 2 });
+    expect(res.body.topTags).toEqual([{ name: "baking", count: 1 }]);
+
+    await request(app)
+      .get("/api/me/dashboard?tzOffset=9999")
+      .set("Cookie", cookie)
+      .expect(400);
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  DEFAULT_QUOTA_MB,
+  quotaBytes,
+  quotaError,
+  storageReport,
+} = require("../src/quota");
+
+const MB = 1024 * 1024;
+
+describe("upload quota", () => {
+  afterEach(() => {
+    delete process.env.UPLOAD_QUOTA_MB;
+  });
+
+  it("reads the quota from UPLOAD_QUOTA_MB", () => {
+    expect(quotaBytes()).toBe(DEFAULT_QUOTA_MB * MB);
+    process.env.UPLOAD_QUOTA_MB = "1.5";
+    expect(quotaBytes()).toBe(1.5 * MB);
+    process.env.UPLOAD_QUOTA_MB = "lots";
+    expect(quotaBytes()).toBe(DEFAULT_QUOTA_MB * MB);
+  });
+
+  it("explains how much space is left", () => {
+    expect(quotaError(9 * MB, 3 * MB, 10 * MB)).toEqual({
+      field: "file",
+      message:
+        "storage quota exceeded: this upload needs 3.0 MB but only 1.0 MB of 10.0 MB is left",
+    });
+    expect(quotaError(10 * MB, 0, 10 * MB).message).toBe(
+      "storage quota exceeded: you have used 10.0 MB of 10.0 MB"
+    );
+    expect(quotaError(2048, 4096, 4096).message).toMatch("needs 4 KB");
+  });
+});
+
+describe("storage report", () => {
+  const soup = { id: "r1", title: "Soup", deletedAt: null };
+  const bread = { id: "r2", title: "Bread", deletedAt: new Date() };
+
+  function upload(bytes, ...images) {
+    return { id: `u${bytes}`, bytes, images };
+  }
+
+  it("counts each upload towards the recipe it was first used in", () => {
+    const report = storageReport(
+      [
+        upload(100, { recipe: soup }),
+        upload(300, { attempt: { recipe: bread } }, { recipe: soup }),
+        upload(50, { step: { recipe: soup } }),
+        upload(20),
+      ],
+      1000
+    );
+    expect(report).toEqual({
+      usedBytes: 470,
+      quotaBytes: 1000,
+      uploads: 4,
+      recipes: [
+        { id: "r2", title: "Bread", deleted: true, bytes: 300, uploads: 1 },
+        { id: "r1", title: "Soup", deleted: false, bytes: 150, uploads: 2 },
+      ],
+      unused: { bytes: 20, uploads: 1 },
+    });
+  });
+
+  it("reports nothing for users without uploads", () => {
+    expect(storageReport([], 1000)).toEqual({
+      usedBytes: 0,
+      quotaBytes: 1000,
+      uploads: 0,
+      recipes: [],
+      unused: { bytes: 0, uploads: 0 },
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require("supertest");
 const { PrismaClient } = require("@prisma/client");
 
 const app = require("../src/index");
+const { purgeDeletedRecipes } = require("../src/purge");
 const prisma = new PrismaClient();
 
 function extractCookie(res) {
@@ -23,7 +24,7 @@ describe("Recipe DELETE endpoint", () => {
     await prisma.$disconnect();
   });
 
-  it("allows the owner to delete a recipe and removes dependent attempts/images", async () => {
+  it("moves the recipe to the trash and the purge removes dependent attempts/images", async () => {
     const email = "owner@example.com";
     const password = "password123";
 
@@ -39,7 +40,14 @@ describe("Recipe DELETE endpoint", () => {
     const recipeRes = await request(app)
       .post("/api/recipes")
       .set("Cookie", cookie)
-      .send({ title: "Owner Recipe", body: "body", images: ["u1", "u2"] })
+      .send({
+        title: "Owner Recipe",
+        body: "body",
+        images: [
+          "https://img.example.com/u1.webp",
+          "https://img.example.com/u2.webp",
+        ],
+      })
       .expect(201);
 
     const recipeId = recipeRes.body.id;
@@ -48,7 +56,10 @@ describe("Recipe DELETE endpoint", () => {
     const attemptRes = await request(app)
       .post(`/api/recipes/${recipeId}/attempts`)
       .set("Cookie", cookie)
-      .send({ body: "attempt body", images: ["a1"] })
+      .send({
+        body: "attempt body",
+        images: ["https://img.example.com/a1.webp"],
+      })
       .expect(201);
 
     const attemptId = attemptRes.body.id;
@@ -59,6 +70,15 @@ describe("Recipe DELETE endpoint", () => {
       .set("Cookie", cookie)
       .expect(204);
 
+    // Soft deleted: hidden from reads but still stored
+    await request(app).get(`/api/recipes/${recipeId}`).expect(404);
+    const trashed = await prisma.recipe.findUnique({ where: { id: recipeId } });
+    expect(trashed.deletedAt).not.toBeNull();
+
+    // Purge with no retention removes it for real
+    const purged = await purgeDeletedRecipes(prisma, { days: 0 });
+    expect(purged.map((r) => r.id)).toEqual([recipeId]);
+
     // Verify recipe removed
     const recipe = await prisma.recipe.findUnique({ where: { id: recipeId } });
     expect(recipe).toBeNull();
@@ -107,4 +127,55 @@ describe("Recipe DELETE endpoint", () => {
     expect(res.body.errors).toBeDefined();
     expect(res.body.errors[0].field).toBe("auth");
   });
+
+  it("lists the trash and restores a recipe", async () => {
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "t@example.com", password: "password123" })
+      .expect(201);
+    const cookie = extractCookie(reg);
+
+    const recipeRes = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Oops" })
+      .expect(201);
+    const recipeId = recipeRes.body.id;
+
+    // restoring something that is not deleted is a conflict
+    await request(app)
+      .post(`/api/recipes/${recipeId}/restore`)
+      .set("Cookie", cookie)
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .expect(204);
+
+    const list = await request(app)
+      .get("/api/recipes")
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(list.body.items).toHaveLength(0);
+    await request(app).get(`/api/recipes/${recipeId}/attempts`).expect(404);
+
+    const trash = await request(app)
+      .get("/api/trash")
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(trash.body.items.map((r) => r.id)).toEqual([recipeId]);
+    expect(trash.body.items[0].purgeAt).toBeDefined();
+
+    // still within the retention period: the purge leaves it alone
+    expect(await purgeDeletedRecipes(prisma)).toHaveLength(0);
+
+    const restored = await request(app)
+      .post(`/api/recipes/${recipeId}/restore`)
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(restored.body.deletedAt).toBeNull();
+    await request(app).get(`/api/recipes/${recipeId}`).expect(200);
+    await request(app).get("/api/trash").expect(401);
+  });
 });
@@ -49,6 +49,34 @@ describe('Recipe API', () => {
       expect(response.body.errors).toBeDefined();
       expect(response.body.errors[0].field).toBe('title');
     });
+
+    it('should create a recipe with ordered ingredients', async () => {
+      const response = await request(app)
+        .post('/api/recipes')
+        .send({
+          title: 'Mapo Tofu',
+          ingredients: [
+            { name: 'tofu', quantity: 400, unit: 'g', note: 'cubed' },
+            { name: 'doubanjiang', quantity: '1 1/2', unit: 'tbsp', group: 'for the sauce' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.ingredients).toHaveLength(2);
+      expect(response.body.ingredients[0]).toMatchObject({ name: 'tofu', quantity: 400, unit: 'g', note: 'cubed', position: 0 });
+      expect(response.body.ingredients[1]).toMatchObject({ quantity: 1.5, group: 'for the sauce', position: 1 });
+    });
+
+    it('should return 400 for an invalid ingredient', async () => {
+      const response = await request(app)
+        .post('/api/recipes')
+        .send({ title: 'Bad', ingredients: [{ quantity: 'lots' }] })
+        .expect(400);
+
+      const fields = response.body.errors.map((e) => e.field);
+      expect(fields).toContain('ingredients[0].name');
+      expect(fields).toContain('ingredients[0].quantity');
+    });
   });
 
   describe('GET /api/recipes', () => {
@@ -75,5 +103,133 @@ describe('Recipe API', () => {
       expect(response.body.items).toHaveLength(2);
       expect(response.body.total).toBe(2);
     });
+
+    it('should search recipes with ranking, highlights and pagination', async () => {
+      await prisma.recipe.create({ data: { title: 'Pork dumplings', body: 'minced pork and cabbage' } });
+      await prisma.recipe.create({ data: { title: 'Cabbage salad', body: 'no meat here' } });
+      const braised = await prisma.recipe.create({ data: { title: '红烧肉', body: 'braised belly' } });
+      await prisma.attempt.create({ data: { body: 'used more pork fat', recipeId: braised.id } });
+
+      const first = await request(app)
+        .get('/api/recipes')
+        .query({ q: 'pork', limit: 1 })
+        .expect(200);
+
+      expect(first.body.total).toBe(2);
+      expect(first.body.items).toHaveLength(1);
+      // title matches rank above attempt-only matches
+      expect(first.body.items[0].title).toBe('Pork dumplings');
+      expect(first.body.items[0].highlights[0]).toMatchObject({ field: 'title', matches: [[0, 4]] });
+      expect(first.body.nextCursor).toBeTruthy();
+
+      const second = await request(app)
+        .get('/api/recipes')
+        .query({ q: 'pork', limit: 1, cursor: first.body.nextCursor })
+        .expect(200);
+
+      expect(second.body.items[0].id).toBe(braised.id);
+      expect(second.body.items[0].highlights[0].field).toBe('attempt.body');
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('should match Chinese substrings', async () => {
+      await prisma.recipe.create({ data: { title: '红烧肉', body: '五花肉' } });
+
+      const response = await request(app)
+        .get('/api/recipes')
+        .query({ q: '红烧' })
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+    });
+
+    it('should keep the search index current as recipes and attempts change', async () => {
+      const recipe = await prisma.recipe.create({ data: { title: 'Stew', body: 'beef' } });
+      const attempt = await prisma.attempt.create({ data: { body: 'added paprika', recipeId: recipe.id } });
+      const search = async (q) => (await request(app).get('/api/recipes').query({ q }).expect(200)).body.total;
+
+      expect(await search('paprika')).toBe(1);
+      await prisma.attempt.update({ where: { id: attempt.id }, data: { body: 'added cumin' } });
+      expect(await search('paprika')).toBe(0);
+      expect(await search('cumin')).toBe(1);
+      await prisma.attempt.delete({ where: { id: attempt.id } });
+      expect(await search('cumin')).toBe(0);
+      await prisma.recipe.update({ where: { id: recipe.id }, data: { title: 'Goulash' } });
+      expect(await search('goulash')).toBe(1);
+    });
+
+    it('should page through recipes with a stable sort', async () => {
+      const base = Date.now();
+      for (let i = 0; i < 5; i++) {
+        await prisma.recipe.create({
+          data: { title: `Recipe ${i}`, createdAt: new Date(base + i * 1000) }
+        });
+      }
+
+      const seen = [];
+      let cursor;
+      do {
+        const response = await request(app)
+          .get('/api/recipes')
+          .query({ sort: 'oldest', limit: 2, ...(cursor ? { cursor } : {}) })
+          .expect(200);
+        expect(response.body.total).toBe(5);
+        expect(response.body.sort).toBe('oldest');
+        expect(response.body.limit).toBe(2);
+        seen.push(...response.body.items.map((r) => r.title));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['Recipe 0', 'Recipe 1', 'Recipe 2', 'Recipe 3', 'Recipe 4']);
+    });
+
+    it('should sort by number of attempts', async () => {
+      const few = await prisma.recipe.create({ data: { title: 'Few' } });
+      const many = await prisma.recipe.create({ data: { title: 'Many' } });
+      await prisma.attempt.createMany({
+        data: [
+          { body: 'one', recipeId: many.id },
+          { body: 'two', recipeId: many.id },
+          { body: 'three', recipeId: few.id }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/api/recipes')
+        .query({ sort: 'attempts' })
+        .expect(200);
+
+      expect(response.body.items.map((r) => r.id)).toEqual([many.id, few.id]);
+    });
+
+    it('should reject an unknown sort and a cursor issued for another sort', async () => {
+      let response = await request(app)
+        .get('/api/recipes')
+        .query({ sort: 'random' })
+        .expect(400);
+      expect(response.body.errors[0].field).toBe('sort');
+
+      await prisma.recipe.create({ data: { title: 'A' } });
+      await prisma.recipe.create({ data: { title: 'B' } });
+      const first = await request(app)
+        .get('/api/recipes')
+        .query({ sort: 'newest', limit: 1 })
+        .expect(200);
+
+      response = await request(app)
+        .get('/api/recipes')
+        .query({ sort: 'oldest', cursor: first.body.nextCursor })
+        .expect(400);
+      expect(response.body.errors[0].field).toBe('cursor');
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const response = await request(app)
+        .get('/api/recipes')
+        .query({ q: 'pork', cursor: 'garbage' })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('cursor');
+    });
   });
-});
\ No newline at end of file
+});
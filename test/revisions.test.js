@@ -0,0 +1,256 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Recipe revisions", () => {
+  let cookie;
+  let recipeId;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "cook@example.com", password: "password123" })
+      .expect(201);
+    cookie = extractCookie(reg);
+
+    const created = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({
+        title: "Congee",
+        body: "Rinse rice\nSimmer",
+        images: ["https://img.example.com/v1.webp"],
+      })
+      .expect(201);
+    recipeId = created.body.id;
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it("snapshots the replaced version on PUT and PATCH", async () => {
+    await request(app)
+      .put(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ body: "Rinse rice\nSimmer 1 hour", images: [] })
+      .expect(200);
+    await request(app)
+      .patch(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ title: "Plain congee" })
+      .expect(200);
+    // no content change, no revision
+    await request(app)
+      .patch(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ visibility: "public" })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .expect(200);
+    expect(res.body.items.map((r) => [r.number, r.title, r.images])).toEqual([
+      [2, "Congee", []],
+      [1, "Congee", ["https://img.example.com/v1.webp"]],
+    ]);
+    expect(res.body.items[1].body).toBe("Rinse rice\nSimmer");
+  });
+
+  it("diffs revisions line by line and restores an old version", async () => {
+    await request(app)
+      .put(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ body: "Rinse rice\nSimmer 1 hour", images: [] })
+      .expect(200);
+    const list = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .expect(200);
+    const first = list.body.items[0];
+
+    const diff = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions/diff`)
+      .query({ from: first.id })
+      .expect(200);
+    expect(diff.body.to).toBeNull();
+    expect(diff.body.changed).toEqual(["body", "images"]);
+    expect(diff.body.body).toEqual([
+      { op: "equal", text: "Rinse rice" },
+      { op: "remove", text: "Simmer" },
+      { op: "add", text: "Simmer 1 hour" },
+    ]);
+
+    const restored = await request(app)
+      .post(`/api/recipes/${recipeId}/revisions/${first.id}/restore`)
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(restored.body.body).toBe("Rinse rice\nSimmer");
+    expect(restored.body.images).toEqual(["https://img.example.com/v1.webp"]);
+
+    // the restore itself is undoable
+    const after = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .expect(200);
+    expect(after.body.total).toBe(2);
+    expect(after.body.items[0].body).toBe("Rinse rice\nSimmer 1 hour");
+  });
+
+  it("versions steps, tags and settings", async () => {
+    const rinse = await request(app)
+      .post(`/api/recipes/${recipeId}/steps`)
+      .set("Cookie", cookie)
+      .send({ text: "Rinse" })
+      .expect(201);
+    await request(app)
+      .patch(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ tags: ["breakfast"], servings: 2 })
+      .expect(200);
+    await request(app)
+      .post(`/api/recipes/${recipeId}/steps`)
+      .set("Cookie", cookie)
+      .send({ text: "Simmer", durationSeconds: 3600 })
+      .expect(201);
+    await request(app)
+      .patch(`/api/recipes/${recipeId}/steps/${rinse.body.id}`)
+      .set("Cookie", cookie)
+      .send({ text: "Rinse twice" })
+      .expect(200);
+    await request(app)
+      .patch(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ visibility: "unlisted", baking: true })
+      .expect(200);
+
+    const list = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .set("Cookie", cookie)
+      .expect(200);
+    // 1: before the first step, 2: before the tags, 3 and 4: before the step
+    // changes, 5: before the visibility
+    expect(list.body.items.map((rev) => rev.number)).toEqual([5, 4, 3, 2, 1]);
+    const first = list.body.items[3];
+    expect(first).toMatchObject({
+      tags: [],
+      servings: null,
+      baking: false,
+      visibility: "public",
+    });
+    expect(first.steps.map((step) => step.text)).toEqual(["Rinse"]);
+
+    const diff = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions/diff`)
+      .set("Cookie", cookie)
+      .query({ from: first.id })
+      .expect(200);
+    expect(diff.body.changed).toEqual([
+      "steps",
+      "tags",
+      "servings",
+      "baking",
+      "visibility",
+    ]);
+    expect(diff.body.steps).toEqual([
+      { op: "remove", text: "Rinse" },
+      { op: "add", text: "Rinse twice" },
+      { op: "add", text: "Simmer (60 min)" },
+    ]);
+    expect(diff.body.visibility).toEqual({ from: "public", to: "unlisted" });
+
+    const restored = await request(app)
+      .post(`/api/recipes/${recipeId}/revisions/${first.id}/restore`)
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(restored.body).toMatchObject({
+      tags: [],
+      servings: null,
+      baking: false,
+      visibility: "public",
+    });
+    // steps are restored in place, so the remaining step keeps its id
+    expect(restored.body.steps.map((step) => [step.id, step.text])).toEqual([
+      [rinse.body.id, "Rinse"],
+    ]);
+  });
+
+  it("keeps a revision for every step change", async () => {
+    const step = await request(app)
+      .post(`/api/recipes/${recipeId}/steps`)
+      .set("Cookie", cookie)
+      .send({ text: "Rinse" })
+      .expect(201);
+    await request(app)
+      .patch(`/api/recipes/${recipeId}/steps/${step.body.id}`)
+      .set("Cookie", cookie)
+      .send({ text: "Rinse twice", durationSeconds: 60 })
+      .expect(200);
+
+    let list = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(list.body.items.map((rev) => rev.steps)).toEqual([
+      [expect.objectContaining({ text: "Rinse", durationSeconds: null })],
+      [],
+    ]);
+
+    const restored = await request(app)
+      .post(
+        `/api/recipes/${recipeId}/revisions/${list.body.items[0].id}/restore`
+      )
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(restored.body.steps).toMatchObject([
+      { id: step.body.id, text: "Rinse", durationSeconds: null },
+    ]);
+
+    await request(app)
+      .delete(`/api/recipes/${recipeId}/steps/${step.body.id}`)
+      .set("Cookie", cookie)
+      .expect(204);
+    list = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .set("Cookie", cookie)
+      .expect(200);
+    // the restore and the delete each kept the version they replaced
+    expect(list.body.items).toHaveLength(4);
+    expect(list.body.items[0].steps.map((s) => s.text)).toEqual(["Rinse"]);
+  });
+
+  it("validates diff parameters and restore permissions", async () => {
+    await request(app)
+      .get(`/api/recipes/${recipeId}/revisions/diff`)
+      .expect(400);
+    await request(app)
+      .get(`/api/recipes/${recipeId}/revisions/diff`)
+      .query({ from: "missing" })
+      .expect(404);
+
+    await request(app)
+      .patch(`/api/recipes/${recipeId}`)
+      .set("Cookie", cookie)
+      .send({ title: "Changed" })
+      .expect(200);
+    const list = await request(app)
+      .get(`/api/recipes/${recipeId}/revisions`)
+      .expect(200);
+    await request(app)
+      .post(
+        `/api/recipes/${recipeId}/revisions/${list.body.items[0].id}/restore`
+      )
+      .expect(401);
+  });
+});
@@ -0,0 +1,42 @@
+const { roundQuantity, scaleRecipe } = require("../src/utils/scale");
+
+describe("scale", () => {
+  it("rounds spoon and cup amounts to kitchen fractions", () => {
+    expect(roundQuantity(1.48, "cup")).toEqual({ value: 1.5, text: "1 1/2" });
+    expect(roundQuantity(0.3, "tbsp")).toEqual({ value: 1 / 3, text: "1/3" });
+    expect(roundQuantity(0.95, "tsp")).toEqual({ value: 1, text: "1" });
+    expect(roundQuantity(2.74, null)).toEqual({ value: 2.75, text: "2 3/4" });
+    expect(roundQuantity(12.4, "个")).toEqual({ value: 12, text: "12" });
+    // too small for a fraction: keep two significant digits
+    expect(roundQuantity(0.05, "tsp")).toEqual({ value: 0.05, text: "0.05" });
+  });
+
+  it("rounds weights and volumes as decimals", () => {
+    expect(roundQuantity(3.33, "g").text).toBe("3.3");
+    expect(roundQuantity(66.6, "ml").text).toBe("67");
+    expect(roundQuantity(437, "克").text).toBe("435");
+    expect(roundQuantity(1234, "ML").text).toBe("1230");
+    expect(roundQuantity(0.333, "kg").text).toBe("0.33");
+  });
+
+  it("scales every ingredient of a recipe", () => {
+    const recipe = {
+      servings: 6,
+      ingredients: [
+        { name: "flour", quantity: 300, unit: "g" },
+        { name: "milk", quantity: 1.5, unit: "cup" },
+        { name: "salt", quantity: null, unit: null },
+      ],
+    };
+    const scaled = scaleRecipe(recipe, 2);
+    expect(scaled.servings).toBe(2);
+    expect(scaled.scale).toEqual({ from: 6, to: 2, factor: 1 / 3 });
+    expect(scaled.ingredients.map((i) => i.quantityText)).toEqual([
+      "100",
+      "1/2",
+      null,
+    ]);
+    // the original is left untouched
+    expect(recipe.ingredients[0].quantity).toBe(300);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Recipe servings", () => {
+  let owner;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "cook@example.com", password: "password123" })
+      .expect(201);
+    owner = extractCookie(reg);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  it("returns ingredients scaled to the requested servings", async () => {
+    const created = await request(app)
+      .post("/api/recipes")
+      .send({
+        title: "Pancakes",
+        servings: 6,
+        ingredients: [
+          { quantity: 300, unit: "g", name: "flour" },
+          { quantity: "1 1/2", unit: "cup", name: "milk" },
+          { name: "salt" },
+        ],
+      })
+      .expect(201);
+    expect(created.body.servings).toBe(6);
+
+    const res = await request(app)
+      .get(`/api/recipes/${created.body.id}?servings=2`)
+      .expect(200);
+    expect(res.body.servings).toBe(2);
+    expect(res.body.scale).toEqual({ from: 6, to: 2, factor: 1 / 3 });
+    expect(
+      res.body.ingredients.map((i) => [i.name, i.quantity, i.quantityText])
+    ).toEqual([
+      ["flour", 100, "100"],
+      ["milk", 0.5, "1/2"],
+      ["salt", null, null],
+    ]);
+
+    // the stored quantities are unchanged
+    const plain = await request(app)
+      .get(`/api/recipes/${created.body.id}`)
+      .expect(200);
+    expect(plain.body.ingredients[0].quantity).toBe(300);
+    expect(plain.body.scale).toBeUndefined();
+  });
+
+  it("rejects invalid servings and recipes without servings", async () => {
+    const created = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", owner)
+      .send({ title: "Soup" })
+      .expect(201);
+    const id = created.body.id;
+
+    const missing = await request(app)
+      .get(`/api/recipes/${id}?servings=2`)
+      .expect(400);
+    expect(missing.body.errors[0].field).toBe("servings");
+
+    await request(app)
+      .patch(`/api/recipes/${id}`)
+      .set("Cookie", owner)
+      .send({ servings: 0 })
+      .expect(400);
+    await request(app)
+      .patch(`/api/recipes/${id}`)
+      .set("Cookie", owner)
+      .send({ servings: 4 })
+      .expect(200);
+    await request(app).get(`/api/recipes/${id}?servings=1.5`).expect(400);
+    await request(app).get(`/api/recipes/${id}?servings=8`).expect(200);
+  });
+});
@@ -0,0 +1,86 @@
+const { topTerms, recipeStats } = require("../src/stats");
+
+describe("stats", () => {
+  it("counts words in Chinese and English feedback", () => {
+    expect(
+      topTerms(["盐放少了，下次多放盐", "水少放一点", "Too salty, less salt"])
+    ).toEqual([
+      { term: "less", count: 1 },
+      { term: "salt", count: 1 },
+      { term: "salty", count: 1 },
+      { term: "多", count: 1 },
+      { term: "少", count: 1 },
+      { term: "少了", count: 1 },
+      { term: "放盐", count: 1 },
+      { term: "水", count: 1 },
+      { term: "盐", count: 1 },
+    ]);
+    expect(topTerms(["salt salt pepper"], 1)).toEqual([
+      { term: "salt", count: 2 },
+    ]);
+  });
+
+  it("summarizes attempts in the order they were cooked", () => {
+    const stats = recipeStats([
+      {
+        id: "c",
+        outcome: null,
+        rating: null,
+        durationMinutes: 90,
+        cookedAt: new Date("2024-01-10T00:00:00Z"),
+        createdAt: new Date("2024-01-10T00:00:00Z"),
+        feedback: "crust too pale",
+        adjustments: [],
+      },
+      {
+        id: "a",
+        outcome: "success",
+        rating: 4,
+        durationMinutes: 60,
+        cookedAt: new Date("2024-01-01T00:00:00Z"),
+        createdAt: new Date("2024-01-02T00:00:00Z"),
+        feedback: null,
+        adjustments: [{ text: "longer bake", stepId: null }],
+      },
+      {
+        id: "b",
+        outcome: "failure",
+        rating: 2,
+        durationMinutes: null,
+        cookedAt: null,
+        createdAt: new Date("2024-01-04T12:00:00Z"),
+        feedback: "pale crust",
+        adjustments: null,
+      },
+    ]);
+    expect(stats).toMatchObject({
+      attempts: 3,
+      outcomes: { success: 1, partial: 0, failure: 1, unrecorded: 1 },
+      successRate: 0.5,
+      averageRating: 3,
+      averageDurationMinutes: 75,
+      daysBetweenAttempts: [3.5, 5.5],
+      averageDaysBetweenAttempts: 4.5,
+    });
+    expect(stats.ratings.map((r) => [r.attemptId, r.rating])).toEqual([
+      ["a", 4],
+      ["b", 2],
+    ]);
+    expect(stats.terms.slice(0, 2)).toEqual([
+      { term: "crust", count: 2 },
+      { term: "pale", count: 2 },
+    ]);
+  });
+
+  it("returns nulls without attempts", () => {
+    expect(recipeStats([])).toMatchObject({
+      attempts: 0,
+      successRate: null,
+      averageRating: null,
+      averageDurationMinutes: null,
+      averageDaysBetweenAttempts: null,
+      ratings: [],
+      terms: [],
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Recipe steps endpoints", () => {
+  let cookie;
+  let recipeId;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "cook@example.com", password: "password123" })
+      .expect(201);
+    cookie = extractCookie(reg);
+
+    const recipeRes = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Braised Pork" })
+      .expect(201);
+    recipeId = recipeRes.body.id;
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  async function addStep(body) {
+    const res = await request(app)
+      .post(`/api/recipes/${recipeId}/steps`)
+      .set("Cookie", cookie)
+      .send(body)
+      .expect(201);
+    return res.body;
+  }
+
+  it("appends, inserts, reorders and deletes steps keeping positions contiguous", async () => {
+    const blanch = await addStep({
+      text: "Blanch the pork",
+      durationSeconds: 180,
+    });
+    const braise = await addStep({
+      text: "Braise",
+      temperature: 95,
+      image: "https://img.example.com/braise.webp",
+    });
+    const sear = await addStep({ text: "Sear until golden", position: 1 });
+
+    let res = await request(app).get(`/api/recipes/${recipeId}`).expect(200);
+    expect(res.body.steps.map((s) => s.id)).toEqual([
+      blanch.id,
+      sear.id,
+      braise.id,
+    ]);
+    expect(res.body.steps[2]).toMatchObject({
+      position: 2,
+      temperature: 95,
+      temperatureUnit: "C",
+      image: "https://img.example.com/braise.webp",
+    });
+
+    res = await request(app)
+      .put(`/api/recipes/${recipeId}/steps/order`)
+      .set("Cookie", cookie)
+      .send({ order: [sear.id, blanch.id, braise.id] })
+      .expect(200);
+    expect(res.body.items.map((s) => [s.id, s.position])).toEqual([
+      [sear.id, 0],
+      [blanch.id, 1],
+      [braise.id, 2],
+    ]);
+
+    await request(app)
+      .delete(`/api/recipes/${recipeId}/steps/${sear.id}`)
+      .set("Cookie", cookie)
+      .expect(204);
+
+    res = await request(app).get(`/api/recipes/${recipeId}/steps`).expect(200);
+    expect(res.body.items.map((s) => [s.id, s.position])).toEqual([
+      [blanch.id, 0],
+      [braise.id, 1],
+    ]);
+  });
+
+  it("rejects an order that does not list every step", async () => {
+    const a = await addStep({ text: "a" });
+    await addStep({ text: "b" });
+
+    const res = await request(app)
+      .put(`/api/recipes/${recipeId}/steps/order`)
+      .set("Cookie", cookie)
+      .send({ order: [a.id] })
+      .expect(400);
+    expect(res.body.errors[0].field).toBe("order");
+  });
+
+  it("prevents other users from editing steps (403)", async () => {
+    const step = await addStep({ text: "Blanch" });
+    const other = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "other@example.com", password: "password123" })
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/recipes/${recipeId}/steps/${step.id}`)
+      .set("Cookie", extractCookie(other))
+      .send({ text: "hijacked" })
+      .expect(403);
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sweepUploads } = require("../src/sweep");
+const { createLocalStorage } = require("../src/storage/local");
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2025-09-01T12:00:00Z");
+const old = new Date(now.getTime() - 48 * HOUR_MS);
+const recent = new Date(now.getTime() - HOUR_MS);
+
+// the few queries sweepUploads makes, over in-memory rows
+function fakeDb({
+  uploads,
+  imageUrls = [],
+  revisionImages = [],
+  revisionStepImages = [],
+}) {
+  const rows = [...uploads];
+  return {
+    image: { findMany: async () => imageUrls.map((url) => ({ url })) },
+    recipeRevision: {
+      findMany: async () => [
+        ...revisionImages.map((images) => ({ images, steps: [] })),
+        { images: [], steps: revisionStepImages.map((image) => ({ image })) },
+      ],
+    },
+    upload: {
+      findMany: async () => rows,
+      deleteMany: async ({ where }) => {
+        const i = rows.findIndex((u) => u.id === where.id);
+        if (i >= 0) rows.splice(i, 1);
+        return { count: i >= 0 ? 1 : 0 };
+      },
+    },
+    rows,
+  };
+}
+
+function upload(id, createdAt, claimedAt = null) {
+  return {
+    id,
+    key: `images/${id}_full.webp`,
+    originalKey: `originals/${id}.jpeg`,
+    createdAt,
+    claimedAt,
+    variants: ["thumbnail", "full"].map((size) => ({
+      key: `images/${id}_${size}.webp`,
+    })),
+  };
+}
+
+describe("upload sweeper", () => {
+  let root;
+  let storage;
+
+  function write(key, mtime = old) {
+    const file = path.join(root, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "x".repeat(10));
+    fs.utimesSync(file, mtime, mtime);
+  }
+
+  function keys() {
+    return storage.list().then((items) => items.map((i) => i.key).sort());
+  }
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "sweep-"));
+    storage = createLocalStorage({
+      root,
+      baseUrl: "/uploads",
+      secret: "test",
+    });
+    for (const id of ["a", "b", "c", "d", "e"]) {
+      write(`originals/${id}.jpeg`);
+      write(`images/${id}_thumbnail.webp`);
+      write(`images/${id}_full.webp`);
+    }
+    // saved before uploads were tracked, referenced by an absolute url
+    write("legacy.webp");
+    write("stray.webp");
+    write("fresh.webp", recent);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  function setup() {
+    return fakeDb({
+      uploads: [
+        upload("a", old), // never claimed
+        upload("b", recent), // still within the grace period
+        upload("c", old, old), // used by an image
+        upload("d", old, old), // only in a revision
+        upload("e", old, old), // only as a step image in a revision
+      ],
+      imageUrls: ["images/c_full.webp", "http://old-host/uploads/legacy.webp"],
+      revisionImages: [["images/d_thumbnail.webp"]],
+      revisionStepImages: [null, "images/e_full.webp"],
+    });
+  }
+
+  it("reports without deleting on a dry run", async () => {
+    const db = setup();
+    const before = await keys();
+    const report = await sweepUploads(db, {
+      storage,
+      hours: 24,
+      now,
+      dryRun: true,
+    });
+
+    expect(report.uploads.map((u) => [u.id, u.status])).toEqual([
+      ["a", "pending"],
+    ]);
+    expect(report.uploads[0].keys).toEqual([
+      "originals/a.jpeg",
+      "images/a_thumbnail.webp",
+      "images/a_full.webp",
+    ]);
+    expect(report.strayFiles).toEqual([{ key: "stray.webp", bytes: 10 }]);
+    expect(report.bytes).toBe(40);
+    expect(db.rows).toHaveLength(5);
+    expect(await keys()).toEqual(before);
+  });
+
+  it("deletes orphaned uploads and stray files", async () => {
+    const db = setup();
+    const report = await sweepUploads(db, { storage, hours: 24, now });
+
+    expect(report.uploads.map((u) => u.id)).toEqual(["a"]);
+    expect(db.rows.map((u) => u.id)).toEqual(["b", "c", "d", "e"]);
+    const left = await keys();
+    expect(left).not.toContain("images/a_full.webp");
+    expect(left).not.toContain("originals/a.jpeg");
+    expect(left).not.toContain("stray.webp");
+    expect(left).toEqual(
+      expect.arrayContaining([
+        "legacy.webp",
+        "fresh.webp",
+        "images/d_full.webp",
+        "images/e_thumbnail.webp",
+        "originals/b.jpeg",
+      ])
+    );
+  });
+
+  it("marks uploads whose images were removed as released", async () => {
+    const db = fakeDb({ uploads: [upload("c", old, old)] });
+    const report = await sweepUploads(db, {
+      storage,
+      hours: 24,
+      now,
+      dryRun: true,
+    });
+    expect(report.uploads.map((u) => [u.id, u.status])).toEqual([
+      ["c", "released"],
+    ]);
+  });
+});
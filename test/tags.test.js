@@ -0,0 +1,131 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Recipe tags", () => {
+  let owner;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.tag.deleteMany();
+    await prisma.user.deleteMany();
+
+    const a = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "owner@example.com", password: "password123" })
+      .expect(201);
+    owner = extractCookie(a);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  async function createRecipe(body) {
+    const res = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", owner)
+      .send(body)
+      .expect(201);
+    return res.body;
+  }
+
+  function titles(res) {
+    return res.body.items.map((r) => r.title).sort();
+  }
+
+  it("normalizes tags on create and replaces them on patch", async () => {
+    const recipe = await createRecipe({
+      title: "Noodles",
+      tags: [" Dinner", "quick", "dinner"],
+    });
+    expect(recipe.tags).toEqual(["dinner", "quick"]);
+
+    const patched = await request(app)
+      .patch(`/api/recipes/${recipe.id}`)
+      .set("Cookie", owner)
+      .send({ tags: ["Lunch"] })
+      .expect(200);
+    expect(patched.body.tags).toEqual(["lunch"]);
+
+    // tags are not recipe content, so no revision is recorded
+    const revisions = await request(app)
+      .get(`/api/recipes/${recipe.id}/revisions`)
+      .set("Cookie", owner)
+      .expect(200);
+    expect(revisions.body.items).toHaveLength(0);
+  });
+
+  it("rejects invalid tags", async () => {
+    const res = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", owner)
+      .send({ title: "Bad", tags: "dinner" })
+      .expect(400);
+    expect(res.body.errors[0].field).toBe("tags");
+  });
+
+  it("filters by tags with AND/OR semantics and returns facets", async () => {
+    await createRecipe({ title: "Noodles", tags: ["dinner", "quick"] });
+    await createRecipe({ title: "Stew", tags: ["dinner"] });
+    await createRecipe({ title: "Toast", tags: ["breakfast", "quick"] });
+    await createRecipe({ title: "Plain" });
+
+    const all = await request(app).get("/api/recipes").expect(200);
+    expect(all.body.facets).toEqual([
+      { name: "dinner", count: 2 },
+      { name: "quick", count: 2 },
+      { name: "breakfast", count: 1 },
+    ]);
+
+    const and = await request(app)
+      .get("/api/recipes?tag=dinner&tag=quick")
+      .expect(200);
+    expect(titles(and)).toEqual(["Noodles"]);
+    expect(and.body.total).toBe(1);
+    expect(and.body.facets).toEqual([
+      { name: "dinner", count: 1 },
+      { name: "quick", count: 1 },
+    ]);
+
+    const or = await request(app)
+      .get("/api/recipes?tag=dinner&tag=quick&match=any")
+      .expect(200);
+    expect(titles(or)).toEqual(["Noodles", "Stew", "Toast"]);
+
+    const single = await request(app)
+      .get("/api/recipes?tag=Breakfast")
+      .expect(200);
+    expect(titles(single)).toEqual(["Toast"]);
+
+    await request(app).get("/api/recipes?tag=dinner&match=some").expect(400);
+  });
+
+  it("does not count tags of recipes the viewer cannot list", async () => {
+    await createRecipe({ title: "Public", tags: ["dinner"] });
+    await createRecipe({
+      title: "Draft",
+      tags: ["dinner", "secret"],
+      visibility: "private",
+    });
+
+    const anonymous = await request(app).get("/api/recipes").expect(200);
+    expect(anonymous.body.facets).toEqual([{ name: "dinner", count: 1 }]);
+
+    const mine = await request(app)
+      .get("/api/recipes?tag=secret")
+      .set("Cookie", owner)
+      .expect(200);
+    expect(titles(mine)).toEqual(["Draft"]);
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  findUnit,
+  findDensity,
+  convert,
+  convertIngredient,
+  convertRecipe,
+} = require("../src/utils/units");
+
+describe("units", () => {
+  it("resolves aliases and Chinese units", () => {
+    expect(findUnit(" Cups ").unit).toBe("cup");
+    expect(findUnit("克").unit).toBe("g");
+    expect(findUnit("斤")).toMatchObject({ dimension: "mass", factor: 500 });
+    expect(findUnit("pinch")).toBeNull();
+  });
+
+  it("converts within a dimension", () => {
+    expect(convert(1, "斤", "两")).toEqual({ quantity: 10, unit: "两" });
+    expect(convert(2, "lb", "g").quantity).toBeCloseTo(907.18, 2);
+    expect(convert(3, "tsp", "tbsp").quantity).toBeCloseTo(1, 10);
+  });
+
+  it("converts temperatures", () => {
+    expect(convert(180, "C", "F")).toEqual({ quantity: 356, unit: "F" });
+    expect(convert(212, "°F", "摄氏度")).toEqual({ quantity: 100, unit: "C" });
+    expect(convert(180, "C", "g").field).toBe("to");
+  });
+
+  it("converts between cups and grams with ingredient densities", () => {
+    expect(convert(1, "cup", "g", "All-purpose flour").quantity).toBeCloseTo(
+      125.4,
+      1
+    );
+    // the longest matching name wins
+    expect(findDensity("light brown sugar").gPerMl).toBe(0.93);
+    expect(findDensity("低筋面粉").gPerMl).toBe(0.53);
+    expect(convert(1, "cup", "g", "gravel")).toMatchObject({
+      field: "ingredient",
+    });
+  });
+
+  it("restates ingredients in a unit system", () => {
+    const flour = { name: "flour", quantity: 2, unit: "cup" };
+    expect(convertIngredient(flour, "metric")).toMatchObject({ unit: "g" });
+    // liquids keep their volume
+    const milk = convertIngredient(
+      { name: "milk", quantity: 1.5, unit: "l" },
+      "imperial"
+    );
+    expect(milk.unit).toBe("cup");
+    expect(milk.quantity).toBeCloseTo(6.34, 2);
+    const eggs = { name: "eggs", quantity: 2, unit: "个" };
+    expect(convertIngredient(eggs, "metric")).toBe(eggs);
+
+    const recipe = convertRecipe(
+      {
+        ingredients: [{ name: "butter", quantity: 1, unit: "lb" }],
+        steps: [{ text: "bake", temperature: 350, temperatureUnit: "F" }],
+      },
+      "metric"
+    );
+    expect(recipe.units).toBe("metric");
+    expect(recipe.ingredients[0].unit).toBe("g");
+    expect(recipe.steps[0]).toMatchObject({
+      temperature: 177,
+      temperatureUnit: "C",
+    });
+  });
+});
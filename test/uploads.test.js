@@ -0,0 +1,407 @@
+const request = require("supertest");
+const sharp = require("sharp");
+const { PrismaClient } = require("@prisma/client");
+const { getStorage } = require("../src/storage");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+const storage = getStorage();
+
+function photo(width, height, background = "#7a9a3c") {
+  return sharp({ create: { width, height, channels: 3, background } })
+    .jpeg()
+    .toBuffer();
+}
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+// remove upload rows and the files written for them
+async function removeUploads() {
+  const uploads = await prisma.upload.findMany({
+    include: { variants: true },
+  });
+  for (const upload of uploads) {
+    await storage.delete(upload.originalKey);
+    for (const v of upload.variants) await storage.delete(v.key);
+  }
+  await prisma.upload.deleteMany();
+}
+
+async function register(email) {
+  const reg = await request(app)
+    .post("/api/auth/register")
+    .send({ email, password: "password123" })
+    .expect(201);
+  return extractCookie(reg);
+}
+
+describe("Uploads", () => {
+  let cookie;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+    await removeUploads();
+
+    cookie = await register("cook@example.com");
+  });
+
+  afterAll(async () => {
+    await removeUploads();
+    await prisma.$disconnect();
+  });
+
+  function upload() {
+    return request(app).post("/api/uploads").set("Cookie", cookie);
+  }
+
+  it("keeps the original and returns responsive variants", async () => {
+    const res = await upload()
+      .attach("file", await photo(900, 1200), "plate.jpg")
+      .expect(200);
+
+    expect(res.body).toMatchObject({ width: 900, height: 1200, crop: null });
+    expect(res.body.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+    expect(res.body.lqip).toMatch(/^data:image\/webp;base64,/);
+    expect(res.body.url).toMatch(/^\/uploads\/images\/.+_full\.webp$/);
+    expect(res.body.variants).toHaveLength(6);
+    expect(res.body.sources.map((s) => s.type)).toEqual([
+      "image/avif",
+      "image/webp",
+    ]);
+
+    const stored = await prisma.upload.findUnique({
+      where: { id: res.body.id },
+    });
+    expect(stored.key).toBe(res.body.url.replace("/uploads/", ""));
+    expect(await storage.get(stored.originalKey)).not.toBeNull();
+
+    // originals are only served with a signature
+    await request(app).get(`/uploads/${stored.originalKey}`).expect(403);
+    await request(app).get(storage.signedUrl(stored.originalKey)).expect(200);
+
+    // images created from the url carry the upload's srcset
+    const recipe = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Salad", images: [res.body.url] })
+      .expect(201);
+    expect(recipe.body.imageDetails[0]).toMatchObject({
+      width: 900,
+      height: 1200,
+      aspectRatio: 0.75,
+      dominantColor: res.body.dominantColor,
+      lqip: res.body.lqip,
+      sources: res.body.sources,
+    });
+    const claimed = await prisma.upload.findUnique({
+      where: { id: res.body.id },
+    });
+    expect(claimed.claimedAt).not.toBeNull();
+    const image = await prisma.image.findFirst({
+      where: { recipeId: recipe.body.id },
+    });
+    expect(image.url).toBe(stored.key);
+  });
+
+  it("only accepts image urls of known uploads", async () => {
+    const res = await upload()
+      .attach("file", await photo(400, 300), "plate.jpg")
+      .expect(200);
+    const stored = await prisma.upload.findUnique({
+      where: { id: res.body.id },
+    });
+
+    const bad = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({
+        title: "Salad",
+        images: [
+          `/uploads/${stored.originalKey}`,
+          stored.originalKey,
+          "/uploads/images/unknown_full.webp",
+        ],
+      })
+      .expect(400);
+    expect(bad.body.errors.map((e) => e.field)).toEqual([
+      "images[0].url",
+      "images[1].url",
+      "images[2].url",
+    ]);
+
+    // a malformed escape is no key of ours, not a server error
+    await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Salad", images: ["/uploads/images/%E0%A4%A.webp"] })
+      .expect(201);
+
+    const thumbnail = res.body.variants.find((v) => v.size === "thumbnail");
+    const recipe = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Salad", images: [thumbnail.url] })
+      .expect(201);
+    expect(recipe.body.images).toEqual([res.body.url]);
+  });
+
+  it("lets recipes whose images predate uploads be saved again", async () => {
+    const recipe = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Stew" })
+      .expect(201);
+    // converted from http://host/uploads/1700000000_42.webp, no upload row
+    await prisma.image.create({
+      data: { url: "images/1700000000_42.webp", recipeId: recipe.body.id },
+    });
+    const loaded = await request(app)
+      .get(`/api/recipes/${recipe.body.id}`)
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(loaded.body.images).toEqual(["/uploads/images/1700000000_42.webp"]);
+
+    for (const images of [
+      loaded.body.images,
+      ["http://old-host/uploads/1700000000_42.webp"],
+    ]) {
+      const saved = await request(app)
+        .patch(`/api/recipes/${recipe.body.id}`)
+        .set("Cookie", cookie)
+        .send({ body: "Slowly", images })
+        .expect(200);
+      expect(saved.body.images).toEqual(loaded.body.images);
+    }
+  });
+
+  it("claims uploads used as step images, also in forks", async () => {
+    const res = await upload()
+      .attach("file", await photo(400, 300), "step.jpg")
+      .expect(200);
+    const recipe = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Braise" })
+      .expect(201);
+    await request(app)
+      .post(`/api/recipes/${recipe.body.id}/steps`)
+      .set("Cookie", cookie)
+      .send({ text: "Sear", image: res.body.url })
+      .expect(201);
+
+    const stored = await prisma.upload.findUnique({
+      where: { id: res.body.id },
+    });
+    expect(stored.claimedAt).not.toBeNull();
+    const usage = await request(app)
+      .get("/api/me/storage")
+      .set("Cookie", cookie)
+      .expect(200);
+    expect(usage.body.recipes.map((r) => r.id)).toEqual([recipe.body.id]);
+
+    const fork = await request(app)
+      .post(`/api/recipes/${recipe.body.id}/fork`)
+      .set("Cookie", cookie)
+      .expect(201);
+    const images = await prisma.image.findMany({
+      where: { step: { recipeId: { in: [recipe.body.id, fork.body.id] } } },
+    });
+    expect(images).toHaveLength(2);
+    expect(images.every((img) => img.uploadId === res.body.id)).toBe(true);
+  });
+
+  it("renders from a crop rectangle", async () => {
+    const res = await upload()
+      .field(
+        "crop",
+        JSON.stringify({ left: 0, top: 0, width: 600, height: 800 })
+      )
+      .attach("file", await photo(1000, 800), "plate.jpg")
+      .expect(200);
+    expect(res.body).toMatchObject({ width: 600, height: 800 });
+
+    const bad = await upload()
+      .field(
+        "crop",
+        JSON.stringify({ left: 500, top: 0, width: 600, height: 800 })
+      )
+      .attach("file", await photo(1000, 800), "plate.jpg")
+      .expect(400);
+    expect(bad.body.errors[0].field).toBe("crop");
+  });
+
+  it("requires a signed-in user", async () => {
+    const res = await request(app)
+      .post("/api/uploads")
+      .attach("file", await photo(40, 40), "plate.jpg")
+      .expect(401);
+    expect(res.body.errors[0].field).toBe("auth");
+  });
+
+  it("checks the file's contents rather than its name", async () => {
+    const res = await upload()
+      .attach("file", Buffer.from("<svg onload=alert(1)>"), {
+        filename: "plate.jpg",
+        contentType: "image/jpeg",
+      })
+      .expect(400);
+    expect(res.body.errors[0]).toMatchObject({ field: "file" });
+
+    // a PNG named .jpg is fine: it is stored as what it is
+    const png = await sharp({
+      create: { width: 40, height: 40, channels: 3, background: "#fff" },
+    })
+      .png()
+      .toBuffer();
+    const ok = await upload().attach("file", png, "plate.jpg").expect(200);
+    const stored = await prisma.upload.findUnique({
+      where: { id: ok.body.id },
+    });
+    expect(stored.originalKey).toMatch(/\.png$/);
+  });
+
+  it("rejects images over the pixel limit", async () => {
+    process.env.UPLOAD_MAX_MEGAPIXELS = "1";
+    try {
+      const res = await upload()
+        .attach("file", await photo(1200, 1000), "plate.jpg")
+        .expect(400);
+      expect(res.body.errors[0].message).toMatch("1 megapixels");
+    } finally {
+      delete process.env.UPLOAD_MAX_MEGAPIXELS;
+    }
+  });
+
+  it("strips GPS and other metadata from the original", async () => {
+    const tagged = await sharp({
+      create: { width: 60, height: 40, channels: 3, background: "#333" },
+    })
+      .jpeg()
+      .withExif({
+        IFD0: { Make: "Phone" },
+        IFD3: { GPSLatitudeRef: "N", GPSLatitude: "48/1 8/1 0/1" },
+      })
+      .toBuffer();
+    const res = await upload().attach("file", tagged, "plate.jpg").expect(200);
+    const stored = await prisma.upload.findUnique({
+      where: { id: res.body.id },
+    });
+    const meta = await sharp(await storage.get(stored.originalKey)).metadata();
+    expect(meta.exif).toBeUndefined();
+    expect([meta.width, meta.height]).toEqual([60, 40]);
+  });
+
+  it("returns the existing upload for identical content", async () => {
+    const file = await photo(300, 200);
+    const first = await upload().attach("file", file, "a.jpg").expect(200);
+    const again = await upload().attach("file", file, "b.jpg").expect(200);
+    expect(again.body).toEqual(first.body);
+    expect(await prisma.upload.count()).toBe(1);
+
+    // another crop renders other variants
+    const cropped = await upload()
+      .field(
+        "crop",
+        JSON.stringify({ left: 0, top: 0, width: 200, height: 200 })
+      )
+      .attach("file", file, "a.jpg")
+      .expect(200);
+    expect(cropped.body.id).not.toBe(first.body.id);
+    const other = await upload()
+      .attach("file", await photo(300, 200, "#000"), "c.jpg")
+      .expect(200);
+    expect(other.body.id).not.toBe(first.body.id);
+    expect(await prisma.upload.count()).toBe(3);
+
+    // other users get their own copy, paid from their own quota
+    const friend = await register("friend@example.com");
+    const theirs = await request(app)
+      .post("/api/uploads")
+      .set("Cookie", friend)
+      .attach("file", file, "a.jpg")
+      .expect(200);
+    expect(theirs.body.id).not.toBe(first.body.id);
+  });
+
+  it("records the uploader and stored bytes", async () => {
+    const res = await upload()
+      .attach("file", await photo(300, 200), "plate.jpg")
+      .expect(200);
+    const stored = await prisma.upload.findUnique({
+      where: { id: res.body.id },
+      include: { variants: true, uploader: true },
+    });
+    expect(stored.uploader.email).toBe("cook@example.com");
+    const original = await storage.get(stored.originalKey);
+    expect(stored.originalBytes).toBe(original.length);
+    expect(stored.bytes).toBe(
+      stored.variants.reduce((sum, v) => sum + v.bytes, original.length)
+    );
+  });
+
+  it("enforces the storage quota", async () => {
+    const first = await upload()
+      .attach("file", await photo(300, 200), "a.jpg")
+      .expect(200);
+    const { bytes } = await prisma.upload.findUnique({
+      where: { id: first.body.id },
+    });
+    process.env.UPLOAD_QUOTA_MB = String((bytes * 1.5) / (1024 * 1024));
+    try {
+      const res = await upload()
+        .attach("file", await photo(300, 200, "#000"), "b.jpg")
+        .expect(413);
+      expect(res.body.errors[0]).toMatchObject({ field: "file" });
+      expect(res.body.errors[0].message).toMatch("storage quota exceeded");
+      expect(await prisma.upload.count()).toBe(1);
+    } finally {
+      delete process.env.UPLOAD_QUOTA_MB;
+    }
+  });
+
+  it("reports storage usage by recipe", async () => {
+    await request(app).get("/api/me/storage").expect(401);
+
+    const used = await upload()
+      .attach("file", await photo(300, 200), "a.jpg")
+      .expect(200);
+    await upload()
+      .attach("file", await photo(300, 200, "#000"), "b.jpg")
+      .expect(200);
+    const recipe = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", cookie)
+      .send({ title: "Salad", images: [used.body.url] })
+      .expect(201);
+
+    const res = await request(app)
+      .get("/api/me/storage")
+      .set("Cookie", cookie)
+      .expect(200);
+    const uploads = await prisma.upload.findMany();
+    const bytes = (id) => uploads.find((u) => u.id === id).bytes;
+    expect(res.body).toMatchObject({
+      uploads: 2,
+      usedBytes: uploads.reduce((sum, u) => sum + u.bytes, 0),
+      quotaBytes: 500 * 1024 * 1024,
+      recipes: [
+        {
+          id: recipe.body.id,
+          title: "Salad",
+          deleted: false,
+          bytes: bytes(used.body.id),
+          uploads: 1,
+        },
+      ],
+      unused: { uploads: 1 },
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  parseQuantity,
+  validateIngredients,
+  validateAttemptFields,
+  validateTags,
+  validateImages,
+  validateImageUpdate
+} = require('../src/utils/validate');
+
+describe('parseQuantity', () => {
+  it('parses numbers, decimals, fractions and mixed numbers', () => {
+    expect(parseQuantity(2)).toBe(2);
+    expect(parseQuantity('0.25')).toBe(0.25);
+    expect(parseQuantity('3/4')).toBe(0.75);
+    expect(parseQuantity('1 1/2')).toBe(1.5);
+  });
+
+  it('treats blank values as null and garbage as NaN', () => {
+    expect(parseQuantity(undefined)).toBeNull();
+    expect(parseQuantity('  ')).toBeNull();
+    expect(parseQuantity('a pinch')).toBeNaN();
+    expect(parseQuantity('1/0')).toBeNaN();
+  });
+});
+
+describe('validateIngredients', () => {
+  it('normalizes items and keeps their order', () => {
+    const { errors, items } = validateIngredients([
+      { name: ' flour ', quantity: '500', unit: 'g' },
+      { name: 'soy sauce', unit: '', group: 'for the sauce' }
+    ]);
+    expect(errors).toHaveLength(0);
+    expect(items).toEqual([
+      { position: 0, name: 'flour', quantity: 500, unit: 'g', note: null, group: null },
+      { position: 1, name: 'soy sauce', quantity: null, unit: null, note: null, group: 'for the sauce' }
+    ]);
+  });
+
+  it('reports field paths for invalid items', () => {
+    const { errors } = validateIngredients([{ name: 'egg' }, 'salt', { name: 'milk', quantity: -1 }]);
+    expect(errors.map((e) => e.field)).toEqual(['ingredients[1]', 'ingredients[2].quantity']);
+  });
+
+  it('rejects a non-array value', () => {
+    const { errors } = validateIngredients('flour');
+    expect(errors[0].field).toBe('ingredients');
+  });
+});
+
+describe('validateAttemptFields', () => {
+  it('normalizes provided fields and ignores missing ones', () => {
+    const { errors, data } = validateAttemptFields({
+      outcome: 'partial',
+      rating: 4,
+      cookedAt: '2024-05-01T18:30:00.000Z',
+      adjustments: ['less salt', { text: ' longer bake ', stepId: 's1' }]
+    });
+    expect(errors).toHaveLength(0);
+    expect(data).toEqual({
+      outcome: 'partial',
+      rating: 4,
+      cookedAt: new Date('2024-05-01T18:30:00.000Z'),
+      adjustments: [
+        { text: 'less salt', stepId: null },
+        { text: 'longer bake', stepId: 's1' }
+      ]
+    });
+  });
+
+  it('reports invalid values by field', () => {
+    const { errors } = validateAttemptFields({
+      outcome: 'great',
+      rating: 6,
+      durationMinutes: -5,
+      cookedAt: 'yesterday',
+      adjustments: ['', 'ok']
+    });
+    expect(errors.map((e) => e.field)).toEqual(['outcome', 'rating', 'durationMinutes', 'cookedAt', 'adjustments[0]']);
+  });
+
+  it('accepts null to clear a field', () => {
+    const { errors, data } = validateAttemptFields({ outcome: null, rating: null, durationMinutes: null });
+    expect(errors).toHaveLength(0);
+    expect(data).toEqual({ outcome: null, rating: null, durationMinutes: null });
+  });
+});
+
+describe('validateTags', () => {
+  it('normalizes and de-duplicates tags', () => {
+    const { errors, items } = validateTags(['  Dinner ', 'dinner', 'Quick  Meals', '甜点']);
+    expect(errors).toHaveLength(0);
+    expect(items).toEqual(['dinner', 'quick meals', '甜点']);
+  });
+
+  it('rejects non-arrays, empty tags and too many tags', () => {
+    expect(validateTags('dinner').errors.map((e) => e.field)).toEqual(['tags']);
+    expect(validateTags(['ok', '  ', 3]).errors.map((e) => e.field)).toEqual(['tags[1]', 'tags[2]']);
+    const many = Array.from({ length: 21 }, (_, i) => `t${i}`);
+    expect(validateTags(many).errors.map((e) => e.field)).toEqual(['tags']);
+  });
+});
+
+describe('validateImages', () => {
+  it('accepts urls and { url, caption, isCover } items in order', () => {
+    const { errors, items } = validateImages(['/a.webp', { url: '/b.webp', caption: '  成品  ', isCover: true }]);
+    expect(errors).toHaveLength(0);
+    expect(items).toEqual([
+      { url: '/a.webp', caption: null, isCover: false },
+      { url: '/b.webp', caption: '成品', isCover: true }
+    ]);
+  });
+
+  it('reports invalid items and more than one cover', () => {
+    expect(validateImages('a').errors.map((e) => e.field)).toEqual(['images']);
+    expect(validateImages(['', { url: '/a', isCover: 'yes' }, { url: '/b', caption: 3 }]).errors.map((e) => e.field)).toEqual([
+      'images[0].url',
+      'images[1].isCover',
+      'images[2].caption'
+    ]);
+    const covers = [{ url: '/a', isCover: true }, { url: '/b', isCover: true }];
+    expect(validateImages(covers).errors.map((e) => e.field)).toEqual(['images']);
+  });
+
+  it('validates caption and cover updates', () => {
+    expect(validateImageUpdate({ caption: '', isCover: true })).toEqual({
+      errors: [],
+      data: { caption: null, isCover: true }
+    });
+    expect(validateImageUpdate({}).errors.map((e) => e.field)).toEqual(['caption']);
+    expect(validateImageUpdate({ isCover: 1 }).errors.map((e) => e.field)).toEqual(['isCover']);
+  });
+});
@@ -0,0 +1,190 @@
+const sharp = require("sharp");
+const {
+  parseCrop,
+  orientedSize,
+  stripMetadata,
+  renderVariants,
+  variantSources,
+  formatUpload,
+} = require("../src/variants");
+
+function photo(width, height) {
+  return sharp({
+    create: { width, height, channels: 3, background: "#c0703a" },
+  })
+    .jpeg()
+    .toBuffer();
+}
+
+describe("crop rectangles", () => {
+  it("accepts objects and JSON text inside the image", () => {
+    const rect = { left: 10, top: 0, width: 300, height: 400 };
+    expect(parseCrop(rect, 1000, 600)).toEqual({ errors: [], crop: rect });
+    expect(parseCrop(JSON.stringify(rect), 1000, 600).crop).toEqual(rect);
+    expect(parseCrop(undefined, 1000, 600)).toEqual({ errors: [], crop: null });
+    expect(parseCrop("", 1000, 600).crop).toBeNull();
+  });
+
+  it("rejects malformed or out-of-bounds rectangles", () => {
+    expect(parseCrop("{left", 100, 100).errors[0].field).toBe("crop");
+    expect(
+      parseCrop({ left: 0, top: 0, width: 10.5, height: 10 }, 100, 100).errors
+    ).toHaveLength(1);
+    expect(
+      parseCrop({ left: 0, top: 0, width: 0, height: 10 }, 100, 100).errors
+    ).toHaveLength(1);
+    expect(
+      parseCrop({ left: 50, top: 0, width: 60, height: 10 }, 100, 100).errors[0]
+        .message
+    ).toMatch("100x100");
+  });
+
+  it("swaps dimensions for rotated EXIF orientations", () => {
+    expect(orientedSize({ width: 40, height: 30, orientation: 6 })).toEqual({
+      width: 30,
+      height: 40,
+    });
+    expect(orientedSize({ width: 40, height: 30 })).toEqual({
+      width: 40,
+      height: 30,
+    });
+  });
+});
+
+describe("originals", () => {
+  it("drops EXIF and GPS data but keeps the photo upright", async () => {
+    const tagged = await sharp({
+      create: { width: 60, height: 40, channels: 3, background: "#c0703a" },
+    })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .withExif({
+        IFD0: { Make: "Phone" },
+        IFD3: { GPSLatitudeRef: "N", GPSLatitude: "48/1 8/1 0/1" },
+      })
+      .toBuffer();
+    const jpeg = { format: "jpeg", options: { quality: 95 } };
+    const meta = await sharp(await stripMetadata(tagged, jpeg)).metadata();
+    expect(meta.format).toBe("jpeg");
+    expect(meta.exif).toBeUndefined();
+    expect(meta.orientation).toBeUndefined();
+    expect([meta.width, meta.height]).toEqual([40, 60]);
+  });
+
+  it("refuses images over the pixel limit", async () => {
+    process.env.UPLOAD_MAX_MEGAPIXELS = "0.001";
+    try {
+      await expect(renderVariants(await photo(100, 100), null)).rejects.toThrow(
+        "pixel limit"
+      );
+    } finally {
+      delete process.env.UPLOAD_MAX_MEGAPIXELS;
+    }
+  });
+});
+
+describe("variants", () => {
+  it("renders every size in avif and webp without enlarging", async () => {
+    const rendered = await renderVariants(await photo(1000, 600), null);
+    expect(rendered).toMatchObject({ width: 1000, height: 600 });
+    expect(
+      rendered.variants.map((v) => [v.size, v.format, v.width, v.height])
+    ).toEqual([
+      ["thumbnail", "avif", 320, 192],
+      ["thumbnail", "webp", 320, 192],
+      ["card", "avif", 800, 480],
+      ["card", "webp", 800, 480],
+      ["full", "avif", 1000, 600],
+      ["full", "webp", 1000, 600],
+    ]);
+    const meta = await sharp(rendered.variants[0].buffer).metadata();
+    expect(meta.format).toBe("heif");
+  });
+
+  it("renders a dominant colour and a tiny placeholder", async () => {
+    const rendered = await renderVariants(await photo(1000, 600), null);
+    expect(rendered.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+    // the photo is #c0703a; the histogram bins are coarse
+    const [r, g, b] = rendered.dominantColor
+      .match(/[0-9a-f]{2}/g)
+      .map((hex) => parseInt(hex, 16));
+    expect(
+      Math.abs(r - 0xc0) + Math.abs(g - 0x70) + Math.abs(b - 0x3a)
+    ).toBeLessThan(40);
+    expect(rendered.lqip).toMatch(/^data:image\/webp;base64,/);
+    const tiny = Buffer.from(rendered.lqip.split(",")[1], "base64");
+    const meta = await sharp(tiny).metadata();
+    expect([meta.width, meta.height]).toEqual([16, 10]);
+    expect(rendered.lqip.length).toBeLessThan(1000);
+  });
+
+  it("keeps a portrait crop instead of a centre square", async () => {
+    const rendered = await renderVariants(await photo(1000, 600), {
+      left: 100,
+      top: 0,
+      width: 300,
+      height: 400,
+    });
+    expect(rendered).toMatchObject({ width: 300, height: 400 });
+    const full = rendered.variants.find(
+      (v) => v.size === "full" && v.format === "webp"
+    );
+    expect([full.width, full.height]).toEqual([300, 400]);
+  });
+
+  it("builds srcsets with each width once", () => {
+    const variants = [
+      { size: "card", format: "webp", key: "images/c.webp", width: 300 },
+      { size: "thumbnail", format: "webp", key: "images/t.webp", width: 300 },
+      { size: "full", format: "webp", key: "images/f.webp", width: 300 },
+    ];
+    expect(variantSources(variants)).toEqual([
+      { type: "image/webp", srcset: "/uploads/images/c.webp 300w" },
+    ]);
+    expect(variantSources([])).toEqual([]);
+  });
+
+  it("formats a stored upload", () => {
+    const upload = {
+      id: "u1",
+      key: "images/f.webp",
+      width: 300,
+      height: 400,
+      crop: null,
+      dominantColor: "#b86838",
+      lqip: "data:image/webp;base64,AAAA",
+      variants: [
+        {
+          id: "v1",
+          uploadId: "u1",
+          size: "full",
+          format: "webp",
+          key: "images/f.webp",
+          width: 300,
+          height: 400,
+          bytes: 1234,
+        },
+      ],
+    };
+    expect(formatUpload(upload)).toEqual({
+      id: "u1",
+      url: "/uploads/images/f.webp",
+      width: 300,
+      height: 400,
+      aspectRatio: 0.75,
+      dominantColor: "#b86838",
+      lqip: "data:image/webp;base64,AAAA",
+      crop: null,
+      variants: [
+        {
+          size: "full",
+          format: "webp",
+          url: "/uploads/images/f.webp",
+          width: 300,
+          height: 400,
+        },
+      ],
+      sources: [{ type: "image/webp", srcset: "/uploads/images/f.webp 300w" }],
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const request = require("supertest");
+const { PrismaClient } = require("@prisma/client");
+
+const app = require("../src/index");
+const prisma = new PrismaClient();
+
+function extractCookie(res) {
+  const sc = res.headers["set-cookie"] || [];
+  return sc.map((s) => s.split(";")[0]).join("; ");
+}
+
+describe("Recipe visibility", () => {
+  let owner;
+  let other;
+
+  beforeEach(async () => {
+    await prisma.session.deleteMany();
+    await prisma.image.deleteMany();
+    await prisma.attempt.deleteMany();
+    await prisma.recipe.deleteMany();
+    await prisma.user.deleteMany();
+
+    const a = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "owner@example.com", password: "password123" })
+      .expect(201);
+    owner = extractCookie(a);
+    const b = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "other@example.com", password: "password123" })
+      .expect(201);
+    other = extractCookie(b);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  async function createRecipe(body) {
+    const res = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", owner)
+      .send(body)
+      .expect(201);
+    return res.body;
+  }
+
+  it("lists public recipes for everyone and private ones only for the owner", async () => {
+    await createRecipe({ title: "Public" });
+    await createRecipe({ title: "Draft", visibility: "private" });
+    await createRecipe({ title: "Secret link", visibility: "unlisted" });
+
+    const anonymous = await request(app).get("/api/recipes").expect(200);
+    expect(anonymous.body.items.map((r) => r.title)).toEqual(["Public"]);
+
+    const mine = await request(app)
+      .get("/api/recipes")
+      .set("Cookie", owner)
+      .expect(200);
+    expect(mine.body.items.map((r) => r.title).sort()).toEqual([
+      "Draft",
+      "Public",
+      "Secret link",
+    ]);
+
+    const search = await request(app)
+      .get("/api/recipes")
+      .set("Cookie", other)
+      .query({ q: "draft" })
+      .expect(200);
+    expect(search.body.total).toBe(0);
+  });
+
+  it("hides private recipes and their attempts from other users", async () => {
+    const draft = await createRecipe({
+      title: "Draft",
+      body: "experiment",
+      visibility: "private",
+    });
+
+    await request(app)
+      .get(`/api/recipes/${draft.id}`)
+      .set("Cookie", owner)
+      .expect(200);
+    const res = await request(app)
+      .get(`/api/recipes/${draft.id}`)
+      .set("Cookie", other)
+      .expect(404);
+    expect(res.body.errors[0].field).toBe("id");
+    await request(app).get(`/api/recipes/${draft.id}/attempts`).expect(404);
+    await request(app).get(`/api/recipes/${draft.id}/steps`).expect(404);
+  });
+
+  it("serves unlisted recipes with the share token and rotates it", async () => {
+    const recipe = await createRecipe({
+      title: "Secret link",
+      visibility: "unlisted",
+    });
+    expect(recipe.shareToken).toEqual(expect.any(String));
+
+    await request(app).get(`/api/recipes/${recipe.id}`).expect(404);
+    const shared = await request(app)
+      .get(`/api/recipes/${recipe.id}`)
+      .query({ share: recipe.shareToken })
+      .expect(200);
+    expect(shared.body.shareToken).toBeUndefined();
+    await request(app)
+      .get(`/api/recipes/${recipe.id}/attempts`)
+      .query({ share: recipe.shareToken })
+      .expect(200);
+
+    // going private and back issues a new link
+    await request(app)
+      .patch(`/api/recipes/${recipe.id}`)
+      .set("Cookie", owner)
+      .send({ visibility: "private" })
+      .expect(200);
+    const again = await request(app)
+      .patch(`/api/recipes/${recipe.id}`)
+      .set("Cookie", owner)
+      .send({ visibility: "unlisted" })
+      .expect(200);
+    expect(again.body.shareToken).not.toBe(recipe.shareToken);
+    await request(app)
+      .get(`/api/recipes/${recipe.id}`)
+      .query({ share: recipe.shareToken })
+      .expect(404);
+  });
+
+  it("validates visibility", async () => {
+    let res = await request(app)
+      .post("/api/recipes")
+      .set("Cookie", owner)
+      .send({ title: "X", visibility: "friends" })
+      .expect(400);
+    expect(res.body.errors[0].field).toBe("visibility");
+
+    res = await request(app)
+      .post("/api/recipes")
+      .send({ title: "X", visibility: "private" })
+      .expect(400);
+    expect(res.body.errors[0].field).toBe("visibility");
+  });
+});